@@ -0,0 +1,2 @@
+const app = require('../../server');
+module.exports = (req, res) => app(req, res);
@@ -0,0 +1,51 @@
+-- Migration: Create sync_runs table
+-- Date: 2026-10-19
+-- Description: Persist every Clover sync run (full, catalog, orders) with counts, errors and a resume cursor
+-- Prerequisites: merchants table must exist (run 000_create_merchants_table.sql first)
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    sync_type TEXT NOT NULL, -- 'full', 'catalog', 'orders'
+    status TEXT NOT NULL DEFAULT 'running', -- 'running', 'succeeded', 'failed'
+    options JSONB NOT NULL DEFAULT '{}'::jsonb,
+    counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+    errors JSONB,
+    cursor JSONB,
+    last_modified_time BIGINT,
+    resumed_from UUID REFERENCES sync_runs(id) ON DELETE SET NULL,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (status IN ('running', 'succeeded', 'failed'))
+);
+
+-- Create indexes for history lookups
+CREATE INDEX IF NOT EXISTS idx_sync_runs_merchant_started ON sync_runs(merchant_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_merchant_type_status ON sync_runs(merchant_id, sync_type, status);
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_sync_runs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_sync_runs_updated_at ON sync_runs;
+CREATE TRIGGER trigger_update_sync_runs_updated_at
+    BEFORE UPDATE ON sync_runs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_sync_runs_updated_at();
+
+-- Comment on table and columns
+COMMENT ON TABLE sync_runs IS 'History of Clover sync runs per merchant';
+COMMENT ON COLUMN sync_runs.sync_type IS 'Sync type: full (categories/products/inventory), catalog (/api/products/sync), orders';
+COMMENT ON COLUMN sync_runs.status IS 'Run status: running, succeeded, failed';
+COMMENT ON COLUMN sync_runs.options IS 'Options the run was started with (limit, prune, modifiedSince, ...)';
+COMMENT ON COLUMN sync_runs.counts IS 'Per-stage processed/inserted/updated counts';
+COMMENT ON COLUMN sync_runs.cursor IS 'Last committed position, e.g. {"stage":"products","offset":300} or {"modifiedTime":1700000000000}';
+COMMENT ON COLUMN sync_runs.last_modified_time IS 'Highest Clover modifiedTime (ms) committed by this run';
+COMMENT ON COLUMN sync_runs.resumed_from IS 'Failed run this run resumed from';
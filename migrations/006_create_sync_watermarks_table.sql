@@ -0,0 +1,21 @@
+-- Migration: Create sync_watermarks table
+-- Date: 2026-10-19
+-- Description: Highest Clover modifiedTime synced per merchant, sync type and entity, used by delta catalog syncs
+-- Prerequisites: merchants table must exist (run 000_create_merchants_table.sql first)
+
+CREATE TABLE IF NOT EXISTS sync_watermarks (
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    sync_type TEXT NOT NULL, -- 'full' (/api/sync/full), 'catalog' (/api/products/sync)
+    entity TEXT NOT NULL, -- 'categories', 'items', 'item_stocks'
+    last_modified_time BIGINT NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    PRIMARY KEY (merchant_id, sync_type, entity),
+    CHECK (entity IN ('categories', 'items', 'item_stocks'))
+);
+
+-- Comment on table and columns
+COMMENT ON TABLE sync_watermarks IS 'Delta sync watermarks: only Clover objects modified at or after last_modified_time are fetched';
+COMMENT ON COLUMN sync_watermarks.sync_type IS 'Sync implementation the watermark belongs to: full or catalog';
+COMMENT ON COLUMN sync_watermarks.entity IS 'Clover collection: categories, items, item_stocks';
+COMMENT ON COLUMN sync_watermarks.last_modified_time IS 'Highest Clover modifiedTime (ms) committed by a completed stage';
@@ -0,0 +1,58 @@
+-- Migration: Create jobs table
+-- Date: 2026-10-19
+-- Description: Postgres-backed background job queue for sync operations (no external broker)
+-- Prerequisites: merchants and sync_runs tables must exist (run 000 and 005 first)
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    type TEXT NOT NULL, -- 'sync.full', 'sync.catalog', 'sync.orders', 'sync.resume'
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'succeeded', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_by TEXT,
+    heartbeat_at TIMESTAMPTZ,
+    result JSONB,
+    last_error TEXT,
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed'))
+);
+
+-- Create indexes for claiming and lookups
+CREATE INDEX IF NOT EXISTS idx_jobs_queued ON jobs(run_at, created_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_merchant_status ON jobs(merchant_id, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_running_heartbeat ON jobs(heartbeat_at) WHERE status = 'running';
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_jobs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_jobs_updated_at ON jobs;
+CREATE TRIGGER trigger_update_jobs_updated_at
+    BEFORE UPDATE ON jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_jobs_updated_at();
+
+-- Link sync runs to the job that executed them, for progress polling
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES jobs(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_sync_runs_job_id ON sync_runs(job_id);
+
+-- Comment on table and columns
+COMMENT ON TABLE jobs IS 'Background job queue; executed by worker.js';
+COMMENT ON COLUMN jobs.type IS 'Job type: sync.full, sync.catalog, sync.orders, sync.resume';
+COMMENT ON COLUMN jobs.payload IS 'Handler options, e.g. {"mode":"delta"} or {"limit":100,"prune":false}';
+COMMENT ON COLUMN jobs.status IS 'Job status: queued, running, succeeded, failed';
+COMMENT ON COLUMN jobs.run_at IS 'Earliest time the job may be claimed (pushed back between retries)';
+COMMENT ON COLUMN jobs.heartbeat_at IS 'Last heartbeat from the worker running the job; stale jobs are requeued';
+COMMENT ON COLUMN sync_runs.job_id IS 'Job that executed this run, if any';
@@ -0,0 +1,53 @@
+-- Migration: Create sync_schedules table
+-- Date: 2026-10-19
+-- Description: Per-merchant recurring sync schedules (orders, inventory, catalog) run by the scheduler
+-- Prerequisites: merchants, sync_watermarks and jobs tables must exist (run 000, 006 and 007 first)
+
+CREATE TABLE IF NOT EXISTS sync_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL, -- 'orders', 'inventory', 'catalog'
+    interval_minutes INTEGER NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_enqueued_at TIMESTAMPTZ,
+    last_job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    last_skipped_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT unique_merchant_schedule_kind UNIQUE (merchant_id, kind),
+    CHECK (kind IN ('orders', 'inventory', 'catalog')),
+    CHECK (interval_minutes > 0)
+);
+
+-- Create index for finding due schedules
+CREATE INDEX IF NOT EXISTS idx_sync_schedules_due ON sync_schedules(next_run_at) WHERE enabled = true;
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_sync_schedules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_sync_schedules_updated_at ON sync_schedules;
+CREATE TRIGGER trigger_update_sync_schedules_updated_at
+    BEFORE UPDATE ON sync_schedules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_sync_schedules_updated_at();
+
+-- Scheduled order syncs run in delta mode from an orders watermark
+ALTER TABLE sync_watermarks DROP CONSTRAINT IF EXISTS sync_watermarks_entity_check;
+ALTER TABLE sync_watermarks ADD CONSTRAINT sync_watermarks_entity_check
+    CHECK (entity IN ('categories', 'items', 'item_stocks', 'orders'));
+
+-- Comment on table and columns
+COMMENT ON TABLE sync_schedules IS 'Recurring per-merchant syncs; due schedules are queued as jobs by the scheduler';
+COMMENT ON COLUMN sync_schedules.kind IS 'orders (delta orders sync), inventory (item_stocks only), catalog (full catalog sync)';
+COMMENT ON COLUMN sync_schedules.next_run_at IS 'When the schedule is next due';
+COMMENT ON COLUMN sync_schedules.last_job_id IS 'Job queued by the most recent run of this schedule';
+COMMENT ON COLUMN sync_schedules.last_skipped_at IS 'Last time a run was skipped because the previous sync was still queued or running';
+COMMENT ON COLUMN sync_watermarks.sync_type IS 'Sync implementation the watermark belongs to: full, catalog or orders';
@@ -0,0 +1,18 @@
+-- Migration: Create webhook_deliveries table
+-- Date: 2026-10-19
+-- Description: Digests of recently accepted Clover webhook bodies, used to reject replayed deliveries
+-- Prerequisites: none
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    digest TEXT PRIMARY KEY, -- SHA-256 of the raw request body
+    path TEXT NOT NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create index for pruning digests older than the replay window
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at);
+
+-- Comment on table and columns
+COMMENT ON TABLE webhook_deliveries IS 'Accepted Clover webhook bodies within the replay window (CLOVER_WEBHOOK_MAX_AGE_MS)';
+COMMENT ON COLUMN webhook_deliveries.digest IS 'SHA-256 hex digest of the raw body; a second delivery with the same digest is rejected';
+COMMENT ON COLUMN webhook_deliveries.path IS 'Webhook path the body was delivered to';
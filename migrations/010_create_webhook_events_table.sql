@@ -0,0 +1,49 @@
+-- Migration: Create webhook_events table
+-- Date: 2026-10-19
+-- Description: Inbox of Clover webhook events; each event is dispatched by object type and retried until processed
+-- Prerequisites: merchants table must exist (run 000 first)
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID REFERENCES merchants(id) ON DELETE CASCADE, -- NULL when the Clover merchant is unknown
+    clover_merchant_id TEXT NOT NULL,
+    object_id TEXT NOT NULL, -- e.g. 'I:ITEM123'
+    object_type TEXT NOT NULL, -- prefix of object_id: 'I', 'O', 'P', 'IC', ...
+    event_type TEXT, -- 'CREATE', 'UPDATE', 'DELETE'
+    ts BIGINT NOT NULL, -- Clover event time (milliseconds)
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'processed', 'failed', 'ignored'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    processed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    -- Clover may deliver the same event more than once
+    CONSTRAINT unique_webhook_event UNIQUE (object_id, ts),
+    CHECK (status IN ('pending', 'processed', 'failed', 'ignored'))
+);
+
+-- Create indexes for retrying unprocessed events and per-merchant lookups
+CREATE INDEX IF NOT EXISTS idx_webhook_events_retry ON webhook_events(created_at) WHERE status IN ('pending', 'failed');
+CREATE INDEX IF NOT EXISTS idx_webhook_events_merchant ON webhook_events(merchant_id, created_at DESC);
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_webhook_events_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_webhook_events_updated_at ON webhook_events;
+CREATE TRIGGER trigger_update_webhook_events_updated_at
+    BEFORE UPDATE ON webhook_events
+    FOR EACH ROW
+    EXECUTE FUNCTION update_webhook_events_updated_at();
+
+-- Comment on table and columns
+COMMENT ON TABLE webhook_events IS 'Clover webhook events received on /api/webhooks/clover';
+COMMENT ON COLUMN webhook_events.object_type IS 'Object prefix: I item, IC category, O order, P payment (others are ignored)';
+COMMENT ON COLUMN webhook_events.status IS 'pending (not yet dispatched), processed, failed (retried), ignored (unknown merchant or object type)';
+COMMENT ON COLUMN webhook_events.attempts IS 'Dispatch attempts; failed events are retried until WEBHOOK_MAX_ATTEMPTS';
@@ -0,0 +1,42 @@
+-- Migration: Create idempotency_keys table
+-- Date: 2026-10-19
+-- Description: Stored responses for requests sent with an Idempotency-Key header (checkout retries)
+-- Prerequisites: merchants table must exist (run 000 first)
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    scope TEXT NOT NULL, -- endpoint the key was used on, e.g. 'checkout'
+    key TEXT NOT NULL,
+    request_hash TEXT NOT NULL, -- SHA-256 of the canonical JSON request body
+    status TEXT NOT NULL DEFAULT 'in_progress', -- 'in_progress', 'completed'
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    PRIMARY KEY (merchant_id, scope, key),
+    CHECK (status IN ('in_progress', 'completed'))
+);
+
+-- Create index for expiring old keys
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_idempotency_keys_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_idempotency_keys_updated_at ON idempotency_keys;
+CREATE TRIGGER trigger_update_idempotency_keys_updated_at
+    BEFORE UPDATE ON idempotency_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_idempotency_keys_updated_at();
+
+-- Comment on table and columns
+COMMENT ON TABLE idempotency_keys IS 'Idempotency-Key records; a repeat with the same body replays response_status/response_body';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'Reusing a key with a different body is rejected with 409';
+COMMENT ON COLUMN idempotency_keys.status IS 'in_progress while the first request runs, completed once its response is stored';
@@ -0,0 +1,46 @@
+-- Migration: Create inventory_reservations table
+-- Date: 2026-10-19
+-- Description: Stock held for kiosk orders between checkout and payment; mirrors inventory.reserved per transaction
+-- Prerequisites: merchants, products and inventory tables must exist (run 000 and 002 first)
+
+CREATE TABLE IF NOT EXISTS inventory_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    transaction_id UUID NOT NULL, -- transactions.id of the kiosk order holding the stock
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active', -- 'active', 'committed', 'released'
+    expires_at TIMESTAMPTZ NOT NULL,
+    release_reason TEXT, -- 'payment_failed', 'order_deleted', 'expired'
+    settled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT unique_transaction_product_reservation UNIQUE (transaction_id, product_id),
+    CHECK (quantity > 0),
+    CHECK (status IN ('active', 'committed', 'released'))
+);
+
+-- Create indexes for settling a transaction's reservations and expiring abandoned ones
+CREATE INDEX IF NOT EXISTS idx_inventory_reservations_transaction ON inventory_reservations(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_reservations_expiry ON inventory_reservations(expires_at) WHERE status = 'active';
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_inventory_reservations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_inventory_reservations_updated_at ON inventory_reservations;
+CREATE TRIGGER trigger_update_inventory_reservations_updated_at
+    BEFORE UPDATE ON inventory_reservations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_inventory_reservations_updated_at();
+
+-- Comment on table and columns
+COMMENT ON TABLE inventory_reservations IS 'Stock held by kiosk checkouts; active rows are counted in inventory.reserved';
+COMMENT ON COLUMN inventory_reservations.status IS 'active (held), committed (paid, taken off on_hand), released (payment failed, order deleted or expired)';
+COMMENT ON COLUMN inventory_reservations.expires_at IS 'Active reservations past this time are released (RESERVATION_TTL_MINUTES)';
@@ -0,0 +1,31 @@
+-- Migration: Add payment lifecycle columns to transactions
+-- Date: 2026-10-19
+-- Description: Kiosk payment state (OPEN, PENDING_PAYMENT, PAID, FAILED, VOIDED), kept apart from
+--              transactions.status, which mirrors the Clover order state written by the orders sync
+-- Prerequisites: transactions table must exist
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'OPEN';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_method TEXT; -- 'device', 'external'
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_error TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_started_at TIMESTAMPTZ;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_checked_at TIMESTAMPTZ; -- last reconciled with Clover
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_payment_status_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_payment_status_check
+    CHECK (payment_status IN ('OPEN', 'PENDING_PAYMENT', 'PAID', 'FAILED', 'VOIDED'));
+
+-- Backfill existing rows from what the orders sync and payment webhooks recorded
+UPDATE transactions SET payment_status = 'PAID'
+WHERE payment_status = 'OPEN' AND (completed_at IS NOT NULL OR status = 'COMPLETED');
+UPDATE transactions SET payment_status = 'FAILED'
+WHERE payment_status = 'OPEN' AND status = 'FAILED';
+UPDATE transactions SET payment_status = 'VOIDED'
+WHERE payment_status = 'OPEN' AND status = 'delete';
+
+-- Create index for looking up kiosk transactions awaiting payment
+CREATE INDEX IF NOT EXISTS idx_transactions_payment_status ON transactions(merchant_id, payment_status);
+
+-- Comment on columns
+COMMENT ON COLUMN transactions.payment_status IS 'OPEN (no payment yet), PENDING_PAYMENT (started, result unknown), PAID, FAILED (may be retried), VOIDED';
+COMMENT ON COLUMN transactions.payment_method IS 'How the last payment was started: device (card-present on a Clover device) or external';
+COMMENT ON COLUMN transactions.payment_checked_at IS 'When payment_status was last reconciled with the Clover order';
@@ -0,0 +1,77 @@
+-- Migration: Create refunds and refund_items tables
+-- Date: 2026-10-19
+-- Description: Refunds of kiosk and Clover sales, the units returned with them, and damaged stock
+-- Prerequisites: merchants, products, inventory and transactions tables must exist (run 000 and 002 first)
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    transaction_id UUID NOT NULL, -- transactions.id of the refunded sale
+    clover_refund_id TEXT, -- NULL until Clover accepted the refund
+    clover_payment_id TEXT,
+    amount_cents INTEGER NOT NULL, -- including tax
+    reason TEXT,
+    source TEXT NOT NULL DEFAULT 'api', -- 'api' (POST /api/transactions/:id/refunds), 'clover' (found by the orders sync)
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'succeeded', 'failed'
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT unique_merchant_clover_refund UNIQUE (merchant_id, clover_refund_id),
+    CHECK (amount_cents >= 0),
+    CHECK (source IN ('api', 'clover')),
+    CHECK (status IN ('pending', 'succeeded', 'failed'))
+);
+
+CREATE TABLE IF NOT EXISTS refund_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    refund_id UUID NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+    transaction_item_id UUID, -- line the request named; the orders sync may replace transaction_items rows
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    clover_item_id TEXT,
+    product_name TEXT,
+    quantity INTEGER NOT NULL,
+    amount_cents INTEGER NOT NULL, -- including tax
+    restock BOOLEAN NOT NULL DEFAULT true,
+    condition TEXT NOT NULL DEFAULT 'resellable', -- 'resellable' (back to on_hand), 'damaged' (inventory.damaged)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (quantity > 0),
+    CHECK (amount_cents >= 0),
+    CHECK (condition IN ('resellable', 'damaged'))
+);
+
+-- Refunded total per transaction, kept in sync with its succeeded refunds
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refunded_cents INTEGER NOT NULL DEFAULT 0;
+
+-- Returned units that cannot be sold again
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS damaged INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_damaged_check;
+ALTER TABLE inventory ADD CONSTRAINT inventory_damaged_check CHECK (damaged >= 0);
+
+-- Create indexes for a transaction's refunds and their items
+CREATE INDEX IF NOT EXISTS idx_refunds_transaction ON refunds(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_merchant_created ON refunds(merchant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_refund_items_refund ON refund_items(refund_id);
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_refunds_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_refunds_updated_at ON refunds;
+CREATE TRIGGER trigger_update_refunds_updated_at
+    BEFORE UPDATE ON refunds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_refunds_updated_at();
+
+-- Comment on tables and columns
+COMMENT ON TABLE refunds IS 'Refunds of sales; pending refunds already count against the refundable quantities';
+COMMENT ON TABLE refund_items IS 'Units returned with a refund; refunds found by the orders sync have no items';
+COMMENT ON COLUMN refunds.status IS 'pending while Clover is called, succeeded (counted in transactions.refunded_cents), failed';
+COMMENT ON COLUMN transactions.refunded_cents IS 'Sum of succeeded refunds';
+COMMENT ON COLUMN inventory.damaged IS 'Returned units marked damaged; not part of on_hand';
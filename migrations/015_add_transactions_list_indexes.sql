@@ -0,0 +1,10 @@
+-- Migration: Add indexes for listing transactions
+-- Date: 2026-10-19
+-- Description: Keyset pagination of GET /api/transactions (created_at DESC, id DESC) and its product filter
+-- Prerequisites: transactions and transaction_items tables must exist
+
+-- Create index for a merchant's transactions, newest first
+CREATE INDEX IF NOT EXISTS idx_transactions_merchant_created ON transactions(merchant_id, created_at DESC, id DESC);
+
+-- Create index for finding the transactions that sold a product
+CREATE INDEX IF NOT EXISTS idx_transaction_items_product ON transaction_items(product_id, transaction_id);
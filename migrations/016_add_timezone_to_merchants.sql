@@ -0,0 +1,9 @@
+-- Migration: Add timezone to merchants
+-- Date: 2026-10-19
+-- Description: Local timezone of a merchant; sales reports bucket days, weeks and months in it
+-- Prerequisites: merchants table must exist (run 000 first)
+
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS timezone TEXT; -- IANA name, e.g. 'America/Chicago'
+
+-- Comment on columns
+COMMENT ON COLUMN merchants.timezone IS 'IANA timezone for reports; NULL reports in UTC';
@@ -0,0 +1,18 @@
+-- Migration: Snapshot unit cost on transaction_items
+-- Date: 2026-10-19
+-- Description: Cost of each unit at the time of sale (products.cost_cents when the line was recorded), so margin
+--              reports don't change when a product's cost is updated later
+-- Prerequisites: products and transaction_items tables must exist
+
+ALTER TABLE transaction_items ADD COLUMN IF NOT EXISTS unit_cost_cents INTEGER; -- NULL when the product had no cost
+
+-- Backfill existing lines with today's cost; the best we know for sales recorded before this column
+UPDATE transaction_items ti
+SET unit_cost_cents = p.cost_cents
+FROM products p
+WHERE p.id = ti.product_id
+  AND ti.unit_cost_cents IS NULL
+  AND p.cost_cents IS NOT NULL;
+
+-- Comment on columns
+COMMENT ON COLUMN transaction_items.unit_cost_cents IS 'products.cost_cents when the line was recorded; kept when the orders sync rewrites the lines';
@@ -0,0 +1,98 @@
+-- Migration: Create vendors, purchase_orders and purchase_order_lines tables
+-- Date: 2026-10-19
+-- Description: Purchasing from vendors; receiving a purchase order restocks inventory
+-- Prerequisites: merchants, products and inventory tables must exist (run 000 and 002 first)
+
+CREATE TABLE IF NOT EXISTS vendors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    contact_name TEXT,
+    email TEXT,
+    phone TEXT,
+    notes TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT unique_merchant_vendor_name UNIQUE (merchant_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    vendor_id UUID NOT NULL REFERENCES vendors(id),
+    status TEXT NOT NULL DEFAULT 'draft', -- 'draft', 'sent', 'partially_received', 'received', 'cancelled'
+    reference TEXT, -- vendor's order or invoice number
+    notes TEXT,
+    expected_at DATE,
+    sent_at TIMESTAMPTZ,
+    received_at TIMESTAMPTZ, -- when the last outstanding unit was received
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled'))
+);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id),
+    quantity_ordered INTEGER NOT NULL,
+    quantity_received INTEGER NOT NULL DEFAULT 0,
+    unit_cost_cents INTEGER, -- expected cost; replaced by the cost it was received at
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT unique_purchase_order_product UNIQUE (purchase_order_id, product_id),
+    CHECK (quantity_ordered > 0),
+    CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+    CHECK (unit_cost_cents IS NULL OR unit_cost_cents >= 0)
+);
+
+-- Units ordered from vendors but not received yet, and the last delivery
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS quantity_on_order INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS last_restocked_at TIMESTAMPTZ;
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_quantity_on_order_check;
+ALTER TABLE inventory ADD CONSTRAINT inventory_quantity_on_order_check CHECK (quantity_on_order >= 0);
+
+-- Create indexes for listing vendors and purchase orders
+CREATE INDEX IF NOT EXISTS idx_vendors_merchant ON vendors(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_merchant_status ON purchase_orders(merchant_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_vendor ON purchase_orders(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_order ON purchase_order_lines(purchase_order_id);
+
+-- Add triggers to automatically update updated_at timestamps
+CREATE OR REPLACE FUNCTION update_purchasing_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_vendors_updated_at ON vendors;
+CREATE TRIGGER trigger_update_vendors_updated_at
+    BEFORE UPDATE ON vendors
+    FOR EACH ROW
+    EXECUTE FUNCTION update_purchasing_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_purchase_orders_updated_at ON purchase_orders;
+CREATE TRIGGER trigger_update_purchase_orders_updated_at
+    BEFORE UPDATE ON purchase_orders
+    FOR EACH ROW
+    EXECUTE FUNCTION update_purchasing_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_purchase_order_lines_updated_at ON purchase_order_lines;
+CREATE TRIGGER trigger_update_purchase_order_lines_updated_at
+    BEFORE UPDATE ON purchase_order_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION update_purchasing_updated_at();
+
+-- Comment on tables and columns
+COMMENT ON TABLE vendors IS 'Suppliers purchase orders are placed with';
+COMMENT ON TABLE purchase_orders IS 'Orders placed with vendors: draft -> sent -> partially_received -> received, or cancelled';
+COMMENT ON TABLE purchase_order_lines IS 'Products on a purchase order and how many of them have been received';
+COMMENT ON COLUMN inventory.quantity_on_order IS 'Units on sent purchase orders that have not been received';
+COMMENT ON COLUMN inventory.last_restocked_at IS 'When a purchase order delivery was last received';
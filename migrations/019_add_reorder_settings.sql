@@ -0,0 +1,20 @@
+-- Migration: Add reorder settings to vendors and inventory
+-- Date: 2026-10-19
+-- Description: Vendor lead times and per-product auto-ordering, used by GET /api/inventory/reorder-suggestions
+-- Prerequisites: inventory and vendors tables must exist (run 002 and 018 first)
+
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS lead_time_days INTEGER NOT NULL DEFAULT 7;
+ALTER TABLE vendors DROP CONSTRAINT IF EXISTS vendors_lead_time_days_check;
+ALTER TABLE vendors ADD CONSTRAINT vendors_lead_time_days_check CHECK (lead_time_days >= 0);
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS preferred_vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS auto_order_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS auto_order_quantity INTEGER;
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_auto_order_quantity_check;
+ALTER TABLE inventory ADD CONSTRAINT inventory_auto_order_quantity_check CHECK (auto_order_quantity IS NULL OR auto_order_quantity > 0);
+
+-- Comment on columns
+COMMENT ON COLUMN vendors.lead_time_days IS 'Days from sending a purchase order to receiving it';
+COMMENT ON COLUMN inventory.preferred_vendor_id IS 'Vendor to reorder from; when NULL, the vendor of the latest purchase order for the product';
+COMMENT ON COLUMN inventory.auto_order_enabled IS 'Reorder suggestions for this product may be drafted into purchase orders automatically';
+COMMENT ON COLUMN inventory.auto_order_quantity IS 'Fixed quantity to reorder (e.g. a case); NULL orders what sales velocity calls for';
@@ -0,0 +1,43 @@
+-- Migration: Create inventory_movements table
+-- Date: 2026-10-19
+-- Description: Append-only ledger of every change to inventory.on_hand and why it happened
+-- Prerequisites: merchants, products and inventory tables must exist (run 000 and 002 first)
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    delta INTEGER NOT NULL,
+    on_hand_after INTEGER NOT NULL,
+    reason TEXT NOT NULL, -- 'sale', 'refund', 'receive', 'count', 'damage', 'theft', 'adjustment', 'manual', 'sync', 'webhook'
+    user_id TEXT, -- who made the change; NULL for syncs and system jobs
+    reference_type TEXT, -- 'transaction', 'refund', 'purchase_order', ...
+    reference_id TEXT,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (delta <> 0),
+    CHECK (reason IN ('sale', 'refund', 'receive', 'count', 'damage', 'theft', 'adjustment', 'manual', 'sync', 'webhook'))
+);
+
+-- Create index for a product's history, newest first
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id, created_at DESC, id DESC);
+
+-- Movements are never changed once written
+CREATE OR REPLACE FUNCTION prevent_inventory_movements_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'inventory_movements is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_inventory_movements_update ON inventory_movements;
+CREATE TRIGGER trigger_prevent_inventory_movements_update
+    BEFORE UPDATE ON inventory_movements
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_inventory_movements_update();
+
+-- Comment on table and columns
+COMMENT ON TABLE inventory_movements IS 'Append-only ledger of on_hand changes; inventory.on_hand is the running total';
+COMMENT ON COLUMN inventory_movements.delta IS 'Change to on_hand, negative when stock went out';
+COMMENT ON COLUMN inventory_movements.on_hand_after IS 'on_hand once the movement was applied';
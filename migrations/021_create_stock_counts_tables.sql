@@ -0,0 +1,72 @@
+-- Migration: Create stock_counts and stock_count_lines tables
+-- Date: 2026-10-19
+-- Description: Stock-take sessions; approving a count posts its variances to inventory.on_hand
+-- Prerequisites: merchants, categories, products, inventory and inventory_movements tables must exist (run 000, 002 and 020 first)
+
+-- Where a product is kept (shelf, bin, back room), for counting one location at a time
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS location TEXT;
+
+CREATE TABLE IF NOT EXISTS stock_counts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'open', -- 'open', 'approved', 'cancelled'
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL, -- scope: products in this category
+    location TEXT, -- scope: products whose inventory.location matches
+    note TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    approved_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    created_by TEXT,
+    approved_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (status IN ('open', 'approved', 'cancelled'))
+);
+
+CREATE TABLE IF NOT EXISTS stock_count_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stock_count_id UUID NOT NULL REFERENCES stock_counts(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id),
+    on_hand_at_start INTEGER NOT NULL,
+    counted_quantity INTEGER, -- NULL until the product is counted
+    counted_at TIMESTAMPTZ,
+    counted_by TEXT,
+    adjustment INTEGER, -- change posted to on_hand when the count was approved
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT unique_stock_count_product UNIQUE (stock_count_id, product_id),
+    CHECK (counted_quantity IS NULL OR counted_quantity >= 0)
+);
+
+-- Create indexes for listing counts and finding open counts of a product
+CREATE INDEX IF NOT EXISTS idx_stock_counts_merchant ON stock_counts(merchant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_count_lines_product ON stock_count_lines(product_id);
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_stock_counts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_stock_counts_updated_at ON stock_counts;
+CREATE TRIGGER trigger_update_stock_counts_updated_at
+    BEFORE UPDATE ON stock_counts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_stock_counts_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_stock_count_lines_updated_at ON stock_count_lines;
+CREATE TRIGGER trigger_update_stock_count_lines_updated_at
+    BEFORE UPDATE ON stock_count_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION update_stock_counts_updated_at();
+
+-- Comment on tables and columns
+COMMENT ON TABLE stock_counts IS 'Stock-take sessions: open -> approved, or cancelled';
+COMMENT ON TABLE stock_count_lines IS 'Products in a stock count, their on_hand when it started and what was counted';
+COMMENT ON COLUMN inventory.location IS 'Where the product is kept; stock counts can be limited to one location';
+COMMENT ON COLUMN stock_count_lines.on_hand_at_start IS 'on_hand when the count was opened; movements since then are added to get the expected quantity';
@@ -0,0 +1,59 @@
+-- Migration: Create clover_stock_pushes table
+-- Date: 2026-10-19
+-- Description: Outbox of local on_hand changes to push to Clover item_stocks, with retry and conflict detection
+-- Prerequisites: merchants, products and inventory tables must exist (run 000, 002 and 003 first)
+
+-- Clover's item_stocks modifiedTime (epoch ms) as of our last sync or push of the product's stock
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS clover_stock_modified_time BIGINT;
+
+CREATE TABLE IF NOT EXISTS clover_stock_pushes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    clover_item_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'pushed', 'conflict', 'failed', 'discarded'
+    changes INTEGER NOT NULL DEFAULT 1, -- local changes coalesced into this push
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    quantity INTEGER, -- on_hand sent to Clover
+    remote_quantity INTEGER, -- Clover's quantity when a conflict was detected
+    remote_modified_time BIGINT, -- Clover's modifiedTime when a conflict was detected
+    resolution TEXT, -- 'local' or 'clover', for conflicts resolved by a person
+    resolved_by TEXT,
+    pushed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (status IN ('pending', 'pushed', 'conflict', 'failed', 'discarded')),
+    CHECK (resolution IS NULL OR resolution IN ('local', 'clover'))
+);
+
+-- One open push per product: later changes are coalesced into it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clover_stock_pushes_open_product
+    ON clover_stock_pushes(product_id) WHERE status IN ('pending', 'conflict');
+
+-- Create indexes for the push processor and for listing a merchant's pushes
+CREATE INDEX IF NOT EXISTS idx_clover_stock_pushes_due ON clover_stock_pushes(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_clover_stock_pushes_merchant ON clover_stock_pushes(merchant_id, status, updated_at DESC);
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_clover_stock_pushes_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_clover_stock_pushes_updated_at ON clover_stock_pushes;
+CREATE TRIGGER trigger_update_clover_stock_pushes_updated_at
+    BEFORE UPDATE ON clover_stock_pushes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_clover_stock_pushes_updated_at();
+
+-- Comment on table and columns
+COMMENT ON TABLE clover_stock_pushes IS 'Local stock changes waiting to be, or already, pushed to Clover item_stocks';
+COMMENT ON COLUMN clover_stock_pushes.status IS 'pending (queued or retrying), pushed, conflict (Clover changed since our last sync), failed (out of attempts), discarded (conflict resolved in favour of Clover)';
+COMMENT ON COLUMN clover_stock_pushes.changes IS 'Bumped by every local change; a push only completes the row if no change arrived while it was in flight';
+COMMENT ON COLUMN inventory.clover_stock_modified_time IS 'Clover item_stocks modifiedTime at our last sync or push; a later remote modifiedTime means a conflict';
@@ -0,0 +1,58 @@
+-- Migration: Create clover_catalog_pushes table and catalog field ownership
+-- Date: 2026-10-19
+-- Description: Outbox mirroring local product and category changes to Clover items and categories; per-field ownership decides which side a sync keeps
+-- Prerequisites: merchants, categories and products tables must exist (run 000 and 002 first)
+
+-- Per-merchant overrides of the default field owners, e.g. { "products": { "price_cents": "local" } }
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS catalog_field_owners JSONB NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS clover_catalog_pushes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    entity TEXT NOT NULL, -- 'product' or 'category'
+    local_id UUID NOT NULL, -- products.id or categories.id (no foreign key: deletes are pushed too)
+    clover_id TEXT, -- Clover item or category ID, once known
+    operation TEXT NOT NULL, -- 'create', 'update', 'delete'
+    fields TEXT[] NOT NULL DEFAULT '{}', -- local fields to send on update
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'pushed', 'failed'
+    changes INTEGER NOT NULL DEFAULT 1, -- local changes coalesced into this push
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    pushed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (entity IN ('product', 'category')),
+    CHECK (operation IN ('create', 'update', 'delete')),
+    CHECK (status IN ('pending', 'pushed', 'failed'))
+);
+
+-- One pending push per product or category: later changes are coalesced into it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clover_catalog_pushes_pending
+    ON clover_catalog_pushes(entity, local_id) WHERE status = 'pending';
+
+-- Create indexes for the push processor and for listing a merchant's pushes
+CREATE INDEX IF NOT EXISTS idx_clover_catalog_pushes_due ON clover_catalog_pushes(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_clover_catalog_pushes_merchant ON clover_catalog_pushes(merchant_id, status, updated_at DESC);
+
+-- Add trigger to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_clover_catalog_pushes_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_clover_catalog_pushes_updated_at ON clover_catalog_pushes;
+CREATE TRIGGER trigger_update_clover_catalog_pushes_updated_at
+    BEFORE UPDATE ON clover_catalog_pushes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_clover_catalog_pushes_updated_at();
+
+-- Comment on table and columns
+COMMENT ON TABLE clover_catalog_pushes IS 'Local product and category creates, updates and deletes waiting to be, or already, mirrored to Clover';
+COMMENT ON COLUMN clover_catalog_pushes.operation IS 'Coalesced: a delete replaces anything pending, and updates to a pending create are sent with the create';
+COMMENT ON COLUMN clover_catalog_pushes.changes IS 'Bumped by every local change; a push only completes the row if no change arrived while it was in flight';
+COMMENT ON COLUMN merchants.catalog_field_owners IS 'Overrides of which side owns each synced catalog field: clover (sync overwrites it) or local (pushed to Clover, kept by sync)';
@@ -0,0 +1,10 @@
+-- Migration: Add a lease to in-progress idempotency keys
+-- Date: 2026-10-19
+-- Description: An in_progress key is held until locked_until; after that a repeat of the same
+--              request may claim it, so a request that died without answering does not block its key
+-- Prerequisites: idempotency_keys table must exist (run 011 first)
+
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+-- Comment on columns
+COMMENT ON COLUMN idempotency_keys.locked_until IS 'Lease of the request holding an in_progress key; NULL or past means it may be reclaimed';
@@ -1,5 +1,5 @@
 const express = require('express');
-const db = require('../config/database');
+const categoryService = require('../services/categoryService');
 const { authenticateToken, requireMerchant } = require('../src/middleware/auth');
 const router = express.Router();
 
@@ -7,11 +7,8 @@ const router = express.Router();
 router.get('/', authenticateToken, requireMerchant, async (req, res) => {
   try {
     const merchantId = req.merchant.id;
-    const result = await db.query(
-      `SELECT id, name, sort_order, active FROM categories WHERE merchant_id = $1 ORDER BY sort_order, name`,
-      [merchantId]
-    );
-    res.json({ success: true, data: result.rows, count: result.rows.length });
+    const data = await categoryService.listCategories(merchantId);
+    res.json({ success: true, data, count: data.length });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -23,13 +20,8 @@ router.post('/', authenticateToken, requireMerchant, async (req, res) => {
     const { name, sort_order, active = true } = req.body;
     const merchantId = req.merchant.id;
     if (!name) return res.status(400).json({ success: false, error: "Name required" });
-    const result = await db.query(
-      `INSERT INTO categories (id, merchant_id, name, sort_order, active)
-       VALUES (gen_random_uuid(), $1, $2, $3, $4)
-       RETURNING id, name, sort_order, active`,
-      [merchantId, name, sort_order, active]
-    );
-    res.status(201).json({ success: true, data: result.rows[0] });
+    const data = await categoryService.createCategory(merchantId, { name, sort_order, active });
+    res.status(201).json({ success: true, data });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -41,19 +33,12 @@ router.patch('/:id', authenticateToken, requireMerchant, async (req, res) => {
     const { name, sort_order, active } = req.body;
     const merchantId = req.merchant.id;
     const categoryId = req.params.id;
-    const result = await db.query(
-      `UPDATE categories SET
-         name = COALESCE($1, name),
-         sort_order = COALESCE($2, sort_order),
-         active = COALESCE($3, active)
-       WHERE id = $4 AND merchant_id = $5
-       RETURNING id, name, sort_order, active`,
-      [name, sort_order, active, categoryId, merchantId]
-    );
-    if (result.rowCount === 0) return res.status(404).json({ success: false, error: 'Not found' });
-    res.json({ success: true, data: result.rows[0] });
+    const data = await categoryService.updateCategory(merchantId, categoryId, { name, sort_order, active });
+    if (!data) return res.status(404).json({ success: false, error: 'Not found' });
+    res.json({ success: true, data });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    // 409: a field owned by Clover
+    res.status(error.status === 409 ? 409 : 500).json({ success: false, error: error.message });
   }
 });
 
@@ -62,15 +47,12 @@ router.delete('/:id', authenticateToken, requireMerchant, async (req, res) => {
   try {
     const merchantId = req.merchant.id;
     const categoryId = req.params.id;
-    const result = await db.query(
-      `DELETE FROM categories WHERE id = $1 AND merchant_id = $2 RETURNING id`,
-      [categoryId, merchantId]
-    );
-    if (result.rowCount === 0) return res.status(404).json({ success: false, error: 'Not found' });
+    const deleted = await categoryService.deleteCategory(merchantId, categoryId);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Not found' });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
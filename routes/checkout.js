@@ -5,132 +5,144 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const cloverService = require('../services/cloverService');
+const cartService = require('../services/cartService');
+const reservationService = require('../services/reservationService');
+const paymentService = require('../services/paymentService');
+const { idempotent, keepIdempotencyKey } = require('../src/middleware/idempotency');
 const router = express.Router();
 
-// POST /api/checkout - Process a complete checkout
-router.post('/', async (req, res) => {
+/**
+ * Run fn(client) in a transaction
+ */
+async function inTransaction(fn) {
     const client = await db.connect();
-    
     try {
         await client.query('BEGIN');
-        
-        const { orderCart } = req.body;
-        
-        if (!orderCart || !orderCart.lineItems || orderCart.lineItems.length === 0) {
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// POST /api/checkout - Process a complete checkout
+// Body: { items: [{ productId, quantity }], note? }. Prices, tax and Clover item IDs come from
+// our products table; lines that cannot be sold are rejected with 400 and `line_errors`.
+// The stock is reserved until the order is paid, fails or expires (RESERVATION_TTL_MINUTES);
+// if creating the Clover order or saving the transaction fails, it is released at once.
+// Send an Idempotency-Key header to make retries safe: a repeat replays the first response
+// instead of creating another Clover order
+router.post('/', idempotent('checkout'), async (req, res) => {
+    const { items, note } = req.body;
+    const merchantId = req.merchant.id;
+    
+    let pricedCart;
+    try {
+        pricedCart = await cartService.priceCart(merchantId, items);
+    } catch (error) {
+        if (error.status === 400) {
             return res.status(400).json({
                 success: false,
-                error: 'Cart is empty'
+                error: error.message,
+                line_errors: error.lineErrors
             });
         }
-        
-        // Generate unique external ID for this transaction
-        const externalId = uuidv4();
-        
-        console.log(`Starting checkout for external ID: ${externalId}`);
-        
-        // Get merchant info
-        const merchantResult = await client.query(
-            'SELECT id FROM merchants WHERE clover_merchant_id = $1',
-            [process.env.CLOVER_MERCHANT_ID]
-        );
-        
-        if (merchantResult.rows.length === 0) {
-            throw new Error('Merchant not found');
+        console.error('Cart pricing error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+    
+    // Generate unique external ID for this transaction, and its row ID so the stock can be
+    // reserved for it before the Clover order exists
+    const externalId = uuidv4();
+    const transactionId = uuidv4();
+    
+    console.log(`Starting checkout for external ID: ${externalId}`);
+    
+    // Hold the stock in a short transaction of its own; the reservations expire by themselves
+    // (RESERVATION_TTL_MINUTES) if this request dies before it settles them
+    let reservedUntil;
+    try {
+        reservedUntil = await inTransaction(async (client) => {
+            await reservationService.hold(client, pricedCart.lines);
+            return reservationService.record(client, merchantId, transactionId, pricedCart.lines);
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({
+                success: false,
+                error: error.message,
+                line_errors: error.lineErrors
+            });
         }
-        
-        const merchantId = merchantResult.rows[0].id;
+        console.error('Checkout error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+    
+    try {
+        // Clover is called outside any database transaction, so no row locks are held meanwhile
+        const merchantClient = await cloverService.getMerchantClient(merchantId);
         
         // Create order in Clover using atomic_order endpoint
-        const cloverOrderPayload = { orderCart };
-        
-        const cloverOrder = await cloverService.createOrderAtomic(cloverOrderPayload);
-        
-        // Calculate totals from Clover response
-        const totalCents = cloverOrder.total || 0;
+        const cloverOrderPayload = cartService.buildCloverOrder(pricedCart, { note });
         
-        // Calculate subtotal and tax from line items
-        let subtotalCents = 0;
-        let taxCents = 0;
-        
-        if (cloverOrder.lineItems && cloverOrder.lineItems.elements) {
-            for (const lineItem of cloverOrder.lineItems.elements) {
-                subtotalCents += lineItem.price || 0;
-                
-                // Calculate tax for this line item
-                if (lineItem.taxRates && lineItem.taxRates.elements) {
-                    for (const taxRate of lineItem.taxRates.elements) {
-                        const itemTax = Math.round((lineItem.price * taxRate.rate) / 1000000);
-                        taxCents += itemTax;
-                    }
-                }
-            }
-        }
+        const cloverOrder = await cloverService.createOrderAtomic(merchantClient, cloverOrderPayload);
+        // The Clover order exists now; a retry with the same key must not create another one
+        keepIdempotencyKey(res);
         
+        const { subtotalCents, taxCents, totalCents } = pricedCart;
         const discountCents = 0; // No discounts for now
         
-        // Create transaction record
-        const transactionResult = await client.query(`
-            INSERT INTO transactions (
-                merchant_id, external_id, clover_order_id, subtotal_cents, 
-                tax_cents, discount_cents, total_cents, status, order_from_sc
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING id
-        `, [
-            merchantId,
-            externalId,
-            cloverOrder.id,
-            subtotalCents,
-            taxCents,
-            discountCents,
-            totalCents,
-            cloverOrder.state || 'OPEN',
-            true
-        ]);
-        
-        const transactionId = transactionResult.rows[0].id;
-        
-        // Create transaction items from Clover line items
-        if (cloverOrder.lineItems && cloverOrder.lineItems.elements) {
-            for (const lineItem of cloverOrder.lineItems.elements) {
-                const cloverItemId = lineItem.item?.id || null;
-                const quantity = 1; // Default quantity to 1 if not specified
-                const unitPriceCents = lineItem.price || 0;
-                const discountCents = 0; // No discount tracking for now
-                const lineTotalCents = (unitPriceCents * quantity) - discountCents;
-                
-                // Try to find the product_id from our products table using clover_item_id
-                let productId = null;
-                if (cloverItemId) {
-                    const productResult = await client.query(
-                        'SELECT id FROM products WHERE clover_item_id = $1',
-                        [cloverItemId]
-                    );
-                    if (productResult.rows.length > 0) {
-                        productId = productResult.rows[0].id;
-                    }
-                }
-                
+        await inTransaction(async (client) => {
+            // Create transaction record
+            await client.query(`
+                INSERT INTO transactions (
+                    id, merchant_id, external_id, clover_order_id, subtotal_cents, 
+                    tax_cents, discount_cents, total_cents, status, order_from_sc
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [
+                transactionId,
+                merchantId,
+                externalId,
+                cloverOrder.id,
+                subtotalCents,
+                taxCents,
+                discountCents,
+                totalCents,
+                cloverOrder.state || 'OPEN',
+                true
+            ]);
+            
+            // Create transaction items from the priced cart, snapshotting each product's current cost
+            for (const line of pricedCart.lines) {
                 await client.query(`
                     INSERT INTO transaction_items (
                         transaction_id, product_id, clover_item_id, 
                         product_name, variant_info, quantity, unit_price_cents, 
-                        discount_cents, line_total_cents
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                        discount_cents, line_total_cents, unit_cost_cents
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, (SELECT cost_cents FROM products WHERE id = $2))
                 `, [
                     transactionId,
-                    productId,
-                    cloverItemId,
-                    lineItem.name || '',
-                    lineItem.alternateName || '',
-                    quantity,
-                    unitPriceCents,
-                    discountCents,
-                    lineTotalCents
+                    line.productId,
+                    line.cloverItemId,
+                    line.name,
+                    '',
+                    line.quantity,
+                    line.unitPriceCents,
+                    0,
+                    line.lineTotalCents
                 ]);
             }
-        }
-        
-        await client.query('COMMIT');
+        });
         
         res.json({
             success: true,
@@ -138,42 +150,97 @@ router.post('/', async (req, res) => {
                 transactionId,
                 externalId,
                 cloverOrderId: cloverOrder.id,
+                lines: pricedCart.lines,
                 subtotalCents,
                 taxCents,
                 totalCents,
                 status: cloverOrder.state || 'OPEN',
+                paymentStatus: 'OPEN',
+                reservedUntil,
                 cloverOrder
             }
         });
         
     } catch (error) {
-        await client.query('ROLLBACK');
         console.error('Checkout error:', error);
         
+        // Give the held stock back rather than leaving it reserved until it expires
+        await inTransaction(client => reservationService.release(client, transactionId, 'checkout_failed'))
+            .catch(releaseError => console.error(`Failed to release the stock held for checkout ${externalId}:`, releaseError.message));
+        
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// POST /api/checkout/:externalId/pay - Start paying a checkout's order
+// Body: { method: 'device', deviceId } for card-present on a Clover device, or
+// { method: 'external', externalPaymentId? } to record a payment taken outside Clover.
+// Responds with the payment status after the attempt; PENDING_PAYMENT means the outcome is not
+// known yet and the kiosk should poll the status endpoint.
+router.post('/:externalId/pay', idempotent('checkout.pay'), async (req, res) => {
+    const { method, deviceId, externalPaymentId } = req.body;
+    
+    if (!paymentService.isValidMethod(method)) {
+        return res.status(400).json({
+            success: false,
+            error: 'method must be one of: device, external'
+        });
+    }
+    if (method === 'device' && (typeof deviceId !== 'string' || !deviceId.trim())) {
+        return res.status(400).json({
+            success: false,
+            error: 'deviceId is required for device payments'
+        });
+    }
+    if (externalPaymentId !== undefined && (typeof externalPaymentId !== 'string' || externalPaymentId.length > 32)) {
+        return res.status(400).json({
+            success: false,
+            error: 'externalPaymentId must be a string of at most 32 characters'
+        });
+    }
+    
+    try {
+        const transaction = await paymentService.startPayment(req.merchant.id, req.params.externalId, {
+            method,
+            deviceId,
+            externalPaymentId
+        });
+        
+        res.json({
+            success: true,
+            data: transaction
+        });
+        
+    } catch (error) {
+        if (error.status === 404 || error.status === 409) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error starting payment:', error);
         res.status(500).json({
             success: false,
             error: error.message
         });
-    } finally {
-        client.release();
     }
 });
 
 // GET /api/checkout/status/:externalId - Check payment status
+// Unsettled payments are reconciled with Clover's payments for the order when the local
+// status was last checked more than PAYMENT_RECONCILE_AFTER_MS ago (?refresh=true always checks)
 router.get('/status/:externalId', async (req, res) => {
     try {
         const { externalId } = req.params;
         
-        const client = await db.connect();
-        
-        const result = await client.query(
-            'SELECT * FROM transactions WHERE external_id = $1',
-            [externalId]
-        );
-        
-        client.release();
+        const transaction = await paymentService.getStatus(req.merchant.id, externalId, {
+            force: req.query.refresh === 'true'
+        });
         
-        if (result.rows.length === 0) {
+        if (!transaction) {
             return res.status(404).json({
                 success: false,
                 error: 'Transaction not found'
@@ -182,7 +249,7 @@ router.get('/status/:externalId', async (req, res) => {
         
         res.json({
             success: true,
-            data: result.rows[0]
+            data: transaction
         });
         
     } catch (error) {
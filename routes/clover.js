@@ -0,0 +1,63 @@
+// routes/clover.js
+const express = require('express');
+const cloverAuthService = require('../services/cloverAuthService');
+const router = express.Router();
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function stateCookie(value, maxAge) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${cloverAuthService.stateCookieName}=${encodeURIComponent(value)}; Max-Age=${maxAge}; Path=/clover; HttpOnly; SameSite=Lax${secure}`;
+}
+
+// GET /clover/connect - Start the Clover OAuth install flow
+router.get('/connect', (req, res) => {
+  try {
+    const { state, nonce } = cloverAuthService.createState();
+    res.setHeader('Set-Cookie', stateCookie(nonce, cloverAuthService.stateTtlSeconds));
+    res.redirect(cloverAuthService.buildAuthorizeUrl(state));
+  } catch (error) {
+    console.error('Clover connect error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /clover/callback - Exchange auth code for tokens and store them
+router.get('/callback', async (req, res) => {
+  const { code, merchant_id: cloverMerchantId, state } = req.query;
+
+  if (!code) {
+    return res.status(400).send('No auth code received');
+  }
+  if (!cloverMerchantId) {
+    return res.status(400).send('No merchant_id received');
+  }
+  if (!cloverAuthService.verifyState(state, readCookie(req, cloverAuthService.stateCookieName))) {
+    console.warn(`Rejected Clover OAuth callback with invalid state for merchant ${cloverMerchantId}`);
+    return res.status(403).send('Invalid or expired OAuth state');
+  }
+
+  // State is single-use
+  res.setHeader('Set-Cookie', stateCookie('', 0));
+
+  try {
+    const tokens = await cloverAuthService.exchangeCode(code);
+    const merchantId = await cloverAuthService.saveMerchantTokens(cloverMerchantId, tokens);
+
+    console.log(`Stored Clover tokens for merchant ${merchantId} (${cloverMerchantId})`);
+    res.send(`Clover connected for merchant ${cloverMerchantId}. You can close this window.`);
+  } catch (error) {
+    console.error('Clover OAuth callback error:', error);
+    const statusCode = error.message.includes('token exchange failed') ? 502 : 500;
+    res.status(statusCode).send('Failed to complete Clover authorization');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// routes/cron.js
+const express = require('express');
+const schedulerService = require('../services/schedulerService');
+const jobWorker = require('../services/jobWorker');
+const jobQueueService = require('../services/jobQueueService');
+const webhookService = require('../services/webhookService');
+const reservationService = require('../services/reservationService');
+const cloverStockPushService = require('../services/cloverStockPushService');
+const cloverCatalogPushService = require('../services/cloverCatalogPushService');
+
+const router = express.Router();
+
+// Leave headroom under the function's maxDuration (vercel.json) to send the response
+const DEFAULT_JOB_BUDGET_MS = 240 * 1000;
+
+/**
+ * Vercel Cron calls with `Authorization: Bearer ${CRON_SECRET}`
+ */
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ success: false, error: 'CRON_SECRET is not configured' });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ success: false, error: 'Invalid cron secret' });
+  }
+  next();
+}
+
+/**
+ * GET /api/cron/sync
+ * Requeue jobs whose worker stopped responding, queue jobs for due sync schedules, retry unprocessed Clover webhook events, release
+ * expired inventory reservations and push local stock and catalog changes to Clover, then
+ * run queued jobs until the time budget is spent.
+ * For deployments without a long-running worker (npm run worker); jobs left over are
+ * picked up by the next invocation. Stale jobs are recovered here because jobWorker.start()
+ * (which recovers them otherwise) never runs on serverless.
+ */
+router.get('/sync', requireCronSecret, async (req, res) => {
+  try {
+    const jobsRecovered = await jobQueueService.recoverStale(jobWorker.staleAfterMs);
+    const scheduled = await schedulerService.runDue();
+    const webhookEvents = await webhookService.processPending();
+    const reservationsReleased = await reservationService.releaseExpired();
+    const stockPushes = await cloverStockPushService.processPending();
+    const catalogPushes = await cloverCatalogPushService.processPending();
+
+    const budgetMs = parseInt(process.env.CRON_JOB_BUDGET_MS) || DEFAULT_JOB_BUDGET_MS;
+    const deadline = Date.now() + budgetMs;
+    const jobs = [];
+    while (Date.now() < deadline) {
+      const outcome = await jobWorker.runNext();
+      if (!outcome) break;
+      jobs.push(outcome);
+    }
+
+    res.json({
+      success: true,
+      enqueued: scheduled.enqueued,
+      skipped: scheduled.skipped,
+      webhook_events: webhookEvents,
+      reservations_released: reservationsReleased,
+      clover_stock_pushes: stockPushes,
+      clover_catalog_pushes: catalogPushes,
+      jobs_recovered: jobsRecovered,
+      jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cron sync error:', error);
+    res.status(500).json({ success: false, error: 'Scheduled sync failed' });
+  }
+});
+
+module.exports = router;
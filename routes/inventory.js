@@ -3,8 +3,104 @@
 // ==================================================
 const express = require('express');
 const inventoryService = require('../services/inventoryService');
+const reorderService = require('../services/reorderService');
+const inventoryMovementService = require('../services/inventoryMovementService');
+const cloverStockPushService = require('../services/cloverStockPushService');
+const { idempotent } = require('../src/middleware/idempotency');
 const router = express.Router();
 
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Reasons a person may give for setting on_hand; the rest are recorded by sales, refunds, receiving and syncs
+const MANUAL_REASONS = ['manual', 'count', 'damage', 'theft', 'adjustment'];
+const MAX_NOTE_LENGTH = 500;
+const MAX_LOCATION_LENGTH = 100;
+const MAX_PAGE_SIZE = 200;
+const MAX_ADJUSTMENT_LINES = 200;
+const MAX_DELTA = 100000;
+
+// Options shared by the reorder suggestion endpoints: lookback_days, cover_days, vendor_id
+function parseReorderOptions(source) {
+  const options = {};
+  for (const [key, option] of [['lookback_days', 'lookbackDays'], ['cover_days', 'coverDays']]) {
+    if (source[key] === undefined) continue;
+    const value = Number(source[key]);
+    if (!Number.isInteger(value) || value < 1 || value > 365) {
+      return { error: `${key} must be an integer between 1 and 365` };
+    }
+    options[option] = value;
+  }
+  if (source.vendor_id !== undefined) {
+    if (!UUID_RE.test(source.vendor_id)) {
+      return { error: 'Invalid vendor_id' };
+    }
+    options.vendorId = source.vendor_id;
+  }
+  return { options };
+}
+
+// Line errors for POST /api/inventory/adjustments lines: [{ productId, delta, reason?, note? }]
+function validateAdjustmentLines(lines) {
+  const lineErrors = [];
+  const seen = new Set();
+  lines.forEach((line, index) => {
+    const productId = line?.productId ?? null;
+    if (typeof productId !== 'string' || !UUID_RE.test(productId)) {
+      lineErrors.push({ index, productId, code: 'INVALID_PRODUCT_ID', message: 'productId must be a product UUID' });
+    } else if (seen.has(productId.toLowerCase())) {
+      lineErrors.push({ index, productId, code: 'DUPLICATE_PRODUCT', message: 'Each product may appear on one line only' });
+    } else if (!Number.isInteger(line.delta) || line.delta === 0 || Math.abs(line.delta) > MAX_DELTA) {
+      lineErrors.push({ index, productId, code: 'INVALID_DELTA', message: `delta must be a non-zero integer between -${MAX_DELTA} and ${MAX_DELTA}` });
+    } else if (line.reason !== undefined && !MANUAL_REASONS.includes(line.reason)) {
+      lineErrors.push({ index, productId, code: 'INVALID_REASON', message: `reason must be one of: ${MANUAL_REASONS.join(', ')}` });
+    } else if (line.note !== undefined && line.note !== null && (typeof line.note !== 'string' || line.note.length > MAX_NOTE_LENGTH)) {
+      lineErrors.push({ index, productId, code: 'INVALID_NOTE', message: `note must be a string of at most ${MAX_NOTE_LENGTH} characters` });
+    }
+    if (typeof productId === 'string') seen.add(productId.toLowerCase());
+  });
+  return lineErrors;
+}
+
+// Filters for GET /api/inventory/:productId/movements: from, to, reason (comma-separated), limit, cursor
+function parseMovementsQuery(query) {
+  const filters = {};
+
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${key} must be an ISO 8601 date or timestamp` };
+    }
+    filters[key] = date;
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    return { error: 'from must be before to' };
+  }
+
+  filters.reasons = query.reason === undefined
+    ? []
+    : String(query.reason).split(',').map(r => r.trim()).filter(Boolean);
+  const invalidReason = filters.reasons.find(r => !inventoryMovementService.isValidReason(r));
+  if (invalidReason) {
+    return { error: `Unknown reason: ${invalidReason}` };
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    filters.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    if (!inventoryMovementService.isValidCursor(query.cursor)) {
+      return { error: 'Invalid cursor' };
+    }
+    filters.cursor = query.cursor;
+  }
+  return { filters };
+}
+
 // GET /api/inventory - Get current inventory levels with optional filters
 router.get('/', async (req, res) => {
   try {
@@ -24,12 +120,62 @@ router.get('/', async (req, res) => {
   }
 });
 
-// PATCH /api/inventory/:productId - Set/adjust on_hand and reorder_level for a product
+// POST /api/inventory/adjustments - Add to or take from on_hand for a batch of products, all or nothing
+// Body: { lines: [{ productId, delta, reason?, note? }], rejectNegative?, note? }
+router.post('/adjustments', idempotent('inventory.adjustments'), async (req, res) => {
+  const { lines, rejectNegative = false, note } = req.body || {};
+  if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_ADJUSTMENT_LINES) {
+    return res.status(400).json({
+      success: false,
+      error: `lines must be a non-empty array of at most ${MAX_ADJUSTMENT_LINES} lines`
+    });
+  }
+  if (typeof rejectNegative !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'rejectNegative must be a boolean' });
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters`
+    });
+  }
+  const lineErrors = validateAdjustmentLines(lines);
+  if (lineErrors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Adjustment validation failed', line_errors: lineErrors });
+  }
+
+  try {
+    const data = await inventoryService.adjustInventoryBatch(req.merchant.id, lines, {
+      rejectNegative,
+      note,
+      userId: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    if ([400, 409].includes(error.status)) {
+      return res.status(error.status).json({ success: false, error: error.message, line_errors: error.lineErrors });
+    }
+    console.error('Error adjusting inventory:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/inventory/:productId - Set on_hand, reorder_level and reorder settings for a product
+// A change to on_hand is recorded as a movement; `reason` (default 'manual') and `note` say why
 router.patch('/:productId', async (req, res) => {
   try {
     const merchantId = req.merchant.id;
     const { productId } = req.params;
-    const { on_hand, reorder_level } = req.body;
+    const {
+      on_hand, reorder_level, max_stock,
+      preferred_vendor_id, auto_order_enabled, auto_order_quantity, location,
+      reason, note
+    } = req.body;
 
     // Validate UUID format
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -55,14 +201,72 @@ router.patch('/:productId', async (req, res) => {
       });
     }
 
-    if (on_hand === undefined && reorder_level === undefined) {
+    if (max_stock !== undefined && max_stock !== null && (!Number.isInteger(max_stock) || max_stock < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'max_stock must be a non-negative integer or null'
+      });
+    }
+
+    if (preferred_vendor_id !== undefined && preferred_vendor_id !== null && !uuidRegex.test(preferred_vendor_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'preferred_vendor_id must be a vendor UUID or null'
+      });
+    }
+
+    if (auto_order_enabled !== undefined && typeof auto_order_enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'auto_order_enabled must be a boolean'
+      });
+    }
+
+    if (auto_order_quantity !== undefined && auto_order_quantity !== null &&
+      (!Number.isInteger(auto_order_quantity) || auto_order_quantity < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'auto_order_quantity must be a positive integer or null'
+      });
+    }
+
+    if (location !== undefined && location !== null && (typeof location !== 'string' || location.length > MAX_LOCATION_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `location must be a string of at most ${MAX_LOCATION_LENGTH} characters or null`
+      });
+    }
+
+    if (reason !== undefined && !MANUAL_REASONS.includes(reason)) {
       return res.status(400).json({
         success: false,
-        error: 'Either on_hand or reorder_level must be provided'
+        error: `reason must be one of: ${MANUAL_REASONS.join(', ')}`
       });
     }
 
-    const data = await inventoryService.updateInventory(productId, merchantId, { on_hand, reorder_level });
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters`
+      });
+    }
+
+    const updates = {
+      on_hand, reorder_level, max_stock,
+      preferred_vendor_id, auto_order_enabled, auto_order_quantity, location
+    };
+    if (Object.values(updates).every(value => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide at least one of on_hand, reorder_level, max_stock, preferred_vendor_id, auto_order_enabled, auto_order_quantity, location'
+      });
+    }
+
+    const data = await inventoryService.updateInventory(productId, merchantId, updates, {
+      reason,
+      note,
+      userId: req.user?.id
+    });
     
     if (!data) {
       return res.status(404).json({ 
@@ -81,6 +285,8 @@ router.patch('/:productId', async (req, res) => {
     console.error('Error updating inventory:', error);
     if (error.message === 'Product not found') {
       res.status(404).json({ success: false, error: error.message });
+    } else if (error.message === 'Vendor not found') {
+      res.status(400).json({ success: false, error: error.message });
     } else {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -104,4 +310,133 @@ router.get('/low-stock', async (req, res) => {
   }
 });
 
+// GET /api/inventory/:productId/movements - A product's stock movements, newest first
+router.get('/:productId/movements', async (req, res) => {
+  if (!UUID_RE.test(req.params.productId)) {
+    return res.status(400).json({ success: false, error: 'Invalid product ID format' });
+  }
+  const { filters, error } = parseMovementsQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const result = await inventoryMovementService.listMovements(req.merchant.id, req.params.productId, filters);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    res.json({
+      success: true,
+      data: result.movements,
+      count: result.movements.length,
+      next_cursor: result.nextCursor
+    });
+  } catch (error) {
+    console.error('Error fetching inventory movements:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/inventory/clover-pushes - Local stock changes queued for, or pushed to, Clover item_stocks
+// Query: status, product_id, limit
+router.get('/clover-pushes', async (req, res) => {
+  const { status, product_id: productId, limit } = req.query;
+  if (status !== undefined && !cloverStockPushService.isValidStatus(status)) {
+    return res.status(400).json({ success: false, error: 'status must be one of: pending, pushed, conflict, failed, discarded' });
+  }
+  if (productId !== undefined && !UUID_RE.test(productId)) {
+    return res.status(400).json({ success: false, error: 'Invalid product_id' });
+  }
+  if (limit !== undefined && (!Number.isInteger(Number(limit)) || Number(limit) < 1 || Number(limit) > MAX_PAGE_SIZE)) {
+    return res.status(400).json({ success: false, error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  try {
+    const data = await cloverStockPushService.listPushes(req.merchant.id, {
+      status,
+      productId,
+      limit: limit === undefined ? undefined : Number(limit)
+    });
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error fetching Clover stock pushes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/inventory/clover-pushes/:id/resolve - Resolve a conflict or requeue a failed push
+// Body: { keep: 'local' (push our on_hand to Clover) | 'clover' (take Clover's quantity) }
+router.post('/clover-pushes/:id/resolve', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid push ID' });
+  }
+  const { keep } = req.body || {};
+  if (!cloverStockPushService.isValidResolution(keep)) {
+    return res.status(400).json({ success: false, error: 'keep must be one of: local, clover' });
+  }
+
+  try {
+    const data = await cloverStockPushService.resolve(req.merchant.id, req.params.id, {
+      keep,
+      userId: req.user?.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    if ([404, 409].includes(error.status)) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error resolving Clover stock push:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/inventory/reorder-suggestions - Products to reorder, from sales velocity and vendor lead times
+router.get('/reorder-suggestions', async (req, res) => {
+  const { options, error } = parseReorderOptions(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const data = await reorderService.getSuggestions(req.merchant.id, options);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error computing reorder suggestions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/inventory/reorder-suggestions/purchase-orders - Draft purchase orders for auto-order products
+router.post('/reorder-suggestions/purchase-orders', async (req, res) => {
+  const { options, error } = parseReorderOptions(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const { purchaseOrders, skipped } = await reorderService.draftPurchaseOrders(req.merchant.id, options);
+
+    res.status(purchaseOrders.length > 0 ? 201 : 200).json({
+      success: true,
+      data: purchaseOrders,
+      count: purchaseOrders.length,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error drafting purchase orders:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,46 @@
+// routes/jobs.js
+const express = require('express');
+const jobQueueService = require('../services/jobQueueService');
+const syncRunService = require('../services/syncRunService');
+
+const router = express.Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET /api/jobs/:id
+ * Poll a background job. While a sync job runs, `progress` mirrors its sync run
+ * (counts and cursor of the last committed page).
+ */
+router.get('/:id', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid job ID' });
+  }
+
+  try {
+    const job = await jobQueueService.getById(req.params.id, req.merchant.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const run = await syncRunService.getLatestForJob(job.id);
+    res.json({
+      success: true,
+      job: {
+        ...jobQueueService.describe(job),
+        progress: run ? {
+          run_id: run.id,
+          status: run.status,
+          counts: run.counts,
+          cursor: run.cursor,
+          updated_at: run.updated_at
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Job lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load job' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 // routes/products.js
 const express = require('express');
 const productService = require('../services/productService');
+const syncService = require('../services/syncService');
+const cloverService = require('../services/cloverService');
+const jobQueueService = require('../services/jobQueueService');
 const router = express.Router();
 
 // GET /api/products - with filters: search, categoryId, visibleInKiosk
@@ -29,12 +32,24 @@ router.get('/', async (req, res) => {
   }
 });
 
-// POST /api/products/sync  -> full backfill every time
+// POST /api/products/sync  -> queues a full backfill (default) or ?mode=delta for changes since the last sync; 202 + job id
 router.post('/sync', async (req, res) => {
   try {
     const limit = Number.isFinite(+req.query.limit) ? +req.query.limit : 100;
-    const result = await productService.syncAllProducts({ limit });
-    res.json({ success: true, ...result });
+    const mode = req.query.mode || 'full';
+    if (!syncService.isValidSyncMode(mode)) {
+      return res.status(400).json({ success: false, error: 'mode must be one of: full, delta' });
+    }
+    // Fail fast on missing/expired credentials instead of queueing a job that cannot run
+    await cloverService.getMerchantClient(req.merchant.id);
+
+    const job = await jobQueueService.enqueue(req.merchant.id, 'sync.catalog', { limit, mode });
+    res.status(202).json({
+      success: true,
+      message: 'Catalog sync queued',
+      deduplicated: Boolean(job.deduplicated),
+      ...jobQueueService.describe(job)
+    });
   } catch (err) {
     console.error('Product sync error:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -55,7 +70,6 @@ router.post('/sync-orders', async (req, res) => {
   try {
     // Import required services
     const orderService = require('../services/orderService');
-    const cloverService = require('../services/cloverService');
 
     // Parse query parameters
     const limit = parseInt(req.query.limit) || 100;
@@ -65,18 +79,13 @@ router.post('/sync-orders', async (req, res) => {
 
     console.log(`Orders sync requested for merchant ${merchantId} (limit=${limit}, prune=${prune}, modifiedSince=${modifiedSince}, modifiedUntil=${modifiedUntil})`);
 
-    // Get Clover credentials from environment variables
-    const cloverAccessToken = process.env.CLOVER_ACCESS_TOKEN;
-    const cloverMerchantId = process.env.CLOVER_MERCHANT_ID;
-
-    if (!cloverAccessToken || !cloverMerchantId) {
-      throw new Error('Missing CLOVER_ACCESS_TOKEN or CLOVER_MERCHANT_ID in environment variables');
-    }
+    // Resolve the merchant's Clover credentials from clover_tokens
+    const { accessToken, cloverMerchantId } = await cloverService.getMerchantClient(merchantId);
 
     // Perform the orders sync
     const result = await orderService.syncOrders(
       merchantId,
-      cloverAccessToken,
+      accessToken,
       cloverMerchantId,
       { limit, prune, modifiedSince, modifiedUntil }
     );
@@ -214,7 +223,9 @@ router.patch('/:id', async (req, res) => {
     res.json({ success: true, data: updatedProduct });
   } catch (err) {
     console.error('Error updating product:', err);
-    if (err.code === '23505') {
+    if (err.status === 409) { // Field owned by Clover
+      res.status(409).json({ success: false, error: err.message });
+    } else if (err.code === '23505') {
       res.status(409).json({ success: false, error: 'Product with this SKU or UPC already exists' });
     } else if (err.code === '23503') {
       res.status(400).json({ success: false, error: 'Invalid category_id' });
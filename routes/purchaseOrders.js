@@ -0,0 +1,217 @@
+// routes/purchaseOrders.js
+const express = require('express');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const { idempotent } = require('../src/middleware/idempotency');
+
+const router = express.Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LINES = 200;
+const MAX_QUANTITY = 100000;
+
+/**
+ * Line errors for [{ productId, quantity, unitCostCents? }]
+ */
+function validateLines(lines) {
+  const lineErrors = [];
+  const seen = new Set();
+  lines.forEach((line, index) => {
+    const productId = line?.productId ?? null;
+    if (typeof productId !== 'string' || !UUID_RE.test(productId)) {
+      lineErrors.push({ index, productId, code: 'INVALID_PRODUCT_ID', message: 'productId must be a product UUID' });
+    } else if (seen.has(productId.toLowerCase())) {
+      lineErrors.push({ index, productId, code: 'DUPLICATE_PRODUCT', message: 'Each product may appear on one line only' });
+    } else if (!Number.isInteger(line.quantity) || line.quantity < 1 || line.quantity > MAX_QUANTITY) {
+      lineErrors.push({ index, productId, code: 'INVALID_QUANTITY', message: `quantity must be an integer between 1 and ${MAX_QUANTITY}` });
+    } else if (line.unitCostCents !== undefined && line.unitCostCents !== null &&
+      (!Number.isInteger(line.unitCostCents) || line.unitCostCents < 0)) {
+      lineErrors.push({ index, productId, code: 'INVALID_COST', message: 'unitCostCents must be a non-negative integer' });
+    }
+    if (typeof productId === 'string') seen.add(productId.toLowerCase());
+  });
+  return lineErrors;
+}
+
+/**
+ * Problems with a purchase order body, as line errors plus a top-level message
+ */
+function validateOrderBody(body, { partial }) {
+  const { vendorId, lines, reference, notes, expectedAt } = body;
+  if ((!partial || vendorId !== undefined) && (typeof vendorId !== 'string' || !UUID_RE.test(vendorId))) {
+    return { error: 'vendorId must be a vendor UUID' };
+  }
+  for (const [key, value] of Object.entries({ reference, notes })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return { error: `${key} must be a string` };
+    }
+  }
+  if (expectedAt !== undefined && expectedAt !== null && (!DATE_RE.test(expectedAt) || Number.isNaN(Date.parse(expectedAt)))) {
+    return { error: 'expectedAt must be a date (YYYY-MM-DD)' };
+  }
+  if (!partial || lines !== undefined) {
+    if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_LINES) {
+      return { error: `lines must be a non-empty array of at most ${MAX_LINES} lines` };
+    }
+    const lineErrors = validateLines(lines);
+    if (lineErrors.length > 0) {
+      return { error: 'Purchase order validation failed', lineErrors };
+    }
+  }
+  return null;
+}
+
+function sendError(res, error, label) {
+  if ([400, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({ success: false, error: error.message, line_errors: error.lineErrors });
+  }
+  console.error(`Purchase order ${label} error:`, error);
+  res.status(500).json({ success: false, error: `Failed to ${label} purchase order` });
+}
+
+/**
+ * GET /api/purchase-orders
+ * Purchase orders, newest first. Query: status, vendor_id
+ */
+router.get('/', async (req, res) => {
+  const { status, vendor_id: vendorId } = req.query;
+  if (status !== undefined && !purchaseOrderService.isValidStatus(status)) {
+    return res.status(400).json({ success: false, error: 'status must be one of: draft, sent, partially_received, received, cancelled' });
+  }
+  if (vendorId !== undefined && !UUID_RE.test(vendorId)) {
+    return res.status(400).json({ success: false, error: 'Invalid vendor_id' });
+  }
+
+  try {
+    const data = await purchaseOrderService.listPurchaseOrders(req.merchant.id, { status, vendorId });
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    sendError(res, error, 'list');
+  }
+});
+
+/**
+ * GET /api/purchase-orders/:id
+ * A purchase order with its lines (ordered, received and outstanding quantities)
+ */
+router.get('/:id', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid purchase order ID' });
+  }
+
+  try {
+    const data = await purchaseOrderService.getPurchaseOrder(req.merchant.id, req.params.id);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Purchase order not found' });
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'load');
+  }
+});
+
+/**
+ * POST /api/purchase-orders
+ * Create a draft. Body: { vendorId, lines: [{ productId, quantity, unitCostCents? }], reference?, notes?, expectedAt? }
+ */
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const invalid = validateOrderBody(body, { partial: false });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid.error, line_errors: invalid.lineErrors });
+  }
+
+  try {
+    const data = await purchaseOrderService.createPurchaseOrder(req.merchant.id, body);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'create');
+  }
+});
+
+/**
+ * PATCH /api/purchase-orders/:id
+ * Change a draft; `lines` replace all of its lines
+ */
+router.patch('/:id', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid purchase order ID' });
+  }
+  const body = req.body || {};
+  const invalid = validateOrderBody(body, { partial: true });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid.error, line_errors: invalid.lineErrors });
+  }
+
+  try {
+    const data = await purchaseOrderService.updatePurchaseOrder(req.merchant.id, req.params.id, body);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'update');
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/send
+ * Mark a draft as sent; its units count as inventory.quantity_on_order
+ */
+router.post('/:id/send', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid purchase order ID' });
+  }
+
+  try {
+    const data = await purchaseOrderService.sendPurchaseOrder(req.merchant.id, req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'send');
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/receive
+ * Receive a delivery. Body: { lines?: [{ productId, quantity, unitCostCents? }] }; without lines
+ * everything outstanding is received. Received units go into on_hand and the cost they were
+ * received at becomes the product's cost_cents. Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/:id/receive', idempotent('purchase_orders.receive'), async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid purchase order ID' });
+  }
+  const { lines } = req.body || {};
+  if (lines !== undefined) {
+    if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_LINES) {
+      return res.status(400).json({ success: false, error: `lines must be a non-empty array of at most ${MAX_LINES} lines (omit it to receive everything)` });
+    }
+    const lineErrors = validateLines(lines);
+    if (lineErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Receipt validation failed', line_errors: lineErrors });
+    }
+  }
+
+  try {
+    const data = await purchaseOrderService.receivePurchaseOrder(req.merchant.id, req.params.id, { lines: lines ?? null });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'receive');
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/cancel
+ * Cancel a purchase order that is not fully received; outstanding units are taken off order
+ */
+router.post('/:id/cancel', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid purchase order ID' });
+  }
+
+  try {
+    const data = await purchaseOrderService.cancelPurchaseOrder(req.merchant.id, req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'cancel');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+// routes/reports.js
+const express = require('express');
+const reportService = require('../services/reportService');
+
+const router = express.Router();
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SORTS = ['revenue', 'quantity'];
+const MAX_TOP_PRODUCTS = 100;
+
+/**
+ * Date range and timezone shared by all reports
+ * @returns {Object} - { options } or { error }
+ */
+function parseRangeQuery(query) {
+  const options = {};
+
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    if (!DATE_RE.test(query[key]) || Number.isNaN(Date.parse(query[key]))) {
+      return { error: `${key} must be a date (YYYY-MM-DD)` };
+    }
+    options[key] = query[key];
+  }
+
+  if (query.tz !== undefined) {
+    if (!reportService.isValidTimezone(query.tz)) {
+      return { error: 'tz must be an IANA timezone, e.g. America/Chicago' };
+    }
+    options.timezone = query.tz;
+  }
+
+  return { options };
+}
+
+/**
+ * Run a report and answer with its rows and the range it covered
+ */
+async function sendReport(res, label, run) {
+  try {
+    res.json({ success: true, ...(await run()) });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error(`${label} report error:`, error);
+    res.status(500).json({ success: false, error: `Failed to load ${label.toLowerCase()} report` });
+  }
+}
+
+/**
+ * GET /api/reports/sales
+ * Gross, discount, net, tax, refunds, order count and average ticket per day, week or month.
+ * Query: from, to (local dates, inclusive; default the last 30 days), tz, group_by (day|week|month)
+ */
+router.get('/sales', async (req, res) => {
+  const { options, error } = parseRangeQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const groupBy = req.query.group_by ?? 'day';
+  if (!reportService.isValidGrouping(groupBy)) {
+    return res.status(400).json({ success: false, error: 'group_by must be one of: day, week, month' });
+  }
+
+  await sendReport(res, 'Sales', async () => {
+    const { range, periods, totals } = await reportService.getSales(req.merchant.id, { ...options, groupBy });
+    return { range, data: periods, totals };
+  });
+});
+
+/**
+ * GET /api/reports/top-products
+ * Best sellers in the range.
+ * Query: from, to, tz, sort (revenue|quantity), limit (1-100, default 10)
+ */
+router.get('/top-products', async (req, res) => {
+  const { options, error } = parseRangeQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const sort = req.query.sort ?? 'revenue';
+  if (!SORTS.includes(sort)) {
+    return res.status(400).json({ success: false, error: `sort must be one of: ${SORTS.join(', ')}` });
+  }
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_PRODUCTS) {
+    return res.status(400).json({ success: false, error: `limit must be an integer between 1 and ${MAX_TOP_PRODUCTS}` });
+  }
+
+  await sendReport(res, 'Top products', async () => {
+    const { range, products } = await reportService.getTopProducts(req.merchant.id, { ...options, sort, limit });
+    return { range, data: products, count: products.length };
+  });
+});
+
+/**
+ * GET /api/reports/categories
+ * Sales per category in the range; products without a category are reported as Uncategorized.
+ * Query: from, to, tz
+ */
+router.get('/categories', async (req, res) => {
+  const { options, error } = parseRangeQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  await sendReport(res, 'Categories', async () => {
+    const { range, categories } = await reportService.getCategoryMix(req.merchant.id, options);
+    return { range, data: categories, count: categories.length };
+  });
+});
+
+/**
+ * GET /api/reports/margins
+ * Revenue, cost of goods sold, margin and units per product, category or brand in the range. Costs are
+ * snapshotted on each line when it is sold; lines without a cost are counted in uncosted_units and left
+ * out of cogs_cents and margin_percent.
+ * Query: from, to, tz, group_by (product|category|brand, default product)
+ */
+router.get('/margins', async (req, res) => {
+  const { options, error } = parseRangeQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const groupBy = req.query.group_by ?? 'product';
+  if (!reportService.isValidMarginDimension(groupBy)) {
+    return res.status(400).json({ success: false, error: 'group_by must be one of: product, category, brand' });
+  }
+
+  await sendReport(res, 'Margins', async () => {
+    const { range, rows, totals } = await reportService.getMargins(req.merchant.id, { ...options, groupBy });
+    return { range, data: rows, count: rows.length, totals };
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// routes/stockCounts.js
+const express = require('express');
+const stockCountService = require('../services/stockCountService');
+const { idempotent } = require('../src/middleware/idempotency');
+
+const router = express.Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_LINES = 500;
+const MAX_QUANTITY = 100000;
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Line errors for [{ productId, quantity }]
+ */
+function validateCountLines(lines) {
+  const lineErrors = [];
+  const seen = new Set();
+  lines.forEach((line, index) => {
+    const productId = line?.productId ?? null;
+    if (typeof productId !== 'string' || !UUID_RE.test(productId)) {
+      lineErrors.push({ index, productId, code: 'INVALID_PRODUCT_ID', message: 'productId must be a product UUID' });
+    } else if (seen.has(productId.toLowerCase())) {
+      lineErrors.push({ index, productId, code: 'DUPLICATE_PRODUCT', message: 'Each product may appear on one line only' });
+    } else if (!Number.isInteger(line.quantity) || line.quantity < 0 || line.quantity > MAX_QUANTITY) {
+      lineErrors.push({ index, productId, code: 'INVALID_QUANTITY', message: `quantity must be an integer between 0 and ${MAX_QUANTITY}` });
+    }
+    if (typeof productId === 'string') seen.add(productId.toLowerCase());
+  });
+  return lineErrors;
+}
+
+function sendError(res, error, label) {
+  if ([400, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({ success: false, error: error.message, line_errors: error.lineErrors });
+  }
+  console.error(`Stock count ${label} error:`, error);
+  res.status(500).json({ success: false, error: `Failed to ${label} stock count` });
+}
+
+/**
+ * GET /api/stock-counts
+ * Stock counts, newest first. Query: status
+ */
+router.get('/', async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !stockCountService.isValidStatus(status)) {
+    return res.status(400).json({ success: false, error: 'status must be one of: open, approved, cancelled' });
+  }
+
+  try {
+    const data = await stockCountService.listStockCounts(req.merchant.id, { status });
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    sendError(res, error, 'list');
+  }
+});
+
+/**
+ * GET /api/stock-counts/:id
+ * The stock count with its variance report
+ */
+router.get('/:id', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid stock count ID' });
+  }
+
+  try {
+    const data = await stockCountService.getStockCount(req.merchant.id, req.params.id);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Stock count not found' });
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'load');
+  }
+});
+
+/**
+ * POST /api/stock-counts
+ * Body: { categoryId?, location?, note? }
+ */
+router.post('/', async (req, res) => {
+  const { categoryId = null, location = null, note = null } = req.body || {};
+  if (categoryId !== null && (typeof categoryId !== 'string' || !UUID_RE.test(categoryId))) {
+    return res.status(400).json({ success: false, error: 'categoryId must be a category UUID' });
+  }
+  for (const [key, value] of Object.entries({ location, note })) {
+    if (value !== null && (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH)) {
+      return res.status(400).json({ success: false, error: `${key} must be a string of at most ${MAX_TEXT_LENGTH} characters` });
+    }
+  }
+
+  try {
+    const data = await stockCountService.openStockCount(req.merchant.id, {
+      categoryId,
+      location,
+      note,
+      userId: req.user?.id
+    });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'open');
+  }
+});
+
+/**
+ * POST /api/stock-counts/:id/counts
+ * Body: { lines: [{ productId, quantity }], mode?: 'set' (default) | 'add' }
+ */
+router.post('/:id/counts', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid stock count ID' });
+  }
+  const { lines, mode = 'set' } = req.body || {};
+  if (!stockCountService.isValidCountMode(mode)) {
+    return res.status(400).json({ success: false, error: 'mode must be one of: set, add' });
+  }
+  if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_LINES) {
+    return res.status(400).json({ success: false, error: `lines must be a non-empty array of at most ${MAX_LINES} lines` });
+  }
+  const lineErrors = validateCountLines(lines);
+  if (lineErrors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Stock count validation failed', line_errors: lineErrors });
+  }
+
+  try {
+    const data = await stockCountService.recordCounts(req.merchant.id, req.params.id, {
+      lines,
+      mode,
+      userId: req.user?.id
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'record');
+  }
+});
+
+/**
+ * POST /api/stock-counts/:id/approve
+ * Posts the variances to on_hand
+ */
+router.post('/:id/approve', idempotent('stock_counts.approve'), async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid stock count ID' });
+  }
+
+  try {
+    const data = await stockCountService.approveStockCount(req.merchant.id, req.params.id, { userId: req.user?.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'approve');
+  }
+});
+
+/**
+ * POST /api/stock-counts/:id/cancel
+ */
+router.post('/:id/cancel', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid stock count ID' });
+  }
+
+  try {
+    const data = await stockCountService.cancelStockCount(req.merchant.id, req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'cancel');
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,12 @@
 const express = require('express');
 const axios = require('axios');
 const syncService = require('../services/syncService');
-const orderService = require('../services/orderService');
-const db = require('../config/database');
+const syncRunService = require('../services/syncRunService');
+const jobQueueService = require('../services/jobQueueService');
+const schedulerService = require('../services/schedulerService');
+const catalogOwnershipService = require('../services/catalogOwnershipService');
+const cloverCatalogPushService = require('../services/cloverCatalogPushService');
+const { getMerchantClient } = require('../services/cloverService');
 const { authenticateToken, requireMerchant } = require('../src/middleware/auth');
 
 const router = express.Router();
@@ -12,10 +16,24 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(requireMerchant);
 
+/**
+ * Respond 202 with the queued job; clients poll GET /api/jobs/:id
+ */
+function sendQueued(res, job, message) {
+  res.status(202).json({
+    success: true,
+    message,
+    enabled: true,
+    deduplicated: Boolean(job.deduplicated),
+    ...jobQueueService.describe(job)
+  });
+}
+
 /**
  * POST /api/sync/full
- * Perform full Clover sync for authenticated merchant
- * Syncs categories, products, and inventory from Clover
+ * Queue a full Clover sync for authenticated merchant (202 + job id)
+ * Syncs categories, products, and inventory from Clover in the background worker
+ * Query: mode=full (default, re-download everything) | delta (only objects modified since the last sync)
  */
 router.post('/full', async (req, res) => {
   try {
@@ -28,7 +46,15 @@ router.post('/full', async (req, res) => {
       });
     }
 
-    console.log(`Full sync requested for merchant ${merchantId}`);
+    const mode = req.query.mode || 'full';
+    if (!syncService.isValidSyncMode(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mode must be one of: full, delta'
+      });
+    }
+
+    console.log(`Full sync requested for merchant ${merchantId} (mode=${mode})`);
 
     // Check if Clover sync is enabled
     if (!syncService.isEnabled()) {
@@ -44,15 +70,11 @@ router.post('/full', async (req, res) => {
       });
     }
 
-    // Perform the full sync
-    const result = await syncService.performFullSync(merchantId);
+    // Fail fast on missing/expired credentials instead of queueing a job that cannot run
+    await getMerchantClient(merchantId);
 
-    // Return appropriate status code based on success
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(500).json(result);
-    }
+    const job = await jobQueueService.enqueue(merchantId, 'sync.full', { mode });
+    sendQueued(res, job, 'Full sync queued');
 
   } catch (error) {
     console.error('Sync endpoint error:', error);
@@ -105,8 +127,8 @@ router.get('/status', async (req, res) => {
     // If Clover is enabled, check for token presence
     if (syncService.isEnabled()) {
       try {
-        await syncService.getMerchantCloverToken(merchantId);
-        status.token_status = 'valid';
+        const tokenInfo = await syncService.getMerchantCloverToken(merchantId);
+        status.token_status = tokenInfo.refreshed ? 'refreshed' : 'valid';
       } catch (error) {
         if (error.message.includes('No Clover token found')) {
           status.token_status = 'missing';
@@ -133,14 +155,14 @@ router.get('/status', async (req, res) => {
 
 /**
  * POST /api/sync/orders
- * Sync Clover orders for authenticated merchant
+ * Queue a Clover orders sync for authenticated merchant (202 + job id)
  * Query params:
  *   - limit (int): page size for fetchPaged (default 100)
  *   - prune (boolean): mark local transactions not in Clover with status='delete' (default false)
  * 
  * Behavior controlled by VERCEL_BASE_URL environment variable:
  * - If VERCEL_BASE_URL is set: proxies request to ${VERCEL_BASE_URL}/api/products/sync
- * - If VERCEL_BASE_URL is not set: performs local Clover order sync
+ * - If VERCEL_BASE_URL is not set: queues a local Clover order sync job
  * 
  * Note: Rate limiting should be added in production (similar to /api/sync/full)
  */
@@ -233,39 +255,11 @@ router.post('/orders', async (req, res) => {
       });
     }
 
-    // Get merchant's Clover token and merchant ID
-    const tokenInfo = await syncService.getMerchantCloverToken(merchantId);
-    
-    // Get the clover merchant ID from the merchants table
-    const client = await db.connect();
-    let cloverMerchantId;
-    try {
-      const merchantResult = await client.query(
-        'SELECT clover_merchant_id FROM merchants WHERE id = $1',
-        [merchantId]
-      );
-      if (merchantResult.rows.length === 0) {
-        throw new Error('Merchant not found');
-      }
-      cloverMerchantId = merchantResult.rows[0].clover_merchant_id;
-    } finally {
-      client.release();
-    }
-
-    if (!cloverMerchantId) {
-      throw new Error('No Clover merchant ID associated with this merchant');
-    }
-
-    // Perform the orders sync
-    const result = await orderService.syncOrders(
-      merchantId,
-      tokenInfo.access_token,
-      cloverMerchantId,
-      { limit, prune }
-    );
+    // Fail fast on missing/expired credentials instead of queueing a job that cannot run
+    await getMerchantClient(merchantId);
 
-    // Return result
-    res.json(result);
+    const job = await jobQueueService.enqueue(merchantId, 'sync.orders', { limit, prune });
+    sendQueued(res, job, 'Orders sync queued');
 
   } catch (error) {
     console.error('Orders sync endpoint error:', error);
@@ -303,4 +297,240 @@ router.post('/orders', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET /api/sync/runs
+ * List the merchant's sync runs, newest first
+ * Query: type (full|catalog|orders), status (running|succeeded|failed), limit (default 50, max 200)
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const runs = await syncRunService.list(req.merchant.id, {
+      type: req.query.type || null,
+      status: req.query.status || null,
+      limit
+    });
+    res.json({ success: true, runs });
+  } catch (error) {
+    console.error('Sync runs list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sync runs' });
+  }
+});
+
+/**
+ * GET /api/sync/runs/:id
+ * Get a single sync run with its counts, errors and cursor
+ */
+router.get('/runs/:id', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid run ID' });
+  }
+
+  try {
+    const run = await syncRunService.getById(req.params.id, req.merchant.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Sync run not found' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Sync run lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sync run' });
+  }
+});
+
+/**
+ * POST /api/sync/runs/:id/resume
+ * Queue a job that resumes a failed run from its last committed cursor. The job
+ * starts a new run linked to the failed one via resumed_from.
+ */
+router.post('/runs/:id/resume', async (req, res) => {
+  const merchantId = req.merchant.id;
+
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid run ID' });
+  }
+
+  try {
+    const run = await syncRunService.getById(req.params.id, merchantId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Sync run not found' });
+    }
+    if (run.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: `Only failed runs can be resumed (run is ${run.status})`
+      });
+    }
+    if (!syncService.isEnabled()) {
+      return res.json({ success: true, message: 'Clover sync is currently disabled', enabled: false });
+    }
+
+    if (!['full', 'catalog', 'orders'].includes(run.sync_type)) {
+      return res.status(400).json({ success: false, error: `Unsupported sync type: ${run.sync_type}` });
+    }
+
+    const job = await jobQueueService.enqueue(merchantId, 'sync.resume', { runId: run.id });
+    res.status(202).json({
+      success: true,
+      message: 'Sync resume queued',
+      resumed_from: run.id,
+      deduplicated: Boolean(job.deduplicated),
+      ...jobQueueService.describe(job)
+    });
+  } catch (error) {
+    console.error('Sync resume error:', error);
+    res.status(500).json({ success: false, error: 'Failed to queue sync resume', resumed_from: req.params.id });
+  }
+});
+
+/**
+ * GET /api/sync/schedules
+ * List the merchant's recurring sync schedules
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await schedulerService.list(req.merchant.id);
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error('Sync schedules list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sync schedules' });
+  }
+});
+
+/**
+ * PUT /api/sync/schedules/:kind
+ * Create or update a recurring sync (kind: orders | inventory | catalog)
+ * Body: { interval_minutes: 1-10080, enabled: boolean (default true) }
+ */
+router.put('/schedules/:kind', async (req, res) => {
+  const { kind } = req.params;
+  if (!schedulerService.isValidKind(kind)) {
+    return res.status(400).json({ success: false, error: 'kind must be one of: orders, inventory, catalog' });
+  }
+
+  const { interval_minutes: intervalMinutes, enabled = true } = req.body || {};
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 10080) {
+    return res.status(400).json({ success: false, error: 'interval_minutes must be an integer between 1 and 10080' });
+  }
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'enabled must be a boolean' });
+  }
+
+  try {
+    const schedule = await schedulerService.upsert(req.merchant.id, kind, { intervalMinutes, enabled });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Sync schedule update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save sync schedule' });
+  }
+});
+
+/**
+ * DELETE /api/sync/schedules/:kind
+ * Remove a recurring sync
+ */
+router.delete('/schedules/:kind', async (req, res) => {
+  const { kind } = req.params;
+  if (!schedulerService.isValidKind(kind)) {
+    return res.status(400).json({ success: false, error: 'kind must be one of: orders, inventory, catalog' });
+  }
+
+  try {
+    const removed = await schedulerService.remove(req.merchant.id, kind);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Sync schedule not found' });
+    }
+    res.json({ success: true, kind });
+  } catch (error) {
+    console.error('Sync schedule delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete sync schedule' });
+  }
+});
+
+/**
+ * GET /api/sync/catalog-ownership
+ * Who owns each synced product and category field: clover or local
+ */
+router.get('/catalog-ownership', async (req, res) => {
+  try {
+    const ownership = await catalogOwnershipService.getPolicy(req.merchant.id);
+    res.json({ success: true, ownership });
+  } catch (error) {
+    console.error('Catalog ownership load error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load catalog ownership' });
+  }
+});
+
+/**
+ * PUT /api/sync/catalog-ownership
+ * Body: { products?: { field: 'clover' | 'local' }, categories?: { field: 'clover' | 'local' } }
+ * Fields left out keep their owner
+ */
+router.put('/catalog-ownership', async (req, res) => {
+  const error = catalogOwnershipService.validate(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const ownership = await catalogOwnershipService.updatePolicy(req.merchant.id, req.body);
+    res.json({ success: true, ownership });
+  } catch (error) {
+    console.error('Catalog ownership update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save catalog ownership' });
+  }
+});
+
+/**
+ * GET /api/sync/catalog-pushes
+ * Local product and category changes queued for, or pushed to, Clover. Query: status, entity, limit
+ */
+router.get('/catalog-pushes', async (req, res) => {
+  const { status, entity, limit } = req.query;
+  if (status !== undefined && !cloverCatalogPushService.isValidStatus(status)) {
+    return res.status(400).json({ success: false, error: 'status must be one of: pending, pushed, failed' });
+  }
+  if (entity !== undefined && !['product', 'category'].includes(entity)) {
+    return res.status(400).json({ success: false, error: 'entity must be one of: product, category' });
+  }
+  if (limit !== undefined && (!Number.isInteger(Number(limit)) || Number(limit) < 1 || Number(limit) > 200)) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 200' });
+  }
+
+  try {
+    const pushes = await cloverCatalogPushService.listPushes(req.merchant.id, {
+      status,
+      entity,
+      limit: limit === undefined ? undefined : Number(limit)
+    });
+    res.json({ success: true, pushes, count: pushes.length });
+  } catch (error) {
+    console.error('Catalog push list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load catalog pushes' });
+  }
+});
+
+/**
+ * POST /api/sync/catalog-pushes/:id/retry
+ * Requeue a push that ran out of attempts
+ */
+router.post('/catalog-pushes/:id/retry', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid push ID' });
+  }
+
+  try {
+    const push = await cloverCatalogPushService.retry(req.merchant.id, req.params.id);
+    res.json({ success: true, push });
+  } catch (error) {
+    if ([404, 409].includes(error.status)) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Catalog push retry error:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry catalog push' });
+  }
+});
+
+module.exports = router;
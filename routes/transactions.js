@@ -0,0 +1,225 @@
+// routes/transactions.js
+const express = require('express');
+const refundService = require('../services/refundService');
+const paymentService = require('../services/paymentService');
+const transactionService = require('../services/transactionService');
+const { idempotent } = require('../src/middleware/idempotency');
+
+const router = express.Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CENTS_RE = /^\d+$/;
+const SOURCES = ['kiosk', 'clover'];
+const MAX_REFUND_LINES = 100;
+const MAX_REASON_LENGTH = 500;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Comma-separated query values (status=paid,locked)
+ */
+function listParam(value) {
+  if (value === undefined) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Filters for GET /api/transactions from the query string
+ * @returns {Object} - { filters } or { error }
+ */
+function parseListQuery(query) {
+  const filters = {};
+
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${key} must be an ISO 8601 date or timestamp` };
+    }
+    filters[key] = date;
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    return { error: 'from must be before to' };
+  }
+
+  filters.statuses = listParam(query.status);
+  filters.paymentStatuses = listParam(query.payment_status).map(s => s.toUpperCase());
+  const invalidStatus = filters.paymentStatuses.find(s => !paymentService.isValidStatus(s));
+  if (invalidStatus) {
+    return { error: `Unknown payment_status: ${invalidStatus}` };
+  }
+
+  if (query.source !== undefined) {
+    if (!SOURCES.includes(query.source)) {
+      return { error: `source must be one of: ${SOURCES.join(', ')}` };
+    }
+    filters.source = query.source;
+  }
+
+  if (query.product_id !== undefined) {
+    if (!UUID_RE.test(query.product_id)) {
+      return { error: 'Invalid product_id' };
+    }
+    filters.productId = query.product_id;
+  }
+
+  for (const [key, filter] of [['min_total_cents', 'minTotalCents'], ['max_total_cents', 'maxTotalCents']]) {
+    if (query[key] === undefined) continue;
+    if (!CENTS_RE.test(query[key])) {
+      return { error: `${key} must be a non-negative integer` };
+    }
+    filters[filter] = parseInt(query[key]);
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    filters.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    if (!transactionService.isValidCursor(query.cursor)) {
+      return { error: 'Invalid cursor' };
+    }
+    filters.cursor = query.cursor;
+  }
+
+  return { filters };
+}
+
+/**
+ * Problems with a refund request body, as line errors plus a top-level message
+ */
+function validateRefundBody({ lines, reason, restock, condition }) {
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` };
+  }
+  if (restock !== undefined && typeof restock !== 'boolean') {
+    return { error: 'restock must be a boolean' };
+  }
+  if (condition !== undefined && !refundService.isValidCondition(condition)) {
+    return { error: 'condition must be one of: resellable, damaged' };
+  }
+  if (lines === undefined) {
+    return null;
+  }
+  if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_REFUND_LINES) {
+    return { error: `lines must be a non-empty array of at most ${MAX_REFUND_LINES} lines (omit it for a full refund)` };
+  }
+
+  const lineErrors = [];
+  lines.forEach((line, index) => {
+    const transactionItemId = line?.transactionItemId ?? null;
+    if (typeof transactionItemId !== 'string' || !transactionItemId) {
+      lineErrors.push({ index, transactionItemId, code: 'INVALID_ITEM_ID', message: 'transactionItemId is required' });
+    } else if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      lineErrors.push({ index, transactionItemId, code: 'INVALID_QUANTITY', message: 'quantity must be a positive integer' });
+    } else if (line.restock !== undefined && typeof line.restock !== 'boolean') {
+      lineErrors.push({ index, transactionItemId, code: 'INVALID_RESTOCK', message: 'restock must be a boolean' });
+    } else if (line.condition !== undefined && !refundService.isValidCondition(line.condition)) {
+      lineErrors.push({ index, transactionItemId, code: 'INVALID_CONDITION', message: 'condition must be one of: resellable, damaged' });
+    }
+  });
+  return lineErrors.length > 0 ? { error: 'Refund validation failed', lineErrors } : null;
+}
+
+/**
+ * GET /api/transactions
+ * Kiosk and Clover sales, newest first.
+ * Query: from, to (ISO, on created_at; to is exclusive), status (Clover order state, comma-separated),
+ * payment_status (comma-separated), source (kiosk|clover), product_id, min_total_cents, max_total_cents,
+ * limit (1-200, default 50), cursor (next_cursor of the previous page)
+ */
+router.get('/', async (req, res) => {
+  const { filters, error } = parseListQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const { transactions, nextCursor } = await transactionService.listTransactions(req.merchant.id, filters);
+    res.json({ success: true, data: transactions, count: transactions.length, next_cursor: nextCursor });
+  } catch (error) {
+    console.error('Transaction list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load transactions' });
+  }
+});
+
+/**
+ * GET /api/transactions/:id
+ * A transaction with its line items joined to the products they sold
+ */
+router.get('/:id', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid transaction ID' });
+  }
+
+  try {
+    const transaction = await transactionService.getTransaction(req.merchant.id, req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    res.json({ success: true, data: transaction });
+  } catch (error) {
+    console.error('Transaction lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load transaction' });
+  }
+});
+
+/**
+ * POST /api/transactions/:id/refunds
+ * Refund a PAID transaction through Clover. Without `lines` everything not yet refunded is
+ * refunded; with `lines` only the given units. Returned units go back into on_hand unless
+ * `restock` is false; `condition: 'damaged'` counts them in inventory.damaged instead.
+ * Send an Idempotency-Key header to make retries safe.
+ */
+router.post('/:id/refunds', idempotent('transactions.refund'), async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid transaction ID' });
+  }
+  const invalid = validateRefundBody(req.body || {});
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid.error, line_errors: invalid.lineErrors });
+  }
+
+  const { lines, reason, restock, condition } = req.body;
+  try {
+    const result = await refundService.createRefund(req.merchant.id, req.params.id, {
+      lines: lines ?? null,
+      reason: reason ?? null,
+      restock: restock ?? true,
+      condition: condition ?? 'resellable'
+    });
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    if ([404, 409, 502].includes(error.status)) {
+      return res.status(error.status).json({ success: false, error: error.message, line_errors: error.lineErrors });
+    }
+    console.error('Refund error:', error);
+    res.status(500).json({ success: false, error: 'Failed to refund transaction' });
+  }
+});
+
+/**
+ * GET /api/transactions/:id/refunds
+ * Refunds of a transaction, newest first, with their items
+ */
+router.get('/:id/refunds', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid transaction ID' });
+  }
+
+  try {
+    const refunds = await refundService.listRefunds(req.merchant.id, req.params.id);
+    if (!refunds) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    res.json({ success: true, data: refunds, count: refunds.length });
+  } catch (error) {
+    console.error('Refund lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load refunds' });
+  }
+});
+
+module.exports = router;
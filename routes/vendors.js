@@ -0,0 +1,104 @@
+// routes/vendors.js
+const express = require('express');
+const vendorService = require('../services/vendorService');
+
+const router = express.Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TEXT_FIELDS = ['contact_name', 'email', 'phone', 'notes'];
+const MAX_LEAD_TIME_DAYS = 365;
+
+/**
+ * Problem with a vendor body, or null
+ */
+function validateVendorBody(body, { partial }) {
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return 'name is required';
+    }
+  }
+  for (const field of TEXT_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  if (body.lead_time_days !== undefined &&
+    (!Number.isInteger(body.lead_time_days) || body.lead_time_days < 0 || body.lead_time_days > MAX_LEAD_TIME_DAYS)) {
+    return `lead_time_days must be an integer between 0 and ${MAX_LEAD_TIME_DAYS}`;
+  }
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * GET /api/vendors
+ * Active vendors by name; ?include_inactive=true lists all
+ */
+router.get('/', async (req, res) => {
+  try {
+    const data = await vendorService.listVendors(req.merchant.id, {
+      includeInactive: req.query.include_inactive === 'true'
+    });
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('Vendor list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load vendors' });
+  }
+});
+
+/**
+ * POST /api/vendors
+ * Body: { name, contact_name?, email?, phone?, notes?, lead_time_days? (default 7) }
+ */
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const invalid = validateVendorBody(body, { partial: false });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const data = await vendorService.createVendor(req.merchant.id, { ...body, name: body.name.trim() });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({ success: false, error: 'A vendor with this name already exists' });
+    }
+    console.error('Vendor create error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create vendor' });
+  }
+});
+
+/**
+ * PATCH /api/vendors/:id
+ * Body: any of name, contact_name, email, phone, notes, lead_time_days, active
+ */
+router.patch('/:id', async (req, res) => {
+  if (!UUID_RE.test(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid vendor ID' });
+  }
+  const body = req.body || {};
+  const invalid = validateVendorBody(body, { partial: true });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const updates = body.name !== undefined ? { ...body, name: body.name.trim() } : body;
+    const data = await vendorService.updateVendor(req.merchant.id, req.params.id, updates);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Vendor not found' });
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A vendor with this name already exists' });
+    }
+    console.error('Vendor update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update vendor' });
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,14 @@ const syncRoutes = require('./routes/sync');
 const dns = require('dns').promises;
 const db = require('./config/database');
 const categoriesRoutes = require('./routes/categories');
+const cloverRoutes = require('./routes/clover');
+const jobRoutes = require('./routes/jobs');
+const cronRoutes = require('./routes/cron');
+const transactionRoutes = require('./routes/transactions');
+const reportRoutes = require('./routes/reports');
+const vendorRoutes = require('./routes/vendors');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stockCountRoutes = require('./routes/stockCounts');
 
 const app = express();
 
@@ -43,9 +51,17 @@ app.use('/api/inventory', authenticateToken, requireMerchant, inventoryRoutes);
 app.use('/api/checkout', authenticateToken, requireMerchant, checkoutRoutes);
 app.use('/api/sync', syncRoutes); // sync routes handle their own auth
 app.use('/api/categories', categoriesRoutes);
+app.use('/api/jobs', authenticateToken, requireMerchant, jobRoutes);
+app.use('/api/transactions', authenticateToken, requireMerchant, transactionRoutes);
+app.use('/api/reports', authenticateToken, requireMerchant, reportRoutes);
+app.use('/api/vendors', authenticateToken, requireMerchant, vendorRoutes);
+app.use('/api/purchase-orders', authenticateToken, requireMerchant, purchaseOrderRoutes);
+app.use('/api/stock-counts', authenticateToken, requireMerchant, stockCountRoutes);
 
 // Public routes (no authentication required)
 app.use('/api/webhooks', webhookRoutes); // Clover should call /api/webhooks/*
+app.use('/clover', cloverRoutes); // Clover OAuth install flow (/clover/connect, /clover/callback)
+app.use('/api/cron', cronRoutes); // Vercel Cron, authorized by CRON_SECRET
 
 // Demo protected route to test authentication
 app.get('/api/auth/me', authenticateToken, (req, res) => {
@@ -108,16 +124,3 @@ if (process.env.VERCEL !== '1' && require.main === module) {
 }
 module.exports = app;
 
-// OAuth callback route
-app.get("/clover/callback", (req, res) => {
-  const authCode = req.query.code;
-  const merchantId = req.query.merchant_id;
-
-  if (!authCode) {
-    return res.status(400).send("No auth code received");
-  }
-
-  // For now just display the code and merchantId in the browser
-  res.send(`Auth Code: ${authCode}<br>Merchant ID: ${merchantId}`);
-});
-
@@ -0,0 +1,147 @@
+// services/cartService.js
+const db = require('../config/database');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_LINES = 100;
+const MAX_QUANTITY = 99;
+
+/**
+ * Cart errors carry status 400 and `lineErrors` saying which lines failed and why
+ */
+function cartError(message, lineErrors = []) {
+  return Object.assign(new Error(message), { status: 400, lineErrors });
+}
+
+function lineError(index, productId, code, message, extra = {}) {
+  return { index, productId: productId ?? null, code, message, ...extra };
+}
+
+/**
+ * Prices kiosk carts from our own catalog. The client only sends product IDs and quantities;
+ * Clover item IDs, prices and tax rates always come from the products table.
+ */
+class CartService {
+  /**
+   * Validate and price a cart
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Array} items - [{ productId, quantity }]
+   * @param {Object} options - { client: database client to read with (e.g. inside a transaction) }
+   * @returns {Object} - { lines: [{ productId, cloverItemId, name, quantity, unitPriceCents, taxCents, lineTotalCents }],
+   *   subtotalCents, taxCents, totalCents }
+   * @throws {Error} - status 400 with lineErrors when the cart is malformed or any line cannot be sold
+   */
+  async priceCart(merchantId, items, { client = null } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw cartError('Cart is empty');
+    }
+    if (items.length > MAX_LINES) {
+      throw cartError(`Cart cannot have more than ${MAX_LINES} lines`);
+    }
+
+    const errors = [];
+    items.forEach((line, index) => {
+      if (!UUID_RE.test(String(line?.productId ?? ''))) {
+        errors.push(lineError(index, line?.productId, 'INVALID_PRODUCT_ID', 'productId must be a product UUID'));
+      } else if (!Number.isInteger(line.quantity) || line.quantity < 1 || line.quantity > MAX_QUANTITY) {
+        errors.push(lineError(index, line.productId, 'INVALID_QUANTITY', `quantity must be an integer between 1 and ${MAX_QUANTITY}`));
+      }
+    });
+    if (errors.length > 0) {
+      throw cartError('Cart validation failed', errors);
+    }
+
+    const productIds = [...new Set(items.map(line => line.productId.toLowerCase()))];
+    const { rows } = await (client || db).query(`
+      SELECT
+        p.id, p.clover_item_id, p.name, p.price_cents, p.tax_rate_decimal,
+        p.active, p.visible_in_kiosk,
+        COALESCE(i.on_hand, 0) AS on_hand,
+        COALESCE(i.reserved, 0) AS reserved
+      FROM products p
+      LEFT JOIN inventory i ON i.product_id = p.id
+      WHERE p.merchant_id = $1 AND p.id = ANY($2::uuid[])
+    `, [merchantId, productIds]);
+    const products = new Map(rows.map(row => [row.id.toLowerCase(), row]));
+
+    // The same product on several lines draws from one stock level
+    const requested = new Map();
+    for (const line of items) {
+      const id = line.productId.toLowerCase();
+      requested.set(id, (requested.get(id) || 0) + line.quantity);
+    }
+
+    const lines = [];
+    items.forEach((line, index) => {
+      const product = products.get(line.productId.toLowerCase());
+      if (!product) {
+        errors.push(lineError(index, line.productId, 'NOT_FOUND', 'Product not found'));
+        return;
+      }
+      if (!product.active) {
+        errors.push(lineError(index, line.productId, 'INACTIVE', `${product.name} is no longer sold`));
+        return;
+      }
+      if (!product.visible_in_kiosk) {
+        errors.push(lineError(index, line.productId, 'NOT_IN_KIOSK', `${product.name} is not available at the kiosk`));
+        return;
+      }
+      if (!product.clover_item_id) {
+        errors.push(lineError(index, line.productId, 'NOT_SYNCED', `${product.name} is not linked to a Clover item`));
+        return;
+      }
+
+      const available = Math.max(0, product.on_hand - product.reserved);
+      const wanted = requested.get(product.id.toLowerCase());
+      if (available <= 0) {
+        errors.push(lineError(index, line.productId, 'OUT_OF_STOCK', `${product.name} is out of stock`, { available: 0 }));
+        return;
+      }
+      if (wanted > available) {
+        errors.push(lineError(index, line.productId, 'INSUFFICIENT_STOCK',
+          `Only ${available} of ${product.name} available`, { available, requested: wanted }));
+        return;
+      }
+
+      const lineSubtotalCents = product.price_cents * line.quantity;
+      const taxCents = Math.round(lineSubtotalCents * Number(product.tax_rate_decimal || 0));
+      lines.push({
+        productId: product.id,
+        cloverItemId: product.clover_item_id,
+        name: product.name,
+        quantity: line.quantity,
+        unitPriceCents: product.price_cents,
+        taxCents,
+        lineTotalCents: lineSubtotalCents
+      });
+    });
+
+    if (errors.length > 0) {
+      throw cartError('Cart validation failed', errors);
+    }
+
+    const subtotalCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+    const taxCents = lines.reduce((sum, line) => sum + line.taxCents, 0);
+    return { lines, subtotalCents, taxCents, totalCents: subtotalCents + taxCents };
+  }
+
+  /**
+   * Clover atomic_order payload for a priced cart. Clover line items carry no quantity,
+   * so each unit is its own line item.
+   * @param {Object} pricedCart - Result of priceCart()
+   * @param {Object} options - { note }
+   * @returns {Object} - { orderCart }
+   */
+  buildCloverOrder(pricedCart, { note = null } = {}) {
+    const lineItems = pricedCart.lines.flatMap(line =>
+      Array.from({ length: line.quantity }, () => ({ item: { id: line.cloverItemId } }))
+    );
+    return {
+      orderCart: {
+        lineItems,
+        ...(note ? { note } : {})
+      }
+    };
+  }
+}
+
+module.exports = new CartService();
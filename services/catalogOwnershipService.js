@@ -0,0 +1,114 @@
+// services/catalogOwnershipService.js
+const db = require('../config/database');
+
+const OWNERS = ['clover', 'local'];
+
+/**
+ * Catalog fields that exist on both sides, and who owns each one unless the merchant overrides it.
+ * Fields not listed here (description, brand, image_url, size, flavor, visible_in_kiosk, ...) are
+ * kiosk-only: never sent to Clover and never overwritten by a sync.
+ */
+const DEFAULT_OWNERS = {
+  products: {
+    name: 'local',
+    price_cents: 'clover',
+    sku: 'local',
+    cost_cents: 'local',
+    active: 'local',
+    category_id: 'local'
+  },
+  categories: {
+    name: 'local',
+    sort_order: 'local'
+  }
+};
+
+/**
+ * Per-field ownership of the synced catalog (merchants.catalog_field_owners overrides DEFAULT_OWNERS).
+ * - clover: a sync overwrites the local value; local edits to Clover-linked rows are refused
+ * - local: local edits are pushed to Clover (cloverCatalogPushService); a sync keeps the local value
+ */
+class CatalogOwnershipService {
+  /**
+   * @param {Object} overrides - { products: { field: owner }, categories: { field: owner } }
+   * @returns {string|null} - Why the overrides are invalid, or null
+   */
+  validate(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return 'Body must be an object of { products, categories } field owners';
+    }
+    for (const [entity, fields] of Object.entries(overrides)) {
+      if (!DEFAULT_OWNERS[entity]) {
+        return `Unknown entity: ${entity} (expected products or categories)`;
+      }
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        return `${entity} must be an object of field owners`;
+      }
+      for (const [field, owner] of Object.entries(fields)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_OWNERS[entity], field)) {
+          return `Unknown ${entity} field: ${field} (expected one of: ${Object.keys(DEFAULT_OWNERS[entity]).join(', ')})`;
+        }
+        if (!OWNERS.includes(owner)) {
+          return `${entity}.${field} must be one of: ${OWNERS.join(', ')}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A merchant's field owners, defaults included
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} client - Database client, when called inside a transaction
+   * @returns {Object} - { products: { field: owner }, categories: { field: owner } }
+   */
+  async getPolicy(merchantId, client = db) {
+    const { rows } = await client.query(
+      'SELECT catalog_field_owners FROM merchants WHERE id = $1',
+      [merchantId]
+    );
+    return this.#merge(rows[0]?.catalog_field_owners || {});
+  }
+
+  /**
+   * Change some of a merchant's field owners; fields left out keep their current owner
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} overrides - Validated with validate()
+   * @returns {Object} - The merchant's field owners after the change
+   */
+  async updatePolicy(merchantId, overrides) {
+    const { rows } = await db.query(`
+      UPDATE merchants SET
+        catalog_field_owners = jsonb_build_object(
+          'products', COALESCE(catalog_field_owners->'products', '{}'::jsonb) || COALESCE($2::jsonb->'products', '{}'::jsonb),
+          'categories', COALESCE(catalog_field_owners->'categories', '{}'::jsonb) || COALESCE($2::jsonb->'categories', '{}'::jsonb)
+        )
+      WHERE id = $1
+      RETURNING catalog_field_owners
+    `, [merchantId, JSON.stringify(overrides)]);
+    return this.#merge(rows[0]?.catalog_field_owners || {});
+  }
+
+  /**
+   * @param {Object} policy - From getPolicy()
+   * @param {string} entity - 'products' or 'categories'
+   * @param {string} owner - 'clover' or 'local'
+   * @returns {Array} - The entity's fields with that owner
+   */
+  fieldsOwnedBy(policy, entity, owner) {
+    return Object.keys(policy[entity]).filter(field => policy[entity][field] === owner);
+  }
+
+  #merge(overrides) {
+    const policy = {};
+    for (const [entity, defaults] of Object.entries(DEFAULT_OWNERS)) {
+      policy[entity] = { ...defaults };
+      for (const [field, owner] of Object.entries(overrides[entity] || {})) {
+        if (field in defaults && OWNERS.includes(owner)) policy[entity][field] = owner;
+      }
+    }
+    return policy;
+  }
+}
+
+module.exports = new CatalogOwnershipService();
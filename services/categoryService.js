@@ -0,0 +1,132 @@
+// services/categoryService.js
+const db = require('../config/database');
+const catalogOwnershipService = require('./catalogOwnershipService');
+const cloverCatalogPushService = require('./cloverCatalogPushService');
+
+const COLUMNS = 'id, name, sort_order, active';
+
+/**
+ * Categories CRUD. Changes are queued for Clover (cloverCatalogPushService) in the same transaction.
+ */
+class CategoryService {
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @returns {Array} - Categories by sort_order, then name
+   */
+  async listCategories(merchantId) {
+    const { rows } = await db.query(
+      `SELECT ${COLUMNS} FROM categories WHERE merchant_id = $1 ORDER BY sort_order, name`,
+      [merchantId]
+    );
+    return rows;
+  }
+
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} data - { name, sort_order, active }
+   * @returns {Object} - The category
+   */
+  async createCategory(merchantId, { name, sort_order, active = true }) {
+    return this.#inTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO categories (id, merchant_id, name, sort_order, active)
+         VALUES (gen_random_uuid(), $1, $2, $3, $4)
+         RETURNING ${COLUMNS}`,
+        [merchantId, name, sort_order, active]
+      );
+      await cloverCatalogPushService.queue(client, merchantId, { entity: 'category', localId: rows[0].id, operation: 'create' });
+      return rows[0];
+    });
+  }
+
+  /**
+   * Update the given fields (null or missing fields are left alone). On a category linked to a
+   * Clover category, fields owned by Clover are refused with status 409.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} categoryId - UUID of the category
+   * @param {Object} data - { name, sort_order, active }
+   * @returns {Object|null} - The category, or null when it does not exist
+   */
+  async updateCategory(merchantId, categoryId, { name, sort_order, active }) {
+    return this.#inTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT clover_category_id FROM categories WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+        [categoryId, merchantId]
+      );
+      if (existing.rows.length === 0) return null;
+      const cloverCategoryId = existing.rows[0].clover_category_id;
+
+      const changedFields = Object.entries({ name, sort_order })
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([field]) => field);
+      const policy = await catalogOwnershipService.getPolicy(merchantId, client);
+      const cloverOwned = changedFields.filter(field => policy.categories[field] === 'clover');
+      if (cloverCategoryId && cloverOwned.length > 0) {
+        throw Object.assign(new Error(`Managed in Clover: ${cloverOwned.join(', ')}`), { status: 409 });
+      }
+
+      const { rows } = await client.query(
+        `UPDATE categories SET
+           name = COALESCE($1, name),
+           sort_order = COALESCE($2, sort_order),
+           active = COALESCE($3, active)
+         WHERE id = $4 AND merchant_id = $5
+         RETURNING ${COLUMNS}`,
+        [name, sort_order, active, categoryId, merchantId]
+      );
+
+      const pushedFields = changedFields.filter(field => policy.categories[field] === 'local');
+      if (pushedFields.length > 0) {
+        await cloverCatalogPushService.queue(client, merchantId, {
+          entity: 'category',
+          localId: categoryId,
+          cloverId: cloverCategoryId,
+          operation: 'update',
+          fields: pushedFields
+        });
+      }
+      return rows[0];
+    });
+  }
+
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} categoryId - UUID of the category
+   * @returns {boolean} - Whether a category was deleted
+   */
+  async deleteCategory(merchantId, categoryId) {
+    return this.#inTransaction(async (client) => {
+      const { rows } = await client.query(
+        'DELETE FROM categories WHERE id = $1 AND merchant_id = $2 RETURNING id, clover_category_id',
+        [categoryId, merchantId]
+      );
+      if (rows.length === 0) return false;
+      if (rows[0].clover_category_id) {
+        await cloverCatalogPushService.queue(client, merchantId, {
+          entity: 'category',
+          localId: categoryId,
+          cloverId: rows[0].clover_category_id,
+          operation: 'delete'
+        });
+      }
+      return true;
+    });
+  }
+
+  async #inTransaction(fn) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,231 @@
+// services/cloverAuthService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { getBaseUrl } = require('./cloverService');
+
+/**
+ * Clover OAuth (v2 expiring tokens) install flow:
+ * authorize redirect, CSRF state, code exchange and token persistence
+ */
+class CloverAuthService {
+  constructor() {
+    this.stateCookieName = 'clover_oauth_state';
+    this.stateTtlSeconds = 10 * 60;
+  }
+
+  /**
+   * Base URL for Clover OAuth endpoints.
+   * CLOVER_OAUTH_BASE_URL allows pointing at a local stub in tests.
+   */
+  getOAuthBaseUrl() {
+    return process.env.CLOVER_OAUTH_BASE_URL?.trim() || getBaseUrl();
+  }
+
+  /**
+   * Read app credentials from env
+   * @returns {Object} - { clientId, clientSecret }
+   */
+  getAppCredentials() {
+    const clientId = process.env.CLOVER_APP_ID?.trim();
+    const clientSecret = process.env.CLOVER_APP_SECRET?.trim();
+    if (!clientId || !clientSecret) {
+      throw new Error('Missing CLOVER_APP_ID or CLOVER_APP_SECRET');
+    }
+    return { clientId, clientSecret };
+  }
+
+  /**
+   * Create a signed CSRF state value.
+   * The nonce is also set as a cookie so the callback can bind state to the browser.
+   * @returns {Object} - { state, nonce }
+   */
+  createState() {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const state = jwt.sign({ nonce, purpose: 'clover_oauth' }, this.#stateSecret(), {
+      expiresIn: this.stateTtlSeconds
+    });
+    return { state, nonce };
+  }
+
+  /**
+   * Validate a state value returned by Clover against the browser's cookie nonce
+   * @param {string} state - State query param from the callback
+   * @param {string} cookieNonce - Nonce read from the state cookie
+   * @returns {boolean}
+   */
+  verifyState(state, cookieNonce) {
+    if (!state || !cookieNonce) return false;
+    try {
+      const decoded = jwt.verify(state, this.#stateSecret());
+      if (decoded.purpose !== 'clover_oauth') return false;
+      const a = Buffer.from(String(decoded.nonce));
+      const b = Buffer.from(String(cookieNonce));
+      return a.length === b.length && crypto.timingSafeEqual(a, b);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Build the Clover authorize URL to redirect the merchant to
+   * @param {string} state - Signed CSRF state
+   * @returns {string}
+   */
+  buildAuthorizeUrl(state) {
+    const { clientId } = this.getAppCredentials();
+    const url = new URL('/oauth/v2/authorize', this.getOAuthBaseUrl());
+    url.searchParams.set('client_id', clientId);
+    url.searchParams.set('state', state);
+    if (process.env.CLOVER_OAUTH_REDIRECT_URI) {
+      url.searchParams.set('redirect_uri', process.env.CLOVER_OAUTH_REDIRECT_URI.trim());
+    }
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for access/refresh tokens
+   * @param {string} code - Authorization code from the callback
+   * @returns {Object} - Normalized tokens { access_token, refresh_token, expires_at, scope, token_type }
+   */
+  async exchangeCode(code) {
+    const { clientId, clientSecret } = this.getAppCredentials();
+    const res = await this.#oauthClient().post('/oauth/v2/token', {
+      client_id: clientId,
+      client_secret: clientSecret,
+      code
+    });
+
+    if (res.status >= 400 || !res.data?.access_token) {
+      throw new Error(`${res.status} Clover token exchange failed: ${JSON.stringify(res.data)}`);
+    }
+
+    return this.#normalizeTokens(res.data);
+  }
+
+  /**
+   * Trade a refresh token for a new access/refresh token pair
+   * @param {string} refreshToken - Stored clover_tokens.refresh_token
+   * @returns {Object} - Normalized tokens (same shape as exchangeCode)
+   * @throws {Error} - With rejected=true when Clover refuses the refresh token
+   */
+  async refreshAccessToken(refreshToken) {
+    const { clientId } = this.getAppCredentials();
+    const res = await this.#oauthClient().post('/oauth/v2/refresh', {
+      client_id: clientId,
+      refresh_token: refreshToken
+    });
+
+    if (res.status >= 400 || !res.data?.access_token) {
+      const error = new Error(`${res.status} Clover token refresh rejected: ${JSON.stringify(res.data)}`);
+      error.rejected = true;
+      throw error;
+    }
+
+    return this.#normalizeTokens(res.data);
+  }
+
+  /**
+   * Upsert the merchants row and store its Clover tokens
+   * @param {string} cloverMerchantId - Clover merchant ID from the callback
+   * @param {Object} tokens - Normalized tokens from exchangeCode
+   * @returns {string} - UUID of the merchant
+   */
+  async saveMerchantTokens(cloverMerchantId, tokens) {
+    const businessName = await this.#fetchBusinessName(cloverMerchantId, tokens.access_token);
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const merchantResult = await client.query(`
+        INSERT INTO merchants (clover_merchant_id, business_name, active)
+        VALUES ($1, $2, true)
+        ON CONFLICT (clover_merchant_id) DO UPDATE
+        SET active = true
+        RETURNING id
+      `, [cloverMerchantId, businessName]);
+
+      const merchantId = merchantResult.rows[0].id;
+
+      await client.query(`
+        INSERT INTO clover_tokens (
+          merchant_id, access_token, refresh_token, token_type, scope, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (merchant_id)
+        DO UPDATE SET
+          access_token = EXCLUDED.access_token,
+          refresh_token = COALESCE(EXCLUDED.refresh_token, clover_tokens.refresh_token),
+          token_type = EXCLUDED.token_type,
+          scope = COALESCE(EXCLUDED.scope, clover_tokens.scope),
+          expires_at = EXCLUDED.expires_at
+      `, [
+        merchantId,
+        tokens.access_token,
+        tokens.refresh_token,
+        tokens.token_type,
+        tokens.scope,
+        tokens.expires_at
+      ]);
+
+      await client.query('COMMIT');
+      return merchantId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // --------------- private helpers ---------------
+
+  #stateSecret() {
+    // Kept apart from JWT_SECRET so a state value can never pass as an API token (or vice versa)
+    const secret = process.env.CLOVER_STATE_SECRET;
+    if (!secret) throw new Error('CLOVER_STATE_SECRET is not set');
+    return secret;
+  }
+
+  #oauthClient() {
+    return axios.create({
+      baseURL: this.getOAuthBaseUrl(),
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 20000,
+      validateStatus: s => s < 500,
+    });
+  }
+
+  #normalizeTokens(data) {
+    // v2 returns access_token_expiration as epoch seconds; legacy responses may send expires_in
+    let expiresAt = null;
+    if (Number.isFinite(data.access_token_expiration)) {
+      expiresAt = new Date(data.access_token_expiration * 1000);
+    } else if (Number.isFinite(data.expires_in)) {
+      expiresAt = new Date(Date.now() + data.expires_in * 1000);
+    }
+
+    return {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token || null,
+      token_type: data.token_type || 'bearer',
+      scope: data.scope || null,
+      expires_at: expiresAt
+    };
+  }
+
+  async #fetchBusinessName(cloverMerchantId, accessToken) {
+    let businessName = 'Clover Merchant';
+    try {
+      const r = await axios.get(`${getBaseUrl()}/v3/merchants/${cloverMerchantId}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 10000
+      });
+      businessName = (r.data?.name || businessName).toString();
+    } catch (_) { /* keep default */ }
+    return businessName;
+  }
+}
+
+module.exports = new CloverAuthService();
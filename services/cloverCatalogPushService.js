@@ -0,0 +1,297 @@
+// services/cloverCatalogPushService.js
+const db = require('../config/database');
+const cloverService = require('./cloverService');
+const syncService = require('./syncService');
+const catalogOwnershipService = require('./catalogOwnershipService');
+
+const STATUSES = ['pending', 'pushed', 'failed'];
+const DEFAULT_MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+// A claimed push whose processor died mid-push is picked up again after this long
+const CLAIM_SECONDS = 300;
+// Clover responses a retry cannot fix (e.g. the item was deleted in Clover)
+const PERMANENT_STATUSES = [400, 404];
+const DEFAULT_PAGE_SIZE = 100;
+
+// Local product fields -> Clover item fields; category_id is sent as a category_items association
+const ITEM_FIELDS = {
+  name: p => ({ name: p.name }),
+  price_cents: p => ({ price: p.price_cents }),
+  sku: p => ({ code: p.sku || '' }),
+  cost_cents: p => (p.cost_cents === null || p.cost_cents === undefined ? {} : { cost: p.cost_cents }),
+  active: p => ({ hidden: !p.active })
+};
+
+// Local category fields -> Clover category fields
+const CATEGORY_FIELDS = {
+  name: c => ({ name: c.name }),
+  sort_order: c => ({ sortOrder: c.sort_order ?? 0 })
+};
+
+// Where each entity lives locally and in Clover
+const ENTITIES = {
+  product: { policy: 'products', table: 'products', cloverColumn: 'clover_item_id', path: 'items', fields: ITEM_FIELDS },
+  category: { policy: 'categories', table: 'categories', cloverColumn: 'clover_category_id', path: 'categories', fields: CATEGORY_FIELDS }
+};
+
+function pushError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Clover request body for some of a local row's fields
+ */
+function toClover(mappers, row, fields) {
+  return fields
+    .filter(field => mappers[field])
+    .reduce((body, field) => ({ ...body, ...mappers[field](row) }), {});
+}
+
+/**
+ * Outbox mirroring local product and category changes to Clover (clover_catalog_pushes table).
+ * productService and categoryService queue() creates, updates of locally owned fields
+ * (catalogOwnershipService) and deletes in the transaction that made them; processPending()
+ * sends them to Clover's items, category_items and categories endpoints, retrying with backoff.
+ */
+class CloverCatalogPushService {
+  /**
+   * @param {string} status - Push status
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return STATUSES.includes(status);
+  }
+
+  /**
+   * Queue a local change for Clover. A change to a product or category that already has a
+   * pending push is merged into it. Nothing is queued for merchants without a Clover connection.
+   * @param {Object} client - Database client in the transaction that made the change
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} change - { entity: 'product' | 'category', localId, cloverId,
+   *   operation: 'create' | 'update' | 'delete', fields (changed fields, for updates) }
+   */
+  async queue(client, merchantId, { entity, localId, cloverId = null, operation, fields = [] }) {
+    await client.query(`
+      INSERT INTO clover_catalog_pushes (merchant_id, entity, local_id, clover_id, operation, fields)
+      SELECT $1, $2, $3, $4, $5, $6::text[]
+      WHERE EXISTS (SELECT 1 FROM clover_tokens WHERE merchant_id = $1)
+      ON CONFLICT (entity, local_id) WHERE status = 'pending' DO UPDATE SET
+        operation = CASE WHEN EXCLUDED.operation = 'delete' THEN 'delete' ELSE clover_catalog_pushes.operation END,
+        fields = ARRAY(SELECT DISTINCT f FROM unnest(clover_catalog_pushes.fields || EXCLUDED.fields) AS f),
+        clover_id = COALESCE(EXCLUDED.clover_id, clover_catalog_pushes.clover_id),
+        changes = clover_catalog_pushes.changes + 1,
+        attempts = 0,
+        next_attempt_at = NOW(),
+        last_error = NULL
+    `, [merchantId, entity, localId, cloverId, operation, fields]);
+  }
+
+  /**
+   * A merchant's pushes, most recently updated first
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} filters - { status, entity, limit }
+   * @returns {Array} - clover_catalog_pushes rows
+   */
+  async listPushes(merchantId, { status = null, entity = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const params = [merchantId];
+    const where = ['merchant_id = $1'];
+    if (status) {
+      params.push(status);
+      where.push(`status = $${params.length}`);
+    }
+    if (entity) {
+      params.push(entity);
+      where.push(`entity = $${params.length}`);
+    }
+    params.push(limit);
+
+    const { rows } = await db.query(`
+      SELECT * FROM clover_catalog_pushes
+      WHERE ${where.join(' AND ')}
+      ORDER BY updated_at DESC
+      LIMIT $${params.length}
+    `, params);
+    return rows;
+  }
+
+  /**
+   * Requeue a push that ran out of attempts
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} pushId - UUID of the push
+   * @returns {Object} - The push, pending again
+   */
+  async retry(merchantId, pushId) {
+    return this.#inTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM clover_catalog_pushes WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+        [pushId, merchantId]
+      );
+      const push = rows[0];
+      if (!push) {
+        throw pushError(404, 'Clover catalog push not found');
+      }
+      if (push.status !== 'failed') {
+        throw pushError(409, `Only failed pushes can be retried; this push is ${push.status}`);
+      }
+      const pending = await client.query(
+        "SELECT id FROM clover_catalog_pushes WHERE entity = $1 AND local_id = $2 AND status = 'pending'",
+        [push.entity, push.local_id]
+      );
+      if (pending.rows.length > 0) {
+        throw pushError(409, `A newer push for this ${push.entity} is already queued`);
+      }
+
+      const updated = await client.query(`
+        UPDATE clover_catalog_pushes SET
+          status = 'pending',
+          attempts = 0,
+          next_attempt_at = NOW(),
+          last_error = NULL
+        WHERE id = $1
+        RETURNING *
+      `, [push.id]);
+      return updated.rows[0];
+    });
+  }
+
+  /**
+   * Push due changes to Clover, categories first so new products can be put in new categories.
+   * Safe to call from several processes at once: due rows are claimed with FOR UPDATE SKIP LOCKED.
+   * @param {Object} options - { limit: max pushes sent per call }
+   * @returns {Object} - { pushed, retrying, failed }
+   */
+  async processPending({ limit = 50 } = {}) {
+    const counts = { pushed: 0, retrying: 0, failed: 0 };
+    if (!syncService.isEnabled()) return counts;
+
+    const { rows } = await db.query(`
+      UPDATE clover_catalog_pushes SET next_attempt_at = NOW() + make_interval(secs => $2)
+      WHERE id IN (
+        SELECT id FROM clover_catalog_pushes
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, CLAIM_SECONDS]);
+    rows.sort((a, b) => (a.entity === 'category' ? 0 : 1) - (b.entity === 'category' ? 0 : 1));
+
+    const merchantClients = new Map();
+    for (const push of rows) {
+      if (!merchantClients.has(push.merchant_id)) {
+        merchantClients.set(push.merchant_id, cloverService.getMerchantClient(push.merchant_id));
+      }
+      counts[await this.#push(push, merchantClients.get(push.merchant_id))]++;
+    }
+
+    if (rows.length > 0) {
+      console.log(`Clover catalog push: ${counts.pushed} pushed, ${counts.retrying} retrying, ${counts.failed} failed`);
+    }
+    return counts;
+  }
+
+  /**
+   * Send one claimed push. The local row is read now, so the latest values are sent.
+   * @returns {string} - 'pushed', 'retrying' or 'failed'
+   */
+  async #push(push, merchantClientPromise) {
+    const entity = ENTITIES[push.entity];
+    try {
+      const merchantClient = await merchantClientPromise;
+      const { rows } = await db.query(push.entity === 'product'
+        ? 'SELECT p.*, c.clover_category_id FROM products p LEFT JOIN categories c ON c.id = p.category_id WHERE p.id = $1'
+        : 'SELECT * FROM categories WHERE id = $1', [push.local_id]);
+      const local = rows[0] || null;
+      let cloverId = push.clover_id || local?.[entity.cloverColumn] || null;
+
+      if (push.operation === 'delete') {
+        if (cloverId) await cloverService.deleteObject(merchantClient, `${entity.path}/${cloverId}`);
+      } else if (!local) {
+        // Deleted locally since it was queued; the delete has its own push
+      } else if (!cloverId) {
+        const created = await cloverService.postObject(merchantClient, entity.path, toClover(entity.fields, local, Object.keys(entity.fields)));
+        cloverId = created.id;
+        await db.query(
+          `UPDATE ${entity.table} SET ${entity.cloverColumn} = $2 WHERE id = $1 AND ${entity.cloverColumn} IS NULL`,
+          [push.local_id, cloverId]
+        );
+        if (push.entity === 'product' && local.clover_category_id) {
+          await this.#setItemCategory(merchantClient, cloverId, local.clover_category_id);
+        }
+      } else {
+        // Fields that became Clover-owned since the change was queued are left to Clover
+        const policy = await catalogOwnershipService.getPolicy(push.merchant_id);
+        const fields = push.fields.filter(field => policy[entity.policy][field] === 'local');
+        const body = toClover(entity.fields, local, fields);
+        if (Object.keys(body).length > 0) {
+          await cloverService.postObject(merchantClient, `${entity.path}/${cloverId}`, body);
+        }
+        if (push.entity === 'product' && fields.includes('category_id')) {
+          await this.#setItemCategory(merchantClient, cloverId, local.clover_category_id);
+        }
+      }
+
+      // A local change that arrived while this push was in flight keeps the row pending
+      await db.query(`
+        UPDATE clover_catalog_pushes SET
+          status = CASE WHEN changes = $2 THEN 'pushed' ELSE status END,
+          attempts = CASE WHEN changes = $2 THEN attempts + 1 ELSE 0 END,
+          next_attempt_at = CASE WHEN changes = $2 THEN next_attempt_at ELSE NOW() END,
+          clover_id = COALESCE(clover_id, $3),
+          last_error = NULL,
+          pushed_at = NOW()
+        WHERE id = $1
+      `, [push.id, push.changes, cloverId]);
+      return 'pushed';
+    } catch (error) {
+      const maxAttempts = parseInt(process.env.CLOVER_CATALOG_PUSH_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+      const attempts = push.attempts + 1;
+      const failed = attempts >= maxAttempts || PERMANENT_STATUSES.includes(error.status);
+      await db.query(`
+        UPDATE clover_catalog_pushes SET
+          status = $2,
+          attempts = attempts + 1,
+          last_error = $3,
+          next_attempt_at = NOW() + make_interval(secs => $4)
+        WHERE id = $1
+      `, [push.id, failed ? 'failed' : 'pending', error.message, RETRY_BASE_SECONDS * 2 ** (attempts - 1)]);
+      console.error(`Clover catalog push ${push.id} (${push.operation} ${push.entity}) failed (attempt ${attempts}):`, error.message);
+      return failed ? 'failed' : 'retrying';
+    }
+  }
+
+  /**
+   * Make the product's category its Clover item's only category (products have one category locally)
+   */
+  async #setItemCategory(merchantClient, itemId, cloverCategoryId) {
+    const item = await cloverService.fetchObject(merchantClient, `items/${itemId}`, { expand: 'categories' });
+    const current = (item?.categories?.elements || []).map(category => category.id);
+    const association = id => ({ category: { id }, item: { id: itemId } });
+
+    const stale = current.filter(id => id !== cloverCategoryId);
+    if (stale.length > 0) {
+      await cloverService.postObject(merchantClient, 'category_items', { elements: stale.map(association) }, { delete: 'true' });
+    }
+    if (cloverCategoryId && !current.includes(cloverCategoryId)) {
+      await cloverService.postObject(merchantClient, 'category_items', { elements: [association(cloverCategoryId)] });
+    }
+  }
+
+  async #inTransaction(fn) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new CloverCatalogPushService();
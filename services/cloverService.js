@@ -1,48 +1,269 @@
 // services/cloverService.js
 const axios = require('axios');
+const db = require('../config/database');
 
-const {
-  CLOVER_ENVIRONMENT,
-  CLOVER_BASE_URL,
-  CLOVER_ACCESS_TOKEN,
-  CLOVER_MERCHANT_ID,
-} = process.env;
-
-// Prefer explicit base URL; otherwise infer from environment.
-const BASE_URL =
-  (CLOVER_BASE_URL && CLOVER_BASE_URL.trim()) ||
-  (String(CLOVER_ENVIRONMENT).toLowerCase() === 'sandbox'
-    ? 'https://sandbox.dev.clover.com'
-    : 'https://api.clover.com');
-
-function clover() {
-  if (!CLOVER_ACCESS_TOKEN || !CLOVER_MERCHANT_ID) {
-    throw new Error('Missing CLOVER_ACCESS_TOKEN or CLOVER_MERCHANT_ID');
-  }
-  return axios.create({
-    baseURL: BASE_URL,
-    headers: { Authorization: `Bearer ${CLOVER_ACCESS_TOKEN.trim()}` },
-    timeout: 20000,
-    validateStatus: s => s < 500, // surface 4xx, retry 5xx upstream if you add retries
+/**
+ * Clover API base URL. Prefer explicit base URL; otherwise infer from environment.
+ */
+function getBaseUrl() {
+  const { CLOVER_BASE_URL, CLOVER_ENVIRONMENT } = process.env;
+  return (CLOVER_BASE_URL && CLOVER_BASE_URL.trim()) ||
+    (String(CLOVER_ENVIRONMENT).toLowerCase() === 'sandbox'
+      ? 'https://sandbox.dev.clover.com'
+      : 'https://api.clover.com');
+}
+
+// Clover allows 16 requests/second and 5 concurrent requests per access token
+const DEFAULT_REQUESTS_PER_SECOND = 16;
+const DEFAULT_MAX_CONCURRENT = 5;
+// Budgets unused for this long are dropped so the map doesn't grow with every merchant or token
+const BUDGET_IDLE_MS = 10 * 60 * 1000;
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Per-merchant request budget: caps requests per second and in-flight requests,
+ * and pauses every caller for a merchant after Clover answers 429.
+ */
+class RequestBudget {
+  constructor({ perSecond, maxConcurrent }) {
+    this.perSecond = perSecond;
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.sent = []; // timestamps of requests started in the last second
+    this.pausedUntil = 0;
+    this.lastUsed = Date.now();
+  }
+
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      this.lastUsed = now;
+      this.sent = this.sent.filter(t => now - t < 1000);
+
+      if (now >= this.pausedUntil && this.active < this.maxConcurrent && this.sent.length < this.perSecond) {
+        this.active++;
+        this.sent.push(now);
+        return;
+      }
+
+      let wait = 10;
+      if (now < this.pausedUntil) wait = this.pausedUntil - now;
+      else if (this.sent.length >= this.perSecond) wait = 1000 - (now - this.sent[0]);
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(Math.max(wait, 1));
+    }
+  }
+
+  release() {
+    this.active = Math.max(0, this.active - 1);
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  isIdle(now) {
+    return this.active === 0 && now - this.lastUsed > BUDGET_IDLE_MS && now >= this.pausedUntil;
+  }
+}
+
+const budgets = new Map();
+
+/**
+ * The request budget for a merchant, created on first use. Idle budgets are evicted here.
+ * @param {string} key - Merchant the budget belongs to (falls back to the token for ad-hoc clients)
+ */
+function getBudget(key) {
+  const now = Date.now();
+  for (const [other, budget] of budgets) {
+    if (other !== key && budget.isIdle(now)) budgets.delete(other);
+  }
+  if (!budgets.has(key)) {
+    budgets.set(key, new RequestBudget({
+      perSecond: envInt('CLOVER_RATE_LIMIT_PER_SECOND', DEFAULT_REQUESTS_PER_SECOND) || DEFAULT_REQUESTS_PER_SECOND,
+      maxConcurrent: envInt('CLOVER_MAX_CONCURRENT', DEFAULT_MAX_CONCURRENT) || DEFAULT_MAX_CONCURRENT,
+    }));
+  }
+  return budgets.get(key);
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or HTTP date), or null.
+ */
+function parseRetryAfter(headers) {
+  const value = headers && (headers['retry-after'] ?? headers['Retry-After']);
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: random delay in [0, min(max, base * 2^attempt)].
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Attach rate limiting and retries to a Clover axios client.
+ * - 429: retried for any method after Retry-After (or backoff); pauses the merchant's budget
+ * - 5xx and connection resets: retried for GET only, so orders/payments are never duplicated
+ */
+function attachRetries(http, budget, { retries, baseDelayMs, maxDelayMs }) {
+  const retry = async (config, delay) => {
+    config.__retryCount = (config.__retryCount || 0) + 1;
+    await sleep(delay);
+    return http.request(config);
+  };
+
+  http.interceptors.request.use(async (config) => {
+    await budget.acquire();
+    return config;
+  });
+
+  http.interceptors.response.use(
+    async (res) => {
+      budget.release();
+      const attempt = res.config.__retryCount || 0;
+      if (res.status !== 429 || attempt >= retries) return res;
+
+      const delay = parseRetryAfter(res.headers) ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      budget.pause(delay);
+      console.warn(`Clover rate limited ${res.config.url}; retry ${attempt + 1}/${retries} in ${delay}ms`);
+      return retry(res.config, delay);
+    },
+    async (error) => {
+      const config = error.config;
+      if (!config) throw error;
+      budget.release();
+
+      const attempt = config.__retryCount || 0;
+      const status = error.response?.status;
+      const retryable = (status >= 500 || RETRYABLE_ERROR_CODES.has(error.code)) &&
+        String(config.method).toLowerCase() === 'get';
+      if (!retryable || attempt >= retries) throw error;
+
+      const delay = parseRetryAfter(error.response?.headers) ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      console.warn(`Clover ${status || error.code} on ${config.url}; retry ${attempt + 1}/${retries} in ${delay}ms`);
+      return retry(config, delay);
+    }
+  );
+
+  return http;
+}
+
+/**
+ * Create an axios client authenticated with a merchant's Clover access token.
+ * Requests share the merchant's budget and are retried with backoff (see attachRetries).
+ * The budget is keyed by merchant, so a refreshed token keeps the same budget.
+ * @param {string} accessToken - Merchant's Clover access token
+ * @param {string} [merchantId] - UUID of the merchant; defaults to the token for clients with no merchant
+ * @returns {Object} - Axios instance configured for Clover API
+ */
+function createClient(accessToken, merchantId = null) {
+  if (!accessToken) {
+    throw new Error('Missing Clover access token');
+  }
+  const token = accessToken.trim();
+  const http = axios.create({
+    baseURL: getBaseUrl(),
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 30000,
+    validateStatus: s => s < 500, // surface 4xx to callers; 5xx is retried by attachRetries
+  });
+
+  return attachRetries(http, getBudget(merchantId || token), {
+    retries: envInt('CLOVER_MAX_RETRIES', 5),
+    baseDelayMs: envInt('CLOVER_RETRY_BASE_MS', 500),
+    maxDelayMs: envInt('CLOVER_RETRY_MAX_MS', 30000),
   });
 }
 
+/**
+ * Resolve a merchant's Clover credentials and build a client scoped to it.
+ * Tokens come from clover_tokens (refreshed when expired), never from env.
+ * @param {string} merchantId - UUID of the merchant (req.merchant.id)
+ * @returns {Promise<Object>} - { merchantId, cloverMerchantId, accessToken, http }
+ */
+async function getMerchantClient(merchantId) {
+  // Required lazily: syncService depends on this module
+  const syncService = require('./syncService');
+  const tokenInfo = await syncService.getMerchantCloverToken(merchantId);
+
+  const client = await db.connect();
+  let cloverMerchantId;
+  try {
+    const merchantResult = await client.query(
+      'SELECT clover_merchant_id FROM merchants WHERE id = $1',
+      [merchantId]
+    );
+    if (merchantResult.rows.length === 0) {
+      throw new Error('Merchant not found');
+    }
+    cloverMerchantId = merchantResult.rows[0].clover_merchant_id;
+  } finally {
+    client.release();
+  }
+
+  if (!cloverMerchantId) {
+    throw new Error('No Clover merchant ID associated with this merchant');
+  }
+
+  return {
+    merchantId,
+    cloverMerchantId,
+    accessToken: tokenInfo.access_token,
+    http: createClient(tokenInfo.access_token, merchantId),
+  };
+}
+
 /**
  * Page through Clover collections with limit/offset using a specific client.
- * onBatch receives each page (array). Stops when a short page is seen.
+ * onBatch receives each page (array) and its offset. Stops when a short page is seen.
+ * Transient failures are retried per page by the client, so a retry continues from the
+ * failed offset; if a page still fails, the thrown error carries `offset` so callers can
+ * resume with `{ offset }` instead of starting over.
  * @param {string} path - API path to fetch
- * @param {Object} options - Options including params and limit
+ * @param {Object} options - Options including params, limit and starting offset
  * @param {Function} onBatch - Callback function to process each batch
- * @param {Object} httpClient - Optional axios client to use (defaults to global clover client)
+ * @param {Object} httpClient - Merchant-scoped axios client (see createClient/getMerchantClient)
  */
-async function fetchPaged(path, { params = {}, limit = 100 } = {}, onBatch, httpClient = null) {
-  const http = httpClient || clover();
-  let offset = 0;
+async function fetchPaged(path, { params = {}, limit = 100, offset: startOffset = 0 } = {}, onBatch, httpClient) {
+  if (!httpClient) {
+    throw new Error('fetchPaged requires a merchant-scoped Clover client');
+  }
+  const http = httpClient;
+  let offset = startOffset;
 
   for (;;) {
-    const res = await http.get(path, { params: { ...params, limit, offset } });
+    let res;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      res = await http.get(path, { params: { ...params, limit, offset } });
+    } catch (error) {
+      error.offset = offset;
+      throw error;
+    }
     if (res.status >= 400) {
-      throw new Error(`${res.status} ${path}: ${JSON.stringify(res.data)}`);
+      const error = new Error(`${res.status} ${path}: ${JSON.stringify(res.data)}`);
+      error.status = res.status;
+      error.offset = offset;
+      throw error;
     }
 
     const data = res.data || {};
@@ -55,70 +276,235 @@ async function fetchPaged(path, { params = {}, limit = 100 } = {}, onBatch, http
     if (!page.length) break;
     // user callback does the DB work
     // eslint-disable-next-line no-await-in-loop
-    await onBatch(page);
+    await onBatch(page, { offset });
 
     if (page.length < limit) break;
     offset += page.length;
   }
 }
 
+/**
+ * Query params limiting a Clover collection to objects modified at or after a watermark
+ * (delta sync). Returns no params when there is no watermark yet.
+ * @param {number|null} modifiedSince - Clover modifiedTime in milliseconds
+ * @returns {Object} - Params to spread into fetchPaged's params
+ */
+function modifiedSinceParams(modifiedSince) {
+  return Number.isFinite(modifiedSince) ? { filter: `modifiedTime>=${modifiedSince}` } : {};
+}
+
+/**
+ * Fetch a single merchant object, e.g. fetchObject(client, 'items/ITEM1', { expand: 'itemStock' }).
+ * @param {Object} merchantClient - Result of getMerchantClient
+ * @param {string} path - Path below /v3/merchants/{mId}/
+ * @param {Object} params - Query params
+ * @returns {Promise<Object|null>} Object data, or null when Clover returns 404 (deleted)
+ * @throws {Error} On other 4xx/5xx responses
+ */
+async function fetchObject(merchantClient, path, params = {}) {
+  const { http, cloverMerchantId } = merchantClient;
+  const res = await http.get(`/v3/merchants/${cloverMerchantId}/${path}`, { params });
+
+  if (res.status === 404) {
+    return null;
+  }
+  if (res.status >= 400) {
+    const error = new Error(`${res.status} ${path}: ${JSON.stringify(res.data)}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res.data;
+}
+
+/**
+ * Create or update a merchant object, e.g. postObject(client, 'items/ITEM1', { price: 499 }).
+ * @param {Object} merchantClient - Result of getMerchantClient
+ * @param {string} path - Path below /v3/merchants/{mId}/
+ * @param {Object} body - Fields to set
+ * @param {Object} params - Query params
+ * @returns {Promise<Object>} Object data
+ * @throws {Error} On 4xx/5xx responses (with `status`)
+ */
+async function postObject(merchantClient, path, body, params = {}) {
+  const { http, cloverMerchantId } = merchantClient;
+  const res = await http.post(`/v3/merchants/${cloverMerchantId}/${path}`, body, { params });
+
+  if (res.status >= 400) {
+    const error = new Error(`${res.status} ${path}: ${JSON.stringify(res.data)}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res.data;
+}
+
+/**
+ * Delete a merchant object. An object that is already gone (404) counts as deleted.
+ * @param {Object} merchantClient - Result of getMerchantClient
+ * @param {string} path - Path below /v3/merchants/{mId}/
+ * @returns {Promise<boolean>} false when the object did not exist
+ * @throws {Error} On other 4xx/5xx responses (with `status`)
+ */
+async function deleteObject(merchantClient, path) {
+  const { http, cloverMerchantId } = merchantClient;
+  const res = await http.delete(`/v3/merchants/${cloverMerchantId}/${path}`);
+
+  if (res.status === 404) {
+    return false;
+  }
+  if (res.status >= 400) {
+    const error = new Error(`${res.status} ${path}: ${JSON.stringify(res.data)}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return true;
+}
+
 /**
  * Create an order using Clover's atomic_order endpoint.
+ * @param {Object} merchantClient - Result of getMerchantClient
  * @param {Object} orderPayload - Order data with orderCart containing lineItems
  * @returns {Promise<Object>} Created order data
  * @throws {Error} On 4xx/5xx responses
  */
-async function createOrderAtomic(orderPayload) {
-  if (!CLOVER_MERCHANT_ID) {
-    throw new Error('Missing CLOVER_MERCHANT_ID');
-  }
-  
-  const http = clover();
+async function createOrderAtomic(merchantClient, orderPayload) {
+  const { http, cloverMerchantId } = merchantClient;
   const res = await http.post(
-    `/v3/merchants/${CLOVER_MERCHANT_ID}/atomic_order/orders`,
+    `/v3/merchants/${cloverMerchantId}/atomic_order/orders`,
     orderPayload
   );
-  
+
   if (res.status >= 400) {
     throw new Error(`${res.status} atomic_order failed: ${JSON.stringify(res.data)}`);
   }
-  
+
   return res.data;
 }
 
 /**
- * Initiate a payment for an order (not used by checkout flow, kept for reference).
+ * Record a payment taken outside Clover against an order (checkout `method: 'external'`).
+ * @param {Object} merchantClient - Result of getMerchantClient
  * @param {string} orderId - Clover order ID
  * @param {number} amount - Amount in cents
  * @param {string} externalPaymentId - External payment reference ID
  * @returns {Promise<Object>} Payment initiation response
- * @throws {Error} On 4xx/5xx responses
+ * @throws {Error} On 4xx/5xx responses (with `status`)
  */
-async function initiatePayment(orderId, amount, externalPaymentId) {
-  if (!CLOVER_MERCHANT_ID) {
-    throw new Error('Missing CLOVER_MERCHANT_ID');
-  }
-  
-  const http = clover();
+async function initiatePayment(merchantClient, orderId, amount, externalPaymentId) {
+  const { http, cloverMerchantId } = merchantClient;
   const res = await http.post(
-    `/v3/merchants/${CLOVER_MERCHANT_ID}/orders/${orderId}/payments`,
+    `/v3/merchants/${cloverMerchantId}/orders/${orderId}/payments`,
     {
       amount,
       externalPaymentId,
     }
   );
-  
+
+  if (res.status >= 400) {
+    const error = new Error(`${res.status} payment initiation failed: ${JSON.stringify(res.data)}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res.data;
+}
+
+/**
+ * Take a card-present payment on a Clover device (REST Pay Display API). The request
+ * returns once the customer has paid or the payment failed, so it gets a longer timeout;
+ * externalPaymentId doubles as the Idempotency-Key so a retried request cannot charge twice.
+ * @param {Object} merchantClient - Result of getMerchantClient
+ * @param {Object} options - { deviceId, amount (cents), externalPaymentId }
+ * @returns {Promise<Object>} Payment ({ id, result, amount, ... })
+ * @throws {Error} On 4xx/5xx responses (with `status`)
+ */
+async function startDevicePayment(merchantClient, { deviceId, amount, externalPaymentId }) {
+  const { http } = merchantClient;
+  const res = await http.post(
+    '/connect/v1/payments',
+    { amount, externalPaymentId, final: true },
+    {
+      headers: {
+        'X-Clover-Device-Id': deviceId,
+        'X-POS-Id': process.env.CLOVER_POS_ID || 'kiosk-backend',
+        'Idempotency-Key': externalPaymentId
+      },
+      timeout: envInt('CLOVER_DEVICE_PAYMENT_TIMEOUT_MS', 120000)
+    }
+  );
+
+  if (res.status >= 400) {
+    const error = new Error(`${res.status} device payment failed: ${JSON.stringify(res.data)}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res.data?.payment || res.data;
+}
+
+/**
+ * Refund a payment, fully or by amount.
+ * @param {Object} merchantClient - Result of getMerchantClient
+ * @param {string} paymentId - Clover payment ID
+ * @param {Object} options - { amount (cents) } or { fullRefund: true }
+ * @returns {Promise<Object>} Refund ({ id, amount, ... })
+ * @throws {Error} On 4xx/5xx responses (with `status`)
+ */
+async function createRefund(merchantClient, paymentId, { amount = null, fullRefund = false } = {}) {
+  const { http, cloverMerchantId } = merchantClient;
+  const res = await http.post(
+    `/v3/merchants/${cloverMerchantId}/payments/${paymentId}/refunds`,
+    fullRefund ? { fullRefund: true } : { amount }
+  );
+
+  if (res.status >= 400) {
+    const error = new Error(`${res.status} refund failed: ${JSON.stringify(res.data)}`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res.data;
+}
+
+/**
+ * Set an item's stock quantity.
+ * @param {Object} merchantClient - Result of getMerchantClient
+ * @param {string} itemId - Clover item ID
+ * @param {number} quantity - New stock quantity
+ * @returns {Promise<Object>} Item stock ({ item, quantity, modifiedTime, ... })
+ * @throws {Error} On 4xx/5xx responses (with `status`)
+ */
+async function updateItemStock(merchantClient, itemId, quantity) {
+  const { http, cloverMerchantId } = merchantClient;
+  const res = await http.post(
+    `/v3/merchants/${cloverMerchantId}/item_stocks/${itemId}`,
+    { item: { id: itemId }, quantity }
+  );
+
   if (res.status >= 400) {
-    throw new Error(`${res.status} payment initiation failed: ${JSON.stringify(res.data)}`);
+    const error = new Error(`${res.status} item stock update failed: ${JSON.stringify(res.data)}`);
+    error.status = res.status;
+    throw error;
   }
-  
+
   return res.data;
 }
 
 module.exports = {
-  clover,
+  getBaseUrl,
+  parseRetryAfter,
+  createClient,
+  getMerchantClient,
   fetchPaged,
+  modifiedSinceParams,
+  fetchObject,
+  postObject,
+  deleteObject,
   createOrderAtomic,
   initiatePayment,
-  CLOVER_MERCHANT_ID,
+  startDevicePayment,
+  createRefund,
+  updateItemStock,
 };
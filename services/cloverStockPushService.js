@@ -0,0 +1,276 @@
+// services/cloverStockPushService.js
+const db = require('../config/database');
+const cloverService = require('./cloverService');
+const syncService = require('./syncService');
+const inventoryMovementService = require('./inventoryMovementService');
+
+const STATUSES = ['pending', 'pushed', 'conflict', 'failed', 'discarded'];
+const RESOLUTIONS = ['local', 'clover'];
+const DEFAULT_MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+// A claimed push whose processor died mid-push is picked up again after this long
+const CLAIM_SECONDS = 300;
+// Clover responses a retry cannot fix (e.g. the item was deleted in Clover)
+const PERMANENT_STATUSES = [400, 404];
+const DEFAULT_PAGE_SIZE = 100;
+
+function pushError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Outbox of local stock changes to Clover items (clover_stock_pushes table).
+ * inventoryMovementService.record() queues a push for every local on_hand change; processPending()
+ * sends the product's current on_hand to Clover's item_stocks unless Clover's modifiedTime moved
+ * since our last sync or push, in which case the push waits as a conflict for resolve().
+ */
+class CloverStockPushService {
+  /**
+   * @param {string} status - Push status
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return STATUSES.includes(status);
+  }
+
+  /**
+   * @param {string} resolution - 'local' or 'clover'
+   * @returns {boolean}
+   */
+  isValidResolution(resolution) {
+    return RESOLUTIONS.includes(resolution);
+  }
+
+  /**
+   * A merchant's pushes, most recently updated first
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} filters - { status, productId, limit }
+   * @returns {Array} - clover_stock_pushes rows with product_name and the current on_hand
+   */
+  async listPushes(merchantId, { status = null, productId = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const params = [merchantId];
+    const where = ['s.merchant_id = $1'];
+    if (status) {
+      params.push(status);
+      where.push(`s.status = $${params.length}`);
+    }
+    if (productId) {
+      params.push(productId);
+      where.push(`s.product_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    const { rows } = await db.query(`
+      SELECT s.*, p.name AS product_name, i.on_hand
+      FROM clover_stock_pushes s
+      JOIN products p ON p.id = s.product_id
+      LEFT JOIN inventory i ON i.product_id = s.product_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY s.updated_at DESC
+      LIMIT $${params.length}
+    `, params);
+    return rows;
+  }
+
+  /**
+   * Push due changes to Clover. Safe to call from several processes at once: due rows are
+   * claimed with FOR UPDATE SKIP LOCKED.
+   * @param {Object} options - { limit: max pushes sent per call }
+   * @returns {Object} - { pushed, conflict, retrying, failed }
+   */
+  async processPending({ limit = 50 } = {}) {
+    const counts = { pushed: 0, conflict: 0, retrying: 0, failed: 0 };
+    if (!syncService.isEnabled()) return counts;
+
+    const { rows } = await db.query(`
+      UPDATE clover_stock_pushes SET next_attempt_at = NOW() + make_interval(secs => $2)
+      WHERE id IN (
+        SELECT id FROM clover_stock_pushes
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, CLAIM_SECONDS]);
+
+    const merchantClients = new Map();
+    for (const push of rows) {
+      if (!merchantClients.has(push.merchant_id)) {
+        merchantClients.set(push.merchant_id, cloverService.getMerchantClient(push.merchant_id));
+      }
+      counts[await this.#push(push, merchantClients.get(push.merchant_id))]++;
+    }
+
+    if (rows.length > 0) {
+      console.log(`Clover stock push: ${counts.pushed} pushed, ${counts.conflict} conflict(s), ${counts.retrying} retrying, ${counts.failed} failed`);
+    }
+    return counts;
+  }
+
+  /**
+   * Resolve a conflict, or requeue a failed push
+   * - 'local': push our on_hand over Clover's change (conflicts and failed pushes)
+   * - 'clover': take Clover's quantity as on_hand, recorded as a sync movement (conflicts only)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} pushId - UUID of the push
+   * @param {Object} options - { keep: 'local' | 'clover', userId }
+   * @returns {Object} - The updated push
+   */
+  async resolve(merchantId, pushId, { keep, userId = null }) {
+    return this.#inTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT * FROM clover_stock_pushes WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+        [pushId, merchantId]
+      );
+      const push = rows[0];
+      if (!push) {
+        throw pushError(404, 'Clover stock push not found');
+      }
+
+      if (keep === 'clover') {
+        if (push.status !== 'conflict') {
+          throw pushError(409, `Only conflicts can be resolved with Clover's stock; this push is ${push.status}`);
+        }
+        const before = await inventoryMovementService.lockOnHand(client, push.product_id);
+        await client.query(`
+          UPDATE inventory SET
+            on_hand = $2,
+            clover_stock_modified_time = $3,
+            last_updated = NOW(),
+            sync_source = 'sync'
+          WHERE product_id = $1
+        `, [push.product_id, push.remote_quantity, push.remote_modified_time]);
+        await inventoryMovementService.record(client, {
+          merchantId,
+          productId: push.product_id,
+          before,
+          after: push.remote_quantity,
+          reason: 'sync',
+          userId,
+          referenceType: 'clover_item',
+          referenceId: push.clover_item_id,
+          note: 'Kept Clover stock after a push conflict'
+        });
+        return this.#update(client, push.id, 'discarded', 'clover', userId);
+      }
+
+      if (push.status === 'conflict') {
+        // Clover's change has now been seen and overruled, so it no longer conflicts
+        await client.query(
+          'UPDATE inventory SET clover_stock_modified_time = $2 WHERE product_id = $1',
+          [push.product_id, push.remote_modified_time]
+        );
+      } else if (push.status === 'failed') {
+        const open = await client.query(
+          "SELECT id FROM clover_stock_pushes WHERE product_id = $1 AND status IN ('pending', 'conflict')",
+          [push.product_id]
+        );
+        if (open.rows.length > 0) {
+          throw pushError(409, 'A newer push for this product is already queued');
+        }
+      } else {
+        throw pushError(409, `Only conflicts and failed pushes can be resolved; this push is ${push.status}`);
+      }
+      return this.#update(client, push.id, 'pending', 'local', userId);
+    });
+  }
+
+  /**
+   * Send one claimed push
+   * @returns {string} - 'pushed', 'conflict', 'retrying' or 'failed'
+   */
+  async #push(push, merchantClientPromise) {
+    const path = `item_stocks/${push.clover_item_id}`;
+    try {
+      const merchantClient = await merchantClientPromise;
+      const local = await db.query(
+        'SELECT on_hand, clover_stock_modified_time FROM inventory WHERE product_id = $1',
+        [push.product_id]
+      );
+      const quantity = local.rows[0]?.on_hand ?? 0;
+      const lastSeen = local.rows[0]?.clover_stock_modified_time ?? null;
+
+      // Without a modifiedTime from a sync there is nothing to compare, so the push goes ahead
+      const remote = await cloverService.fetchObject(merchantClient, path);
+      if (remote && lastSeen !== null && Number(remote.modifiedTime) > Number(lastSeen)) {
+        await db.query(`
+          UPDATE clover_stock_pushes SET
+            status = 'conflict',
+            attempts = attempts + 1,
+            last_error = NULL,
+            remote_quantity = $2,
+            remote_modified_time = $3
+          WHERE id = $1
+        `, [push.id, Number.isFinite(remote.quantity) ? Math.trunc(remote.quantity) : 0, remote.modifiedTime]);
+        return 'conflict';
+      }
+
+      const stock = await cloverService.updateItemStock(merchantClient, push.clover_item_id, quantity);
+      const modifiedTime = stock?.modifiedTime ?? (await cloverService.fetchObject(merchantClient, path))?.modifiedTime ?? null;
+      await db.query(
+        'UPDATE inventory SET clover_stock_modified_time = $2 WHERE product_id = $1',
+        [push.product_id, modifiedTime]
+      );
+
+      // A local change that arrived while this push was in flight keeps the row pending
+      await db.query(`
+        UPDATE clover_stock_pushes SET
+          status = CASE WHEN changes = $2 THEN 'pushed' ELSE status END,
+          attempts = CASE WHEN changes = $2 THEN attempts + 1 ELSE 0 END,
+          next_attempt_at = CASE WHEN changes = $2 THEN next_attempt_at ELSE NOW() END,
+          last_error = NULL,
+          quantity = $3,
+          pushed_at = NOW()
+        WHERE id = $1
+      `, [push.id, push.changes, quantity]);
+      return 'pushed';
+    } catch (error) {
+      const maxAttempts = parseInt(process.env.CLOVER_STOCK_PUSH_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+      const attempts = push.attempts + 1;
+      const failed = attempts >= maxAttempts || PERMANENT_STATUSES.includes(error.status);
+      await db.query(`
+        UPDATE clover_stock_pushes SET
+          status = $2,
+          attempts = attempts + 1,
+          last_error = $3,
+          next_attempt_at = NOW() + make_interval(secs => $4)
+        WHERE id = $1
+      `, [push.id, failed ? 'failed' : 'pending', error.message, RETRY_BASE_SECONDS * 2 ** (attempts - 1)]);
+      console.error(`Clover stock push ${push.id} failed (attempt ${attempts}):`, error.message);
+      return failed ? 'failed' : 'retrying';
+    }
+  }
+
+  async #update(client, pushId, status, resolution, userId) {
+    const { rows } = await client.query(`
+      UPDATE clover_stock_pushes SET
+        status = $2,
+        resolution = $3,
+        resolved_by = $4,
+        attempts = CASE WHEN $2 = 'pending' THEN 0 ELSE attempts END,
+        next_attempt_at = NOW(),
+        last_error = NULL
+      WHERE id = $1
+      RETURNING *
+    `, [pushId, status, resolution, userId]);
+    return rows[0];
+  }
+
+  async #inTransaction(fn) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new CloverStockPushService();
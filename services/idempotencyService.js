@@ -0,0 +1,123 @@
+// services/idempotencyService.js
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// How long a key (and its stored response) is honored
+const KEY_TTL_HOURS = 24;
+
+// How long a request holds an in_progress key; outlasts Clover's retries on a slow checkout
+const LEASE_SECONDS = 300;
+
+/**
+ * JSON with object keys sorted, so equivalent bodies hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Idempotency-Key bookkeeping (idempotency_keys table), used by src/middleware/idempotency.js
+ */
+class IdempotencyService {
+  /**
+   * @param {Object} body - Request body
+   * @returns {string} - SHA-256 hex of the canonical JSON body
+   */
+  hashRequest(body) {
+    return crypto.createHash('sha256').update(canonicalJson(body ?? {})).digest('hex');
+  }
+
+  /**
+   * Claim a key for a request. An in_progress key whose lease has run out (its request died
+   * without answering) is claimed again by a repeat of the same request.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} scope - Endpoint the key is used on
+   * @param {string} key - Idempotency-Key header
+   * @param {string} requestHash - hashRequest(body)
+   * @returns {Object} - { outcome: 'new'|'replay'|'mismatch'|'in_progress', record }
+   */
+  async begin(merchantId, scope, key, requestHash) {
+    // Expired keys may be reused
+    await db.query(`
+      DELETE FROM idempotency_keys
+      WHERE merchant_id = $1 AND scope = $2 AND key = $3
+        AND created_at < NOW() - make_interval(hours => $4)
+    `, [merchantId, scope, key, KEY_TTL_HOURS]);
+
+    const inserted = await db.query(`
+      INSERT INTO idempotency_keys (merchant_id, scope, key, request_hash, locked_until)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+      ON CONFLICT (merchant_id, scope, key) DO NOTHING
+      RETURNING *
+    `, [merchantId, scope, key, requestHash, LEASE_SECONDS]);
+    if (inserted.rows.length > 0) {
+      return { outcome: 'new', record: inserted.rows[0] };
+    }
+
+    const reclaimed = await db.query(`
+      UPDATE idempotency_keys SET locked_until = NOW() + make_interval(secs => $5)
+      WHERE merchant_id = $1 AND scope = $2 AND key = $3 AND request_hash = $4
+        AND status = 'in_progress' AND (locked_until IS NULL OR locked_until < NOW())
+      RETURNING *
+    `, [merchantId, scope, key, requestHash, LEASE_SECONDS]);
+    if (reclaimed.rows.length > 0) {
+      return { outcome: 'new', record: reclaimed.rows[0] };
+    }
+
+    const existing = await db.query(
+      'SELECT * FROM idempotency_keys WHERE merchant_id = $1 AND scope = $2 AND key = $3',
+      [merchantId, scope, key]
+    );
+    const record = existing.rows[0];
+    if (!record) {
+      // Expired and deleted concurrently; let the caller retry
+      return { outcome: 'in_progress', record: null };
+    }
+    if (record.request_hash !== requestHash) {
+      return { outcome: 'mismatch', record };
+    }
+    return { outcome: record.status === 'completed' ? 'replay' : 'in_progress', record };
+  }
+
+  /**
+   * Store the response of the request that claimed the key
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} scope - Endpoint the key is used on
+   * @param {string} key - Idempotency-Key header
+   * @param {number} statusCode - Response status
+   * @param {Object} body - Response body
+   */
+  async complete(merchantId, scope, key, statusCode, body) {
+    await db.query(`
+      UPDATE idempotency_keys SET
+        status = 'completed',
+        response_status = $4,
+        response_body = $5
+      WHERE merchant_id = $1 AND scope = $2 AND key = $3
+    `, [merchantId, scope, key, statusCode, JSON.stringify(body ?? null)]);
+  }
+
+  /**
+   * Forget a key whose request failed, so the client can retry with it
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} scope - Endpoint the key is used on
+   * @param {string} key - Idempotency-Key header
+   */
+  async release(merchantId, scope, key) {
+    await db.query(
+      "DELETE FROM idempotency_keys WHERE merchant_id = $1 AND scope = $2 AND key = $3 AND status = 'in_progress'",
+      [merchantId, scope, key]
+    );
+  }
+}
+
+module.exports = new IdempotencyService();
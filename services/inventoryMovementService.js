@@ -0,0 +1,154 @@
+// services/inventoryMovementService.js
+const db = require('../config/database');
+
+const REASONS = ['sale', 'refund', 'receive', 'count', 'damage', 'theft', 'adjustment', 'manual', 'sync', 'webhook'];
+// Changes Clover does not know about. Sales are left out: the Clover order takes them off Clover's stock
+const CLOVER_PUSH_REASONS = ['refund', 'receive', 'count', 'damage', 'theft', 'adjustment', 'manual'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Opaque cursor for the last row of a page (ordered by created_at DESC, id DESC)
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([new Date(row.created_at).toISOString(), row.id])).toString('base64url');
+}
+
+/**
+ * @returns {Array|null} - [createdAt, id], or null when the cursor is not one of ours
+ */
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(value) && value.length === 2 && !Number.isNaN(Date.parse(value[0])) && typeof value[1] === 'string') {
+      return value;
+    }
+  } catch (error) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Ledger of on_hand changes (inventory_movements table). Every path that changes on_hand locks
+ * the row with lockOnHand(), writes the new count and calls record() in the same transaction.
+ * Local changes to Clover items are also queued for cloverStockPushService to push to Clover.
+ */
+class InventoryMovementService {
+  /**
+   * @param {string} reason - e.g. 'sale', 'count', 'damage'
+   * @returns {boolean}
+   */
+  isValidReason(reason) {
+    return REASONS.includes(reason);
+  }
+
+  /**
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {boolean}
+   */
+  isValidCursor(cursor) {
+    return decodeCursor(cursor) !== null;
+  }
+
+  /**
+   * Lock a product's inventory row until the transaction ends
+   * @param {Object} client - Database client in a transaction
+   * @param {string} productId - UUID of the product
+   * @returns {number} - Current on_hand (0 when the product has no inventory row yet)
+   */
+  async lockOnHand(client, productId) {
+    const { rows } = await client.query(
+      'SELECT on_hand FROM inventory WHERE product_id = $1 FOR UPDATE',
+      [productId]
+    );
+    return rows[0]?.on_hand ?? 0;
+  }
+
+  /**
+   * Record an on_hand change and, for local changes to a Clover item, queue a push of the new
+   * on_hand to Clover; nothing is written when the count did not change
+   * @param {Object} client - Database client in the transaction that changed on_hand
+   * @param {Object} movement - { merchantId, productId, before, after (on_hand before and after), reason,
+   *   userId, referenceType, referenceId, note }
+   * @returns {Object|null} - The movement, or null when on_hand did not change
+   */
+  async record(client, {
+    merchantId, productId, before, after, reason,
+    userId = null, referenceType = null, referenceId = null, note = null
+  }) {
+    if (after === before) return null;
+    const { rows } = await client.query(`
+      INSERT INTO inventory_movements (
+        merchant_id, product_id, delta, on_hand_after, reason, user_id, reference_type, reference_id, note
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      merchantId, productId, after - before, after, reason,
+      userId, referenceType, referenceId === null ? null : String(referenceId), note
+    ]);
+
+    if (CLOVER_PUSH_REASONS.includes(reason)) {
+      // Coalesced into the product's open push, if any; the pushed quantity is read when it is sent
+      await client.query(`
+        INSERT INTO clover_stock_pushes (merchant_id, product_id, clover_item_id)
+        SELECT $1, p.id, p.clover_item_id
+        FROM products p
+        WHERE p.id = $2 AND p.clover_item_id IS NOT NULL
+        ON CONFLICT (product_id) WHERE status IN ('pending', 'conflict') DO UPDATE SET
+          changes = clover_stock_pushes.changes + 1,
+          attempts = CASE WHEN clover_stock_pushes.status = 'pending' THEN 0 ELSE clover_stock_pushes.attempts END,
+          next_attempt_at = CASE WHEN clover_stock_pushes.status = 'pending' THEN NOW() ELSE clover_stock_pushes.next_attempt_at END
+      `, [merchantId, productId]);
+    }
+    return rows[0];
+  }
+
+  /**
+   * A product's movements, newest first
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} productId - UUID of the product
+   * @param {Object} filters - { from, to (Date, on created_at), reasons, limit, cursor }
+   * @returns {Object|null} - { movements, nextCursor }, or null when the product does not exist
+   */
+  async listMovements(merchantId, productId, { from = null, to = null, reasons = [], limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+    const product = await db.query(
+      'SELECT id FROM products WHERE id = $1 AND merchant_id = $2',
+      [productId, merchantId]
+    );
+    if (product.rows.length === 0) return null;
+
+    const params = [merchantId, productId];
+    const where = ['m.merchant_id = $1', 'm.product_id = $2'];
+    const add = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (from) where.push(`m.created_at >= ${add(from)}`);
+    if (to) where.push(`m.created_at < ${add(to)}`);
+    if (reasons.length > 0) where.push(`m.reason = ANY(${add(reasons)}::text[])`);
+    if (cursor) {
+      const [createdAt, id] = decodeCursor(cursor);
+      where.push(`(m.created_at, m.id) < (${add(createdAt)}::timestamptz, ${add(id)}::uuid)`);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const { rows } = await db.query(`
+      SELECT m.*
+      FROM inventory_movements m
+      WHERE ${where.join(' AND ')}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT ${add(pageSize + 1)}
+    `, params);
+
+    const hasMore = rows.length > pageSize;
+    const movements = hasMore ? rows.slice(0, pageSize) : rows;
+    return {
+      movements,
+      nextCursor: hasMore ? encodeCursor(movements[movements.length - 1]) : null
+    };
+  }
+}
+
+module.exports = new InventoryMovementService();
@@ -1,5 +1,16 @@
 // services/inventoryService.js
 const db = require('../config/database');
+const inventoryMovementService = require('./inventoryMovementService');
+
+// Inventory columns PATCH /api/inventory/:productId may set
+const UPDATABLE_FIELDS = [
+  'on_hand', 'reorder_level', 'max_stock',
+  'preferred_vendor_id', 'auto_order_enabled', 'auto_order_quantity', 'location'
+];
+
+function adjustmentError(status, message, lineErrors) {
+  return Object.assign(new Error(message), { status, lineErrors });
+}
 
 class InventoryService {
   /**
@@ -24,7 +35,17 @@ class InventoryService {
           p.price_cents,
           COALESCE(i.on_hand, 0)        AS on_hand,
           COALESCE(i.reserved, 0)       AS reserved,
+          GREATEST(COALESCE(i.on_hand, 0) - COALESCE(i.reserved, 0), 0) AS available,
+          COALESCE(i.damaged, 0)        AS damaged,
+          COALESCE(i.quantity_on_order, 0) AS quantity_on_order,
           COALESCE(i.reorder_level, 5)  AS reorder_level,
+          i.max_stock,
+          i.preferred_vendor_id,
+          COALESCE(i.auto_order_enabled, false) AS auto_order_enabled,
+          i.auto_order_quantity,
+          i.location,
+          i.last_counted_at,
+          i.last_restocked_at,
           i.last_updated,
           CASE 
             WHEN COALESCE(i.on_hand, 0) <= 0 THEN 'OUT_OF_STOCK'
@@ -86,10 +107,10 @@ class InventoryService {
   }
 
   /**
-   * Update inventory levels for a product
+   * Update inventory levels and reorder settings for a product.
+   * A change to on_hand is recorded as a movement with movement.reason (default 'manual').
    */
-  async updateInventory(productId, merchantId, updates) {
-    const { on_hand, reorder_level } = updates;
+  async updateInventory(productId, merchantId, updates, movement = {}) {
     const client = await db.connect();
     
     try {
@@ -105,50 +126,42 @@ class InventoryService {
         throw new Error('Product not found');
       }
 
-      // Build dynamic update query
-      const updateFields = [];
-      const values = [productId];
-      let paramCount = 2;
-
-      if (on_hand !== undefined) {
-        updateFields.push(`on_hand = $${paramCount}`);
-        values.push(on_hand);
-        paramCount++;
+      if (updates.preferred_vendor_id) {
+        const vendorCheck = await client.query(
+          'SELECT id FROM vendors WHERE id = $1 AND merchant_id = $2',
+          [updates.preferred_vendor_id, merchantId]
+        );
+        if (vendorCheck.rows.length === 0) {
+          throw new Error('Vendor not found');
+        }
       }
 
-      if (reorder_level !== undefined) {
-        updateFields.push(`reorder_level = $${paramCount}`);
-        values.push(reorder_level);
-        paramCount++;
-      }
+      const onHandBefore = updates.on_hand !== undefined
+        ? await inventoryMovementService.lockOnHand(client, productId)
+        : null;
 
-      updateFields.push('last_updated = NOW()');
-      updateFields.push('sync_source = \'manual\'');
+      // Only the given fields are written; a new inventory row takes the table defaults for the rest
+      const fields = UPDATABLE_FIELDS.filter(field => updates[field] !== undefined);
+      const values = [productId, ...fields.map(field => updates[field])];
 
-      // Create proper INSERT ON CONFLICT query
-      let insertValues = [productId];
-      if (on_hand !== undefined) {
-        insertValues.push(on_hand);
-      } else {
-        insertValues.push(0); // default on_hand
-      }
-      insertValues.push(0); // reserved (default)
-      
-      if (reorder_level !== undefined) {
-        insertValues.push(reorder_level);
-      } else {
-        insertValues.push(5); // default reorder_level
-      }
-
-      const upsertQuery = `
-        INSERT INTO inventory (product_id, on_hand, reserved, reorder_level, last_updated, sync_source)
-        VALUES ($1, $2, $3, $4, NOW(), 'manual')
+      await client.query(`
+        INSERT INTO inventory (product_id, ${fields.map(field => `${field}, `).join('')}last_updated, sync_source)
+        VALUES ($1, ${fields.map((field, i) => `$${i + 2}, `).join('')}NOW(), 'manual')
         ON CONFLICT (product_id) DO UPDATE
-        SET ${updateFields.join(', ')}
-        RETURNING product_id, on_hand, reserved, reorder_level, last_updated
-      `;
+        SET ${fields.map(field => `${field} = EXCLUDED.${field}, `).join('')}last_updated = NOW(), sync_source = 'manual'
+      `, values);
 
-      const result = await client.query(upsertQuery, insertValues);
+      if (onHandBefore !== null) {
+        await inventoryMovementService.record(client, {
+          merchantId,
+          productId,
+          before: onHandBefore,
+          after: updates.on_hand,
+          reason: movement.reason || 'manual',
+          userId: movement.userId,
+          note: movement.note
+        });
+      }
 
       await client.query('COMMIT');
 
@@ -177,7 +190,17 @@ class InventoryService {
           p.sku,
           COALESCE(i.on_hand, 0)        AS on_hand,
           COALESCE(i.reserved, 0)       AS reserved,
+          GREATEST(COALESCE(i.on_hand, 0) - COALESCE(i.reserved, 0), 0) AS available,
+          COALESCE(i.damaged, 0)        AS damaged,
+          COALESCE(i.quantity_on_order, 0) AS quantity_on_order,
           COALESCE(i.reorder_level, 5)  AS reorder_level,
+          i.max_stock,
+          i.preferred_vendor_id,
+          COALESCE(i.auto_order_enabled, false) AS auto_order_enabled,
+          i.auto_order_quantity,
+          i.location,
+          i.last_counted_at,
+          i.last_restocked_at,
           i.last_updated,
           CASE 
             WHEN COALESCE(i.on_hand, 0) <= 0 THEN 'OUT_OF_STOCK'
@@ -196,39 +219,108 @@ class InventoryService {
   }
 
   /**
-   * Adjust inventory levels (add/subtract from current levels)
+   * Adjust inventory levels (add/subtract from current levels), recorded as a movement
+   * with adjustments.reason (default 'adjustment')
    */
   async adjustInventory(productId, merchantId, adjustments) {
-    const { on_hand_delta } = adjustments;
+    const { on_hand_delta, reason = 'adjustment', userId, note } = adjustments;
+
+    await this.adjustInventoryBatch(merchantId, [{ productId, delta: on_hand_delta, reason }], { userId, note });
+
+    return await this.getInventoryByProductId(productId, merchantId);
+  }
+
+  /**
+   * Apply on_hand deltas to several products, all or nothing. Inventory rows are locked in
+   * product order so concurrent batches cannot deadlock, and each change is recorded as a movement.
+   * A delta that would take on_hand below zero stops at zero, or fails the batch with rejectNegative.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Array} lines - [{ productId, delta, reason (default 'adjustment'), note }]
+   * @param {Object} options - { rejectNegative, userId, note (for lines without their own) }
+   * @returns {Array} - Per line, in request order: { index, productId, reason, requested, delta (applied),
+   *   onHandBefore, onHandAfter, clamped, movementId }
+   * @throws {Error} - status 400 with lineErrors for unknown products, 409 with lineErrors when
+   *   rejectNegative and a line would go below zero
+   */
+  async adjustInventoryBatch(merchantId, lines, { rejectNegative = false, userId = null, note = null } = {}) {
     const client = await db.connect();
-    
+
     try {
       await client.query('BEGIN');
 
-      // Get current inventory
-      const current = await client.query(
-        'SELECT on_hand FROM inventory WHERE product_id = $1',
-        [productId]
+      const products = await client.query(
+        'SELECT id FROM products WHERE merchant_id = $1 AND id = ANY($2::uuid[]) AND active = true',
+        [merchantId, lines.map(line => line.productId)]
       );
-
-      if (current.rows.length === 0) {
-        throw new Error('Inventory record not found');
+      const known = new Set(products.rows.map(row => row.id.toLowerCase()));
+      const missing = [];
+      lines.forEach((line, index) => {
+        if (!known.has(line.productId.toLowerCase())) {
+          missing.push({ index, productId: line.productId, code: 'NOT_FOUND', message: 'Product not found' });
+        }
+      });
+      if (missing.length > 0) {
+        throw adjustmentError(400, 'Adjustment validation failed', missing);
       }
 
-      const currentOnHand = current.rows[0].on_hand || 0;
-      const newOnHand = Math.max(0, currentOnHand + on_hand_delta); // Don't allow negative inventory
+      const results = [];
+      const errors = [];
+      const lockOrder = lines.map((line, index) => index)
+        .sort((a, b) => lines[a].productId.localeCompare(lines[b].productId));
 
-      // Update inventory
-      await client.query(
-        `UPDATE inventory 
-         SET on_hand = $1, last_updated = NOW(), sync_source = 'adjustment'
-         WHERE product_id = $2`,
-        [newOnHand, productId]
-      );
+      for (const index of lockOrder) {
+        const line = lines[index];
+        const before = await inventoryMovementService.lockOnHand(client, line.productId);
+        if (before + line.delta < 0 && rejectNegative) {
+          errors.push({
+            index,
+            productId: line.productId,
+            code: 'INSUFFICIENT_STOCK',
+            message: `Only ${before} on hand`,
+            onHand: before,
+            requested: line.delta
+          });
+          continue;
+        }
 
-      await client.query('COMMIT');
+        const after = Math.max(before + line.delta, 0); // Don't allow negative inventory
+        await client.query(`
+          INSERT INTO inventory (product_id, on_hand, last_updated, sync_source)
+          VALUES ($1, $2, NOW(), 'adjustment')
+          ON CONFLICT (product_id) DO UPDATE
+          SET on_hand = EXCLUDED.on_hand, last_updated = NOW(), sync_source = 'adjustment'
+        `, [line.productId, after]);
 
-      return await this.getInventoryByProductId(productId, merchantId);
+        const reason = line.reason || 'adjustment';
+        const movement = await inventoryMovementService.record(client, {
+          merchantId,
+          productId: line.productId,
+          before,
+          after,
+          reason,
+          userId,
+          note: line.note ?? note
+        });
+
+        results[index] = {
+          index,
+          productId: line.productId,
+          reason,
+          requested: line.delta,
+          delta: after - before,
+          onHandBefore: before,
+          onHandAfter: after,
+          clamped: after - before !== line.delta,
+          movementId: movement?.id ?? null
+        };
+      }
+
+      if (errors.length > 0) {
+        throw adjustmentError(409, 'Adjustment would take stock below zero', errors.sort((a, b) => a.index - b.index));
+      }
+
+      await client.query('COMMIT');
+      return results;
 
     } catch (error) {
       await client.query('ROLLBACK');
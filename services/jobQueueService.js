@@ -0,0 +1,240 @@
+// services/jobQueueService.js
+const db = require('../config/database');
+
+// Serializes claims across workers so the per-merchant running count cannot be raced
+const CLAIM_LOCK_KEY = 7310001;
+
+const RETRY_BASE_SECONDS = 30;
+
+/**
+ * Postgres-backed job queue (jobs table).
+ * Jobs are claimed with FOR UPDATE SKIP LOCKED and executed by the worker (services/jobWorker.js).
+ */
+class JobQueueService {
+  /**
+   * Queue a job. An identical job (same type and payload) that is queued for the merchant
+   * and has not started yet is returned instead of adding a duplicate.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} type - Job type, e.g. 'sync.full'
+   * @param {Object} payload - Handler options
+   * @param {Object} options - { maxAttempts, client: queue the job in the caller's open
+   *   transaction, so it is only queued if that transaction commits }
+   * @returns {Object} - jobs row
+   */
+  async enqueue(merchantId, type, payload = {}, { maxAttempts = 3, client = null } = {}) {
+    if (client) {
+      return this.#insertJob(client, merchantId, type, payload, maxAttempts);
+    }
+
+    const ownClient = await db.connect();
+    try {
+      await ownClient.query('BEGIN');
+      const job = await this.#insertJob(ownClient, merchantId, type, payload, maxAttempts);
+      await ownClient.query('COMMIT');
+      return job;
+    } catch (error) {
+      await ownClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+  }
+
+  /**
+   * Claim the oldest runnable job, skipping merchants that already have
+   * maxPerMerchant jobs running.
+   * @param {string} workerId - Identifier of the claiming worker
+   * @param {Object} options - { maxPerMerchant, jobId: only claim this job }
+   * @returns {Object|null} - Claimed jobs row, or null when nothing is runnable
+   */
+  async claimNext(workerId, { maxPerMerchant = 1, jobId = null } = {}) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [CLAIM_LOCK_KEY]);
+
+      const result = await client.query(`
+        WITH candidate AS (
+          SELECT j.id
+          FROM jobs j
+          WHERE j.status = 'queued'
+            AND j.run_at <= NOW()
+            AND ($3::uuid IS NULL OR j.id = $3)
+            AND (
+              SELECT COUNT(*) FROM jobs r
+              WHERE r.merchant_id = j.merchant_id AND r.status = 'running'
+            ) < $2
+          ORDER BY j.run_at, j.created_at
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        UPDATE jobs SET
+          status = 'running',
+          attempts = jobs.attempts + 1,
+          locked_by = $1,
+          heartbeat_at = NOW(),
+          started_at = COALESCE(jobs.started_at, NOW())
+        FROM candidate
+        WHERE jobs.id = candidate.id
+        RETURNING jobs.*
+      `, [workerId, maxPerMerchant, jobId]);
+
+      await client.query('COMMIT');
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark a running job succeeded
+   * @param {string} jobId - Job ID
+   * @param {Object} result - Handler result, returned by GET /api/jobs/:id
+   */
+  async complete(jobId, result) {
+    await db.query(`
+      UPDATE jobs SET
+        status = 'succeeded',
+        result = $2,
+        locked_by = NULL,
+        finished_at = NOW()
+      WHERE id = $1
+    `, [jobId, JSON.stringify(result ?? null)]);
+  }
+
+  /**
+   * Record a failed attempt. The job is requeued with exponential backoff until
+   * max_attempts is reached, unless the error is marked retryable = false.
+   * @param {Object} job - Claimed jobs row
+   * @param {Error} error - Failure
+   * @param {Object} result - Partial handler result, if any
+   * @returns {string} - New status: 'queued' or 'failed'
+   */
+  async fail(job, error, result = null) {
+    const retry = error.retryable !== false && job.attempts < job.max_attempts;
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** Math.max(0, job.attempts - 1);
+
+    await db.query(`
+      UPDATE jobs SET
+        status = $2,
+        last_error = $3,
+        result = COALESCE($4, result),
+        run_at = CASE WHEN $2 = 'queued' THEN NOW() + make_interval(secs => $5) ELSE run_at END,
+        locked_by = NULL,
+        finished_at = CASE WHEN $2 = 'failed' THEN NOW() ELSE NULL END
+      WHERE id = $1
+    `, [job.id, retry ? 'queued' : 'failed', error.message, result ? JSON.stringify(result) : null, delaySeconds]);
+
+    return retry ? 'queued' : 'failed';
+  }
+
+  /**
+   * Keep a running job's lease alive
+   * @param {string} jobId - Job ID
+   * @param {string} workerId - Worker holding the job
+   */
+  async heartbeat(jobId, workerId) {
+    await db.query(
+      "UPDATE jobs SET heartbeat_at = NOW() WHERE id = $1 AND locked_by = $2 AND status = 'running'",
+      [jobId, workerId]
+    );
+  }
+
+  /**
+   * Requeue (or fail, when out of attempts) running jobs whose worker stopped heartbeating.
+   * Their sync runs still marked running are failed in the same statement, so the retry
+   * resumes from the run's cursor (jobWorker previousFailedRun) instead of starting over.
+   * @param {number} timeoutMs - Heartbeat age after which a job is considered abandoned
+   * @returns {number} - Number of jobs recovered
+   */
+  async recoverStale(timeoutMs) {
+    const result = await db.query(`
+      WITH stale AS (
+        UPDATE jobs SET
+          status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+          last_error = 'Worker stopped responding',
+          locked_by = NULL,
+          finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END
+        WHERE status = 'running'
+          AND heartbeat_at < NOW() - make_interval(secs => $1)
+        RETURNING id
+      ), runs AS (
+        UPDATE sync_runs SET
+          status = 'failed',
+          errors = '["Worker stopped responding"]'::jsonb,
+          finished_at = NOW()
+        WHERE status = 'running'
+          AND job_id IN (SELECT id FROM stale)
+      )
+      SELECT COUNT(*)::int AS recovered FROM stale
+    `, [timeoutMs / 1000]);
+    return result.rows[0].recovered;
+  }
+
+  /**
+   * Public view of a job for API responses
+   * @param {Object} job - jobs row
+   * @returns {Object}
+   */
+  describe(job) {
+    return {
+      job_id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      max_attempts: job.max_attempts,
+      payload: job.payload,
+      result: job.result ?? null,
+      error: job.last_error ?? null,
+      run_at: job.run_at,
+      created_at: job.created_at,
+      started_at: job.started_at ?? null,
+      finished_at: job.finished_at ?? null,
+      status_url: `/api/jobs/${job.id}`
+    };
+  }
+
+  /**
+   * Get a merchant's job
+   * @param {string} jobId - Job ID
+   * @param {string} merchantId - UUID of the merchant
+   * @returns {Object|null}
+   */
+  async getById(jobId, merchantId) {
+    const result = await db.query(
+      'SELECT * FROM jobs WHERE id = $1 AND merchant_id = $2',
+      [jobId, merchantId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  // --------------- private helpers ---------------
+
+  async #insertJob(client, merchantId, type, payload, maxAttempts) {
+    // Per-merchant lock so concurrent requests see each other's queued job
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`jobs:${merchantId}`]);
+
+    const existing = await client.query(`
+      SELECT * FROM jobs
+      WHERE merchant_id = $1 AND type = $2 AND payload = $3::jsonb
+        AND status = 'queued' AND attempts = 0
+      ORDER BY created_at
+      LIMIT 1
+    `, [merchantId, type, JSON.stringify(payload)]);
+    if (existing.rows.length > 0) {
+      return { ...existing.rows[0], deduplicated: true };
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO jobs (merchant_id, type, payload, max_attempts)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [merchantId, type, JSON.stringify(payload), maxAttempts]);
+    return inserted.rows[0];
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,176 @@
+// services/jobWorker.js
+const os = require('os');
+const jobQueueService = require('./jobQueueService');
+const syncRunService = require('./syncRunService');
+const syncService = require('./syncService');
+const productService = require('./productService');
+const orderService = require('./orderService');
+const { getMerchantClient } = require('./cloverService');
+
+// Errors a retry cannot fix: the merchant has to reconnect Clover first
+const PERMANENT_ERRORS = ['No Clover token found', 'expired', 'Merchant not found', 'No Clover merchant ID'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A retried sync job continues the run its previous attempt left behind instead of starting over.
+ */
+async function previousFailedRun(job) {
+  if (job.attempts <= 1) return null;
+  const run = await syncRunService.getLatestForJob(job.id);
+  return run && run.status === 'failed' ? run : null;
+}
+
+async function syncOrdersForJob(job, options) {
+  const { accessToken, cloverMerchantId } = await getMerchantClient(job.merchant_id);
+  return orderService.syncOrders(job.merchant_id, accessToken, cloverMerchantId, options);
+}
+
+/**
+ * Job handlers by type. Each returns the sync result stored on the job.
+ */
+const JOB_HANDLERS = {
+  'sync.full': async (job) => syncService.performFullSync(job.merchant_id, {
+    ...job.payload,
+    resumeRun: await previousFailedRun(job),
+    jobId: job.id
+  }),
+
+  'sync.catalog': async (job) => productService.syncAllProducts(job.merchant_id, {
+    ...job.payload,
+    resumeRun: await previousFailedRun(job),
+    jobId: job.id
+  }),
+
+  'sync.orders': async (job) => syncOrdersForJob(job, {
+    ...job.payload,
+    resumeRun: await previousFailedRun(job),
+    jobId: job.id
+  }),
+
+  'sync.resume': async (job) => {
+    const run = (await previousFailedRun(job)) ||
+      await syncRunService.getById(job.payload.runId, job.merchant_id);
+    if (!run) {
+      throw Object.assign(new Error('Sync run not found'), { retryable: false });
+    }
+
+    if (run.sync_type === 'full') {
+      return syncService.performFullSync(job.merchant_id, { resumeRun: run, jobId: job.id });
+    }
+    if (run.sync_type === 'catalog') {
+      return productService.syncAllProducts(job.merchant_id, { ...run.options, resumeRun: run, jobId: job.id });
+    }
+    if (run.sync_type === 'orders') {
+      return syncOrdersForJob(job, { resumeRun: run, jobId: job.id });
+    }
+    throw Object.assign(new Error(`Unsupported sync type: ${run.sync_type}`), { retryable: false });
+  }
+};
+
+/**
+ * Polls the jobs table and executes jobs, at most `concurrency` at a time per process
+ * and `maxPerMerchant` at a time per merchant across all workers.
+ * Run it with `npm run worker` (see worker.js).
+ */
+class JobWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+    this.maxPerMerchant = parseInt(process.env.JOB_MAX_PER_MERCHANT) || 1;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.staleAfterMs = parseInt(process.env.JOB_STALE_AFTER_MS) || 5 * 60 * 1000;
+    this.handlers = { ...JOB_HANDLERS };
+    this.active = new Set();
+    this.running = false;
+  }
+
+  /**
+   * Start polling until stop() is called
+   */
+  async start() {
+    this.running = true;
+    console.log(`Job worker ${this.workerId} started (concurrency=${this.concurrency}, per merchant=${this.maxPerMerchant})`);
+
+    let lastRecovery = 0;
+    while (this.running) {
+      try {
+        if (Date.now() - lastRecovery >= this.staleAfterMs) {
+          lastRecovery = Date.now();
+          const recovered = await jobQueueService.recoverStale(this.staleAfterMs);
+          if (recovered > 0) console.warn(`Recovered ${recovered} stale job(s)`);
+        }
+
+        while (this.running && this.active.size < this.concurrency) {
+          const job = await jobQueueService.claimNext(this.workerId, { maxPerMerchant: this.maxPerMerchant });
+          if (!job) break;
+
+          const execution = this.#execute(job)
+            .catch(error => console.error(`Job ${job.id} could not be recorded:`, error.message))
+            .finally(() => this.active.delete(execution));
+          this.active.add(execution);
+        }
+      } catch (error) {
+        console.error('Job worker poll failed:', error.message);
+      }
+
+      await sleep(this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop() {
+    this.running = false;
+    await Promise.allSettled([...this.active]);
+  }
+
+  /**
+   * Claim and execute a single job, waiting for it to finish
+   * @param {Object} options - { jobId: only run this job }
+   * @returns {Object|null} - { id, status } or null when nothing was runnable
+   */
+  async runNext({ jobId = null } = {}) {
+    const job = await jobQueueService.claimNext(this.workerId, { maxPerMerchant: this.maxPerMerchant, jobId });
+    if (!job) return null;
+    return { id: job.id, status: await this.#execute(job) };
+  }
+
+  async #execute(job) {
+    const heartbeat = setInterval(() => {
+      jobQueueService.heartbeat(job.id, this.workerId)
+        .catch(error => console.error(`Heartbeat failed for job ${job.id}:`, error.message));
+    }, Math.max(1000, Math.floor(this.staleAfterMs / 3)));
+    heartbeat.unref();
+
+    console.log(`Running job ${job.id} (${job.type}) for merchant ${job.merchant_id}, attempt ${job.attempts}`);
+    let result = null;
+    try {
+      const handler = this.handlers[job.type];
+      if (!handler) {
+        throw Object.assign(new Error(`Unknown job type: ${job.type}`), { retryable: false });
+      }
+
+      result = await handler(job);
+      // performFullSync reports failures in its result instead of throwing
+      if (result && result.success === false) {
+        throw new Error(result.error || `${job.type} failed`);
+      }
+
+      await jobQueueService.complete(job.id, result);
+      return 'succeeded';
+    } catch (error) {
+      if (PERMANENT_ERRORS.some(message => error.message.includes(message))) {
+        error.retryable = false;
+      }
+      const status = await jobQueueService.fail(job, error, result);
+      console.error(`Job ${job.id} (${job.type}) failed, now ${status}:`, error.message);
+      return status;
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = new JobWorker();
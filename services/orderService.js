@@ -1,6 +1,9 @@
 // services/orderService.js
 const db = require('../config/database');
-const { fetchPaged } = require('./cloverService');
+const { createClient, fetchPaged } = require('./cloverService');
+const syncRunService = require('./syncRunService');
+const refundService = require('./refundService');
+const paymentService = require('./paymentService');
 
 /**
  * Service for syncing Clover orders into the local database
@@ -17,32 +20,46 @@ class OrderService {
    * @param {boolean} options.prune - Whether to mark unmatched local transactions (default false)
    * @param {number} options.modifiedSince - Only sync orders modified since this timestamp (milliseconds)
    * @param {number} options.modifiedUntil - Only sync orders modified before this timestamp (milliseconds)
+   * @param {string} options.mode - 'delta' starts from the orders watermark instead of the beginning (prune is skipped)
+   * @param {Object} options.resumeRun - Failed sync_runs row to continue from its modifiedTime cursor (prune is skipped)
+   * @param {string} options.jobId - Job executing the sync
    * @returns {Object} - Sync results with counts
    */
-  async syncOrders(merchantId, accessToken, cloverMerchantId, { limit = 100, prune = false, modifiedSince = null, modifiedUntil = null } = {}) {
+  async syncOrders(merchantId, accessToken, cloverMerchantId, { limit = 100, prune = false, modifiedSince = null, modifiedUntil = null, mode = 'full', resumeRun = null, jobId = null } = {}) {
     const startTime = new Date();
-    const axios = require('axios');
-    
-    // Create Clover client with merchant's token
-    const baseURL = process.env.CLOVER_BASE_URL?.trim() || 
-      (process.env.CLOVER_ENVIRONMENT?.toLowerCase() === 'sandbox'
-        ? 'https://sandbox.dev.clover.com'
-        : 'https://api.clover.com');
 
-    const cloverClient = axios.create({
-      baseURL,
-      headers: { 
-        Authorization: `Bearer ${accessToken.trim()}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000,
-      validateStatus: s => s < 500,
+    // Only an open-ended run that starts at the beginning or at the watermark may move the watermark
+    const requested = resumeRun ? (resumeRun.options || {}) : { modifiedSince, modifiedUntil, mode };
+    const advancesWatermark = !requested.modifiedUntil && (!requested.modifiedSince || requested.mode === 'delta');
+
+    if (resumeRun) {
+      // Orders are fetched oldest-modified first, so the cursor's modifiedTime is a safe restart point
+      const previous = resumeRun.options || {};
+      modifiedSince = resumeRun.cursor?.modifiedTime ?? previous.modifiedSince ?? null;
+      modifiedUntil = previous.modifiedUntil ?? null;
+      limit = previous.limit || limit;
+      mode = previous.mode || mode;
+      prune = false; // a resumed run only sees part of the order history
+    } else if (mode === 'delta') {
+      modifiedSince = modifiedSince ?? await syncRunService.getWatermark(merchantId, 'orders', 'orders');
+      prune = false; // a delta run only sees recently modified orders
+    }
+
+    const runId = await syncRunService.start(merchantId, 'orders', {
+      options: { limit, prune, mode, modifiedSince, modifiedUntil },
+      resumedFrom: resumeRun?.id || null,
+      cursor: resumeRun?.cursor || null,
+      jobId
     });
 
+    // Create Clover client with merchant's token
+    const cloverClient = createClient(accessToken, merchantId);
+
     let processed = 0;
     let inserted = 0;
     let updated = 0;
     let errors = [];
+    let lastModifiedTime = null;
     const cloverOrderIds = new Set();
 
     const client = await db.connect();
@@ -50,7 +67,7 @@ class OrderService {
     try {
       const path = `/v3/merchants/${cloverMerchantId}/orders`;
       const params = { 
-        expand: 'lineItems'
+        expand: 'lineItems,refunds'
       };
       
       // Build date range filter
@@ -69,7 +86,7 @@ class OrderService {
       params.filter = filters.join(' AND ');
       params.orderBy = 'modifiedTime ASC';
       
-      await fetchPaged(path, { limit, params }, async (orders) => {
+      await fetchPaged(path, { limit, params }, async (orders, page = {}) => {
         console.log(`Processing batch of ${orders.length} orders. Total processed so far: ${processed}`);
         
         for (const order of orders) {
@@ -80,178 +97,37 @@ class OrderService {
             cloverOrderIds.add(cloverOrderId);
             processed++;
 
-            // Map order fields - use clover order ID as external_id if not provided
-            const externalId = order.externalId || cloverOrderId;
-            
-            // Capture employee ID from order (for future use/tracking)
-            const cloverEmployeeId = order.employee?.id || null;
-            
-            // Calculate subtotal from line items
-            // Use line item total if available, otherwise price (which should already be the line total)
-            let subtotalCents = 0;
-            if (order.lineItems && order.lineItems.elements) {
-              for (const li of order.lineItems.elements) {
-                // Clover's lineItem.price is already the total for that line (price * quantity)
-                // But we should use lineItem.total if available for accuracy
-                subtotalCents += (li.total || li.price || 0);
-              }
-            }
-            
-            // Use Clover's total as source of truth
-            const totalCents = order.total || 0;
-            
-            // Calculate tax/discount to satisfy CHECK constraint: total = subtotal + tax - discount
-            // If total < subtotal, it's a discount. Otherwise, difference is tax.
-            let taxCents = 0;
-            let discountCents = 0;
-            
-            const difference = totalCents - subtotalCents;
-            if (difference >= 0) {
-              // Total is higher than subtotal - difference is tax
-              taxCents = difference;
-            } else {
-              // Total is lower than subtotal - difference is discount
-              discountCents = Math.abs(difference);
-            }
-            const status = order.state; // Use exact Clover state value
-            const orderFromSc = false; // These are Clover-origin orders
-            
-            // Set completed_at if payment state indicates paid
-            const completedAt = order.paymentState === 'PAID' ? new Date() : null;
-            
-            // Note: cloverEmployeeId is captured but not stored yet
-            // TODO: Add employee_clover_id column to transactions table to track this
-
-            // Check if transaction exists
-            const existingResult = await client.query(
-              'SELECT id FROM transactions WHERE merchant_id = $1 AND clover_order_id = $2',
-              [merchantId, cloverOrderId]
-            );
-
-            let transactionId;
-            let wasInserted;
-
-            if (existingResult.rows.length > 0) {
-              // Update existing transaction
-              transactionId = existingResult.rows[0].id;
-              wasInserted = false;
-              
-              await client.query(`
-                UPDATE transactions SET
-                  external_id = $1,
-                  subtotal_cents = $2,
-                  tax_cents = $3,
-                  discount_cents = $4,
-                  total_cents = $5,
-                  status = $6,
-                  completed_at = COALESCE($7, completed_at)
-                WHERE id = $8
-              `, [
-                externalId,
-                subtotalCents,
-                taxCents,
-                discountCents,
-                totalCents,
-                status,
-                completedAt,
-                transactionId
-              ]);
-            } else {
-              // Insert new transaction
-              const insertResult = await client.query(`
-                INSERT INTO transactions (
-                  merchant_id, clover_order_id, external_id, 
-                  subtotal_cents, tax_cents, discount_cents, total_cents,
-                  status, order_from_sc, completed_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                RETURNING id
-              `, [
-                merchantId,
-                cloverOrderId,
-                externalId,
-                subtotalCents,
-                taxCents,
-                discountCents,
-                totalCents,
-                status,
-                orderFromSc,
-                completedAt
-              ]);
-              
-              transactionId = insertResult.rows[0].id;
-              wasInserted = true;
-            }
-            
+            const { inserted: wasInserted } = await this.upsertOrder(client, merchantId, order);
             if (wasInserted) {
               inserted++;
             } else {
               updated++;
             }
 
-            // Delete existing transaction_items for idempotency
-            await client.query(
-              'DELETE FROM transaction_items WHERE transaction_id = $1',
-              [transactionId]
-            );
-
-            // Insert transaction_items from line items
-            if (order.lineItems && order.lineItems.elements) {
-              for (const li of order.lineItems.elements) {
-                const cloverItemId = li.item?.id || null;
-                
-                // Look up product_id by clover_item_id
-                let productId = null;
-                if (cloverItemId) {
-                  const productResult = await client.query(
-                    'SELECT id FROM products WHERE merchant_id = $1 AND clover_item_id = $2 LIMIT 1',
-                    [merchantId, cloverItemId]
-                  );
-                  if (productResult.rows.length > 0) {
-                    productId = productResult.rows[0].id;
-                  }
-                }
-
-                const productName = li.name || null;
-                const variantInfo = JSON.stringify(li.variant || li.modifier || {});
-                const quantity = Number.isFinite(li.quantity) ? li.quantity : 1;
-                const unitPriceCents = li.price || 0;
-                const lineDiscountCents = 0; // Not tracking discounts
-                const lineTotalCents = li.total || (unitPriceCents * quantity);
+            await client.query('COMMIT');
 
-                await client.query(`
-                  INSERT INTO transaction_items (
-                    transaction_id, product_id, clover_item_id,
-                    product_name, variant_info, quantity,
-                    unit_price_cents, discount_cents, line_total_cents
-                  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                `, [
-                  transactionId,
-                  productId,
-                  cloverItemId,
-                  productName,
-                  variantInfo,
-                  quantity,
-                  unitPriceCents,
-                  lineDiscountCents,
-                  lineTotalCents
-                ]);
-              }
+            if (Number.isFinite(order.modifiedTime)) {
+              lastModifiedTime = Math.max(lastModifiedTime ?? 0, order.modifiedTime);
             }
-
-            await client.query('COMMIT');
           } catch (error) {
             await client.query('ROLLBACK');
             console.error(`Error syncing order ${order.id}:`, error);
             errors.push(`Order ${order.id}: ${error.message}`);
           }
         }
+
+        await syncRunService.checkpoint(runId, {
+          cursor: { modifiedTime: lastModifiedTime ?? modifiedSince, offset: (page.offset || 0) + orders.length },
+          counts: { processed, inserted, updated },
+          lastModifiedTime
+        });
       }, cloverClient);
 
       // Mark unmatched local transactions for delete
       let markedForDelete = 0;
       let unmatched = [];
       
-      if (cloverOrderIds.size > 0) {
+      if (prune && cloverOrderIds.size > 0) {
         const cloverOrderIdArray = Array.from(cloverOrderIds);
         
         // Find local transactions not in Clover using ANY for safe parameterized query
@@ -283,9 +159,20 @@ class OrderService {
       const endTime = new Date();
       const duration = `${endTime - startTime}ms`;
 
+      await syncRunService.finish(runId, {
+        status: 'succeeded',
+        counts: { processed, inserted, updated, marked_for_delete: markedForDelete },
+        errors
+      });
+      // Keep failed orders inside the next delta window
+      if (advancesWatermark && errors.length === 0) {
+        await syncRunService.advanceWatermark(merchantId, 'orders', 'orders', lastModifiedTime);
+      }
+
       return {
         success: true,
         enabled: true,
+        run_id: runId,
         processed,
         inserted,
         updated,
@@ -297,11 +184,200 @@ class OrderService {
       };
     } catch (error) {
       console.error('Order sync failed:', error);
+      await syncRunService.finish(runId, {
+        status: 'failed',
+        counts: { processed, inserted, updated },
+        errors: [...errors, error.message]
+      });
       throw error;
     } finally {
       client.release();
     }
   }
+
+  /**
+   * Upsert one Clover order into transactions and replace its transaction_items
+   * @param {Object} client - Database client (inside the caller's transaction)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} order - Clover order (with expanded lineItems and refunds)
+   * @returns {Object} - { transactionId, inserted }
+   */
+  async upsertOrder(client, merchantId, order) {
+    const cloverOrderId = order.id;
+
+    // Map order fields - use clover order ID as external_id if not provided
+    const externalId = order.externalId || cloverOrderId;
+    
+    // Capture employee ID from order (for future use/tracking)
+    const cloverEmployeeId = order.employee?.id || null;
+    
+    // Calculate subtotal from line items
+    // Use line item total if available, otherwise price (which should already be the line total)
+    let subtotalCents = 0;
+    if (order.lineItems && order.lineItems.elements) {
+      for (const li of order.lineItems.elements) {
+        // Clover's lineItem.price is already the total for that line (price * quantity)
+        // But we should use lineItem.total if available for accuracy
+        subtotalCents += (li.total || li.price || 0);
+      }
+    }
+    
+    // Use Clover's total as source of truth
+    const totalCents = order.total || 0;
+    
+    // Calculate tax/discount to satisfy CHECK constraint: total = subtotal + tax - discount
+    // If total < subtotal, it's a discount. Otherwise, difference is tax.
+    let taxCents = 0;
+    let discountCents = 0;
+    
+    const difference = totalCents - subtotalCents;
+    if (difference >= 0) {
+      // Total is higher than subtotal - difference is tax
+      taxCents = difference;
+    } else {
+      // Total is lower than subtotal - difference is discount
+      discountCents = Math.abs(difference);
+    }
+    const status = order.state; // Use exact Clover state value
+    const orderFromSc = false; // These are Clover-origin orders
+    
+    // Set completed_at if payment state indicates paid
+    const completedAt = order.paymentState === 'PAID' ? new Date() : null;
+    
+    // Note: cloverEmployeeId is captured but not stored yet
+    // TODO: Add employee_clover_id column to transactions table to track this
+
+    // Check if transaction exists
+    const existingResult = await client.query(
+      'SELECT id FROM transactions WHERE merchant_id = $1 AND clover_order_id = $2',
+      [merchantId, cloverOrderId]
+    );
+
+    let transactionId;
+    let wasInserted;
+
+    if (existingResult.rows.length > 0) {
+      // Update existing transaction
+      transactionId = existingResult.rows[0].id;
+      wasInserted = false;
+      
+      await client.query(`
+        UPDATE transactions SET
+          external_id = $1,
+          subtotal_cents = $2,
+          tax_cents = $3,
+          discount_cents = $4,
+          total_cents = $5,
+          status = $6,
+          completed_at = COALESCE($7, completed_at)
+        WHERE id = $8
+      `, [
+        externalId,
+        subtotalCents,
+        taxCents,
+        discountCents,
+        totalCents,
+        status,
+        completedAt,
+        transactionId
+      ]);
+    } else {
+      // Insert new transaction
+      const insertResult = await client.query(`
+        INSERT INTO transactions (
+          merchant_id, clover_order_id, external_id, 
+          subtotal_cents, tax_cents, discount_cents, total_cents,
+          status, order_from_sc, completed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+      `, [
+        merchantId,
+        cloverOrderId,
+        externalId,
+        subtotalCents,
+        taxCents,
+        discountCents,
+        totalCents,
+        status,
+        orderFromSc,
+        completedAt
+      ]);
+      
+      transactionId = insertResult.rows[0].id;
+      wasInserted = true;
+    }
+    
+    // Keep the cost snapshotted when the order was first synced, so later cost changes don't rewrite margins
+    const snapshotResult = await client.query(
+      'SELECT product_id, clover_item_id, unit_cost_cents FROM transaction_items WHERE transaction_id = $1 AND unit_cost_cents IS NOT NULL',
+      [transactionId]
+    );
+    const snapshotCosts = new Map(snapshotResult.rows.map(row => [row.clover_item_id || row.product_id, row.unit_cost_cents]));
+
+    // Delete existing transaction_items for idempotency
+    await client.query(
+      'DELETE FROM transaction_items WHERE transaction_id = $1',
+      [transactionId]
+    );
+
+    // Insert transaction_items from line items
+    if (order.lineItems && order.lineItems.elements) {
+      for (const li of order.lineItems.elements) {
+        const cloverItemId = li.item?.id || null;
+        
+        // Look up product_id (and its current cost) by clover_item_id
+        let productId = null;
+        let productCostCents = null;
+        if (cloverItemId) {
+          const productResult = await client.query(
+            'SELECT id, cost_cents FROM products WHERE merchant_id = $1 AND clover_item_id = $2 LIMIT 1',
+            [merchantId, cloverItemId]
+          );
+          if (productResult.rows.length > 0) {
+            productId = productResult.rows[0].id;
+            productCostCents = productResult.rows[0].cost_cents;
+          }
+        }
+
+        const productName = li.name || null;
+        const variantInfo = JSON.stringify(li.variant || li.modifier || {});
+        const quantity = Number.isFinite(li.quantity) ? li.quantity : 1;
+        const unitPriceCents = li.price || 0;
+        const lineDiscountCents = 0; // Not tracking discounts
+        const lineTotalCents = li.total || (unitPriceCents * quantity);
+        const unitCostCents = snapshotCosts.get(cloverItemId || productId) ?? productCostCents ?? null;
+
+        await client.query(`
+          INSERT INTO transaction_items (
+            transaction_id, product_id, clover_item_id,
+            product_name, variant_info, quantity,
+            unit_price_cents, discount_cents, line_total_cents, unit_cost_cents
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [
+          transactionId,
+          productId,
+          cloverItemId,
+          productName,
+          variantInfo,
+          quantity,
+          unitPriceCents,
+          lineDiscountCents,
+          lineTotalCents,
+          unitCostCents
+        ]);
+      }
+    }
+
+    // Orders paid in Clover become PAID (and refundable) here, not only through payment webhooks
+    await paymentService.applyCloverOrder(client, transactionId, order);
+
+    // Refunds issued in Clover (on the device, or through the refunds API) count towards refunded_cents
+    if (order.refunds?.elements?.length) {
+      await refundService.recordCloverRefunds(client, merchantId, transactionId, order.refunds.elements);
+    }
+
+    return { transactionId, inserted: wasInserted };
+  }
 }
 
 module.exports = new OrderService();
@@ -0,0 +1,322 @@
+// services/paymentService.js
+const db = require('../config/database');
+const cloverService = require('./cloverService');
+const reservationService = require('./reservationService');
+
+const PAYMENT_METHODS = ['device', 'external'];
+
+// Payment states a transaction may move to from each state
+const TRANSITIONS = {
+  OPEN: ['PENDING_PAYMENT', 'PAID', 'FAILED', 'VOIDED'],
+  PENDING_PAYMENT: ['PAID', 'FAILED', 'VOIDED'],
+  FAILED: ['PENDING_PAYMENT', 'PAID', 'VOIDED'],
+  PAID: ['VOIDED'],
+  VOIDED: []
+};
+
+// Reconcile a transaction that is not settled yet at most this often
+const DEFAULT_RECONCILE_AFTER_MS = 5000;
+
+// Clover order payment states of an order that was paid (refunds don't undo that)
+const PAID_ORDER_STATES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// A payment Clover still has no record of this long after it started is treated as FAILED
+const DEFAULT_PENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Payment state for a Clover payment result; results still in flight (INITIATED, ...) are PENDING_PAYMENT
+ */
+function statusForPaymentResult(result) {
+  switch (result) {
+    case 'SUCCESS':
+    case 'AUTH':
+    case 'AUTH_COMPLETED':
+      return 'PAID';
+    case 'FAIL':
+      return 'FAILED';
+    case 'VOIDED':
+      return 'VOIDED';
+    default:
+      return 'PENDING_PAYMENT';
+  }
+}
+
+/**
+ * Payment state for a Clover order with expanded payments; null when Clover has no answer yet
+ * (no payments), so the local state stands.
+ * A deleted order (null) is VOIDED.
+ */
+function statusForOrder(order) {
+  if (!order) return 'VOIDED';
+
+  const results = (order.payments?.elements || []).map(payment => statusForPaymentResult(payment.result));
+  if (PAID_ORDER_STATES.includes(order.paymentState) || results.includes('PAID')) return 'PAID';
+  if (results.includes('PENDING_PAYMENT')) return 'PENDING_PAYMENT';
+  if (results.length > 0 && results.every(status => status === 'VOIDED')) return 'VOIDED';
+  if (results.includes('FAILED')) return 'FAILED';
+  return null;
+}
+
+function paymentError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Payment lifecycle of kiosk transactions (transactions.payment_status):
+ * OPEN -> PENDING_PAYMENT -> PAID | FAILED, and VOIDED when the order or payment is voided.
+ * A FAILED payment may be retried. Reaching PAID commits the transaction's inventory
+ * reservations; FAILED and VOIDED release them.
+ */
+class PaymentService {
+  /**
+   * @param {string} method - Payment method from the request
+   * @returns {boolean}
+   */
+  isValidMethod(method) {
+    return PAYMENT_METHODS.includes(method);
+  }
+
+  /**
+   * @param {string} status - Payment state from the request
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+  }
+
+  /**
+   * Start paying a checkout's order in Clover
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} externalId - Checkout external ID
+   * @param {Object} options - { method: 'device'|'external', deviceId (device), externalPaymentId (external) }
+   * @returns {Object} - Transaction row after the payment attempt
+   * @throws {Error} - status 404 (unknown checkout) or 409 (already paid, voided or in progress)
+   */
+  async startPayment(merchantId, externalId, { method, deviceId = null, externalPaymentId = null }) {
+    // Claim the transaction first, so two payment requests cannot both reach Clover
+    const transaction = await this.#inTransaction(async (client) => {
+      const tx = await this.#lockTransaction(client, merchantId, externalId);
+      if (tx.payment_status === 'PENDING_PAYMENT') {
+        throw paymentError(409, 'A payment for this checkout is already in progress');
+      }
+      if (!TRANSITIONS[tx.payment_status].includes('PENDING_PAYMENT')) {
+        throw paymentError(409, `Checkout is already ${tx.payment_status}`);
+      }
+      return this.#transition(client, tx, 'PENDING_PAYMENT', {
+        payment_method: method,
+        payment_error: null,
+        payment_started_at: new Date()
+      });
+    });
+
+    // Clover limits externalPaymentId to 32 characters
+    const reference = externalPaymentId || transaction.external_id.replace(/-/g, '').slice(0, 32);
+
+    let payment;
+    let sent = false;
+    try {
+      const merchantClient = await cloverService.getMerchantClient(merchantId);
+      sent = true;
+      payment = method === 'device'
+        ? await cloverService.startDevicePayment(merchantClient, {
+          deviceId, amount: transaction.total_cents, externalPaymentId: reference
+        })
+        : await cloverService.initiatePayment(
+          merchantClient, transaction.clover_order_id, transaction.total_cents, reference
+        );
+    } catch (error) {
+      console.error(`Payment for checkout ${externalId} failed:`, error.message);
+      // Once sent, only a 4xx answer means Clover rejected it; after a 5xx or a timeout the outcome
+      // is unknown, so stay PENDING_PAYMENT until getStatus() finds out
+      const rejected = error.status >= 400 && error.status < 500;
+      if (sent && !rejected) {
+        return transaction;
+      }
+      return this.#inTransaction(async (client) => {
+        const tx = await this.#lockTransaction(client, merchantId, externalId);
+        // A payment webhook may have settled it meanwhile
+        if (!TRANSITIONS[tx.payment_status].includes('FAILED')) return tx;
+        return this.#transition(client, tx, 'FAILED', { payment_error: error.message });
+      });
+    }
+
+    return this.#inTransaction(async (client) => {
+      const tx = await this.#lockTransaction(client, merchantId, externalId);
+      return this.#applyPayment(client, tx, payment);
+    });
+  }
+
+  /**
+   * Transaction for a checkout, reconciled with Clover's payments for its order when the
+   * payment is not settled and was last checked more than PAYMENT_RECONCILE_AFTER_MS ago.
+   * A PENDING_PAYMENT whose order still has no payment PAYMENT_PENDING_TIMEOUT_MS after it
+   * started becomes FAILED, so the checkout can be paid again.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} externalId - Checkout external ID
+   * @param {Object} options - { force: reconcile regardless of when it was last checked }
+   * @returns {Object|null} - Transaction row, or null when there is no such checkout
+   */
+  async getStatus(merchantId, externalId, { force = false } = {}) {
+    const { rows } = await db.query(
+      'SELECT * FROM transactions WHERE merchant_id = $1 AND external_id = $2',
+      [merchantId, externalId]
+    );
+    const transaction = rows[0];
+    if (!transaction) return null;
+
+    const reconcileAfterMs = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MS) || DEFAULT_RECONCILE_AFTER_MS;
+    const checkedAt = transaction.payment_checked_at ? new Date(transaction.payment_checked_at).getTime() : 0;
+    const settled = ['PAID', 'VOIDED'].includes(transaction.payment_status);
+    if (!transaction.clover_order_id || (!force && (settled || Date.now() - checkedAt < reconcileAfterMs))) {
+      return transaction;
+    }
+
+    const merchantClient = await cloverService.getMerchantClient(merchantId);
+    const order = await cloverService.fetchObject(
+      merchantClient, `orders/${transaction.clover_order_id}`, { expand: 'payments' }
+    );
+
+    return this.#inTransaction(async (client) => {
+      const tx = await this.#lockTransaction(client, merchantId, externalId);
+      let status = statusForOrder(order);
+      const pendingTimeoutMs = parseInt(process.env.PAYMENT_PENDING_TIMEOUT_MS) || DEFAULT_PENDING_TIMEOUT_MS;
+      const startedAt = tx.payment_started_at ? new Date(tx.payment_started_at).getTime() : 0;
+      if (!status && tx.payment_status === 'PENDING_PAYMENT' && Date.now() - startedAt >= pendingTimeoutMs) {
+        status = 'FAILED';
+      }
+      const payment = (order?.payments?.elements || []).find(p => statusForPaymentResult(p.result) === status);
+      const fields = { payment_checked_at: new Date() };
+      if (payment) fields.clover_payment_id = payment.id;
+
+      if (!status || status === tx.payment_status || !TRANSITIONS[tx.payment_status].includes(status)) {
+        return this.#update(client, tx, fields);
+      }
+      if (status === 'FAILED' && !payment) fields.payment_error = 'No payment received by Clover';
+      return this.#transition(client, tx, status, fields);
+    });
+  }
+
+  /**
+   * Apply a Clover payment (from a P: webhook) to the transaction it pays for
+   * @param {Object} client - Database client in a transaction
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} payment - Clover payment with expanded order
+   * @returns {Object|null} - Updated transaction row, or null when no transaction matches
+   */
+  async applyCloverPayment(client, merchantId, payment) {
+    const { rows } = await client.query(
+      `SELECT * FROM transactions
+       WHERE merchant_id = $1
+         AND (clover_payment_id = $2 OR external_id = $3 OR clover_order_id = $4)
+       LIMIT 1
+       FOR UPDATE`,
+      [merchantId, payment.id, payment.externalPaymentId || null, payment.order?.id || null]
+    );
+    if (rows.length === 0) return null;
+    return this.#applyPayment(client, rows[0], payment);
+  }
+
+  /**
+   * Move a transaction to the payment state of its Clover order (orders sync and O: webhooks),
+   * so orders paid at the register can be refunded
+   * @param {Object} client - Database client in a transaction
+   * @param {string} transactionId - UUID of the transaction
+   * @param {Object} order - Clover order (paymentState, and payments when expanded)
+   * @returns {Object|null} - Transaction row, or null when there is no such transaction
+   */
+  async applyCloverOrder(client, transactionId, order) {
+    const { rows } = await client.query('SELECT * FROM transactions WHERE id = $1 FOR UPDATE', [transactionId]);
+    if (rows.length === 0) return null;
+    const tx = rows[0];
+    const status = statusForOrder(order);
+    if (!status || status === tx.payment_status || !TRANSITIONS[tx.payment_status].includes(status)) return tx;
+    return this.#transition(client, tx, status, {});
+  }
+
+  /**
+   * Mark the transaction of a deleted Clover order VOIDED
+   * @param {Object} client - Database client in a transaction
+   * @param {string} transactionId - UUID of the transaction
+   */
+  async voidTransaction(client, transactionId) {
+    const { rows } = await client.query('SELECT * FROM transactions WHERE id = $1 FOR UPDATE', [transactionId]);
+    if (rows.length === 0 || !TRANSITIONS[rows[0].payment_status].includes('VOIDED')) return;
+    await this.#transition(client, rows[0], 'VOIDED', {});
+  }
+
+  // --------------- private helpers ---------------
+
+  async #applyPayment(client, tx, payment) {
+    const status = statusForPaymentResult(payment?.result);
+    const fields = {
+      clover_payment_id: payment?.id || tx.clover_payment_id,
+      payment_checked_at: new Date(),
+      payment_error: status === 'FAILED' ? `Clover payment result: ${payment.result}` : null
+    };
+    if (status === tx.payment_status || !TRANSITIONS[tx.payment_status].includes(status)) {
+      return this.#update(client, tx, fields);
+    }
+    return this.#transition(client, tx, status, fields);
+  }
+
+  /**
+   * Move a locked transaction to a new payment state and settle its reservations
+   */
+  async #transition(client, tx, status, fields) {
+    const updated = await this.#update(client, tx, {
+      ...fields,
+      payment_status: status,
+      ...(status === 'PAID' ? { completed_at: new Date() } : {})
+    });
+
+    if (status === 'PAID') {
+      await reservationService.commit(client, tx.id);
+    } else if (status === 'FAILED') {
+      await reservationService.release(client, tx.id, 'payment_failed');
+    } else if (status === 'VOIDED') {
+      await reservationService.release(client, tx.id, 'voided');
+    }
+    console.log(`Checkout ${tx.external_id} payment ${tx.payment_status} -> ${status}`);
+    return updated;
+  }
+
+  async #update(client, tx, fields) {
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return tx;
+    const { rows } = await client.query(
+      `UPDATE transactions SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [tx.id, ...columns.map(column => fields[column])]
+    );
+    return rows[0] || { ...tx, ...fields };
+  }
+
+  async #lockTransaction(client, merchantId, externalId) {
+    const { rows } = await client.query(
+      'SELECT * FROM transactions WHERE merchant_id = $1 AND external_id = $2 FOR UPDATE',
+      [merchantId, externalId]
+    );
+    if (rows.length === 0) {
+      throw paymentError(404, 'Transaction not found');
+    }
+    return rows[0];
+  }
+
+  async #inTransaction(fn) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new PaymentService();
@@ -1,184 +1,268 @@
 // services/productService.js
 const db = require('../config/database');
-const { clover, fetchPaged, CLOVER_MERCHANT_ID } = require('./cloverService');
+const { getMerchantClient, fetchPaged, modifiedSinceParams } = require('./cloverService');
+const syncRunService = require('./syncRunService');
+const syncService = require('./syncService');
+const inventoryMovementService = require('./inventoryMovementService');
+const catalogOwnershipService = require('./catalogOwnershipService');
+const cloverCatalogPushService = require('./cloverCatalogPushService');
+
+const CATALOG_STAGES = ['categories', 'products', 'inventory'];
 
 class ProductService {
   /**
-   * Full backfill every call (idempotent):
-   * 1) Ensure merchants row
+   * Catalog backfill (idempotent) for one merchant:
+   * 1) Resolve the merchant's Clover client (token + Clover merchant ID)
    * 2) Categories -> upsert
    * 3) Items (each Clover Item -> one products row) -> upsert
    * 4) Item stocks -> inventory upsert (1:1 with product)
+   * Each page commits on its own and is checkpointed in sync_runs, so a failed run
+   * can be resumed from its { stage, offset } cursor.
+   * mode 'delta' only fetches objects modified since each entity's sync_watermarks entry;
+   * every completed stage (either mode) advances it.
+   * Existing categories and products only take Clover's value for fields Clover owns
+   * (catalogOwnershipService); locally owned fields keep the local value.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { limit, mode: 'full'|'delta', resumeRun, jobId } where resumeRun is a failed sync_runs row
    */
-  async syncAllProducts({ limit = 100 } = {}) {
-    if (!CLOVER_MERCHANT_ID) throw new Error('CLOVER_MERCHANT_ID not set');
+  async syncAllProducts(merchantId, { limit = 100, mode = 'full', resumeRun = null, jobId = null } = {}) {
+    if (!syncService.isValidSyncMode(mode)) {
+      throw new Error(`Invalid sync mode: ${mode}`);
+    }
+    const { http, cloverMerchantId } = await getMerchantClient(merchantId);
 
-    const http = clover();
-    const client = await db.connect();
+    const cursor = resumeRun?.cursor?.stage ? resumeRun.cursor : { stage: 'categories', offset: 0 };
+    const startStage = Math.max(0, CATALOG_STAGES.indexOf(cursor.stage));
+    const shouldRun = stage => CATALOG_STAGES.indexOf(stage) >= startStage;
+    const startOffset = stage => (stage === cursor.stage ? cursor.offset || 0 : 0);
 
-    // 0) Ensure merchant exists (by clover_merchant_id)
-    const merchantId = await this.#ensureMerchant(client, http, CLOVER_MERCHANT_ID);
+    const runId = await syncRunService.start(merchantId, 'catalog', {
+      options: { limit, mode },
+      resumedFrom: resumeRun?.id || null,
+      cursor: resumeRun ? cursor : null,
+      jobId
+    });
 
-    // 1) Categories
     let categoriesUpserted = 0;
-    await fetchPaged(
-      `/v3/merchants/${CLOVER_MERCHANT_ID}/categories`,
-      { limit },
-      async (cats) => {
-        await client.query('BEGIN');
-        try {
-          for (const c of cats) {
-            const name = (c.name || 'Uncategorized').trim();
-            const sortOrder = Number.isFinite(c.sortOrder) ? c.sortOrder : 0;
-            const r = await client.query(
-              `
-              INSERT INTO categories (merchant_id, clover_category_id, name, sort_order, active)
-              VALUES ($1, $2, $3, $4, true)
-              ON CONFLICT (merchant_id, clover_category_id) DO UPDATE
-                SET name = EXCLUDED.name,
-                    sort_order = EXCLUDED.sort_order,
-                    active = true,
-                    updated_at = NOW()
-              RETURNING (xmax = 0) AS inserted
-              `,
-              [merchantId, c.id, name, sortOrder]
-            );
-            if (r.rows[0].inserted) categoriesUpserted++;
-          }
-          await client.query('COMMIT');
-        } catch (e) { await client.query('ROLLBACK'); throw e; }
-      }
-    );
-
-    // Helper: cache of category Clover ID -> categories.id
-    const categoryIdByClover = await this.#loadCategoryMap(client, merchantId);
-
-    // 2) Items -> products (expand categories + itemGroup to decide mapping)
     let productsInserted = 0;
     let productsUpdated = 0;
+    let inventoryUpserted = 0;
+    const counts = () => ({ categoriesUpserted, productsInserted, productsUpdated, inventoryUpserted });
+    const lastModified = {};
+    const checkpoint = (stage, batch, page = {}) => {
+      for (const entry of batch) {
+        if (Number.isFinite(entry.modifiedTime)) {
+          lastModified[stage] = Math.max(lastModified[stage] ?? 0, entry.modifiedTime);
+        }
+      }
+      return syncRunService.checkpoint(runId, {
+        cursor: { stage, offset: (page.offset || 0) + batch.length },
+        counts: counts(),
+        lastModifiedTime: lastModified[stage] ?? null
+      });
+    };
+    // Delta filter for a stage's Clover collection, and watermark bump once the stage completes
+    const deltaParams = async (entity) => (mode === 'delta'
+      ? modifiedSinceParams(await syncRunService.getWatermark(merchantId, 'catalog', entity))
+      : {});
+    const completeStage = (stage, entity) =>
+      syncRunService.advanceWatermark(merchantId, 'catalog', entity, lastModified[stage] ?? null);
 
-    await fetchPaged(
-      `/v3/merchants/${CLOVER_MERCHANT_ID}/items`,
-      { limit, params: { expand: 'categories,itemGroup' } },
-      async (items) => {
-        await client.query('BEGIN');
-        try {
-          for (const it of items) {
-            const cloverItemId = it.id;
-            const itemGroupId = it.itemGroup?.id || null;
-
-            const name = (it.name || '').trim();
-            const sku  = (it.code || '').trim() || null; // nullable by design
-            const priceCents = Number.isFinite(it.price) ? it.price : 0; // Clover price is in cents
-            const costCents = Number.isFinite(it.cost) && it.cost >= 0 ? it.cost : null; // NEW: cost -> cost_cents
-            const active = it.hidden ? false : true;
-
-            // Choose a primary category (first if present)
-            let categoryId = null;
-            const cats = it.categories?.elements || [];
-            if (cats.length) {
-              categoryId = categoryIdByClover.get(cats[0].id) || null;
-            }
+    const policy = await catalogOwnershipService.getPolicy(merchantId);
+    const cloverOwned = entity => catalogOwnershipService.fieldsOwnedBy(policy, entity, 'clover');
 
-            const r = await client.query(
-              `
-              INSERT INTO products (
-                merchant_id, clover_item_id, item_group_id, category_id,
-                name, brand, description, image_url,
-                sku, upc, name_suffix, size, flavor,
-                price_cents, cost_cents, tax_rate_decimal,
-                visible_in_kiosk, active
-              )
-              VALUES ($1, $2, $3, $4,
-                  $5, NULL, NULL, NULL,
-                  $6, NULL, NULL, NULL, NULL,
-                  $7, $8, DEFAULT,
-                  DEFAULT, $9)
-              ON CONFLICT (merchant_id, clover_item_id) DO UPDATE
-                SET name          = EXCLUDED.name,
-                    item_group_id = EXCLUDED.item_group_id,
-                    category_id   = EXCLUDED.category_id,
-                    -- keep existing non-null SKU if Clover sends null/blank
-                    sku           = COALESCE(NULLIF(EXCLUDED.sku, ''), products.sku),
-                    price_cents   = EXCLUDED.price_cents,
-                    cost_cents    = COALESCE(EXCLUDED.cost_cents, products.cost_cents),
-                    active        = EXCLUDED.active,
-                    updated_at    = NOW()
-              RETURNING id, (xmax = 0) AS inserted
-              `,
-                [
-                  merchantId,    // $1
-                  cloverItemId,  // $2
-                  itemGroupId,   // $3
-                  categoryId,    // $4
-                  name,          // $5
-                  sku,           // $6
-                  priceCents,    // $7
-                  costCents,     // $8
-                  active         // $9
-                ]
-            );
-
-            if (r.rows[0].inserted) productsInserted++; else productsUpdated++;
-          }
-          await client.query('COMMIT');
-        } catch (e) { await client.query('ROLLBACK'); throw e; }
+    const client = await db.connect();
+    try {
+      // 1) Categories
+      if (shouldRun('categories')) {
+        await fetchPaged(
+          `/v3/merchants/${cloverMerchantId}/categories`,
+          { limit, offset: startOffset('categories'), params: await deltaParams('categories') },
+          async (cats, page) => {
+            await client.query('BEGIN');
+            try {
+              for (const c of cats) {
+                const name = (c.name || 'Uncategorized').trim();
+                const sortOrder = Number.isFinite(c.sortOrder) ? c.sortOrder : 0;
+                const r = await client.query(
+                  `
+                  INSERT INTO categories (merchant_id, clover_category_id, name, sort_order, active)
+                  VALUES ($1, $2, $3, $4, true)
+                  ON CONFLICT (merchant_id, clover_category_id) DO UPDATE
+                    SET name = CASE WHEN 'name' = ANY($5::text[]) THEN EXCLUDED.name ELSE categories.name END,
+                        sort_order = CASE WHEN 'sort_order' = ANY($5::text[]) THEN EXCLUDED.sort_order ELSE categories.sort_order END,
+                        active = true,
+                        updated_at = NOW()
+                  RETURNING (xmax = 0) AS inserted
+                  `,
+                  [merchantId, c.id, name, sortOrder, cloverOwned('categories')]
+                );
+                if (r.rows[0].inserted) categoriesUpserted++;
+              }
+              await client.query('COMMIT');
+            } catch (e) { await client.query('ROLLBACK'); throw e; }
+            await checkpoint('categories', cats, page);
+          },
+          http
+        );
+        await completeStage('categories', 'categories');
       }
-    );
 
-    // 3) Item stocks -> inventory (1:1 with product)
-    let inventoryUpserted = 0;
-
-    await fetchPaged(
-      `/v3/merchants/${CLOVER_MERCHANT_ID}/item_stocks`,
-      { limit },
-      async (stocks) => {
-        await client.query('BEGIN');
-        try {
-          for (const s of stocks) {
-            const itemId = s.item?.id;
-            if (!itemId) continue;
-
-            const qty = Number.isFinite(s.quantity) ? Math.trunc(s.quantity) : 0;
-
-            // Resolve product by Clover item id
-            const pr = await client.query(
-              `SELECT id FROM products WHERE merchant_id = $1 AND clover_item_id = $2 LIMIT 1`,
-              [merchantId, itemId]
-            );
-            if (!pr.rowCount) continue; // product not yet created (rare if items step succeeded)
-
-            const productId = pr.rows[0].id;
-
-            const ir = await client.query(
-              `
-              INSERT INTO inventory (product_id, on_hand, reserved, reorder_level, max_stock, last_counted_at, last_updated, sync_source)
-              VALUES ($1, $2, 0, 5, NULL, NULL, NOW(), 'sync')
-              ON CONFLICT (product_id) DO UPDATE
-                SET on_hand     = EXCLUDED.on_hand,
-                    last_updated = NOW(),
-                    sync_source  = 'sync'
-              RETURNING (xmax = 0) AS inserted
-              `,
-              [productId, qty]
-            );
-            if (ir.rows[0].inserted) inventoryUpserted++;
-          }
-          await client.query('COMMIT');
-        } catch (e) { await client.query('ROLLBACK'); throw e; }
+      // Helper: cache of category Clover ID -> categories.id
+      const categoryIdByClover = await this.#loadCategoryMap(client, merchantId);
+
+      // 2) Items -> products (expand categories + itemGroup to decide mapping)
+      if (shouldRun('products')) {
+        await fetchPaged(
+          `/v3/merchants/${cloverMerchantId}/items`,
+          { limit, offset: startOffset('products'), params: { expand: 'categories,itemGroup', ...(await deltaParams('items')) } },
+          async (items, page) => {
+            await client.query('BEGIN');
+            try {
+              for (const it of items) {
+                const cloverItemId = it.id;
+                const itemGroupId = it.itemGroup?.id || null;
+
+                const name = (it.name || '').trim();
+                const sku  = (it.code || '').trim() || null; // nullable by design
+                const priceCents = Number.isFinite(it.price) ? it.price : 0; // Clover price is in cents
+                const costCents = Number.isFinite(it.cost) && it.cost >= 0 ? it.cost : null; // NEW: cost -> cost_cents
+                const active = it.hidden ? false : true;
+
+                // Choose a primary category (first if present)
+                let categoryId = null;
+                const cats = it.categories?.elements || [];
+                if (cats.length) {
+                  categoryId = categoryIdByClover.get(cats[0].id) || null;
+                }
+
+                const r = await client.query(
+                  `
+                  INSERT INTO products (
+                    merchant_id, clover_item_id, item_group_id, category_id,
+                    name, brand, description, image_url,
+                    sku, upc, name_suffix, size, flavor,
+                    price_cents, cost_cents, tax_rate_decimal,
+                    visible_in_kiosk, active
+                  )
+                  VALUES ($1, $2, $3, $4,
+                      $5, NULL, NULL, NULL,
+                      $6, NULL, NULL, NULL, NULL,
+                      $7, $8, DEFAULT,
+                      DEFAULT, $9)
+                  ON CONFLICT (merchant_id, clover_item_id) DO UPDATE
+                    -- $10: fields owned by Clover; the others keep their local value
+                    SET name          = CASE WHEN 'name' = ANY($10::text[]) THEN EXCLUDED.name ELSE products.name END,
+                        item_group_id = EXCLUDED.item_group_id,
+                        category_id   = CASE WHEN 'category_id' = ANY($10::text[]) THEN EXCLUDED.category_id ELSE products.category_id END,
+                        -- keep existing non-null SKU if Clover sends null/blank
+                        sku           = CASE WHEN 'sku' = ANY($10::text[]) THEN COALESCE(NULLIF(EXCLUDED.sku, ''), products.sku) ELSE products.sku END,
+                        price_cents   = CASE WHEN 'price_cents' = ANY($10::text[]) THEN EXCLUDED.price_cents ELSE products.price_cents END,
+                        cost_cents    = CASE WHEN 'cost_cents' = ANY($10::text[]) THEN COALESCE(EXCLUDED.cost_cents, products.cost_cents) ELSE products.cost_cents END,
+                        active        = CASE WHEN 'active' = ANY($10::text[]) THEN EXCLUDED.active ELSE products.active END,
+                        updated_at    = NOW()
+                  RETURNING id, (xmax = 0) AS inserted
+                  `,
+                    [
+                      merchantId,    // $1
+                      cloverItemId,  // $2
+                      itemGroupId,   // $3
+                      categoryId,    // $4
+                      name,          // $5
+                      sku,           // $6
+                      priceCents,    // $7
+                      costCents,     // $8
+                      active,        // $9
+                      cloverOwned('products') // $10
+                    ]
+                );
+
+                if (r.rows[0].inserted) productsInserted++; else productsUpdated++;
+              }
+              await client.query('COMMIT');
+            } catch (e) { await client.query('ROLLBACK'); throw e; }
+            await checkpoint('products', items, page);
+          },
+          http
+        );
+        await completeStage('products', 'items');
       }
-    );
 
-    client.release();
+      // 3) Item stocks -> inventory (1:1 with product)
+      await fetchPaged(
+        `/v3/merchants/${cloverMerchantId}/item_stocks`,
+        { limit, offset: startOffset('inventory'), params: await deltaParams('item_stocks') },
+        async (stocks, page) => {
+          await client.query('BEGIN');
+          try {
+            for (const s of stocks) {
+              const itemId = s.item?.id;
+              if (!itemId) continue;
+
+              const qty = Number.isFinite(s.quantity) ? Math.trunc(s.quantity) : 0;
+
+              // Resolve product by Clover item id
+              const pr = await client.query(
+                `SELECT id FROM products WHERE merchant_id = $1 AND clover_item_id = $2 LIMIT 1`,
+                [merchantId, itemId]
+              );
+              if (!pr.rowCount) continue; // product not yet created (rare if items step succeeded)
+
+              const productId = pr.rows[0].id;
+              const before = await inventoryMovementService.lockOnHand(client, productId);
+
+              // A local change waiting to be pushed (or in conflict) wins over Clover's count for now
+              const openPush = await client.query(
+                `SELECT 1 FROM clover_stock_pushes WHERE product_id = $1 AND status IN ('pending', 'conflict') LIMIT 1`,
+                [productId]
+              );
+              if (openPush.rowCount) continue;
+
+              const ir = await client.query(
+                `
+                INSERT INTO inventory (product_id, on_hand, reserved, reorder_level, max_stock, last_counted_at, last_updated, sync_source, clover_stock_modified_time)
+                VALUES ($1, $2, 0, 5, NULL, NULL, NOW(), 'sync', $3)
+                ON CONFLICT (product_id) DO UPDATE
+                  SET on_hand     = EXCLUDED.on_hand,
+                      last_updated = NOW(),
+                      sync_source  = 'sync',
+                      clover_stock_modified_time = EXCLUDED.clover_stock_modified_time
+                RETURNING (xmax = 0) AS inserted
+                `,
+                [productId, qty, Number.isFinite(s.modifiedTime) ? s.modifiedTime : null]
+              );
+              if (ir.rows[0].inserted) inventoryUpserted++;
+              await inventoryMovementService.record(client, {
+                merchantId,
+                productId,
+                before,
+                after: qty,
+                reason: 'sync',
+                referenceType: 'clover_item',
+                referenceId: itemId
+              });
+            }
+            await client.query('COMMIT');
+          } catch (e) { await client.query('ROLLBACK'); throw e; }
+          await checkpoint('inventory', stocks, page);
+        },
+        http
+      );
+      await completeStage('inventory', 'item_stocks');
+    } catch (error) {
+      await syncRunService.finish(runId, { status: 'failed', counts: counts(), errors: [error.message] });
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await syncRunService.finish(runId, { status: 'succeeded', counts: counts(), cursor: { stage: 'done' } });
     return {
       success: true,
       merchantId,
-      counts: {
-        categoriesUpserted,
-        productsInserted,
-        productsUpdated,
-        inventoryUpserted,
-      },
+      run_id: runId,
+      mode,
+      counts: counts(),
     };
   }
 
@@ -189,7 +273,7 @@ class ProductService {
    * - Only active + visible products
    * - Optional search (name/brand/sku/upc)
    * - Optional category filter
-   * - Stock status derived from inventory
+   * - Stock status derived from available = on_hand - reserved (stock held by unpaid orders)
    */
   async getProductsForKiosk({ search = '', categoryId = null } = {}) {
     const client = await db.connect();
@@ -226,9 +310,10 @@ class ProductService {
           p.price_cents,
           COALESCE(i.on_hand, 0) AS on_hand,
           COALESCE(i.reserved, 0) AS reserved,
+          GREATEST(COALESCE(i.on_hand,0) - COALESCE(i.reserved,0), 0) AS available,
           CASE
-            WHEN COALESCE(i.on_hand,0) <= 0 THEN 'OUT_OF_STOCK'
-            WHEN COALESCE(i.on_hand,0) <= COALESCE(i.reorder_level,5) THEN 'LOW_STOCK'
+            WHEN COALESCE(i.on_hand,0) - COALESCE(i.reserved,0) <= 0 THEN 'OUT_OF_STOCK'
+            WHEN COALESCE(i.on_hand,0) - COALESCE(i.reserved,0) <= COALESCE(i.reorder_level,5) THEN 'LOW_STOCK'
             ELSE 'IN_STOCK'
           END AS stock_status
         FROM products p
@@ -295,7 +380,7 @@ class ProductService {
   }
 
   /**
-   * Create a new product
+   * Create a new product (queued to be created in Clover for merchants connected to Clover)
    */
   async createProduct(productData, merchantId) {
     const client = await db.connect();
@@ -347,6 +432,7 @@ class ProductService {
         `,
         [productId]
       );
+      await cloverCatalogPushService.queue(client, merchantId, { entity: 'product', localId: productId, operation: 'create' });
 
       await client.query('COMMIT');
       return result.rows[0];
@@ -359,58 +445,90 @@ class ProductService {
   }
 
   /**
-   * Update a product
+   * Update a product. On a product linked to a Clover item, fields owned by Clover
+   * (catalogOwnershipService) are refused with status 409; changed fields owned locally
+   * are queued to be pushed to Clover.
    */
   async updateProduct(productId, productData, merchantId) {
+    // Build dynamic update query
+    const updateFields = [];
+    const values = [];
+    let paramCount = 1;
+
+    const allowedFields = [
+      'name', 'description', 'price_cents', 'sku', 'upc', 
+      'category_id', 'visible_in_kiosk', 'brand', 'image_url',
+      'name_suffix', 'size', 'flavor', 'cost_cents', 'tax_rate_decimal', 'active'
+    ];
+    const changedFields = allowedFields.filter(field => productData.hasOwnProperty(field));
+
+    for (const field of changedFields) {
+      updateFields.push(`${field} = $${paramCount}`);
+      values.push(productData[field]);
+      paramCount++;
+    }
+
+    if (updateFields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updateFields.push('updated_at = NOW()');
+    
+    const sql = `
+      UPDATE products 
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramCount} AND merchant_id = $${paramCount + 1}
+      RETURNING *
+    `;
+
+    values.push(productId, merchantId);
+
     const client = await db.connect();
     try {
-      // Build dynamic update query
-      const updateFields = [];
-      const values = [];
-      let paramCount = 1;
-
-      const allowedFields = [
-        'name', 'description', 'price_cents', 'sku', 'upc', 
-        'category_id', 'visible_in_kiosk', 'brand', 'image_url',
-        'name_suffix', 'size', 'flavor', 'cost_cents', 'tax_rate_decimal', 'active'
-      ];
+      await client.query('BEGIN');
 
-      for (const field of allowedFields) {
-        if (productData.hasOwnProperty(field)) {
-          updateFields.push(`${field} = $${paramCount}`);
-          values.push(productData[field]);
-          paramCount++;
-        }
+      const existing = await client.query(
+        'SELECT clover_item_id FROM products WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+        [productId, merchantId]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null; // Product not found or access denied
       }
+      const cloverItemId = existing.rows[0].clover_item_id;
 
-      if (updateFields.length === 0) {
-        throw new Error('No valid fields to update');
+      const policy = await catalogOwnershipService.getPolicy(merchantId, client);
+      const cloverOwned = changedFields.filter(field => policy.products[field] === 'clover');
+      if (cloverItemId && cloverOwned.length > 0) {
+        throw Object.assign(new Error(`Managed in Clover: ${cloverOwned.join(', ')}`), { status: 409 });
       }
 
-      updateFields.push('updated_at = NOW()');
-      
-      const sql = `
-        UPDATE products 
-        SET ${updateFields.join(', ')}
-        WHERE id = $${paramCount} AND merchant_id = $${paramCount + 1}
-        RETURNING *
-      `;
-
-      values.push(productId, merchantId);
-
       const result = await client.query(sql, values);
-      if (result.rows.length === 0) {
-        return null; // Product not found or access denied
+
+      const pushedFields = changedFields.filter(field => policy.products[field] === 'local');
+      if (pushedFields.length > 0) {
+        await cloverCatalogPushService.queue(client, merchantId, {
+          entity: 'product',
+          localId: productId,
+          cloverId: cloverItemId,
+          operation: 'update',
+          fields: pushedFields
+        });
       }
 
+      await client.query('COMMIT');
       return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
   }
 
   /**
-   * Delete a product (with reference checks)
+   * Delete a product (with reference checks); a product linked to a Clover item is queued to be
+   * deleted in Clover too
    */
   async deleteProduct(productId, merchantId) {
     const client = await db.connect();
@@ -419,7 +537,7 @@ class ProductService {
 
       // Check if product exists and belongs to merchant
       const productCheck = await client.query(
-        'SELECT id FROM products WHERE id = $1 AND merchant_id = $2',
+        'SELECT id, clover_item_id FROM products WHERE id = $1 AND merchant_id = $2',
         [productId, merchantId]
       );
 
@@ -448,6 +566,14 @@ class ProductService {
         'DELETE FROM products WHERE id = $1 AND merchant_id = $2 RETURNING *',
         [productId, merchantId]
       );
+      if (productCheck.rows[0].clover_item_id) {
+        await cloverCatalogPushService.queue(client, merchantId, {
+          entity: 'product',
+          localId: productId,
+          cloverId: productCheck.rows[0].clover_item_id,
+          operation: 'delete'
+        });
+      }
 
       await client.query('COMMIT');
       return { success: true, deletedProduct: result.rows[0] };
@@ -513,9 +639,10 @@ class ProductService {
           p.updated_at,
           COALESCE(i.on_hand, 0) AS on_hand,
           COALESCE(i.reserved, 0) AS reserved,
+          GREATEST(COALESCE(i.on_hand,0) - COALESCE(i.reserved,0), 0) AS available,
           CASE
-            WHEN COALESCE(i.on_hand,0) <= 0 THEN 'OUT_OF_STOCK'
-            WHEN COALESCE(i.on_hand,0) <= COALESCE(i.reorder_level,5) THEN 'LOW_STOCK'
+            WHEN COALESCE(i.on_hand,0) - COALESCE(i.reserved,0) <= 0 THEN 'OUT_OF_STOCK'
+            WHEN COALESCE(i.on_hand,0) - COALESCE(i.reserved,0) <= COALESCE(i.reorder_level,5) THEN 'LOW_STOCK'
             ELSE 'IN_STOCK'
           END AS stock_status
         FROM products p
@@ -533,32 +660,6 @@ class ProductService {
 
   // --------------- private helpers ---------------
 
-  async #ensureMerchant(client, http, cloverMerchantId) {
-    // Try to find existing merchant row
-    const found = await client.query(
-      `SELECT id FROM merchants WHERE clover_merchant_id = $1 LIMIT 1`,
-      [cloverMerchantId]
-    );
-    if (found.rowCount) return found.rows[0].id;
-
-    // Fetch name from Clover for a nicer default
-    let businessName = 'Clover Merchant';
-    try {
-      const r = await http.get(`/v3/merchants/${cloverMerchantId}`);
-      businessName = (r.data?.name || r.data?.merchantName || businessName).toString();
-    } catch (_) { /* keep default */ }
-
-    const ins = await client.query(
-      `
-      INSERT INTO merchants (clover_merchant_id, business_name, active)
-      VALUES ($1, $2, true)
-      RETURNING id
-      `,
-      [cloverMerchantId, businessName]
-    );
-    return ins.rows[0].id;
-  }
-
   async #loadCategoryMap(client, merchantId) {
     const m = new Map();
     const { rows } = await client.query(
@@ -0,0 +1,420 @@
+// services/purchaseOrderService.js
+const db = require('../config/database');
+const inventoryMovementService = require('./inventoryMovementService');
+
+const STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+const RECEIVABLE = ['sent', 'partially_received'];
+const CANCELLABLE = ['draft', 'sent', 'partially_received'];
+
+function purchaseOrderError(status, message, lineErrors) {
+  return Object.assign(new Error(message), { status, lineErrors });
+}
+
+/**
+ * Purchase orders placed with vendors. Sending an order counts its units in
+ * inventory.quantity_on_order; receiving moves them into on_hand, stamps last_restocked_at and
+ * makes the received unit cost the product's cost_cents. Cancelling takes whatever is still
+ * outstanding off order.
+ *
+ * draft -> sent -> partially_received -> received, and draft | sent | partially_received -> cancelled
+ */
+class PurchaseOrderService {
+  /**
+   * @param {string} status - Status from the request
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return STATUSES.includes(status);
+  }
+
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} filters - { status, vendorId }
+   * @returns {Array} - Purchase orders, newest first, with unit and cost totals
+   */
+  async listPurchaseOrders(merchantId, { status = null, vendorId = null } = {}) {
+    const params = [merchantId];
+    const where = ['po.merchant_id = $1'];
+    if (status) {
+      params.push(status);
+      where.push(`po.status = $${params.length}`);
+    }
+    if (vendorId) {
+      params.push(vendorId);
+      where.push(`po.vendor_id = $${params.length}`);
+    }
+
+    const result = await db.query(`
+      SELECT
+        po.*,
+        v.name AS vendor_name,
+        COUNT(l.id)::int AS line_count,
+        COALESCE(SUM(l.quantity_ordered), 0)::int AS units_ordered,
+        COALESCE(SUM(l.quantity_received), 0)::int AS units_received,
+        SUM(l.quantity_ordered * l.unit_cost_cents)::bigint AS total_cost_cents
+      FROM purchase_orders po
+      JOIN vendors v ON v.id = po.vendor_id
+      LEFT JOIN purchase_order_lines l ON l.purchase_order_id = po.id
+      WHERE ${where.join(' AND ')}
+      GROUP BY po.id, v.name
+      ORDER BY po.created_at DESC
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * A purchase order with its lines
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} purchaseOrderId - UUID of the purchase order
+   * @param {Object} options - { client: database client to read with (e.g. inside a transaction) }
+   * @returns {Object|null} - Purchase order with `lines`, or null when not found
+   */
+  async getPurchaseOrder(merchantId, purchaseOrderId, { client = null } = {}) {
+    const conn = client || db;
+    const po = await conn.query(`
+      SELECT po.*, v.name AS vendor_name
+      FROM purchase_orders po
+      JOIN vendors v ON v.id = po.vendor_id
+      WHERE po.id = $1 AND po.merchant_id = $2
+    `, [purchaseOrderId, merchantId]);
+    if (po.rows.length === 0) return null;
+
+    const lines = await conn.query(`
+      SELECT
+        l.*,
+        l.quantity_ordered - l.quantity_received AS quantity_outstanding,
+        p.name AS product_name,
+        p.sku,
+        p.upc
+      FROM purchase_order_lines l
+      JOIN products p ON p.id = l.product_id
+      WHERE l.purchase_order_id = $1
+      ORDER BY p.name, l.id
+    `, [purchaseOrderId]);
+
+    return { ...po.rows[0], lines: lines.rows };
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} order - { vendorId, lines: [{ productId, quantity, unitCostCents }], reference, notes, expectedAt }.
+   *   A line without unitCostCents is expected at the product's current cost_cents.
+   * @returns {Object} - The purchase order with its lines
+   * @throws {Error} - status 400 (with lineErrors for unknown products) when the vendor or a product is not the merchant's
+   */
+  async createPurchaseOrder(merchantId, { vendorId, lines, reference = null, notes = null, expectedAt = null }) {
+    return this.#inTransaction(async (client) => {
+      await this.#checkVendor(client, merchantId, vendorId);
+      const costs = await this.#checkProducts(client, merchantId, lines);
+
+      const { rows } = await client.query(`
+        INSERT INTO purchase_orders (merchant_id, vendor_id, reference, notes, expected_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [merchantId, vendorId, reference, notes, expectedAt]);
+      await this.#insertLines(client, rows[0].id, lines, costs);
+
+      return this.getPurchaseOrder(merchantId, rows[0].id, { client });
+    });
+  }
+
+  /**
+   * Change a draft purchase order; `lines`, when given, replace all of its lines
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} purchaseOrderId - UUID of the purchase order
+   * @param {Object} updates - Any of vendorId, lines, reference, notes, expectedAt
+   * @returns {Object} - The purchase order with its lines
+   * @throws {Error} - status 404 when not found, 409 once it has been sent
+   */
+  async updatePurchaseOrder(merchantId, purchaseOrderId, updates) {
+    return this.#inTransaction(async (client) => {
+      const po = await this.#lock(client, merchantId, purchaseOrderId);
+      if (po.status !== 'draft') {
+        throw purchaseOrderError(409, `Only draft purchase orders can be changed (this one is ${po.status})`);
+      }
+
+      if (updates.vendorId !== undefined) {
+        await this.#checkVendor(client, merchantId, updates.vendorId);
+      }
+      const columns = { vendorId: 'vendor_id', reference: 'reference', notes: 'notes', expectedAt: 'expected_at' };
+      const fields = Object.keys(columns).filter(key => updates[key] !== undefined);
+      if (fields.length > 0) {
+        await client.query(`
+          UPDATE purchase_orders
+          SET ${fields.map((key, i) => `${columns[key]} = $${i + 2}`).join(', ')}
+          WHERE id = $1
+        `, [purchaseOrderId, ...fields.map(key => updates[key])]);
+      }
+
+      if (updates.lines !== undefined) {
+        const costs = await this.#checkProducts(client, merchantId, updates.lines);
+        await client.query('DELETE FROM purchase_order_lines WHERE purchase_order_id = $1', [purchaseOrderId]);
+        await this.#insertLines(client, purchaseOrderId, updates.lines, costs);
+      }
+
+      return this.getPurchaseOrder(merchantId, purchaseOrderId, { client });
+    });
+  }
+
+  /**
+   * Mark a draft as sent to the vendor and count its units as on order
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} purchaseOrderId - UUID of the purchase order
+   * @returns {Object} - The purchase order with its lines
+   * @throws {Error} - status 404 when not found, 409 when it is not a draft
+   */
+  async sendPurchaseOrder(merchantId, purchaseOrderId) {
+    return this.#inTransaction(async (client) => {
+      const po = await this.#lock(client, merchantId, purchaseOrderId);
+      if (po.status !== 'draft') {
+        throw purchaseOrderError(409, `Only draft purchase orders can be sent (this one is ${po.status})`);
+      }
+
+      const lines = await this.#lockLines(client, purchaseOrderId);
+      for (const line of lines) {
+        await client.query(`
+          INSERT INTO inventory (product_id, quantity_on_order, last_updated)
+          VALUES ($1, $2, NOW())
+          ON CONFLICT (product_id) DO UPDATE
+          SET quantity_on_order = inventory.quantity_on_order + EXCLUDED.quantity_on_order,
+              last_updated = NOW()
+        `, [line.product_id, line.quantity_ordered]);
+      }
+
+      await client.query(
+        "UPDATE purchase_orders SET status = 'sent', sent_at = NOW() WHERE id = $1",
+        [purchaseOrderId]
+      );
+      return this.getPurchaseOrder(merchantId, purchaseOrderId, { client });
+    });
+  }
+
+  /**
+   * Receive a delivery against a sent purchase order. Received units are added to on_hand and
+   * taken off quantity_on_order; the cost they were received at (the line's expected cost unless
+   * given) becomes the product's cost_cents.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} purchaseOrderId - UUID of the purchase order
+   * @param {Object} options - { lines: [{ productId, quantity, unitCostCents }] }; null receives everything outstanding
+   * @returns {Object} - The purchase order with its lines
+   * @throws {Error} - status 404 when not found, 409 when it cannot be received or a line asks for
+   *   more than is outstanding (lineErrors NOT_ON_ORDER, DUPLICATE_PRODUCT, EXCEEDS_OUTSTANDING)
+   */
+  async receivePurchaseOrder(merchantId, purchaseOrderId, { lines = null } = {}) {
+    return this.#inTransaction(async (client) => {
+      const po = await this.#lock(client, merchantId, purchaseOrderId);
+      if (!RECEIVABLE.includes(po.status)) {
+        throw purchaseOrderError(409, `Purchase order is ${po.status}; only sent orders can be received`);
+      }
+
+      const orderLines = await this.#lockLines(client, purchaseOrderId);
+      const byProduct = new Map(orderLines.map(line => [line.product_id.toLowerCase(), line]));
+      const outstanding = (line) => line.quantity_ordered - line.quantity_received;
+
+      let receipts;
+      if (lines === null) {
+        receipts = orderLines
+          .filter(line => outstanding(line) > 0)
+          .map(line => ({ line, quantity: outstanding(line), unitCostCents: line.unit_cost_cents }));
+      } else {
+        const errors = [];
+        const seen = new Set();
+        receipts = [];
+        lines.forEach((requested, index) => {
+          const line = byProduct.get(requested.productId.toLowerCase());
+          if (!line) {
+            errors.push({ index, productId: requested.productId, code: 'NOT_ON_ORDER', message: 'Product is not on this purchase order' });
+          } else if (seen.has(line.id)) {
+            // Each line is checked against the outstanding quantity on its own, so one product per line
+            errors.push({ index, productId: requested.productId, code: 'DUPLICATE_PRODUCT', message: 'Each product may appear on one line only' });
+          } else if (requested.quantity > outstanding(line)) {
+            errors.push({
+              index,
+              productId: requested.productId,
+              code: 'EXCEEDS_OUTSTANDING',
+              message: `Only ${outstanding(line)} outstanding`,
+              outstanding: outstanding(line),
+              requested: requested.quantity
+            });
+          } else {
+            receipts.push({ line, quantity: requested.quantity, unitCostCents: requested.unitCostCents ?? line.unit_cost_cents });
+          }
+          if (line) seen.add(line.id);
+        });
+        if (errors.length > 0) {
+          throw purchaseOrderError(409, 'Receipt does not match the purchase order', errors);
+        }
+      }
+      if (receipts.length === 0) {
+        throw purchaseOrderError(409, 'Nothing is outstanding on this purchase order');
+      }
+
+      for (const { line, quantity, unitCostCents } of receipts) {
+        await client.query(`
+          UPDATE purchase_order_lines
+          SET quantity_received = quantity_received + $2,
+              unit_cost_cents = $3
+          WHERE id = $1
+        `, [line.id, quantity, unitCostCents]);
+
+        const before = await inventoryMovementService.lockOnHand(client, line.product_id);
+        const stock = await client.query(`
+          INSERT INTO inventory (product_id, on_hand, last_restocked_at, last_updated, sync_source)
+          VALUES ($1, $2, NOW(), NOW(), 'purchase_order')
+          ON CONFLICT (product_id) DO UPDATE
+          SET on_hand = inventory.on_hand + EXCLUDED.on_hand,
+              quantity_on_order = GREATEST(inventory.quantity_on_order - EXCLUDED.on_hand, 0),
+              last_restocked_at = NOW(),
+              last_updated = NOW(),
+              sync_source = 'purchase_order'
+          RETURNING on_hand
+        `, [line.product_id, quantity]);
+        await inventoryMovementService.record(client, {
+          merchantId,
+          productId: line.product_id,
+          before,
+          after: stock.rows[0].on_hand,
+          reason: 'receive',
+          referenceType: 'purchase_order',
+          referenceId: purchaseOrderId
+        });
+
+        if (unitCostCents !== null && unitCostCents !== undefined) {
+          await client.query(
+            'UPDATE products SET cost_cents = $2, updated_at = NOW() WHERE id = $1 AND merchant_id = $3',
+            [line.product_id, unitCostCents, merchantId]
+          );
+        }
+      }
+
+      const received = new Map(receipts.map(({ line, quantity }) => [line.id, quantity]));
+      const complete = orderLines.every(line => outstanding(line) - (received.get(line.id) || 0) === 0);
+      await client.query(`
+        UPDATE purchase_orders
+        SET status = $2, received_at = CASE WHEN $2 = 'received' THEN NOW() ELSE received_at END
+        WHERE id = $1
+      `, [purchaseOrderId, complete ? 'received' : 'partially_received']);
+
+      return this.getPurchaseOrder(merchantId, purchaseOrderId, { client });
+    });
+  }
+
+  /**
+   * Cancel a purchase order; units that were sent but not received are taken off order
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} purchaseOrderId - UUID of the purchase order
+   * @returns {Object} - The purchase order with its lines
+   * @throws {Error} - status 404 when not found, 409 when already received or cancelled
+   */
+  async cancelPurchaseOrder(merchantId, purchaseOrderId) {
+    return this.#inTransaction(async (client) => {
+      const po = await this.#lock(client, merchantId, purchaseOrderId);
+      if (!CANCELLABLE.includes(po.status)) {
+        throw purchaseOrderError(409, `Purchase order is already ${po.status}`);
+      }
+
+      if (po.status !== 'draft') {
+        const lines = await this.#lockLines(client, purchaseOrderId);
+        for (const line of lines) {
+          const outstanding = line.quantity_ordered - line.quantity_received;
+          if (outstanding <= 0) continue;
+          await client.query(`
+            UPDATE inventory
+            SET quantity_on_order = GREATEST(quantity_on_order - $2, 0), last_updated = NOW()
+            WHERE product_id = $1
+          `, [line.product_id, outstanding]);
+        }
+      }
+
+      await client.query(
+        "UPDATE purchase_orders SET status = 'cancelled', cancelled_at = NOW() WHERE id = $1",
+        [purchaseOrderId]
+      );
+      return this.getPurchaseOrder(merchantId, purchaseOrderId, { client });
+    });
+  }
+
+  async #lock(client, merchantId, purchaseOrderId) {
+    const { rows } = await client.query(
+      'SELECT * FROM purchase_orders WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+      [purchaseOrderId, merchantId]
+    );
+    if (rows.length === 0) {
+      throw purchaseOrderError(404, 'Purchase order not found');
+    }
+    return rows[0];
+  }
+
+  /**
+   * Lines in product order, so concurrent receipts touch inventory rows in the same order
+   */
+  async #lockLines(client, purchaseOrderId) {
+    const { rows } = await client.query(
+      'SELECT * FROM purchase_order_lines WHERE purchase_order_id = $1 ORDER BY product_id FOR UPDATE',
+      [purchaseOrderId]
+    );
+    return rows;
+  }
+
+  async #checkVendor(client, merchantId, vendorId) {
+    const { rows } = await client.query(
+      'SELECT active FROM vendors WHERE id = $1 AND merchant_id = $2',
+      [vendorId, merchantId]
+    );
+    if (rows.length === 0) {
+      throw purchaseOrderError(400, 'Vendor not found');
+    }
+    if (!rows[0].active) {
+      throw purchaseOrderError(400, 'Vendor is inactive');
+    }
+  }
+
+  /**
+   * @returns {Map} - Current cost_cents by product ID
+   */
+  async #checkProducts(client, merchantId, lines) {
+    const { rows } = await client.query(
+      'SELECT id, cost_cents FROM products WHERE merchant_id = $1 AND id = ANY($2::uuid[])',
+      [merchantId, lines.map(line => line.productId)]
+    );
+    const costs = new Map(rows.map(row => [row.id.toLowerCase(), row.cost_cents]));
+
+    const errors = [];
+    lines.forEach((line, index) => {
+      if (!costs.has(line.productId.toLowerCase())) {
+        errors.push({ index, productId: line.productId, code: 'NOT_FOUND', message: 'Product not found' });
+      }
+    });
+    if (errors.length > 0) {
+      throw purchaseOrderError(400, 'Purchase order validation failed', errors);
+    }
+    return costs;
+  }
+
+  async #insertLines(client, purchaseOrderId, lines, costs) {
+    for (const line of lines) {
+      await client.query(`
+        INSERT INTO purchase_order_lines (purchase_order_id, product_id, quantity_ordered, unit_cost_cents)
+        VALUES ($1, $2, $3, $4)
+      `, [purchaseOrderId, line.productId, line.quantity, line.unitCostCents ?? costs.get(line.productId.toLowerCase()) ?? null]);
+    }
+  }
+
+  async #inTransaction(fn) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new PurchaseOrderService();
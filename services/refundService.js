@@ -0,0 +1,363 @@
+// services/refundService.js
+const db = require('../config/database');
+const cloverService = require('./cloverService');
+const inventoryMovementService = require('./inventoryMovementService');
+
+const CONDITIONS = ['resellable', 'damaged'];
+
+function refundError(status, message, lineErrors) {
+  return Object.assign(new Error(message), { status, ...(lineErrors ? { lineErrors } : {}) });
+}
+
+/**
+ * Which sold product a transaction item is. The orders sync replaces transaction_items rows
+ * (and Clover lists each unit as its own line item), so refunded quantities are tracked per
+ * product rather than per row.
+ */
+function productKey(item) {
+  return item.clover_item_id || item.product_id || item.product_name || item.transaction_item_id || item.id;
+}
+
+/**
+ * Refunds of paid transactions (refunds and refund_items tables). A refund is recorded as
+ * pending before Clover is called, so concurrent refunds cannot return the same units twice;
+ * once Clover accepts it, returned units are restocked and transactions.refunded_cents updated.
+ */
+class RefundService {
+  /**
+   * @param {string} condition - Condition of returned units from the request
+   * @returns {boolean}
+   */
+  isValidCondition(condition) {
+    return CONDITIONS.includes(condition);
+  }
+
+  /**
+   * Refund a paid transaction in full or by line
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} transactionId - UUID of the transaction
+   * @param {Object} options - { lines: [{ transactionItemId, quantity, restock, condition }] (omit for a
+   *   full refund), reason, restock, condition (defaults for lines without their own) }
+   * @returns {Object} - { refund, items, transaction }
+   * @throws {Error} - status 404 (unknown transaction), 409 (not refundable; lineErrors for lines that
+   *   cannot be refunded), 502 (Clover refused)
+   */
+  async createRefund(merchantId, transactionId, { lines = null, reason = null, restock = true, condition = 'resellable' } = {}) {
+    const claim = await this.#inTransaction(async (client) => {
+      const tx = await client.query(
+        'SELECT * FROM transactions WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+        [transactionId, merchantId]
+      );
+      const transaction = tx.rows[0];
+      if (!transaction) {
+        throw refundError(404, 'Transaction not found');
+      }
+      if (transaction.payment_status !== 'PAID') {
+        throw refundError(409, `Only PAID transactions can be refunded (transaction is ${transaction.payment_status})`);
+      }
+
+      const items = (await client.query(
+        'SELECT * FROM transaction_items WHERE transaction_id = $1 ORDER BY id',
+        [transactionId]
+      )).rows;
+      const previous = (await client.query(`
+        SELECT r.id AS refund_id, r.amount_cents, ri.clover_item_id, ri.product_id, ri.product_name,
+               ri.transaction_item_id, ri.quantity
+        FROM refunds r
+        LEFT JOIN refund_items ri ON ri.refund_id = r.id
+        WHERE r.transaction_id = $1 AND r.status IN ('pending', 'succeeded')
+      `, [transactionId])).rows;
+
+      const refundLines = lines
+        ? this.#partialLines(transaction, items, previous, lines, { restock, condition })
+        : this.#fullLines(transaction, items, previous, { restock, condition });
+
+      // previous has a row per refund item; count each refund's amount once
+      const previousAmounts = new Map(previous.map(row => [row.refund_id, row.amount_cents]));
+      const refundedCents = [...previousAmounts.values()].reduce((sum, cents) => sum + cents, 0);
+      const refundableCents = Math.max(0, transaction.total_cents - refundedCents);
+      const fullRefund = !lines && previous.length === 0;
+      // Refunding everything returns what is left, whatever the per-line rounding
+      const amountCents = !lines
+        ? refundableCents
+        : Math.min(refundableCents, refundLines.reduce((sum, line) => sum + line.amountCents, 0));
+      if (amountCents <= 0) {
+        throw refundError(409, 'Nothing left to refund on this transaction');
+      }
+
+      const refund = (await client.query(`
+        INSERT INTO refunds (merchant_id, transaction_id, clover_payment_id, amount_cents, reason)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [merchantId, transactionId, transaction.clover_payment_id, amountCents, reason])).rows[0];
+
+      const refundItems = [];
+      for (const line of refundLines) {
+        const inserted = await client.query(`
+          INSERT INTO refund_items (
+            refund_id, transaction_item_id, product_id, clover_item_id, product_name,
+            quantity, amount_cents, restock, condition
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING *
+        `, [
+          refund.id,
+          line.item.id,
+          line.item.product_id,
+          line.item.clover_item_id,
+          line.item.product_name,
+          line.quantity,
+          line.amountCents,
+          line.restock,
+          line.condition
+        ]);
+        refundItems.push(inserted.rows[0]);
+      }
+
+      return { transaction, refund, refundItems, fullRefund };
+    });
+
+    const { transaction, refund, refundItems, fullRefund } = claim;
+    let cloverRefund;
+    try {
+      const merchantClient = await cloverService.getMerchantClient(merchantId);
+      const paymentId = transaction.clover_payment_id || await this.#findPaymentId(merchantClient, transaction);
+      if (!paymentId) {
+        throw refundError(409, 'Transaction has no Clover payment to refund');
+      }
+      cloverRefund = await cloverService.createRefund(
+        merchantClient, paymentId, fullRefund ? { fullRefund: true } : { amount: refund.amount_cents }
+      );
+      refund.clover_payment_id = paymentId;
+    } catch (error) {
+      await db.query(
+        "UPDATE refunds SET status = 'failed', error = $2 WHERE id = $1",
+        [refund.id, error.message]
+      );
+      if (error.status === 409) throw error;
+      console.error(`Refund ${refund.id} failed in Clover:`, error.message);
+      throw refundError(502, `Clover refund failed: ${error.message}`);
+    }
+
+    return this.#inTransaction(async (client) => {
+      const settled = await client.query(`
+        UPDATE refunds
+        SET status = 'succeeded', clover_refund_id = $2, clover_payment_id = $3,
+            amount_cents = COALESCE($4, amount_cents)
+        WHERE id = $1
+        RETURNING *
+      `, [refund.id, cloverRefund?.id || null, refund.clover_payment_id, cloverRefund?.amount ?? null]);
+
+      for (const item of refundItems) {
+        await this.#restock(client, merchantId, item);
+      }
+      const updated = await this.#updateRefundedCents(client, transactionId);
+
+      console.log(`Refunded ${settled.rows[0].amount_cents} cents on transaction ${transactionId}`);
+      return { refund: settled.rows[0], items: refundItems, transaction: updated };
+    });
+  }
+
+  /**
+   * Refunds of a transaction with their items
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} transactionId - UUID of the transaction
+   * @returns {Array|null} - Refunds (newest first), or null when the transaction does not exist
+   */
+  async listRefunds(merchantId, transactionId) {
+    const tx = await db.query(
+      'SELECT id FROM transactions WHERE id = $1 AND merchant_id = $2',
+      [transactionId, merchantId]
+    );
+    if (tx.rows.length === 0) return null;
+
+    const { rows } = await db.query(`
+      SELECT r.*,
+        COALESCE(
+          json_agg(ri ORDER BY ri.created_at) FILTER (WHERE ri.id IS NOT NULL),
+          '[]'
+        ) AS items
+      FROM refunds r
+      LEFT JOIN refund_items ri ON ri.refund_id = r.id
+      WHERE r.transaction_id = $1
+      GROUP BY r.id
+      ORDER BY r.created_at DESC
+    `, [transactionId]);
+    return rows;
+  }
+
+  /**
+   * Record refunds found on a synced Clover order (order.refunds) that are not recorded yet,
+   * e.g. refunds issued on the Clover device. They carry no items and restock nothing.
+   * @param {Object} client - Database client (inside the caller's transaction)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} transactionId - UUID of the order's transaction
+   * @param {Array} refunds - Clover refunds ({ id, amount, payment: { id } })
+   * @returns {number} - Refunds recorded
+   */
+  async recordCloverRefunds(client, merchantId, transactionId, refunds) {
+    let recorded = 0;
+    for (const refund of refunds) {
+      if (!refund?.id) continue;
+      const result = await client.query(`
+        INSERT INTO refunds (
+          merchant_id, transaction_id, clover_refund_id, clover_payment_id, amount_cents, source, status
+        ) VALUES ($1, $2, $3, $4, $5, 'clover', 'succeeded')
+        ON CONFLICT (merchant_id, clover_refund_id) DO NOTHING
+        RETURNING id
+      `, [merchantId, transactionId, refund.id, refund.payment?.id || null, refund.amount || 0]);
+      recorded += result.rows.length;
+    }
+    if (recorded > 0) {
+      await this.#updateRefundedCents(client, transactionId);
+    }
+    return recorded;
+  }
+
+  // --------------- private helpers ---------------
+
+  /**
+   * Remaining quantity per product after previous refunds
+   */
+  #remaining(items, previous) {
+    const remaining = new Map();
+    for (const item of items) {
+      const key = productKey(item);
+      remaining.set(key, (remaining.get(key) || 0) + item.quantity);
+    }
+    for (const row of previous) {
+      if (!row.quantity) continue;
+      const key = productKey(row);
+      remaining.set(key, (remaining.get(key) || 0) - row.quantity);
+    }
+    return remaining;
+  }
+
+  /**
+   * Refund line for some units of an item: their share of the line total plus, in proportion,
+   * of the sale's tax
+   */
+  #line(transaction, item, quantity, { restock, condition }) {
+    const unitCents = item.quantity > 0 ? item.line_total_cents / item.quantity : 0;
+    const netCents = Math.round(unitCents * quantity);
+    const taxCents = transaction.subtotal_cents > 0
+      ? Math.round(netCents * transaction.tax_cents / transaction.subtotal_cents)
+      : 0;
+    return { item, quantity, restock, condition, amountCents: netCents + taxCents };
+  }
+
+  #fullLines(transaction, items, previous, defaults) {
+    const remaining = this.#remaining(items, previous);
+    const lines = [];
+    for (const item of items) {
+      const key = productKey(item);
+      const quantity = Math.min(item.quantity, remaining.get(key) || 0);
+      if (quantity <= 0) continue;
+      remaining.set(key, remaining.get(key) - quantity);
+      lines.push(this.#line(transaction, item, quantity, defaults));
+    }
+    return lines;
+  }
+
+  #partialLines(transaction, items, previous, requested, defaults) {
+    const remaining = this.#remaining(items, previous);
+    const byId = new Map(items.map(item => [String(item.id), item]));
+    const errors = [];
+    const lines = [];
+
+    requested.forEach((line, index) => {
+      const item = byId.get(String(line.transactionItemId));
+      if (!item) {
+        errors.push({ index, transactionItemId: line.transactionItemId ?? null, code: 'NOT_FOUND', message: 'Item is not part of this transaction' });
+        return;
+      }
+      const key = productKey(item);
+      const left = remaining.get(key) || 0;
+      if (line.quantity > left) {
+        errors.push({
+          index,
+          transactionItemId: line.transactionItemId,
+          code: 'EXCEEDS_REFUNDABLE',
+          message: left > 0 ? `Only ${left} of ${item.product_name} can still be refunded` : `${item.product_name} was already refunded`,
+          refundable: left,
+          requested: line.quantity
+        });
+        return;
+      }
+      remaining.set(key, left - line.quantity);
+      lines.push(this.#line(transaction, item, line.quantity, {
+        restock: line.restock ?? defaults.restock,
+        condition: line.condition ?? defaults.condition
+      }));
+    });
+
+    if (errors.length > 0) {
+      throw refundError(409, 'Refund validation failed', errors);
+    }
+    return lines;
+  }
+
+  async #restock(client, merchantId, item) {
+    if (!item.restock || !item.product_id) return;
+    const column = item.condition === 'damaged' ? 'damaged' : 'on_hand';
+    const before = await inventoryMovementService.lockOnHand(client, item.product_id);
+    const { rows } = await client.query(`
+      INSERT INTO inventory (product_id, ${column}, last_updated, sync_source)
+      VALUES ($1, $2, NOW(), 'refund')
+      ON CONFLICT (product_id) DO UPDATE
+      SET ${column} = inventory.${column} + EXCLUDED.${column},
+          last_updated = NOW(),
+          sync_source = 'refund'
+      RETURNING on_hand
+    `, [item.product_id, item.quantity]);
+
+    // Damaged units are set aside, so on_hand is unchanged and nothing is recorded
+    await inventoryMovementService.record(client, {
+      merchantId,
+      productId: item.product_id,
+      before,
+      after: rows[0].on_hand,
+      reason: 'refund',
+      referenceType: 'refund',
+      referenceId: item.refund_id
+    });
+  }
+
+  async #updateRefundedCents(client, transactionId) {
+    const { rows } = await client.query(`
+      UPDATE transactions
+      SET refunded_cents = (
+        SELECT COALESCE(SUM(amount_cents), 0) FROM refunds
+        WHERE transaction_id = $1 AND status = 'succeeded'
+      )
+      WHERE id = $1
+      RETURNING *
+    `, [transactionId]);
+    return rows[0];
+  }
+
+  async #findPaymentId(merchantClient, transaction) {
+    if (!transaction.clover_order_id) return null;
+    const order = await cloverService.fetchObject(
+      merchantClient, `orders/${transaction.clover_order_id}`, { expand: 'payments' }
+    );
+    const payment = (order?.payments?.elements || []).find(p => p.result === 'SUCCESS');
+    return payment?.id || null;
+  }
+
+  async #inTransaction(fn) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,172 @@
+// services/reorderService.js
+const db = require('../config/database');
+const purchaseOrderService = require('./purchaseOrderService');
+
+const DEFAULT_LOOKBACK_DAYS = 28;
+const DEFAULT_COVER_DAYS = 14;
+const DEFAULT_LEAD_TIME_DAYS = 7; // products without a vendor
+
+/**
+ * Reorder suggestion for one product row, or null when its stock position covers the lead time.
+ *
+ * Stock position is what is available plus what is on sent and draft purchase orders. A product
+ * needs reordering once its position is at or below the reorder point: the larger of
+ * reorder_level and the units expected to sell during the vendor's lead time. It is then topped
+ * up to cover the lead time plus `coverDays` of sales (auto_order_quantity, when set, is ordered
+ * instead), never beyond max_stock.
+ */
+function suggestionFor(row, { lookbackDays, coverDays }) {
+  const unitsSold = Number(row.units_sold);
+  const avgDailySales = unitsSold / lookbackDays;
+  const available = Math.max(row.on_hand - row.reserved, 0);
+  const quantityOnDraft = Number(row.quantity_on_draft);
+  const position = available + row.quantity_on_order + quantityOnDraft;
+  const leadTimeDays = row.lead_time_days ?? DEFAULT_LEAD_TIME_DAYS;
+
+  const reorderPoint = Math.max(row.reorder_level, Math.ceil(avgDailySales * leadTimeDays));
+  if (position > reorderPoint) {
+    return null;
+  }
+
+  const target = Math.max(Math.ceil(avgDailySales * (leadTimeDays + coverDays)), row.reorder_level + 1);
+  let quantity = row.auto_order_quantity ?? target - position;
+  if (row.max_stock !== null && row.max_stock !== undefined) {
+    quantity = Math.min(quantity, row.max_stock - position);
+  }
+  if (quantity <= 0) {
+    return null;
+  }
+
+  return {
+    product_id: row.product_id,
+    product_name: row.product_name,
+    sku: row.sku,
+    vendor_id: row.vendor_id,
+    vendor_name: row.vendor_name,
+    lead_time_days: leadTimeDays,
+    on_hand: row.on_hand,
+    available,
+    quantity_on_order: row.quantity_on_order,
+    quantity_on_draft: quantityOnDraft,
+    reorder_level: row.reorder_level,
+    max_stock: row.max_stock,
+    units_sold: unitsSold,
+    avg_daily_sales: Math.round(avgDailySales * 100) / 100,
+    days_of_cover: avgDailySales > 0 ? Math.round((available / avgDailySales) * 10) / 10 : null,
+    reorder_point: reorderPoint,
+    suggested_quantity: quantity,
+    estimated_cost_cents: row.cost_cents !== null && row.cost_cents !== undefined ? quantity * row.cost_cents : null,
+    auto_order_enabled: row.auto_order_enabled
+  };
+}
+
+/**
+ * Reorder suggestions from stock levels, sales velocity (transaction_items) and vendor lead times
+ */
+class ReorderService {
+  /**
+   * Products that should be reordered, most urgent (fewest days of cover) first
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { lookbackDays (sales window for velocity), coverDays (stock to hold beyond
+   *   the lead time), vendorId }
+   * @returns {Array} - Suggestions
+   */
+  async getSuggestions(merchantId, { lookbackDays = DEFAULT_LOOKBACK_DAYS, coverDays = DEFAULT_COVER_DAYS, vendorId = null } = {}) {
+    const params = [merchantId, lookbackDays];
+    let vendorFilter = '';
+    if (vendorId) {
+      params.push(vendorId);
+      vendorFilter = 'AND v.id = $3';
+    }
+
+    // The vendor is the preferred one, else whoever the product was last ordered from
+    const result = await db.query(`
+      SELECT
+        p.id AS product_id,
+        p.name AS product_name,
+        p.sku,
+        p.cost_cents,
+        i.on_hand,
+        i.reserved,
+        i.reorder_level,
+        i.max_stock,
+        i.quantity_on_order,
+        i.auto_order_enabled,
+        i.auto_order_quantity,
+        v.id AS vendor_id,
+        v.name AS vendor_name,
+        v.lead_time_days,
+        COALESCE(sales.units_sold, 0) AS units_sold,
+        COALESCE(drafts.quantity_on_draft, 0) AS quantity_on_draft
+      FROM products p
+      JOIN inventory i ON i.product_id = p.id
+      LEFT JOIN LATERAL (
+        SELECT po.vendor_id
+        FROM purchase_order_lines l
+        JOIN purchase_orders po ON po.id = l.purchase_order_id
+        WHERE l.product_id = p.id AND po.merchant_id = $1 AND po.status <> 'cancelled'
+        ORDER BY po.created_at DESC
+        LIMIT 1
+      ) last_order ON true
+      LEFT JOIN vendors v
+        ON v.id = COALESCE(i.preferred_vendor_id, last_order.vendor_id) AND v.merchant_id = $1 AND v.active = true
+      LEFT JOIN (
+        SELECT ti.product_id, SUM(ti.quantity) AS units_sold
+        FROM transaction_items ti
+        JOIN transactions t ON t.id = ti.transaction_id
+        WHERE t.merchant_id = $1
+          AND t.created_at >= NOW() - make_interval(days => $2)
+          AND t.status IS DISTINCT FROM 'delete'
+        GROUP BY ti.product_id
+      ) sales ON sales.product_id = p.id
+      LEFT JOIN (
+        SELECT l.product_id, SUM(l.quantity_ordered) AS quantity_on_draft
+        FROM purchase_order_lines l
+        JOIN purchase_orders po ON po.id = l.purchase_order_id
+        WHERE po.merchant_id = $1 AND po.status = 'draft'
+        GROUP BY l.product_id
+      ) drafts ON drafts.product_id = p.id
+      WHERE p.merchant_id = $1 AND p.active = true ${vendorFilter}
+    `, params);
+
+    return result.rows
+      .map(row => suggestionFor(row, { lookbackDays, coverDays }))
+      .filter(Boolean)
+      .sort((a, b) => (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity) ||
+        a.product_name.localeCompare(b.product_name));
+  }
+
+  /**
+   * Draft one purchase order per vendor for the suggestions of products with auto_order_enabled.
+   * Drafted units count towards the stock position, so running this again does not order twice.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - Same as getSuggestions
+   * @returns {Object} - { purchaseOrders, skipped: auto-order suggestions without a vendor }
+   */
+  async draftPurchaseOrders(merchantId, options = {}) {
+    const suggestions = (await this.getSuggestions(merchantId, options)).filter(s => s.auto_order_enabled);
+
+    const byVendor = new Map();
+    const skipped = [];
+    for (const suggestion of suggestions) {
+      if (!suggestion.vendor_id) {
+        skipped.push(suggestion);
+        continue;
+      }
+      if (!byVendor.has(suggestion.vendor_id)) byVendor.set(suggestion.vendor_id, []);
+      byVendor.get(suggestion.vendor_id).push({ productId: suggestion.product_id, quantity: suggestion.suggested_quantity });
+    }
+
+    const purchaseOrders = [];
+    for (const [vendorId, lines] of byVendor) {
+      purchaseOrders.push(await purchaseOrderService.createPurchaseOrder(merchantId, {
+        vendorId,
+        lines,
+        notes: 'Drafted from reorder suggestions'
+      }));
+    }
+    return { purchaseOrders, skipped };
+  }
+}
+
+module.exports = new ReorderService();
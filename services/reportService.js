@@ -0,0 +1,294 @@
+// services/reportService.js
+const db = require('../config/database');
+
+const GROUPINGS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dimensions of the margin report: the columns each row is keyed by and how lines are grouped
+const MARGIN_DIMENSIONS = {
+  product: {
+    columns: 'ti.product_id, MAX(p.sku) AS sku, COALESCE(MAX(p.name), MAX(ti.product_name)) AS name',
+    groupBy: 'ti.product_id, CASE WHEN ti.product_id IS NULL THEN COALESCE(ti.clover_item_id, ti.product_name) END'
+  },
+  category: {
+    columns: "c.id AS category_id, COALESCE(c.name, 'Uncategorized') AS name",
+    groupBy: 'c.id, c.name'
+  },
+  brand: {
+    columns: "COALESCE(p.brand, 'Unbranded') AS name",
+    groupBy: "COALESCE(p.brand, 'Unbranded')"
+  }
+};
+
+// Sales in the range: paid orders created within the local dates $2..$3 (inclusive) in
+// timezone $4, leaving out open, unpaid, failed and voided checkouts and orders deleted in Clover
+const SALES_WHERE = `
+  t.merchant_id = $1
+  AND t.created_at >= ($2::date::timestamp AT TIME ZONE $4)
+  AND t.created_at < (($3::date + 1)::timestamp AT TIME ZONE $4)
+  AND t.payment_status = 'PAID'
+  AND t.status IS DISTINCT FROM 'delete'
+`;
+
+function reportError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone
+ */
+function localToday(timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date());
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Postgres returns SUM/COUNT as strings (bigint, numeric)
+ */
+function numbers(row, keys) {
+  const result = { ...row };
+  for (const key of keys) {
+    result[key] = result[key] === null ? null : Number(result[key]);
+  }
+  return result;
+}
+
+/**
+ * Margin of costed sales; lines sold without a cost count towards revenue but not the margin
+ */
+function withMargin(row) {
+  const marginCents = row.costed_revenue_cents - row.cogs_cents;
+  return {
+    ...row,
+    margin_cents: marginCents,
+    margin_percent: row.costed_revenue_cents > 0
+      ? Math.round((10000 * marginCents) / row.costed_revenue_cents) / 100
+      : null
+  };
+}
+
+/**
+ * Sales reports over transactions and transaction_items (orders sync and kiosk checkout),
+ * bucketed by local dates in the merchant's timezone
+ */
+class ReportService {
+  /**
+   * @param {string} timezone - IANA timezone name
+   * @returns {boolean}
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} groupBy - Bucket size from the request
+   * @returns {boolean}
+   */
+  isValidGrouping(groupBy) {
+    return GROUPINGS.includes(groupBy);
+  }
+
+  /**
+   * @param {string} dimension - Margin report dimension from the request
+   * @returns {boolean}
+   */
+  isValidMarginDimension(dimension) {
+    return Object.prototype.hasOwnProperty.call(MARGIN_DIMENSIONS, dimension);
+  }
+
+  /**
+   * Resolve the local date range of a report. Defaults to the last 30 days up to today.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { from, to (YYYY-MM-DD, inclusive), timezone (overrides merchants.timezone) }
+   * @returns {Object} - { from, to, timezone }
+   */
+  async resolveRange(merchantId, { from = null, to = null, timezone = null } = {}) {
+    if (!timezone) {
+      const result = await db.query('SELECT timezone FROM merchants WHERE id = $1', [merchantId]);
+      const stored = result.rows[0]?.timezone;
+      timezone = stored && this.isValidTimezone(stored) ? stored : 'UTC';
+    }
+
+    to = to || (from ? addDays(from, DEFAULT_RANGE_DAYS - 1) : localToday(timezone));
+    from = from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    if (from > to) {
+      throw reportError('from must not be after to');
+    }
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      throw reportError(`Date range must be at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { from, to, timezone };
+  }
+
+  /**
+   * Sales per day, week (starting Monday) or month, including periods without sales
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { from, to, timezone, groupBy }
+   * @returns {Object} - { range, periods, totals }
+   */
+  async getSales(merchantId, { groupBy = 'day', ...rangeOptions } = {}) {
+    const range = await this.resolveRange(merchantId, rangeOptions);
+
+    const result = await db.query(`
+      WITH periods AS (
+        SELECT generate_series(
+          date_trunc($5::text, $2::date::timestamp),
+          date_trunc($5::text, $3::date::timestamp),
+          ('1 ' || $5::text)::interval
+        ) AS period
+      ),
+      sales AS (
+        SELECT
+          date_trunc($5::text, t.created_at AT TIME ZONE $4) AS period,
+          COUNT(*) AS order_count,
+          SUM(t.subtotal_cents) AS gross_cents,
+          SUM(t.discount_cents) AS discount_cents,
+          SUM(t.tax_cents) AS tax_cents,
+          SUM(t.total_cents) AS total_cents,
+          SUM(COALESCE(t.refunded_cents, 0)) AS refunded_cents
+        FROM transactions t
+        WHERE ${SALES_WHERE}
+        GROUP BY 1
+      )
+      SELECT
+        to_char(p.period, 'YYYY-MM-DD') AS period,
+        COALESCE(s.order_count, 0) AS order_count,
+        COALESCE(s.gross_cents, 0) AS gross_cents,
+        COALESCE(s.discount_cents, 0) AS discount_cents,
+        COALESCE(s.tax_cents, 0) AS tax_cents,
+        COALESCE(s.total_cents, 0) AS total_cents,
+        COALESCE(s.refunded_cents, 0) AS refunded_cents
+      FROM periods p
+      LEFT JOIN sales s ON s.period = p.period
+      ORDER BY p.period
+    `, [merchantId, range.from, range.to, range.timezone, groupBy]);
+
+    const summarize = (row) => {
+      const net = row.gross_cents - row.discount_cents;
+      return {
+        ...row,
+        net_cents: net,
+        average_ticket_cents: row.order_count > 0 ? Math.round(row.total_cents / row.order_count) : 0
+      };
+    };
+
+    const keys = ['order_count', 'gross_cents', 'discount_cents', 'tax_cents', 'total_cents', 'refunded_cents'];
+    const periods = result.rows.map(row => summarize(numbers(row, keys)));
+    const totals = summarize(Object.fromEntries(keys.map(key => [key, periods.reduce((sum, p) => sum + p[key], 0)])));
+
+    return { range: { ...range, groupBy }, periods, totals };
+  }
+
+  /**
+   * Best-selling products in the range
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { from, to, timezone, sort ('revenue'|'quantity'), limit }
+   * @returns {Object} - { range, products }
+   */
+  async getTopProducts(merchantId, { sort = 'revenue', limit = 10, ...rangeOptions } = {}) {
+    const range = await this.resolveRange(merchantId, rangeOptions);
+    const orderBy = sort === 'quantity' ? 'quantity DESC, revenue_cents DESC' : 'revenue_cents DESC, quantity DESC';
+
+    // Lines whose product is not in the catalog are grouped by Clover item, or by name
+    const result = await db.query(`
+      SELECT
+        ti.product_id,
+        MAX(p.sku) AS sku,
+        COALESCE(MAX(p.name), MAX(ti.product_name)) AS name,
+        SUM(ti.quantity) AS quantity,
+        SUM(ti.line_total_cents) AS revenue_cents,
+        COUNT(DISTINCT ti.transaction_id) AS order_count
+      FROM transaction_items ti
+      JOIN transactions t ON t.id = ti.transaction_id
+      LEFT JOIN products p ON p.id = ti.product_id
+      WHERE ${SALES_WHERE}
+      GROUP BY ti.product_id, CASE WHEN ti.product_id IS NULL THEN COALESCE(ti.clover_item_id, ti.product_name) END
+      ORDER BY ${orderBy}, name
+      LIMIT $5
+    `, [merchantId, range.from, range.to, range.timezone, limit]);
+
+    return {
+      range,
+      products: result.rows.map(row => numbers(row, ['quantity', 'revenue_cents', 'order_count']))
+    };
+  }
+
+  /**
+   * Sales per category in the range, with each category's share of revenue (percent)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { from, to, timezone }
+   * @returns {Object} - { range, categories }
+   */
+  async getCategoryMix(merchantId, rangeOptions = {}) {
+    const range = await this.resolveRange(merchantId, rangeOptions);
+
+    const result = await db.query(`
+      SELECT
+        c.id AS category_id,
+        COALESCE(c.name, 'Uncategorized') AS name,
+        SUM(ti.quantity) AS quantity,
+        SUM(ti.line_total_cents) AS revenue_cents,
+        COUNT(DISTINCT ti.transaction_id) AS order_count,
+        ROUND(100.0 * SUM(ti.line_total_cents) / NULLIF(SUM(SUM(ti.line_total_cents)) OVER (), 0), 2) AS revenue_share
+      FROM transaction_items ti
+      JOIN transactions t ON t.id = ti.transaction_id
+      LEFT JOIN products p ON p.id = ti.product_id
+      LEFT JOIN categories c ON c.id = p.category_id
+      WHERE ${SALES_WHERE}
+      GROUP BY c.id, c.name
+      ORDER BY revenue_cents DESC, name
+    `, [merchantId, range.from, range.to, range.timezone]);
+
+    return {
+      range,
+      categories: result.rows.map(row => numbers(row, ['quantity', 'revenue_cents', 'order_count', 'revenue_share']))
+    };
+  }
+
+  /**
+   * Gross margin per product, category or brand in the range, from the unit cost snapshotted on each
+   * transaction item at the time of sale (transaction_items.unit_cost_cents)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { from, to, timezone, groupBy ('product'|'category'|'brand') }
+   * @returns {Object} - { range, rows, totals }
+   */
+  async getMargins(merchantId, { groupBy = 'product', ...rangeOptions } = {}) {
+    const range = await this.resolveRange(merchantId, rangeOptions);
+    const dimension = MARGIN_DIMENSIONS[groupBy];
+
+    const result = await db.query(`
+      SELECT
+        ${dimension.columns},
+        SUM(ti.quantity) AS units,
+        SUM(ti.line_total_cents) AS revenue_cents,
+        COALESCE(SUM(ti.line_total_cents) FILTER (WHERE ti.unit_cost_cents IS NOT NULL), 0) AS costed_revenue_cents,
+        COALESCE(SUM(ti.unit_cost_cents * ti.quantity), 0) AS cogs_cents,
+        COALESCE(SUM(ti.quantity) FILTER (WHERE ti.unit_cost_cents IS NULL), 0) AS uncosted_units
+      FROM transaction_items ti
+      JOIN transactions t ON t.id = ti.transaction_id
+      LEFT JOIN products p ON p.id = ti.product_id
+      LEFT JOIN categories c ON c.id = p.category_id
+      WHERE ${SALES_WHERE}
+      GROUP BY ${dimension.groupBy}
+      ORDER BY revenue_cents DESC, name
+    `, [merchantId, range.from, range.to, range.timezone]);
+
+    const keys = ['units', 'revenue_cents', 'costed_revenue_cents', 'cogs_cents', 'uncosted_units'];
+    const rows = result.rows.map(row => withMargin(numbers(row, keys)));
+    const totals = withMargin(Object.fromEntries(keys.map(key => [key, rows.reduce((sum, row) => sum + row[key], 0)])));
+
+    return { range: { ...range, groupBy }, rows, totals };
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,210 @@
+// services/reservationService.js
+const db = require('../config/database');
+const inventoryMovementService = require('./inventoryMovementService');
+
+const DEFAULT_TTL_MINUTES = 15;
+const DEFAULT_EXPIRE_BATCH = 100;
+
+/**
+ * Total quantity per product for priced cart lines, remembering which lines asked for it
+ */
+function quantitiesByProduct(lines) {
+  const byProduct = new Map();
+  lines.forEach((line, index) => {
+    const entry = byProduct.get(line.productId) || { productId: line.productId, quantity: 0, indexes: [] };
+    entry.quantity += line.quantity;
+    entry.indexes.push(index);
+    byProduct.set(line.productId, entry);
+  });
+  // Lock inventory rows in a stable order so concurrent checkouts cannot deadlock
+  return [...byProduct.values()].sort((a, b) => a.productId.localeCompare(b.productId));
+}
+
+/**
+ * Stock held for kiosk orders between checkout and payment (inventory_reservations table).
+ * Active reservations are counted in inventory.reserved, so the kiosk sells
+ * available = on_hand - reserved. A successful payment takes the quantity off on_hand;
+ * a failed payment, deleted order or RESERVATION_TTL_MINUTES without payment releases it.
+ */
+class ReservationService {
+  /**
+   * Hold stock for priced cart lines. Checkout runs it with record() in a short transaction
+   * of its own, before the Clover order is created, and release()s it if the order fails.
+   * @param {Object} client - Database client in a transaction
+   * @param {Array} lines - cartService.priceCart() lines
+   * @throws {Error} - status 409 with lineErrors when stock ran out since the cart was priced
+   */
+  async hold(client, lines) {
+    const errors = [];
+    for (const { productId, quantity, indexes } of quantitiesByProduct(lines)) {
+      const held = await client.query(`
+        UPDATE inventory
+        SET reserved = reserved + $2, last_updated = NOW()
+        WHERE product_id = $1 AND on_hand - reserved >= $2
+        RETURNING product_id
+      `, [productId, quantity]);
+      if (held.rows.length > 0) continue;
+
+      const current = await client.query(
+        'SELECT GREATEST(on_hand - reserved, 0) AS available FROM inventory WHERE product_id = $1',
+        [productId]
+      );
+      const available = current.rows[0]?.available ?? 0;
+      for (const index of indexes) {
+        const line = lines[index];
+        errors.push({
+          index,
+          productId,
+          code: available > 0 ? 'INSUFFICIENT_STOCK' : 'OUT_OF_STOCK',
+          message: available > 0 ? `Only ${available} of ${line.name} available` : `${line.name} is out of stock`,
+          available,
+          requested: quantity
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw Object.assign(new Error('Stock changed while checking out'), { status: 409, lineErrors: errors });
+    }
+  }
+
+  /**
+   * Record the stock held by hold() against the transaction it was held for
+   * @param {Object} client - Database client in the same transaction as hold()
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} transactionId - UUID of the transaction
+   * @param {Array} lines - The lines passed to hold()
+   * @returns {Date} - When the reservations expire
+   */
+  async record(client, merchantId, transactionId, lines) {
+    const ttlMinutes = parseInt(process.env.RESERVATION_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    for (const { productId, quantity } of quantitiesByProduct(lines)) {
+      await client.query(`
+        INSERT INTO inventory_reservations (merchant_id, transaction_id, product_id, quantity, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [merchantId, transactionId, productId, quantity, expiresAt]);
+    }
+    return expiresAt;
+  }
+
+  /**
+   * Payment succeeded: take the reserved quantities off on_hand, recorded as 'sale' movements.
+   * Reservations released because they expired or an earlier payment attempt failed still
+   * count as sold; their hold is gone, so only on_hand goes down.
+   * @param {Object} client - Database client in a transaction
+   * @param {string} transactionId - UUID of the transaction
+   * @returns {number} - Reservations committed
+   */
+  async commit(client, transactionId) {
+    const { rows } = await client.query(`
+      SELECT id, merchant_id, product_id, quantity, status
+      FROM inventory_reservations
+      WHERE transaction_id = $1
+        AND (status = 'active' OR (status = 'released' AND release_reason IN ('expired', 'payment_failed')))
+      FOR UPDATE
+    `, [transactionId]);
+
+    for (const reservation of rows) {
+      const heldQuantity = reservation.status === 'active' ? reservation.quantity : 0;
+      const before = await inventoryMovementService.lockOnHand(client, reservation.product_id);
+      const updated = await client.query(`
+        UPDATE inventory
+        SET on_hand = GREATEST(on_hand - $2, 0),
+            reserved = GREATEST(reserved - $3, 0),
+            last_updated = NOW(),
+            sync_source = 'sale'
+        WHERE product_id = $1
+        RETURNING on_hand
+      `, [reservation.product_id, reservation.quantity, heldQuantity]);
+      if (updated.rows.length === 0) continue;
+
+      await inventoryMovementService.record(client, {
+        merchantId: reservation.merchant_id,
+        productId: reservation.product_id,
+        before,
+        after: updated.rows[0].on_hand,
+        reason: 'sale',
+        referenceType: 'transaction',
+        referenceId: transactionId
+      });
+    }
+    await this.#markSettled(client, rows, 'committed', null);
+    return rows.length;
+  }
+
+  /**
+   * Give a transaction's held stock back
+   * @param {Object} client - Database client in a transaction
+   * @param {string} transactionId - UUID of the transaction
+   * @param {string} reason - 'payment_failed', 'voided', 'checkout_failed', ...
+   * @returns {number} - Reservations released
+   */
+  async release(client, transactionId, reason) {
+    const { rows } = await client.query(`
+      SELECT id, product_id, quantity
+      FROM inventory_reservations
+      WHERE transaction_id = $1 AND status = 'active'
+      FOR UPDATE
+    `, [transactionId]);
+
+    await this.#releaseHeld(client, rows, reason);
+    return rows.length;
+  }
+
+  /**
+   * Release active reservations past their expiry (orders abandoned without payment)
+   * @param {Object} options - { limit }
+   * @returns {number} - Reservations released
+   */
+  async releaseExpired({ limit = DEFAULT_EXPIRE_BATCH } = {}) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        SELECT id, product_id, quantity
+        FROM inventory_reservations
+        WHERE status = 'active' AND expires_at < NOW()
+        ORDER BY expires_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `, [limit]);
+
+      await this.#releaseHeld(client, rows, 'expired');
+      await client.query('COMMIT');
+      if (rows.length > 0) {
+        console.log(`Released ${rows.length} expired inventory reservation(s)`);
+      }
+      return rows.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // --------------- private helpers ---------------
+
+  async #releaseHeld(client, reservations, reason) {
+    for (const reservation of reservations) {
+      await client.query(`
+        UPDATE inventory
+        SET reserved = GREATEST(reserved - $2, 0), last_updated = NOW()
+        WHERE product_id = $1
+      `, [reservation.product_id, reservation.quantity]);
+    }
+    await this.#markSettled(client, reservations, 'released', reason);
+  }
+
+  async #markSettled(client, reservations, status, reason) {
+    if (reservations.length === 0) return;
+    await client.query(`
+      UPDATE inventory_reservations
+      SET status = $2, release_reason = $3, settled_at = NOW()
+      WHERE id = ANY($1::uuid[])
+    `, [reservations.map(reservation => reservation.id), status, reason]);
+  }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,200 @@
+// services/schedulerService.js
+const db = require('../config/database');
+const jobQueueService = require('./jobQueueService');
+const syncService = require('./syncService');
+const webhookService = require('./webhookService');
+const reservationService = require('./reservationService');
+const cloverStockPushService = require('./cloverStockPushService');
+const cloverCatalogPushService = require('./cloverCatalogPushService');
+
+/**
+ * Job queued for each schedule kind
+ */
+const SCHEDULE_KINDS = {
+  orders: { type: 'sync.orders', payload: { mode: 'delta' } },
+  inventory: { type: 'sync.full', payload: { mode: 'full', stages: ['inventory'] } },
+  catalog: { type: 'sync.full', payload: { mode: 'full' } }
+};
+
+const DEFAULT_TICK_MS = 60 * 1000;
+
+/**
+ * Per-merchant recurring syncs (sync_schedules table).
+ * runDue() queues a job for every due schedule; the job worker executes it. A schedule whose
+ * previous job (same type and payload) is still queued or running is skipped until its next slot.
+ */
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * @param {string} kind - Schedule kind
+   * @returns {boolean}
+   */
+  isValidKind(kind) {
+    return Object.prototype.hasOwnProperty.call(SCHEDULE_KINDS, kind);
+  }
+
+  /**
+   * List a merchant's schedules
+   * @param {string} merchantId - UUID of the merchant
+   * @returns {Array} - sync_schedules rows
+   */
+  async list(merchantId) {
+    const result = await db.query(
+      'SELECT * FROM sync_schedules WHERE merchant_id = $1 ORDER BY kind',
+      [merchantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create or update a merchant's schedule. Changing the interval reschedules the next run
+   * relative to the last queued run; re-enabling a schedule makes it due immediately.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} kind - 'orders', 'inventory' or 'catalog'
+   * @param {Object} options - { intervalMinutes, enabled }
+   * @returns {Object} - sync_schedules row
+   */
+  async upsert(merchantId, kind, { intervalMinutes, enabled = true }) {
+    const result = await db.query(`
+      INSERT INTO sync_schedules (merchant_id, kind, interval_minutes, enabled)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (merchant_id, kind) DO UPDATE SET
+        interval_minutes = EXCLUDED.interval_minutes,
+        enabled = EXCLUDED.enabled,
+        next_run_at = CASE
+          WHEN EXCLUDED.enabled AND NOT sync_schedules.enabled THEN NOW()
+          WHEN EXCLUDED.interval_minutes <> sync_schedules.interval_minutes
+            THEN COALESCE(sync_schedules.last_enqueued_at, NOW()) + make_interval(mins => EXCLUDED.interval_minutes)
+          ELSE sync_schedules.next_run_at
+        END
+      RETURNING *
+    `, [merchantId, kind, intervalMinutes, enabled]);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a merchant's schedule
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} kind - Schedule kind
+   * @returns {boolean} - Whether a schedule was deleted
+   */
+  async remove(merchantId, kind) {
+    const result = await db.query(
+      'DELETE FROM sync_schedules WHERE merchant_id = $1 AND kind = $2',
+      [merchantId, kind]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Queue jobs for due schedules. Safe to call from several processes at once: due rows are
+   * locked with FOR UPDATE SKIP LOCKED, so each schedule is handled by one caller.
+   * @param {Object} options - { limit: max schedules handled per call }
+   * @returns {Object} - { enqueued: [{ schedule_id, merchant_id, kind, job_id }], skipped: [{ schedule_id, merchant_id, kind, reason, job_id }] }
+   */
+  async runDue({ limit = 100 } = {}) {
+    const summary = { enqueued: [], skipped: [] };
+    if (!syncService.isEnabled()) {
+      return summary;
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const due = await client.query(`
+        SELECT * FROM sync_schedules
+        WHERE enabled = true AND next_run_at <= NOW()
+        ORDER BY next_run_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `, [limit]);
+
+      for (const schedule of due.rows) {
+        const { type, payload } = SCHEDULE_KINDS[schedule.kind];
+        const entry = { schedule_id: schedule.id, merchant_id: schedule.merchant_id, kind: schedule.kind };
+
+        // Overlap protection: never stack a second identical sync (type and payload) behind one
+        // still in flight; inventory and catalog share a job type but are different syncs
+        const inFlight = await client.query(`
+          SELECT id FROM jobs
+          WHERE merchant_id = $1 AND type = $2 AND payload = $3::jsonb AND status IN ('queued', 'running')
+          LIMIT 1
+        `, [schedule.merchant_id, type, JSON.stringify(payload)]);
+
+        let jobId = null;
+        if (inFlight.rows.length > 0) {
+          summary.skipped.push({ ...entry, reason: 'previous sync still in progress', job_id: inFlight.rows[0].id });
+        } else {
+          // In this transaction, so a rollback also drops the job and the schedule is not skipped
+          const job = await jobQueueService.enqueue(schedule.merchant_id, type, payload, { client });
+          jobId = job.id;
+          summary.enqueued.push({ ...entry, job_id: jobId });
+        }
+
+        // Move to the next slot after now, skipping slots missed while nothing was ticking
+        await client.query(`
+          UPDATE sync_schedules SET
+            next_run_at = next_run_at + make_interval(mins => interval_minutes) *
+              (FLOOR(EXTRACT(EPOCH FROM NOW() - next_run_at) / (interval_minutes * 60)) + 1),
+            last_enqueued_at = CASE WHEN $2::uuid IS NULL THEN last_enqueued_at ELSE NOW() END,
+            last_job_id = COALESCE($2, last_job_id),
+            last_skipped_at = CASE WHEN $2::uuid IS NULL THEN NOW() ELSE last_skipped_at END
+          WHERE id = $1
+        `, [schedule.id, jobId]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (summary.enqueued.length > 0 || summary.skipped.length > 0) {
+      console.log(`Scheduler queued ${summary.enqueued.length} sync(s), skipped ${summary.skipped.length}`);
+    }
+    return summary;
+  }
+
+  /**
+   * Every intervalMs until stop() is called: queue due schedules, retry
+   * unprocessed Clover webhook events, release expired inventory reservations and
+   * push local stock and catalog changes to Clover
+   * @param {Object} options - { intervalMs }
+   */
+  start({ intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_TICK_MS } = {}) {
+    if (this.timer) return;
+
+    const tick = () => {
+      if (this.ticking) return;
+      this.ticking = Promise.all([
+        this.runDue().catch(error => console.error('Scheduler tick failed:', error.message)),
+        webhookService.processPending().catch(error => console.error('Webhook retry failed:', error.message)),
+        reservationService.releaseExpired().catch(error => console.error('Reservation expiry failed:', error.message)),
+        cloverStockPushService.processPending().catch(error => console.error('Clover stock push failed:', error.message)),
+        cloverCatalogPushService.processPending().catch(error => console.error('Clover catalog push failed:', error.message))
+      ]).finally(() => { this.ticking = null; });
+    };
+
+    this.timer = setInterval(tick, intervalMs);
+    tick();
+    console.log(`Sync scheduler started (every ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the in-process scheduler and wait for a tick in progress
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.ticking;
+  }
+}
+
+module.exports = new SchedulerService();
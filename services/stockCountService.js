@@ -0,0 +1,354 @@
+// services/stockCountService.js
+const db = require('../config/database');
+const inventoryMovementService = require('./inventoryMovementService');
+
+const STATUSES = ['open', 'approved', 'cancelled'];
+const COUNT_MODES = ['set', 'add'];
+
+function stockCountError(status, message, lineErrors) {
+  return Object.assign(new Error(message), { status, lineErrors });
+}
+
+/**
+ * Expected quantity and variance for a line row; uncounted lines have no variance
+ */
+function withVariance(row) {
+  const movements = Number(row.movements_since_start);
+  const expected = row.on_hand_at_start + movements;
+  const counted = row.counted_quantity;
+  const variance = counted === null || counted === undefined ? null : counted - expected;
+  return {
+    ...row,
+    movements_since_start: movements,
+    expected_quantity: expected,
+    variance,
+    variance_cost_cents: variance !== null && row.cost_cents !== null && row.cost_cents !== undefined
+      ? variance * row.cost_cents
+      : null
+  };
+}
+
+function summarize(lines) {
+  const counted = lines.filter(line => line.variance !== null);
+  return {
+    products: lines.length,
+    counted: counted.length,
+    uncounted: lines.length - counted.length,
+    with_variance: counted.filter(line => line.variance !== 0).length,
+    units_over: counted.reduce((sum, line) => sum + Math.max(line.variance, 0), 0),
+    units_short: counted.reduce((sum, line) => sum + Math.max(-line.variance, 0), 0),
+    variance_cost_cents: counted.reduce((sum, line) => sum + (line.variance_cost_cents ?? 0), 0)
+  };
+}
+
+/**
+ * Stock-take sessions (stock_counts and stock_count_lines tables). Opening a count snapshots
+ * on_hand for every product in its scope (all active products, or one category and/or location).
+ * Counted quantities are entered over time, and each line is compared with what was expected at
+ * the moment it was counted: on_hand at the start plus the movements (sales, refunds, receipts,
+ * ...) recorded since. Approving posts each variance to on_hand as a 'count' movement and stamps
+ * last_counted_at on every counted product.
+ *
+ * open -> approved, or open -> cancelled
+ */
+class StockCountService {
+  /**
+   * @param {string} status - Status from the request
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return STATUSES.includes(status);
+  }
+
+  /**
+   * @param {string} mode - 'set' (replace the counted quantity) or 'add' (scans)
+   * @returns {boolean}
+   */
+  isValidCountMode(mode) {
+    return COUNT_MODES.includes(mode);
+  }
+
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} filters - { status }
+   * @returns {Array} - Stock counts, newest first, with how many of their products are counted
+   */
+  async listStockCounts(merchantId, { status = null } = {}) {
+    const params = [merchantId];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = 'AND c.status = $2';
+    }
+
+    const result = await db.query(`
+      SELECT
+        c.*,
+        COUNT(l.id)::int AS product_count,
+        COUNT(l.counted_quantity)::int AS counted_count
+      FROM stock_counts c
+      LEFT JOIN stock_count_lines l ON l.stock_count_id = c.id
+      WHERE c.merchant_id = $1 ${statusFilter}
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * A stock count with its lines and variance report
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} stockCountId - UUID of the stock count
+   * @param {Object} options - { client: database client to read with (e.g. inside a transaction) }
+   * @returns {Object|null} - Stock count with `lines` (expected_quantity, variance, variance_cost_cents)
+   *   and `summary`, or null when not found
+   */
+  async getStockCount(merchantId, stockCountId, { client = null } = {}) {
+    const conn = client || db;
+    const count = await conn.query(
+      'SELECT * FROM stock_counts WHERE id = $1 AND merchant_id = $2',
+      [stockCountId, merchantId]
+    );
+    if (count.rows.length === 0) return null;
+
+    // Movements between the start and when the line was counted (or the count was closed);
+    // the count's own approval movements are not part of the expectation
+    const lines = await conn.query(`
+      SELECT
+        l.*,
+        p.name AS product_name,
+        p.sku,
+        p.upc,
+        p.cost_cents,
+        i.location,
+        COALESCE(moves.delta, 0) AS movements_since_start
+      FROM stock_count_lines l
+      JOIN stock_counts c ON c.id = l.stock_count_id
+      JOIN products p ON p.id = l.product_id
+      LEFT JOIN inventory i ON i.product_id = l.product_id
+      LEFT JOIN LATERAL (
+        SELECT SUM(m.delta) AS delta
+        FROM inventory_movements m
+        WHERE m.product_id = l.product_id
+          AND m.created_at > c.started_at
+          AND m.created_at <= COALESCE(l.counted_at, c.approved_at, c.cancelled_at, NOW())
+          AND (m.reference_type IS DISTINCT FROM 'stock_count' OR m.reference_id <> c.id::text)
+      ) moves ON true
+      WHERE l.stock_count_id = $1
+      ORDER BY p.name, l.id
+    `, [stockCountId]);
+
+    const reportLines = lines.rows.map(withVariance);
+    return { ...count.rows[0], summary: summarize(reportLines), lines: reportLines };
+  }
+
+  /**
+   * Open a stock count of the merchant's active products, optionally one category and/or location
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} count - { categoryId, location, note, userId }
+   * @returns {Object} - The stock count with its lines
+   * @throws {Error} - status 400 when the category is not the merchant's or nothing is in scope,
+   *   409 when a product in scope is already in another open count
+   */
+  async openStockCount(merchantId, { categoryId = null, location = null, note = null, userId = null } = {}) {
+    return this.#inTransaction(async (client) => {
+      if (categoryId) {
+        const category = await client.query(
+          'SELECT id FROM categories WHERE id = $1 AND merchant_id = $2',
+          [categoryId, merchantId]
+        );
+        if (category.rows.length === 0) {
+          throw stockCountError(400, 'Category not found');
+        }
+      }
+
+      const { rows } = await client.query(`
+        INSERT INTO stock_counts (merchant_id, category_id, location, note, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [merchantId, categoryId, location, note, userId]);
+      const stockCountId = rows[0].id;
+
+      const lines = await client.query(`
+        INSERT INTO stock_count_lines (stock_count_id, product_id, on_hand_at_start)
+        SELECT $1, p.id, COALESCE(i.on_hand, 0)
+        FROM products p
+        LEFT JOIN inventory i ON i.product_id = p.id
+        WHERE p.merchant_id = $2 AND p.active = true
+          AND ($3::uuid IS NULL OR p.category_id = $3)
+          AND ($4::text IS NULL OR LOWER(i.location) = LOWER($4))
+        RETURNING product_id
+      `, [stockCountId, merchantId, categoryId, location]);
+      if (lines.rows.length === 0) {
+        throw stockCountError(400, 'No products match this stock count');
+      }
+
+      // Two open counts of one product would post its variance twice
+      const overlap = await client.query(`
+        SELECT l.product_id
+        FROM stock_count_lines l
+        JOIN stock_counts c ON c.id = l.stock_count_id
+        WHERE c.merchant_id = $1 AND c.status = 'open' AND c.id <> $2
+          AND l.product_id = ANY($3::uuid[])
+        LIMIT 1
+      `, [merchantId, stockCountId, lines.rows.map(line => line.product_id)]);
+      if (overlap.rows.length > 0) {
+        throw stockCountError(409, 'Some of these products are already in an open stock count');
+      }
+
+      return this.getStockCount(merchantId, stockCountId, { client });
+    });
+  }
+
+  /**
+   * Enter counted quantities
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} stockCountId - UUID of the stock count
+   * @param {Object} counts - { lines: [{ productId, quantity }], mode: 'set' (default) replaces the counted
+   *   quantity, 'add' adds to it (scanning one unit at a time), userId }
+   * @returns {Object} - The stock count with its lines
+   * @throws {Error} - status 404 when not found, 409 once it is closed, 400 with lineErrors for products
+   *   not in the count
+   */
+  async recordCounts(merchantId, stockCountId, { lines, mode = 'set', userId = null }) {
+    return this.#inTransaction(async (client) => {
+      const count = await this.#lock(client, merchantId, stockCountId);
+      if (count.status !== 'open') {
+        throw stockCountError(409, `Stock count is already ${count.status}`);
+      }
+
+      const errors = [];
+      for (const [index, line] of lines.entries()) {
+        const updated = await client.query(`
+          UPDATE stock_count_lines
+          SET counted_quantity = ${mode === 'add' ? 'COALESCE(counted_quantity, 0) + $3' : '$3'},
+              counted_at = NOW(),
+              counted_by = $4
+          WHERE stock_count_id = $1 AND product_id = $2
+          RETURNING id
+        `, [stockCountId, line.productId, line.quantity, userId]);
+        if (updated.rows.length === 0) {
+          errors.push({ index, productId: line.productId, code: 'NOT_IN_COUNT', message: 'Product is not in this stock count' });
+        }
+      }
+      if (errors.length > 0) {
+        throw stockCountError(400, 'Stock count validation failed', errors);
+      }
+
+      return this.getStockCount(merchantId, stockCountId, { client });
+    });
+  }
+
+  /**
+   * Post the variance of every counted product to on_hand and close the count. A variance is
+   * applied to the current on_hand, so sales made after a product was counted are kept.
+   * Uncounted products are left as they are.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} stockCountId - UUID of the stock count
+   * @param {Object} options - { userId }
+   * @returns {Object} - The approved stock count with its lines (`adjustment` is what was posted)
+   * @throws {Error} - status 404 when not found, 409 when already closed or nothing was counted
+   */
+  async approveStockCount(merchantId, stockCountId, { userId = null } = {}) {
+    return this.#inTransaction(async (client) => {
+      const count = await this.#lock(client, merchantId, stockCountId);
+      if (count.status !== 'open') {
+        throw stockCountError(409, `Stock count is already ${count.status}`);
+      }
+
+      const report = await this.getStockCount(merchantId, stockCountId, { client });
+      const counted = report.lines
+        .filter(line => line.variance !== null)
+        .sort((a, b) => a.product_id.localeCompare(b.product_id));
+      if (counted.length === 0) {
+        throw stockCountError(409, 'Nothing has been counted yet');
+      }
+
+      for (const line of counted) {
+        const before = await inventoryMovementService.lockOnHand(client, line.product_id);
+        const after = Math.max(before + line.variance, 0);
+        await client.query(`
+          INSERT INTO inventory (product_id, on_hand, last_counted_at, last_updated, sync_source)
+          VALUES ($1, $2, NOW(), NOW(), 'count')
+          ON CONFLICT (product_id) DO UPDATE
+          SET on_hand = EXCLUDED.on_hand,
+              last_counted_at = NOW(),
+              last_updated = NOW(),
+              sync_source = 'count'
+        `, [line.product_id, after]);
+        await inventoryMovementService.record(client, {
+          merchantId,
+          productId: line.product_id,
+          before,
+          after,
+          reason: 'count',
+          userId,
+          referenceType: 'stock_count',
+          referenceId: stockCountId
+        });
+        await client.query(
+          'UPDATE stock_count_lines SET adjustment = $2 WHERE id = $1',
+          [line.id, after - before]
+        );
+      }
+
+      await client.query(
+        "UPDATE stock_counts SET status = 'approved', approved_at = NOW(), approved_by = $2 WHERE id = $1",
+        [stockCountId, userId]
+      );
+      return this.getStockCount(merchantId, stockCountId, { client });
+    });
+  }
+
+  /**
+   * Close a stock count without changing any stock
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} stockCountId - UUID of the stock count
+   * @returns {Object} - The stock count with its lines
+   * @throws {Error} - status 404 when not found, 409 when already closed
+   */
+  async cancelStockCount(merchantId, stockCountId) {
+    return this.#inTransaction(async (client) => {
+      const count = await this.#lock(client, merchantId, stockCountId);
+      if (count.status !== 'open') {
+        throw stockCountError(409, `Stock count is already ${count.status}`);
+      }
+
+      await client.query(
+        "UPDATE stock_counts SET status = 'cancelled', cancelled_at = NOW() WHERE id = $1",
+        [stockCountId]
+      );
+      return this.getStockCount(merchantId, stockCountId, { client });
+    });
+  }
+
+  // --------------- private helpers ---------------
+
+  async #lock(client, merchantId, stockCountId) {
+    const { rows } = await client.query(
+      'SELECT * FROM stock_counts WHERE id = $1 AND merchant_id = $2 FOR UPDATE',
+      [stockCountId, merchantId]
+    );
+    if (rows.length === 0) {
+      throw stockCountError(404, 'Stock count not found');
+    }
+    return rows[0];
+  }
+
+  async #inTransaction(fn) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new StockCountService();
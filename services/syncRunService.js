@@ -0,0 +1,188 @@
+// services/syncRunService.js
+const db = require('../config/database');
+
+/**
+ * Records Clover sync runs in sync_runs and delta watermarks in sync_watermarks.
+ * Bookkeeping is best-effort: a failure to write a run is logged and never fails the sync itself.
+ */
+class SyncRunService {
+  /**
+   * Start a run
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} syncType - 'full', 'catalog' or 'orders'
+   * @param {Object} options - Options the sync was started with
+   * @param {string} resumedFrom - ID of the failed run being resumed (optional)
+   * @param {Object} cursor - Starting cursor when resuming (optional)
+   * @param {string} jobId - Job executing the run (optional)
+   * @returns {string|null} - Run ID, or null if it could not be recorded
+   */
+  async start(merchantId, syncType, { options = {}, resumedFrom = null, cursor = null, jobId = null } = {}) {
+    try {
+      const result = await db.query(`
+        INSERT INTO sync_runs (merchant_id, sync_type, status, options, resumed_from, cursor, job_id)
+        VALUES ($1, $2, 'running', $3, $4, $5, $6)
+        RETURNING id
+      `, [merchantId, syncType, JSON.stringify(options), resumedFrom, cursor ? JSON.stringify(cursor) : null, jobId]);
+      return result.rows[0].id;
+    } catch (error) {
+      console.error(`Failed to record ${syncType} sync run for merchant ${merchantId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist progress after a committed batch
+   * @param {string} runId - Run ID from start()
+   * @param {Object} progress - { cursor, counts, lastModifiedTime }
+   */
+  async checkpoint(runId, { cursor = null, counts = null, lastModifiedTime = null } = {}) {
+    if (!runId) return;
+    try {
+      await db.query(`
+        UPDATE sync_runs SET
+          cursor = COALESCE($2, cursor),
+          counts = COALESCE($3, counts),
+          last_modified_time = GREATEST(last_modified_time, $4)
+        WHERE id = $1
+      `, [
+        runId,
+        cursor ? JSON.stringify(cursor) : null,
+        counts ? JSON.stringify(counts) : null,
+        lastModifiedTime
+      ]);
+    } catch (error) {
+      console.error(`Failed to checkpoint sync run ${runId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark a run finished
+   * @param {string} runId - Run ID from start()
+   * @param {Object} result - { status: 'succeeded'|'failed', counts, errors, cursor }
+   */
+  async finish(runId, { status, counts = null, errors = null, cursor = null } = {}) {
+    if (!runId) return;
+    try {
+      await db.query(`
+        UPDATE sync_runs SET
+          status = $2,
+          counts = COALESCE($3, counts),
+          errors = $4,
+          cursor = COALESCE($5, cursor),
+          finished_at = NOW()
+        WHERE id = $1
+      `, [
+        runId,
+        status,
+        counts ? JSON.stringify(counts) : null,
+        errors && errors.length ? JSON.stringify(errors) : null,
+        cursor ? JSON.stringify(cursor) : null
+      ]);
+    } catch (error) {
+      console.error(`Failed to finish sync run ${runId}:`, error.message);
+    }
+  }
+
+  /**
+   * Highest modifiedTime synced for an entity, or null when it has never completed.
+   * A failed read returns null, so the delta sync falls back to fetching everything.
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} syncType - 'full' or 'catalog'
+   * @param {string} entity - 'categories', 'items' or 'item_stocks'
+   * @returns {number|null} - Clover modifiedTime in milliseconds
+   */
+  async getWatermark(merchantId, syncType, entity) {
+    try {
+      const result = await db.query(
+        'SELECT last_modified_time FROM sync_watermarks WHERE merchant_id = $1 AND sync_type = $2 AND entity = $3',
+        [merchantId, syncType, entity]
+      );
+      return result.rows.length > 0 ? Number(result.rows[0].last_modified_time) : null;
+    } catch (error) {
+      console.error(`Failed to read ${entity} watermark for merchant ${merchantId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Move an entity's watermark forward (never backwards) after a stage completes
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} syncType - 'full' or 'catalog'
+   * @param {string} entity - 'categories', 'items' or 'item_stocks'
+   * @param {number|null} modifiedTime - Highest Clover modifiedTime committed by the stage
+   */
+  async advanceWatermark(merchantId, syncType, entity, modifiedTime) {
+    if (!Number.isFinite(modifiedTime)) return;
+    try {
+      await db.query(`
+        INSERT INTO sync_watermarks (merchant_id, sync_type, entity, last_modified_time)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (merchant_id, sync_type, entity) DO UPDATE SET
+          last_modified_time = GREATEST(sync_watermarks.last_modified_time, EXCLUDED.last_modified_time),
+          updated_at = NOW()
+      `, [merchantId, syncType, entity, modifiedTime]);
+    } catch (error) {
+      console.error(`Failed to advance ${entity} watermark for merchant ${merchantId}:`, error.message);
+    }
+  }
+
+  /**
+   * List a merchant's runs, newest first
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} filters - { type, status, limit }
+   * @returns {Array}
+   */
+  async list(merchantId, { type = null, status = null, limit = 50 } = {}) {
+    const params = [merchantId];
+    let where = 'merchant_id = $1';
+
+    if (type) {
+      params.push(type);
+      where += ` AND sync_type = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      where += ` AND status = $${params.length}`;
+    }
+    params.push(limit);
+
+    const result = await db.query(`
+      SELECT id, sync_type, status, counts, errors, cursor, last_modified_time,
+             resumed_from, started_at, finished_at
+      FROM sync_runs
+      WHERE ${where}
+      ORDER BY started_at DESC
+      LIMIT $${params.length}
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Most recent run executed by a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  async getLatestForJob(jobId) {
+    const result = await db.query(
+      'SELECT * FROM sync_runs WHERE job_id = $1 ORDER BY started_at DESC LIMIT 1',
+      [jobId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Get a single run for a merchant
+   * @param {string} runId - Run ID
+   * @param {string} merchantId - UUID of the merchant
+   * @returns {Object|null}
+   */
+  async getById(runId, merchantId) {
+    const result = await db.query(
+      'SELECT * FROM sync_runs WHERE id = $1 AND merchant_id = $2',
+      [runId, merchantId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+}
+
+module.exports = new SyncRunService();
@@ -1,6 +1,22 @@
 // services/syncService.js
 const db = require('../config/database');
-const { clover, fetchPaged } = require('./cloverService');
+const { createClient, getMerchantClient, fetchPaged, modifiedSinceParams } = require('./cloverService');
+const cloverAuthService = require('./cloverAuthService');
+const syncRunService = require('./syncRunService');
+const inventoryMovementService = require('./inventoryMovementService');
+const catalogOwnershipService = require('./catalogOwnershipService');
+
+// Refresh tokens slightly before Clover expires them
+const TOKEN_REFRESH_SKEW_MS = 60 * 1000;
+
+// Full sync order; sync_runs cursors name the stage to resume at
+const FULL_SYNC_STAGES = ['categories', 'products', 'inventory'];
+
+// Clover collection behind each stage, used as the sync_watermarks entity
+const STAGE_ENTITIES = { categories: 'categories', products: 'items', inventory: 'item_stocks' };
+
+// full: fetch every object; delta: only objects modified since the stored watermark
+const SYNC_MODES = ['full', 'delta'];
 
 /**
  * Comprehensive sync service for Clover integration
@@ -9,6 +25,7 @@ const { clover, fetchPaged } = require('./cloverService');
 class SyncService {
   constructor() {
     this.isCloverEnabled = process.env.ENABLE_CLOVER === 'true';
+    this.refreshLocks = new Map();
   }
 
   /**
@@ -19,12 +36,13 @@ class SyncService {
   }
 
   /**
-   * Get Clover access token for a merchant
+   * Get Clover access token for a merchant, refreshing it if it has expired
    * @param {string} merchantId - UUID of the merchant
-   * @returns {Object} - Token information
+   * @returns {Object} - Token information (refreshed=true when a new token was obtained)
    */
   async getMerchantCloverToken(merchantId) {
     const client = await db.connect();
+    let tokenInfo;
     try {
       const result = await client.query(
         'SELECT access_token, refresh_token, expires_at FROM clover_tokens WHERE merchant_id = $1',
@@ -35,40 +53,113 @@ class SyncService {
         throw new Error('No Clover token found for merchant');
       }
 
-      const tokenInfo = result.rows[0];
-      
-      // Check if token is expired (if expires_at is set)
-      if (tokenInfo.expires_at && new Date() > new Date(tokenInfo.expires_at)) {
-        throw new Error('Clover access token has expired');
-      }
+      tokenInfo = result.rows[0];
+    } finally {
+      client.release();
+    }
 
+    if (!this.isTokenExpired(tokenInfo)) {
       return tokenInfo;
+    }
+
+    if (!tokenInfo.refresh_token) {
+      throw new Error('Clover access token has expired');
+    }
+
+    return this.refreshMerchantCloverToken(merchantId);
+  }
+
+  /**
+   * Check whether a token row is expired (or about to expire)
+   * @param {Object} tokenInfo - Row from clover_tokens
+   * @returns {boolean}
+   */
+  isTokenExpired(tokenInfo) {
+    if (!tokenInfo.expires_at) return false;
+    return Date.now() + TOKEN_REFRESH_SKEW_MS >= new Date(tokenInfo.expires_at).getTime();
+  }
+
+  /**
+   * Refresh a merchant's Clover access token and persist the new pair.
+   * Concurrent callers in this process share one refresh; across processes the
+   * clover_tokens row lock serializes refreshes and later callers reuse the new token.
+   * @param {string} merchantId - UUID of the merchant
+   * @returns {Object} - Refreshed token information
+   */
+  async refreshMerchantCloverToken(merchantId) {
+    if (this.refreshLocks.has(merchantId)) {
+      return this.refreshLocks.get(merchantId);
+    }
+
+    const refresh = (async () => {
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+          'SELECT access_token, refresh_token, expires_at FROM clover_tokens WHERE merchant_id = $1 FOR UPDATE',
+          [merchantId]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('No Clover token found for merchant');
+        }
+
+        const current = result.rows[0];
+
+        // Another process refreshed while we waited for the lock
+        if (!this.isTokenExpired(current)) {
+          await client.query('COMMIT');
+          return { ...current, refreshed: true };
+        }
+
+        let tokens;
+        try {
+          tokens = await cloverAuthService.refreshAccessToken(current.refresh_token);
+        } catch (error) {
+          if (error.rejected) {
+            throw new Error(`Clover access token has expired and refresh was rejected: ${error.message}`);
+          }
+          throw new Error(`Clover token refresh failed: ${error.message}`);
+        }
+
+        const updated = await client.query(`
+          UPDATE clover_tokens SET
+            access_token = $1,
+            refresh_token = COALESCE($2, refresh_token),
+            expires_at = $3
+          WHERE merchant_id = $4
+          RETURNING access_token, refresh_token, expires_at
+        `, [tokens.access_token, tokens.refresh_token, tokens.expires_at, merchantId]);
+
+        await client.query('COMMIT');
+        console.log(`Refreshed Clover access token for merchant ${merchantId}`);
+
+        return { ...updated.rows[0], refreshed: true };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    })();
+
+    this.refreshLocks.set(merchantId, refresh);
+    try {
+      return await refresh;
     } finally {
-      client.release();
+      this.refreshLocks.delete(merchantId);
     }
   }
 
   /**
    * Create authenticated Clover API client for specific merchant
    * @param {string} accessToken - Merchant's Clover access token
+   * @param {string} [merchantId] - UUID of the merchant, which keys the request budget
    * @returns {Object} - Axios instance configured for Clover API
    */
-  createCloverClient(accessToken) {
-    const baseURL = process.env.CLOVER_BASE_URL?.trim() || 
-      (process.env.CLOVER_ENVIRONMENT?.toLowerCase() === 'sandbox'
-        ? 'https://sandbox.dev.clover.com'
-        : 'https://api.clover.com');
-
-    const axios = require('axios');
-    return axios.create({
-      baseURL,
-      headers: { 
-        Authorization: `Bearer ${accessToken.trim()}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000,
-      validateStatus: s => s < 500, // surface 4xx, retry 5xx upstream if needed
-    });
+  createCloverClient(accessToken, merchantId = null) {
+    return createClient(accessToken, merchantId);
   }
 
   /**
@@ -76,57 +167,45 @@ class SyncService {
    * @param {string} merchantId - UUID of the merchant
    * @param {string} accessToken - Clover access token
    * @param {string} cloverMerchantId - Clover merchant ID
+   * @param {Object} options - { offset: page offset to resume from, onCheckpoint: called after each committed page,
+   *   modifiedSince: only fetch objects modified at or after this Clover modifiedTime (delta mode) }
    * @returns {Object} - Sync results
    */
-  async syncCategories(merchantId, accessToken, cloverMerchantId) {
-    const cloverClient = this.createCloverClient(accessToken);
+  async syncCategories(merchantId, accessToken, cloverMerchantId, { offset = 0, onCheckpoint = null, modifiedSince = null } = {}) {
+    const cloverClient = this.createCloverClient(accessToken, merchantId);
     let processed = 0;
     let errors = [];
+    let lastModifiedTime = null;
 
     const client = await db.connect();
     
     try {
-      await client.query('BEGIN');
-      
       const path = `/v3/merchants/${cloverMerchantId}/categories`;
       
-      await fetchPaged(path, { limit: 100 }, async (categories) => {
+      // Each page commits on its own so a failed run can resume from the last committed offset;
+      // a failed row only rolls back to its savepoint, so the rest of the page still commits
+      const params = modifiedSinceParams(modifiedSince);
+      const policy = await catalogOwnershipService.getPolicy(merchantId, client);
+      await fetchPaged(path, { limit: 100, offset, params }, async (categories, page = {}) => {
+        await client.query('BEGIN');
         for (const category of categories) {
           try {
-            await client.query(`
-              INSERT INTO categories (
-                merchant_id, clover_id, name, sort_order, active, 
-                clover_created_at, clover_modified_at
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-              ON CONFLICT (merchant_id, clover_id) 
-              DO UPDATE SET 
-                name = EXCLUDED.name,
-                sort_order = EXCLUDED.sort_order,
-                active = EXCLUDED.active,
-                clover_modified_at = EXCLUDED.clover_modified_at,
-                updated_at = NOW()
-            `, [
-              merchantId,
-              category.id,
-              category.name || 'Unnamed Category',
-              category.sortOrder || 0,
-              !category.deleted,
-              category.createdTime ? new Date(category.createdTime) : null,
-              category.modifiedTime ? new Date(category.modifiedTime) : null
-            ]);
+            await this.#inSavepoint(client, () => this.upsertCategory(client, merchantId, category, { policy }));
             processed++;
           } catch (error) {
             console.error(`Error syncing category ${category.id}:`, error);
             errors.push(`Category ${category.name}: ${error.message}`);
           }
         }
+        await client.query('COMMIT');
+        lastModifiedTime = this.#maxModifiedTime(categories, lastModifiedTime);
+        await this.#checkpoint(onCheckpoint, page, categories);
       }, cloverClient);
 
-      await client.query('COMMIT');
-      
       return {
         success: true,
         processed,
+        lastModifiedTime,
         errors: errors.length > 0 ? errors : null
       };
     } catch (error) {
@@ -143,83 +222,45 @@ class SyncService {
    * @param {string} merchantId - UUID of the merchant
    * @param {string} accessToken - Clover access token
    * @param {string} cloverMerchantId - Clover merchant ID
+   * @param {Object} options - { offset: page offset to resume from, onCheckpoint: called after each committed page,
+   *   modifiedSince: only fetch objects modified at or after this Clover modifiedTime (delta mode) }
    * @returns {Object} - Sync results
    */
-  async syncProducts(merchantId, accessToken, cloverMerchantId) {
-    const cloverClient = this.createCloverClient(accessToken);
+  async syncProducts(merchantId, accessToken, cloverMerchantId, { offset = 0, onCheckpoint = null, modifiedSince = null } = {}) {
+    const cloverClient = this.createCloverClient(accessToken, merchantId);
     let processed = 0;
     let errors = [];
+    let lastModifiedTime = null;
 
     const client = await db.connect();
     
     try {
-      await client.query('BEGIN');
-      
       const path = `/v3/merchants/${cloverMerchantId}/items`;
       
-      await fetchPaged(path, { limit: 100 }, async (items) => {
+      // Each page commits on its own so a failed run can resume from the last committed offset;
+      // a failed row only rolls back to its savepoint, so the rest of the page still commits
+      const params = modifiedSinceParams(modifiedSince);
+      const policy = await catalogOwnershipService.getPolicy(merchantId, client);
+      await fetchPaged(path, { limit: 100, offset, params }, async (items, page = {}) => {
+        await client.query('BEGIN');
         for (const item of items) {
           try {
-            // Find category mapping if exists
-            let categoryId = null;
-            if (item.categories && item.categories.elements && item.categories.elements.length > 0) {
-              const cloverCategoryId = item.categories.elements[0].id;
-              const categoryResult = await client.query(
-                'SELECT id FROM categories WHERE merchant_id = $1 AND clover_id = $2',
-                [merchantId, cloverCategoryId]
-              );
-              if (categoryResult.rows.length > 0) {
-                categoryId = categoryResult.rows[0].id;
-              }
-            }
-
-            await client.query(`
-              INSERT INTO products (
-                merchant_id, clover_id, name, description, price_cents, sku, upc,
-                category_id, visible_in_kiosk, brand, active,
-                clover_created_at, clover_modified_at
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-              ON CONFLICT (merchant_id, clover_id) 
-              DO UPDATE SET 
-                name = EXCLUDED.name,
-                description = EXCLUDED.description,
-                price_cents = EXCLUDED.price_cents,
-                sku = EXCLUDED.sku,
-                upc = EXCLUDED.upc,
-                category_id = EXCLUDED.category_id,
-                visible_in_kiosk = EXCLUDED.visible_in_kiosk,
-                brand = EXCLUDED.brand,
-                active = EXCLUDED.active,
-                clover_modified_at = EXCLUDED.clover_modified_at,
-                updated_at = NOW()
-            `, [
-              merchantId,
-              item.id,
-              item.name || 'Unnamed Product',
-              item.alternateName || null,
-              item.price || 0,
-              item.code || null,
-              item.sku || null,
-              categoryId,
-              !item.hidden,
-              null, // Clover doesn't have brand field in basic item
-              !item.deleted,
-              item.createdTime ? new Date(item.createdTime) : null,
-              item.modifiedTime ? new Date(item.modifiedTime) : null
-            ]);
+            await this.#inSavepoint(client, () => this.upsertProduct(client, merchantId, item, { policy }));
             processed++;
           } catch (error) {
             console.error(`Error syncing product ${item.id}:`, error);
             errors.push(`Product ${item.name}: ${error.message}`);
           }
         }
+        await client.query('COMMIT');
+        lastModifiedTime = this.#maxModifiedTime(items, lastModifiedTime);
+        await this.#checkpoint(onCheckpoint, page, items);
       }, cloverClient);
 
-      await client.query('COMMIT');
-      
       return {
         success: true,
         processed,
+        lastModifiedTime,
         errors: errors.length > 0 ? errors : null
       };
     } catch (error) {
@@ -236,73 +277,47 @@ class SyncService {
    * @param {string} merchantId - UUID of the merchant
    * @param {string} accessToken - Clover access token
    * @param {string} cloverMerchantId - Clover merchant ID
+   * @param {Object} options - { offset: page offset to resume from, onCheckpoint: called after each committed page,
+   *   modifiedSince: only fetch objects modified at or after this Clover modifiedTime (delta mode) }
    * @returns {Object} - Sync results
    */
-  async syncInventory(merchantId, accessToken, cloverMerchantId) {
-    const cloverClient = this.createCloverClient(accessToken);
+  async syncInventory(merchantId, accessToken, cloverMerchantId, { offset = 0, onCheckpoint = null, modifiedSince = null } = {}) {
+    const cloverClient = this.createCloverClient(accessToken, merchantId);
     let processed = 0;
     let errors = [];
+    let lastModifiedTime = null;
 
     const client = await db.connect();
     
     try {
-      await client.query('BEGIN');
-      
       const path = `/v3/merchants/${cloverMerchantId}/item_stocks`;
       
-      await fetchPaged(path, { limit: 100 }, async (stocks) => {
+      // Each page commits on its own so a failed run can resume from the last committed offset;
+      // a failed row only rolls back to its savepoint, so the rest of the page still commits
+      const params = modifiedSinceParams(modifiedSince);
+      await fetchPaged(path, { limit: 100, offset, params }, async (stocks, page = {}) => {
+        await client.query('BEGIN');
         for (const stock of stocks) {
           try {
-            // Find the corresponding product
-            const productResult = await client.query(
-              'SELECT id FROM products WHERE merchant_id = $1 AND clover_id = $2',
-              [merchantId, stock.item.id]
-            );
-
-            if (productResult.rows.length === 0) {
+            if (!(await this.#inSavepoint(client, () => this.upsertInventory(client, merchantId, stock)))) {
               console.warn(`Product not found for inventory item ${stock.item.id}`);
               continue;
             }
-
-            const productId = productResult.rows[0].id;
-            const quantity = stock.quantity || 0;
-            const stockType = stock.stockCount ? 'stockCount' : 'quantity';
-
-            await client.query(`
-              INSERT INTO inventory (
-                merchant_id, product_id, clover_item_id, quantity_available, 
-                low_stock_threshold, auto_order_enabled,
-                clover_modified_at, sync_status
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-              ON CONFLICT (merchant_id, product_id) 
-              DO UPDATE SET 
-                quantity_available = EXCLUDED.quantity_available,
-                clover_modified_at = EXCLUDED.clover_modified_at,
-                sync_status = EXCLUDED.sync_status,
-                updated_at = NOW()
-            `, [
-              merchantId,
-              productId,
-              stock.item.id,
-              quantity,
-              10, // Default low stock threshold
-              false, // Default auto order disabled
-              stock.modifiedTime ? new Date(stock.modifiedTime) : null,
-              'synced'
-            ]);
             processed++;
           } catch (error) {
             console.error(`Error syncing inventory for item ${stock.item?.id}:`, error);
             errors.push(`Inventory ${stock.item?.id}: ${error.message}`);
           }
         }
+        await client.query('COMMIT');
+        lastModifiedTime = this.#maxModifiedTime(stocks, lastModifiedTime);
+        await this.#checkpoint(onCheckpoint, page, stocks);
       }, cloverClient);
 
-      await client.query('COMMIT');
-      
       return {
         success: true,
         processed,
+        lastModifiedTime,
         errors: errors.length > 0 ? errors : null
       };
     } catch (error) {
@@ -314,12 +329,161 @@ class SyncService {
     }
   }
 
+  /**
+   * Upsert one Clover category. An existing category only takes the fields Clover owns
+   * (catalogOwnershipService); active is kiosk-only and keeps its local value.
+   * @param {Object} client - Database client (inside the caller's transaction)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} category - Clover category
+   * @param {Object} options - { policy: the merchant's field owners, loaded once per stage by the caller }
+   */
+  async upsertCategory(client, merchantId, category, { policy = null } = {}) {
+    policy = policy || await catalogOwnershipService.getPolicy(merchantId, client);
+    await client.query(`
+      INSERT INTO categories (merchant_id, clover_category_id, name, sort_order, active)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (merchant_id, clover_category_id) 
+      DO UPDATE SET 
+        name = CASE WHEN 'name' = ANY($6::text[]) THEN EXCLUDED.name ELSE categories.name END,
+        sort_order = CASE WHEN 'sort_order' = ANY($6::text[]) THEN EXCLUDED.sort_order ELSE categories.sort_order END,
+        updated_at = NOW()
+    `, [
+      merchantId,
+      category.id,
+      category.name || 'Unnamed Category',
+      category.sortOrder || 0,
+      !category.deleted,
+      catalogOwnershipService.fieldsOwnedBy(policy, 'categories', 'clover')
+    ]);
+  }
+
+  /**
+   * Upsert one Clover item into products, linked to its first category. An existing product
+   * only takes the fields Clover owns (catalogOwnershipService); kiosk-only fields
+   * (description, upc, visible_in_kiosk, brand) are only set when the product is created.
+   * @param {Object} client - Database client (inside the caller's transaction)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} item - Clover item (with expanded categories)
+   * @param {Object} options - { policy: the merchant's field owners, loaded once per stage by the caller }
+   */
+  async upsertProduct(client, merchantId, item, { policy = null } = {}) {
+    // Find category mapping if exists
+    let categoryId = null;
+    if (item.categories && item.categories.elements && item.categories.elements.length > 0) {
+      const cloverCategoryId = item.categories.elements[0].id;
+      const categoryResult = await client.query(
+        'SELECT id FROM categories WHERE merchant_id = $1 AND clover_category_id = $2',
+        [merchantId, cloverCategoryId]
+      );
+      if (categoryResult.rows.length > 0) {
+        categoryId = categoryResult.rows[0].id;
+      }
+    }
+
+    policy = policy || await catalogOwnershipService.getPolicy(merchantId, client);
+    await client.query(`
+      INSERT INTO products (
+        merchant_id, clover_item_id, name, description, price_cents, sku, upc,
+        category_id, visible_in_kiosk, brand, active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (merchant_id, clover_item_id) 
+      DO UPDATE SET 
+        name = CASE WHEN 'name' = ANY($12::text[]) THEN EXCLUDED.name ELSE products.name END,
+        price_cents = CASE WHEN 'price_cents' = ANY($12::text[]) THEN EXCLUDED.price_cents ELSE products.price_cents END,
+        sku = CASE WHEN 'sku' = ANY($12::text[]) THEN EXCLUDED.sku ELSE products.sku END,
+        category_id = CASE WHEN 'category_id' = ANY($12::text[]) THEN EXCLUDED.category_id ELSE products.category_id END,
+        active = CASE WHEN 'active' = ANY($12::text[]) THEN EXCLUDED.active ELSE products.active END,
+        updated_at = NOW()
+    `, [
+      merchantId,
+      item.id,
+      item.name || 'Unnamed Product',
+      item.alternateName || null,
+      item.price || 0,
+      item.code || null,
+      item.sku || null,
+      categoryId,
+      !item.hidden,
+      null, // Clover doesn't have brand field in basic item
+      !item.deleted,
+      catalogOwnershipService.fieldsOwnedBy(policy, 'products', 'clover')
+    ]);
+  }
+
+  /**
+   * Upsert the inventory row for one Clover item stock. on_hand is read under a row lock
+   * (lockOnHand) so the movement records the real before and after counts. A product with a
+   * local stock change still waiting to be pushed (or in conflict) keeps its local count.
+   * @param {Object} client - Database client (inside the caller's transaction)
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} stock - Clover item_stock ({ item: { id }, quantity, modifiedTime })
+   * @param {Object} options - { reason: movement reason for a changed quantity, 'sync' (default) or 'webhook' }
+   * @returns {boolean} - false when the item has no local product yet
+   */
+  async upsertInventory(client, merchantId, stock, { reason = 'sync' } = {}) {
+    // Find the corresponding product
+    const productResult = await client.query(
+      'SELECT id FROM products WHERE merchant_id = $1 AND clover_item_id = $2 LIMIT 1',
+      [merchantId, stock.item.id]
+    );
+
+    if (productResult.rows.length === 0) {
+      return false;
+    }
+
+    const productId = productResult.rows[0].id;
+    const quantity = Number.isFinite(stock.quantity) ? Math.trunc(stock.quantity) : 0;
+    const before = await inventoryMovementService.lockOnHand(client, productId);
+
+    const openPush = await client.query(
+      `SELECT 1 FROM clover_stock_pushes WHERE product_id = $1 AND status IN ('pending', 'conflict') LIMIT 1`,
+      [productId]
+    );
+    if (openPush.rowCount) return true;
+
+    await client.query(`
+      INSERT INTO inventory (product_id, on_hand, reserved, reorder_level, last_updated, sync_source, clover_stock_modified_time)
+      VALUES ($1, $2, 0, 5, NOW(), 'sync', $3)
+      ON CONFLICT (product_id) DO UPDATE
+        SET on_hand = EXCLUDED.on_hand,
+            last_updated = NOW(),
+            sync_source = 'sync',
+            clover_stock_modified_time = EXCLUDED.clover_stock_modified_time
+    `, [productId, quantity, Number.isFinite(stock.modifiedTime) ? stock.modifiedTime : null]);
+
+    await inventoryMovementService.record(client, {
+      merchantId,
+      productId,
+      before,
+      after: quantity,
+      reason,
+      referenceType: 'clover_item',
+      referenceId: stock.item.id
+    });
+    return true;
+  }
+
+  /**
+   * Check a ?mode= value for catalog syncs
+   * @param {string} mode - 'full' or 'delta'
+   * @returns {boolean}
+   */
+  isValidSyncMode(mode) {
+    return SYNC_MODES.includes(mode);
+  }
+
   /**
    * Perform full sync from Clover (categories, products, inventory)
+   * Every run is recorded in sync_runs with a cursor of the last committed stage/offset.
+   * Each completed stage advances its sync_watermarks entry; in delta mode a stage only
+   * fetches objects modified at or after that watermark.
    * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { mode: 'full'|'delta', stages: subset of FULL_SYNC_STAGES (default all),
+   *   resumeRun: failed sync_runs row to continue from its cursor (a 'done' cursor just marks it
+   *   succeeded), jobId: job executing the sync }
    * @returns {Object} - Complete sync results
    */
-  async performFullSync(merchantId) {
+  async performFullSync(merchantId, { mode = 'full', stages = FULL_SYNC_STAGES, resumeRun = null, jobId = null } = {}) {
     if (!this.isEnabled()) {
       return {
         success: true,
@@ -331,62 +495,116 @@ class SyncService {
       };
     }
 
+    if (resumeRun) {
+      mode = resumeRun.options?.mode || 'full';
+      stages = resumeRun.options?.stages || FULL_SYNC_STAGES;
+    }
+    if (!this.isValidSyncMode(mode)) {
+      throw new Error(`Invalid sync mode: ${mode}`);
+    }
+    if (!stages.length || stages.some(stage => !FULL_SYNC_STAGES.includes(stage))) {
+      throw new Error(`Invalid sync stages: ${stages.join(', ')}`);
+    }
+
+    const resumeCursor = resumeRun?.cursor || null;
+    if (resumeCursor?.stage === 'done') {
+      // Every stage had committed; only recording the run's success was lost
+      await syncRunService.finish(resumeRun.id, { status: 'succeeded', errors: [] });
+      const skipped = { success: true, processed: 0, skipped: true };
+      return {
+        success: true,
+        message: 'Sync run had already completed all stages',
+        enabled: true,
+        run_id: resumeRun.id,
+        mode,
+        categories: skipped,
+        products: skipped,
+        inventory: skipped,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const runId = await syncRunService.start(merchantId, 'full', {
+      options: { mode, stages },
+      resumedFrom: resumeRun?.id || null,
+      cursor: resumeCursor,
+      jobId
+    });
+    const results = {};
+
     try {
-      console.log(`Starting full Clover sync for merchant ${merchantId}`);
-      
-      // Get merchant's Clover token and merchant ID
-      const tokenInfo = await this.getMerchantCloverToken(merchantId);
+      console.log(`Starting ${mode} Clover sync for merchant ${merchantId}${resumeRun ? ` (resuming run ${resumeRun.id})` : ''}`);
       
-      // Get the clover merchant ID from the merchants table
-      const client = await db.connect();
-      let cloverMerchantId;
-      try {
-        const merchantResult = await client.query(
-          'SELECT clover_merchant_id FROM merchants WHERE id = $1',
-          [merchantId]
-        );
-        if (merchantResult.rows.length === 0) {
-          throw new Error('Merchant not found');
-        }
-        cloverMerchantId = merchantResult.rows[0].clover_merchant_id;
-      } finally {
-        client.release();
-      }
-
-      if (!cloverMerchantId) {
-        throw new Error('No Clover merchant ID associated with this merchant');
-      }
+      // Resolve the merchant's Clover credentials (token + Clover merchant ID)
+      const { accessToken, cloverMerchantId } = await getMerchantClient(merchantId);
 
       // Perform sync in sequence: categories first, then products, then inventory
       const startTime = new Date();
-      
-      const categoriesResult = await this.syncCategories(merchantId, tokenInfo.access_token, cloverMerchantId);
-      const productsResult = await this.syncProducts(merchantId, tokenInfo.access_token, cloverMerchantId);
-      const inventoryResult = await this.syncInventory(merchantId, tokenInfo.access_token, cloverMerchantId);
+      const firstStage = Math.max(0, FULL_SYNC_STAGES.indexOf(resumeCursor?.stage));
+
+      for (let i = 0; i < FULL_SYNC_STAGES.length; i++) {
+        const stage = FULL_SYNC_STAGES[i];
+        if (i < firstStage || !stages.includes(stage)) {
+          results[stage] = { success: true, processed: 0, skipped: true };
+          continue;
+        }
+
+        const offset = i === firstStage ? (resumeCursor?.offset || 0) : 0;
+        const onCheckpoint = ({ offset: next, modifiedTime }) => syncRunService.checkpoint(runId, {
+          cursor: { stage, offset: next },
+          lastModifiedTime: modifiedTime
+        });
+        const syncStage = {
+          categories: this.syncCategories,
+          products: this.syncProducts,
+          inventory: this.syncInventory
+        }[stage];
+        const modifiedSince = mode === 'delta'
+          ? await syncRunService.getWatermark(merchantId, 'full', STAGE_ENTITIES[stage])
+          : null;
+
+        results[stage] = await syncStage.call(this, merchantId, accessToken, cloverMerchantId, { offset, onCheckpoint, modifiedSince });
+        // Keep failed rows inside the next delta window
+        if (!results[stage].errors) {
+          await syncRunService.advanceWatermark(merchantId, 'full', STAGE_ENTITIES[stage], results[stage].lastModifiedTime);
+        }
+
+        await syncRunService.checkpoint(runId, {
+          cursor: FULL_SYNC_STAGES[i + 1] ? { stage: FULL_SYNC_STAGES[i + 1], offset: 0 } : { stage: 'done', offset: 0 },
+          counts: this.#runCounts(results)
+        });
+      }
       
       const endTime = new Date();
       const duration = endTime - startTime;
 
+      const errors = FULL_SYNC_STAGES.flatMap(stage => results[stage].errors || []);
+      await syncRunService.finish(runId, { status: 'succeeded', counts: this.#runCounts(results), errors });
+
       console.log(`Full Clover sync completed in ${duration}ms for merchant ${merchantId}`);
 
       return {
         success: true,
         message: 'Full sync completed successfully',
         enabled: true,
+        run_id: runId,
+        mode,
         duration: `${duration}ms`,
-        categories: categoriesResult,
-        products: productsResult,
-        inventory: inventoryResult,
+        categories: results.categories,
+        products: results.products,
+        inventory: results.inventory,
         timestamp: endTime.toISOString()
       };
     } catch (error) {
       console.error(`Full sync failed for merchant ${merchantId}:`, error);
+      await syncRunService.finish(runId, { status: 'failed', counts: this.#runCounts(results), errors: [error.message] });
       
       // Return structured error response
       return {
         success: false,
         error: error.message,
         enabled: true,
+        run_id: runId,
         categories: { processed: 0, errors: [error.message] },
         products: { processed: 0 },
         inventory: { processed: 0 },
@@ -394,6 +612,44 @@ class SyncService {
       };
     }
   }
+
+  // --------------- private helpers ---------------
+
+  /**
+   * Run one row's writes under a savepoint, so an error doesn't abort the page's transaction
+   */
+  async #inSavepoint(client, fn) {
+    await client.query('SAVEPOINT sync_row');
+    try {
+      const result = await fn();
+      await client.query('RELEASE SAVEPOINT sync_row');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT sync_row');
+      throw error;
+    }
+  }
+
+  async #checkpoint(onCheckpoint, page, batch) {
+    if (!onCheckpoint) return;
+    await onCheckpoint({
+      offset: (page.offset || 0) + batch.length,
+      modifiedTime: this.#maxModifiedTime(batch, null)
+    });
+  }
+
+  #maxModifiedTime(batch, current) {
+    const modifiedTimes = batch.map(entry => entry.modifiedTime).filter(Number.isFinite);
+    return modifiedTimes.length ? Math.max(current ?? 0, ...modifiedTimes) : current;
+  }
+
+  #runCounts(results) {
+    const counts = {};
+    for (const [stage, result] of Object.entries(results)) {
+      counts[stage] = { processed: result.processed || 0 };
+    }
+    return counts;
+  }
 }
 
-module.exports = new SyncService();
\ No newline at end of file
+module.exports = new SyncService();
@@ -0,0 +1,139 @@
+// services/transactionService.js
+const db = require('../config/database');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Opaque cursor for the last row of a page (ordered by created_at DESC, id DESC)
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([new Date(row.created_at).toISOString(), row.id])).toString('base64url');
+}
+
+/**
+ * @returns {Array|null} - [createdAt, id], or null when the cursor is not one of ours
+ */
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(value) && value.length === 2 && !Number.isNaN(Date.parse(value[0])) && typeof value[1] === 'string') {
+      return value;
+    }
+  } catch (error) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Reads of kiosk and Clover sales (transactions and transaction_items tables)
+ */
+class TransactionService {
+  /**
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {boolean}
+   */
+  isValidCursor(cursor) {
+    return decodeCursor(cursor) !== null;
+  }
+
+  /**
+   * List a merchant's transactions, newest first
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} filters - { from, to (Date, on created_at), statuses, paymentStatuses, source ('kiosk'|'clover'),
+   *   productId, minTotalCents, maxTotalCents, limit, cursor }
+   * @returns {Object} - { transactions, nextCursor } (nextCursor is null on the last page)
+   */
+  async listTransactions(merchantId, {
+    from = null,
+    to = null,
+    statuses = [],
+    paymentStatuses = [],
+    source = null,
+    productId = null,
+    minTotalCents = null,
+    maxTotalCents = null,
+    limit = DEFAULT_PAGE_SIZE,
+    cursor = null
+  } = {}) {
+    const params = [merchantId];
+    const where = ['t.merchant_id = $1'];
+    const add = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (from) where.push(`t.created_at >= ${add(from)}`);
+    if (to) where.push(`t.created_at < ${add(to)}`);
+    if (statuses.length > 0) where.push(`t.status = ANY(${add(statuses)}::text[])`);
+    if (paymentStatuses.length > 0) where.push(`t.payment_status = ANY(${add(paymentStatuses)}::text[])`);
+    if (source) where.push(`t.order_from_sc = ${add(source === 'kiosk')}`);
+    if (productId) {
+      where.push(`EXISTS (
+        SELECT 1 FROM transaction_items ti
+        WHERE ti.transaction_id = t.id AND ti.product_id = ${add(productId)}
+      )`);
+    }
+    if (minTotalCents !== null) where.push(`t.total_cents >= ${add(minTotalCents)}`);
+    if (maxTotalCents !== null) where.push(`t.total_cents <= ${add(maxTotalCents)}`);
+    if (cursor) {
+      const [createdAt, id] = decodeCursor(cursor);
+      where.push(`(t.created_at, t.id) < (${add(createdAt)}::timestamptz, ${add(id)}::uuid)`);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const { rows } = await db.query(`
+      SELECT
+        t.*,
+        CASE WHEN t.order_from_sc THEN 'kiosk' ELSE 'clover' END AS source,
+        (SELECT COALESCE(SUM(ti.quantity), 0) FROM transaction_items ti WHERE ti.transaction_id = t.id) AS item_count
+      FROM transactions t
+      WHERE ${where.join(' AND ')}
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT ${add(pageSize + 1)}
+    `, params);
+
+    const hasMore = rows.length > pageSize;
+    const transactions = hasMore ? rows.slice(0, pageSize) : rows;
+    return {
+      transactions,
+      nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1]) : null
+    };
+  }
+
+  /**
+   * A transaction with its line items and the products they sold
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} transactionId - UUID of the transaction
+   * @returns {Object|null} - Transaction with `items`, or null when not found
+   */
+  async getTransaction(merchantId, transactionId) {
+    const tx = await db.query(`
+      SELECT t.*, CASE WHEN t.order_from_sc THEN 'kiosk' ELSE 'clover' END AS source
+      FROM transactions t
+      WHERE t.id = $1 AND t.merchant_id = $2
+    `, [transactionId, merchantId]);
+    if (tx.rows.length === 0) return null;
+
+    const items = await db.query(`
+      SELECT
+        ti.*,
+        p.name        AS current_product_name,
+        p.sku,
+        p.upc,
+        p.brand,
+        p.image_url,
+        p.category_id,
+        p.active      AS product_active
+      FROM transaction_items ti
+      LEFT JOIN products p ON p.id = ti.product_id AND p.merchant_id = $2
+      WHERE ti.transaction_id = $1
+      ORDER BY ti.id
+    `, [transactionId, merchantId]);
+
+    return { ...tx.rows[0], items: items.rows };
+  }
+}
+
+module.exports = new TransactionService();
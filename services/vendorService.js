@@ -0,0 +1,72 @@
+// services/vendorService.js
+const db = require('../config/database');
+
+const VENDOR_FIELDS = ['name', 'contact_name', 'email', 'phone', 'notes', 'lead_time_days', 'active'];
+
+/**
+ * Vendors that purchase orders are placed with
+ */
+class VendorService {
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} options - { includeInactive }
+   * @returns {Array} - Vendors by name
+   */
+  async listVendors(merchantId, { includeInactive = false } = {}) {
+    const result = await db.query(`
+      SELECT * FROM vendors
+      WHERE merchant_id = $1 ${includeInactive ? '' : 'AND active = true'}
+      ORDER BY name
+    `, [merchantId]);
+    return result.rows;
+  }
+
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} vendorId - UUID of the vendor
+   * @returns {Object|null}
+   */
+  async getVendor(merchantId, vendorId) {
+    const result = await db.query('SELECT * FROM vendors WHERE id = $1 AND merchant_id = $2', [vendorId, merchantId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {string} merchantId - UUID of the merchant
+   * @param {Object} vendor - { name, contact_name, email, phone, notes, lead_time_days (default 7) }
+   * @returns {Object} - Created vendor
+   * @throws {Error} - Unique violation (23505) when the merchant has a vendor with this name
+   */
+  async createVendor(merchantId, { name, contact_name = null, email = null, phone = null, notes = null, lead_time_days = 7 }) {
+    const result = await db.query(`
+      INSERT INTO vendors (merchant_id, name, contact_name, email, phone, notes, lead_time_days)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [merchantId, name, contact_name, email, phone, notes, lead_time_days]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update the given fields of a vendor; deactivate with active = false
+   * @param {string} merchantId - UUID of the merchant
+   * @param {string} vendorId - UUID of the vendor
+   * @param {Object} updates - Any of name, contact_name, email, phone, notes, lead_time_days, active
+   * @returns {Object|null} - Updated vendor, or null when not found
+   */
+  async updateVendor(merchantId, vendorId, updates) {
+    const fields = VENDOR_FIELDS.filter(field => Object.prototype.hasOwnProperty.call(updates, field));
+    if (fields.length === 0) {
+      return this.getVendor(merchantId, vendorId);
+    }
+
+    const result = await db.query(`
+      UPDATE vendors
+      SET ${fields.map((field, i) => `${field} = $${i + 3}`).join(', ')}
+      WHERE id = $1 AND merchant_id = $2
+      RETURNING *
+    `, [vendorId, merchantId, ...fields.map(field => updates[field])]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new VendorService();
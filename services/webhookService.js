@@ -0,0 +1,241 @@
+// services/webhookService.js
+const db = require('../config/database');
+const { getMerchantClient, fetchObject } = require('./cloverService');
+const syncService = require('./syncService');
+const orderService = require('./orderService');
+const paymentService = require('./paymentService');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Leave fresh events to the request that received them before a retry picks them up
+const RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Run fn(client) in a transaction
+ */
+async function inTransaction(fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Event handlers by object type (objectId prefix). Each refetches the object from Clover
+ * rather than trusting the event, so events may be applied late, twice or out of order.
+ * A 404 on refetch means the object was deleted.
+ */
+const OBJECT_HANDLERS = {
+  // Inventory item, with its stock
+  I: async (merchantClient, merchantId, cloverId) => {
+    const item = await fetchObject(merchantClient, `items/${cloverId}`, { expand: 'categories,itemStock' });
+    await inTransaction(async (client) => {
+      if (!item) {
+        await client.query(
+          'UPDATE products SET active = false, updated_at = NOW() WHERE merchant_id = $1 AND clover_item_id = $2',
+          [merchantId, cloverId]
+        );
+        return;
+      }
+      await syncService.upsertProduct(client, merchantId, item);
+      if (item.itemStock) {
+        await syncService.upsertInventory(client, merchantId, { ...item.itemStock, item: { id: item.id } }, { reason: 'webhook' });
+      }
+    });
+  },
+
+  // Inventory category
+  IC: async (merchantClient, merchantId, cloverId) => {
+    const category = await fetchObject(merchantClient, `categories/${cloverId}`);
+    await inTransaction(async (client) => {
+      if (!category) {
+        await client.query(
+          'UPDATE categories SET active = false, updated_at = NOW() WHERE merchant_id = $1 AND clover_category_id = $2',
+          [merchantId, cloverId]
+        );
+        return;
+      }
+      await syncService.upsertCategory(client, merchantId, category);
+    });
+  },
+
+  // Order, with its line items and refunds
+  O: async (merchantClient, merchantId, cloverId) => {
+    const order = await fetchObject(merchantClient, `orders/${cloverId}`, { expand: 'lineItems,refunds' });
+    await inTransaction(async (client) => {
+      if (!order) {
+        // Same marker the orders sync uses for orders that no longer exist in Clover
+        const deleted = await client.query(
+          "UPDATE transactions SET status = 'delete' WHERE merchant_id = $1 AND clover_order_id = $2 RETURNING id",
+          [merchantId, cloverId]
+        );
+        for (const { id } of deleted.rows) {
+          await paymentService.voidTransaction(client, id);
+        }
+        return;
+      }
+      await orderService.upsertOrder(client, merchantId, order);
+    });
+  },
+
+  // Payment: move the transaction it pays for through the payment lifecycle
+  P: async (merchantClient, merchantId, cloverId) => {
+    const payment = await fetchObject(merchantClient, `payments/${cloverId}`, { expand: 'order' });
+    if (!payment) return;
+
+    await inTransaction(async (client) => {
+      await paymentService.applyCloverPayment(client, merchantId, payment);
+    });
+  }
+};
+
+/**
+ * Inbox for Clover webhook events (webhook_events table).
+ * Events are stored first (deduplicated on objectId + ts), then dispatched by object type.
+ * Events that fail are retried by processPending() until WEBHOOK_MAX_ATTEMPTS.
+ */
+class WebhookService {
+  constructor() {
+    this.handlers = { ...OBJECT_HANDLERS };
+  }
+
+  /**
+   * Flatten a Clover notification
+   * ({ appId, merchants: { <cloverMerchantId>: [{ objectId, type, ts }] } })
+   * @param {Object} payload - Webhook body
+   * @returns {Array} - [{ cloverMerchantId, objectId, objectType, eventType, ts }]
+   */
+  parseEvents(payload) {
+    const merchants = payload?.merchants;
+    if (!merchants || typeof merchants !== 'object' || Array.isArray(merchants)) return [];
+
+    const events = [];
+    for (const [cloverMerchantId, merchantEvents] of Object.entries(merchants)) {
+      for (const event of Array.isArray(merchantEvents) ? merchantEvents : []) {
+        const objectId = typeof event?.objectId === 'string' ? event.objectId : '';
+        const separator = objectId.indexOf(':');
+        const ts = Number(event?.ts);
+        if (separator <= 0 || !Number.isFinite(ts)) {
+          console.warn(`Skipping malformed Clover webhook event for merchant ${cloverMerchantId}:`, event);
+          continue;
+        }
+        events.push({
+          cloverMerchantId,
+          objectId,
+          objectType: objectId.slice(0, separator),
+          eventType: event.type || null,
+          ts
+        });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Store events in the inbox. Events already received are skipped; events for unknown
+   * merchants or object types are stored as 'ignored'.
+   * @param {Array} events - From parseEvents()
+   * @returns {Array} - Newly stored webhook_events rows
+   */
+  async record(events) {
+    const stored = [];
+    for (const event of events) {
+      const ignored = !this.handlers[event.objectType];
+      const result = await db.query(`
+        INSERT INTO webhook_events (
+          merchant_id, clover_merchant_id, object_id, object_type, event_type, ts, status, last_error
+        )
+        SELECT
+          (SELECT id FROM merchants WHERE clover_merchant_id = $1 AND active = true),
+          $1, $2, $3, $4, $5, $6, $7
+        ON CONFLICT (object_id, ts) DO NOTHING
+        RETURNING *
+      `, [
+        event.cloverMerchantId,
+        event.objectId,
+        event.objectType,
+        event.eventType,
+        event.ts,
+        ignored ? 'ignored' : 'pending',
+        ignored ? `Unsupported object type: ${event.objectType}` : null
+      ]);
+      if (result.rows.length > 0) {
+        stored.push(result.rows[0]);
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Dispatch a stored event to its handler and record the outcome
+   * @param {Object} event - webhook_events row
+   * @returns {string} - New status: 'processed', 'failed' or 'ignored'
+   */
+  async process(event) {
+    if (event.status === 'ignored') return 'ignored';
+
+    if (!event.merchant_id) {
+      console.warn(`Clover webhook event ${event.object_id} for unknown merchant ${event.clover_merchant_id}`);
+      await this.#finish(event.id, 'ignored', 'Unknown Clover merchant');
+      return 'ignored';
+    }
+
+    try {
+      const merchantClient = await getMerchantClient(event.merchant_id);
+      const cloverId = event.object_id.slice(event.object_type.length + 1);
+      await this.handlers[event.object_type](merchantClient, event.merchant_id, cloverId, event);
+      await this.#finish(event.id, 'processed', null);
+      return 'processed';
+    } catch (error) {
+      console.error(`Clover webhook event ${event.object_id} (${event.event_type}) failed:`, error.message);
+      await this.#finish(event.id, 'failed', error.message);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Retry pending and failed events that the receiving request did not finish
+   * @param {Object} options - { limit }
+   * @returns {Object} - { processed, failed, ignored }
+   */
+  async processPending({ limit = 100 } = {}) {
+    const counts = { processed: 0, failed: 0, ignored: 0 };
+    if (!syncService.isEnabled()) return counts;
+
+    const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    const result = await db.query(`
+      SELECT * FROM webhook_events
+      WHERE status IN ('pending', 'failed')
+        AND attempts < $1
+        AND updated_at < NOW() - make_interval(secs => $2)
+      ORDER BY ts
+      LIMIT $3
+    `, [maxAttempts, RETRY_AFTER_SECONDS, limit]);
+
+    for (const event of result.rows) {
+      counts[await this.process(event)]++;
+    }
+    return counts;
+  }
+
+  async #finish(eventId, status, error) {
+    await db.query(`
+      UPDATE webhook_events SET
+        status = $2,
+        last_error = $3,
+        attempts = attempts + 1,
+        processed_at = CASE WHEN $2 = 'processed' THEN NOW() ELSE processed_at END
+      WHERE id = $1
+    `, [eventId, status, error]);
+  }
+}
+
+module.exports = new WebhookService();
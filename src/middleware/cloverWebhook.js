@@ -0,0 +1,133 @@
+// src/middleware/cloverWebhook.js
+const crypto = require('crypto');
+const db = require('../../config/database');
+
+// How long delivery digests are kept; deliveries with only older events are logged as late
+const DEFAULT_MAX_AGE_MS = 15 * 60 * 1000;
+
+function maxAgeMs() {
+  return parseInt(process.env.CLOVER_WEBHOOK_MAX_AGE_MS) || DEFAULT_MAX_AGE_MS;
+}
+
+function rawBody(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  return Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? {}), 'utf8');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a), 'utf8');
+  const right = Buffer.from(String(b), 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Event timestamps (ms) in a notification. Clover sends
+ * { merchants: { <merchantId>: [{ objectId, type, ts }] } }.
+ */
+function eventTimestamps(payload) {
+  const merchants = payload?.merchants;
+  if (!merchants || typeof merchants !== 'object') return [];
+  return Object.values(merchants)
+    .flatMap(events => (Array.isArray(events) ? events : []))
+    .map(event => Number(event?.ts))
+    .filter(Number.isFinite);
+}
+
+function reject(req, res, status, error, reason) {
+  console.warn(`Rejected Clover webhook ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+  return res.status(status).json({ success: false, error });
+}
+
+// A 2xx stops Clover from retrying; an error answer to a duplicate would only cause more retries
+function acknowledge(req, res, message, reason) {
+  console.warn(`Ignored Clover webhook ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+  return res.json({ success: true, message });
+}
+
+/**
+ * Authenticate Clover webhook deliveries (mounted on /api/webhooks, which keeps the raw body).
+ *
+ * - A `{ "verificationCode": "..." }` payload is Clover's URL verification handshake: the code is
+ *   logged so it can be pasted into the app's webhook settings, and nothing else is processed.
+ * - Every other request must carry `X-Clover-Auth` equal to CLOVER_WEBHOOK_SECRET (the app's
+ *   webhook auth code) and, when present, the app's `appId`.
+ * - Bodies already received within CLOVER_WEBHOOK_MAX_AGE_MS (webhook_deliveries) are acknowledged
+ *   with 200 but not processed. A delivery that ends in a 5xx is forgotten so Clover's retry is
+ *   processed.
+ * - Deliveries whose newest event is older than that window (e.g. Clover retrying after an outage)
+ *   are logged and processed as usual: the events inbox deduplicates them and handlers refetch
+ *   the current object, so applying a late event is safe.
+ *
+ * Sets req.cloverWebhook = { payload, digest }.
+ */
+const verifyCloverWebhook = async (req, res, next) => {
+  const body = rawBody(req);
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    return reject(req, res, 400, 'Invalid JSON payload', 'malformed JSON');
+  }
+
+  if (typeof payload?.verificationCode === 'string' && !payload.merchants) {
+    console.log(`Clover webhook verification code for ${req.originalUrl}: ${payload.verificationCode}`);
+    return res.json({ success: true, message: 'Verification code received' });
+  }
+
+  const secret = process.env.CLOVER_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('CLOVER_WEBHOOK_SECRET is not configured; rejecting Clover webhook');
+    return res.status(503).json({ success: false, error: 'Webhook verification is not configured' });
+  }
+
+  const auth = req.headers['x-clover-auth'];
+  if (!auth) {
+    return reject(req, res, 401, 'Missing X-Clover-Auth header', 'unsigned request');
+  }
+  if (!safeEqual(auth, secret)) {
+    return reject(req, res, 401, 'Invalid X-Clover-Auth header', 'auth code mismatch');
+  }
+  if (payload.appId && process.env.CLOVER_APP_ID && payload.appId !== process.env.CLOVER_APP_ID) {
+    return reject(req, res, 401, 'Unknown appId', `appId ${payload.appId}`);
+  }
+
+  const timestamps = eventTimestamps(payload);
+  if (timestamps.length > 0 && Math.max(...timestamps) < Date.now() - maxAgeMs()) {
+    console.warn(`Late Clover webhook ${req.method} ${req.originalUrl} from ${req.ip}: newest event is ${Date.now() - Math.max(...timestamps)}ms old`);
+  }
+
+  const digest = crypto.createHash('sha256').update(body).digest('hex');
+  try {
+    const inserted = await db.query(`
+      INSERT INTO webhook_deliveries (digest, path)
+      VALUES ($1, $2)
+      ON CONFLICT (digest) DO NOTHING
+      RETURNING digest
+    `, [digest, req.originalUrl]);
+    if (inserted.rows.length === 0) {
+      return acknowledge(req, res, 'Duplicate webhook delivery ignored', `replayed body ${digest.slice(0, 12)}`);
+    }
+
+    await db.query(
+      'DELETE FROM webhook_deliveries WHERE received_at < NOW() - make_interval(secs => $1)',
+      [maxAgeMs() / 1000]
+    );
+  } catch (error) {
+    console.error('Failed to record Clover webhook delivery:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to record webhook delivery' });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode < 500) return;
+    db.query('DELETE FROM webhook_deliveries WHERE digest = $1', [digest])
+      .catch(error => console.error(`Failed to release webhook delivery ${digest}:`, error.message));
+  });
+
+  req.cloverWebhook = { payload, digest };
+  next();
+};
+
+module.exports = {
+  verifyCloverWebhook
+};
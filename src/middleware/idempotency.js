@@ -0,0 +1,89 @@
+// src/middleware/idempotency.js
+const idempotencyService = require('../../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency-Key support for a merchant-scoped endpoint (requires req.merchant)
+ *
+ * - Without the header the request runs as usual.
+ * - The first request with a key runs and its response is stored; repeats with the same
+ *   path parameters and body get the stored response (with `Idempotent-Replayed: true`)
+ *   without running again.
+ * - Reusing a key with a different body or path parameters is rejected with 409, as is a
+ *   repeat that arrives while the first request is still running.
+ * - A 5xx response is not stored, so the client may retry with the same key, unless the
+ *   handler called keepIdempotencyKey(res) after a side effect that must not run twice.
+ * - A request that dies without answering holds its key until the lease in
+ *   idempotencyService runs out; then a repeat runs again.
+ *
+ * @param {string} scope - Name of the endpoint; keys are unique per merchant and scope
+ */
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const merchantId = req.merchant.id;
+  let claim;
+  try {
+    const requestHash = idempotencyService.hashRequest({ params: req.params, body: req.body });
+    claim = await idempotencyService.begin(merchantId, scope, key, requestHash);
+  } catch (error) {
+    console.error(`Idempotency-Key lookup failed for ${scope}:`, error);
+    return res.status(500).json({ success: false, error: 'Failed to check Idempotency-Key' });
+  }
+
+  if (claim.outcome === 'mismatch') {
+    return res.status(409).json({
+      success: false,
+      error: 'Idempotency-Key was already used with a different request body'
+    });
+  }
+  if (claim.outcome === 'in_progress') {
+    return res.status(409).json({
+      success: false,
+      error: 'A request with this Idempotency-Key is still in progress'
+    });
+  }
+  if (claim.outcome === 'replay') {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.record.response_status).json(claim.record.response_body);
+  }
+
+  // Store the response before it is sent, so a client that received it can always replay it
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode >= 500 && !res.locals.keepIdempotencyKey
+      ? idempotencyService.release(merchantId, scope, key)
+      : idempotencyService.complete(merchantId, scope, key, res.statusCode, body);
+    settle
+      .catch(error => console.error(`Failed to store Idempotency-Key response for ${scope}:`, error.message))
+      .finally(() => send(body));
+    return res;
+  };
+
+  next();
+};
+
+/**
+ * Store the response for the request's Idempotency-Key even if it is a 5xx. Call once a side
+ * effect that cannot be repeated (e.g. creating the Clover order) has happened, so a retry
+ * replays the failure instead of running again.
+ * @param {Object} res - Express response
+ */
+const keepIdempotencyKey = (res) => {
+  res.locals.keepIdempotencyKey = true;
+};
+
+module.exports = {
+  idempotent,
+  keepIdempotencyKey
+};
@@ -0,0 +1,129 @@
+// tests/cart.unit.test.js
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+const db = require('../config/database');
+const cartService = require('../services/cartService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const ids = {
+  latte: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa',
+  muffin: 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb',
+  retired: 'cccccccc-cccc-4ccc-8ccc-cccccccccccc',
+  hidden: 'dddddddd-dddd-4ddd-8ddd-dddddddddddd',
+  local: 'eeeeeeee-eeee-4eee-8eee-eeeeeeeeeeee',
+  soldOut: 'ffffffff-ffff-4fff-8fff-ffffffffffff',
+  missing: '99999999-9999-4999-8999-999999999999'
+};
+
+function product(id, overrides = {}) {
+  return {
+    id,
+    clover_item_id: `CLOVER_${id.slice(0, 4)}`,
+    name: id.slice(0, 4),
+    price_cents: 400,
+    tax_rate_decimal: '0.0875',
+    active: true,
+    visible_in_kiosk: true,
+    on_hand: 10,
+    reserved: 0,
+    ...overrides
+  };
+}
+
+describe('CartService.priceCart', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('prices lines from the products table and totals tax per line', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [
+        product(ids.latte, { price_cents: 450 }),
+        product(ids.muffin, { price_cents: 325, tax_rate_decimal: '0' })
+      ]
+    });
+
+    const priced = await cartService.priceCart(MERCHANT_ID, [
+      { productId: ids.latte, quantity: 2 },
+      { productId: ids.muffin, quantity: 1 }
+    ]);
+
+    expect(priced.lines).toEqual([
+      expect.objectContaining({ productId: ids.latte, quantity: 2, unitPriceCents: 450, taxCents: 79, lineTotalCents: 900 }),
+      expect.objectContaining({ productId: ids.muffin, quantity: 1, unitPriceCents: 325, taxCents: 0, lineTotalCents: 325 })
+    ]);
+    expect(priced).toMatchObject({ subtotalCents: 1225, taxCents: 79, totalCents: 1304 });
+    expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, [ids.latte, ids.muffin]]);
+  });
+
+  it('reports every line that cannot be sold', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [
+        product(ids.retired, { active: false }),
+        product(ids.hidden, { visible_in_kiosk: false }),
+        product(ids.local, { clover_item_id: null }),
+        product(ids.soldOut, { on_hand: 3, reserved: 3 }),
+        product(ids.latte, { on_hand: 5, reserved: 2 })
+      ]
+    });
+
+    const error = await cartService.priceCart(MERCHANT_ID, [
+      { productId: ids.missing, quantity: 1 },
+      { productId: ids.retired, quantity: 1 },
+      { productId: ids.hidden, quantity: 1 },
+      { productId: ids.local, quantity: 1 },
+      { productId: ids.soldOut, quantity: 1 },
+      { productId: ids.latte, quantity: 2 },
+      { productId: ids.latte, quantity: 2 }
+    ]).catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.lineErrors.map(line => [line.index, line.code])).toEqual([
+      [0, 'NOT_FOUND'],
+      [1, 'INACTIVE'],
+      [2, 'NOT_IN_KIOSK'],
+      [3, 'NOT_SYNCED'],
+      [4, 'OUT_OF_STOCK'],
+      [5, 'INSUFFICIENT_STOCK'],
+      [6, 'INSUFFICIENT_STOCK']
+    ]);
+    expect(error.lineErrors[5]).toMatchObject({ available: 3, requested: 4 });
+  });
+
+  it('rejects malformed lines without querying products', async () => {
+    const error = await cartService.priceCart(MERCHANT_ID, [
+      { productId: 'ITEM1', quantity: 1 },
+      { productId: ids.latte, quantity: 0 },
+      { productId: ids.latte, quantity: 1.5 }
+    ]).catch(e => e);
+
+    expect(error.lineErrors.map(line => line.code)).toEqual(['INVALID_PRODUCT_ID', 'INVALID_QUANTITY', 'INVALID_QUANTITY']);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects an empty cart', async () => {
+    await expect(cartService.priceCart(MERCHANT_ID, [])).rejects.toMatchObject({ status: 400, message: 'Cart is empty' });
+    await expect(cartService.priceCart(MERCHANT_ID, undefined)).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('CartService.buildCloverOrder', () => {
+  it('expands quantities into one Clover line item per unit', () => {
+    const payload = cartService.buildCloverOrder({
+      lines: [
+        { cloverItemId: 'A', quantity: 2 },
+        { cloverItemId: 'B', quantity: 1 }
+      ]
+    }, { note: 'Kiosk 3' });
+
+    expect(payload).toEqual({
+      orderCart: {
+        lineItems: [{ item: { id: 'A' } }, { item: { id: 'A' } }, { item: { id: 'B' } }],
+        note: 'Kiosk 3'
+      }
+    });
+  });
+});
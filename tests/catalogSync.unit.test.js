@@ -0,0 +1,259 @@
+// tests/catalogSync.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock Clover catalog calls
+jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
+  getMerchantClient: jest.fn(),
+  fetchObject: jest.fn(),
+  postObject: jest.fn(),
+  deleteObject: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const syncService = require('../services/syncService');
+const catalogOwnershipService = require('../services/catalogOwnershipService');
+const cloverCatalogPushService = require('../services/cloverCatalogPushService');
+const { getMerchantClient, fetchObject, postObject, deleteObject } = require('../services/cloverService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const PUSH_ID = '22222222-2222-4222-8222-222222222222';
+const WHEY = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+describe('Catalog sync with Clover', () => {
+  const authToken = jwt.sign({ sub: 'manager-1', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let store;
+
+  /**
+   * In-memory whey product (linked to ITEM_WHEY unless cloverItemId is null), the merchant's
+   * ownership overrides and the catalog outbox
+   */
+  function mockCatalog({ cloverItemId = 'ITEM_WHEY', owners = {}, push = null } = {}) {
+    store = {
+      product: {
+        id: WHEY, merchant_id: MERCHANT_ID, clover_item_id: cloverItemId, name: 'Whey', price_cents: 4999,
+        sku: 'WHEY-1', cost_cents: 2500, active: true, category_id: 'cat-1', clover_category_id: 'CAT_PROTEIN'
+      },
+      owners,
+      push: push && { id: PUSH_ID, merchant_id: MERCHANT_ID, entity: 'product', local_id: WHEY, clover_id: null, fields: [], changes: 1, attempts: 0, ...push },
+      queued: [],
+      updates: []
+    };
+
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('SELECT catalog_field_owners FROM merchants')) {
+        return { rows: [{ catalog_field_owners: store.owners }] };
+      }
+      if (sql.includes('SELECT clover_item_id FROM products')) {
+        return { rows: [{ clover_item_id: store.product.clover_item_id }] };
+      }
+      if (sql.includes('UPDATE products') && sql.includes('RETURNING *')) {
+        return { rows: [{ ...store.product }] };
+      }
+      if (sql.includes('INSERT INTO clover_catalog_pushes')) {
+        store.queued.push({ entity: params[1], localId: params[2], cloverId: params[3], operation: params[4], fields: params[5] });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE clover_catalog_pushes SET next_attempt_at')) {
+        return { rows: store.push ? [{ ...store.push }] : [] };
+      }
+      if (sql.includes('FROM products p LEFT JOIN categories c')) {
+        return { rows: [store.product] };
+      }
+      if (sql.includes('UPDATE products SET clover_item_id')) {
+        store.product.clover_item_id = params[1];
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE clover_catalog_pushes SET')) {
+        store.updates.push(params);
+        store.push.status = sql.includes("THEN 'pushed'") ? 'pushed' : params[1];
+        return { rows: [] };
+      }
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+    db.query.mockImplementation(query);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncService.isCloverEnabled = true;
+    getMerchantClient.mockResolvedValue({ merchantId: MERCHANT_ID, cloverMerchantId: 'CLOVER_M1', http: {} });
+  });
+
+  describe('ownership', () => {
+    it('merges the merchant\'s overrides over the defaults', async () => {
+      mockCatalog({ owners: { products: { name: 'clover' } } });
+
+      const policy = await catalogOwnershipService.getPolicy(MERCHANT_ID);
+
+      expect(policy.products).toMatchObject({ name: 'clover', price_cents: 'clover', sku: 'local' });
+      expect(catalogOwnershipService.fieldsOwnedBy(policy, 'products', 'clover')).toEqual(['name', 'price_cents']);
+    });
+
+    it('rejects unknown fields and owners', async () => {
+      for (const body of [{ products: { brand: 'local' } }, { products: { price_cents: 'both' } }, { vendors: {} }]) {
+        const res = await request(app)
+          .put('/api/sync/catalog-ownership')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(body);
+
+        expect(res.status).toBe(400);
+      }
+    });
+
+    it('lets a sync overwrite only Clover-owned fields', async () => {
+      mockCatalog();
+      const client = { query: jest.fn(async (sql) => (sql.includes('catalog_field_owners') ? { rows: [{ catalog_field_owners: {} }] } : { rows: [] })) };
+
+      await syncService.upsertProduct(client, MERCHANT_ID, { id: 'ITEM_WHEY', name: 'Whey (Clover)', price: 5499 });
+
+      const [sql, params] = client.query.mock.calls.find(([statement]) => statement.includes('INSERT INTO products'));
+      expect(sql).toContain('ON CONFLICT (merchant_id, clover_item_id)');
+      expect(sql).toContain("name = CASE WHEN 'name' = ANY($12::text[])");
+      expect(sql).not.toContain('brand = EXCLUDED.brand');
+      expect(params[11]).toEqual(['price_cents']);
+    });
+
+    it('keeps a locally owned active flag and kiosk-only fields on sync', async () => {
+      const stored = { name: 'Whey', price_cents: 4999, active: false, visible_in_kiosk: false, description: 'Chocolate' };
+      // Apply the DO UPDATE SET list the way Postgres would for an existing row
+      const client = {
+        query: jest.fn(async (sql, params) => {
+          if (sql.includes('catalog_field_owners')) return { rows: [{ catalog_field_owners: {} }] };
+          if (!sql.includes('INSERT INTO products')) return { rows: [] };
+          const columns = sql.match(/INSERT INTO products \(([^)]*)\)/)[1].split(',').map(c => c.trim());
+          const setList = sql.split('DO UPDATE SET')[1];
+          for (const [, column, value] of setList.matchAll(/(\w+) = (.+?),?\n/g)) {
+            const gated = value.match(/^CASE WHEN '\w+' = ANY\(\$(\d+)::text\[\]\)/);
+            const incoming = params[columns.indexOf(column)];
+            if (gated ? params[gated[1] - 1].includes(column) : value === `EXCLUDED.${column}`) {
+              stored[column] = incoming;
+            }
+          }
+          return { rows: [] };
+        })
+      };
+
+      const policy = await catalogOwnershipService.getPolicy(MERCHANT_ID, client);
+      await syncService.upsertProduct(client, MERCHANT_ID, {
+        id: 'ITEM_WHEY', name: 'Whey (Clover)', alternateName: 'Vanilla', price: 5499, hidden: false, deleted: false
+      }, { policy });
+
+      expect(stored).toMatchObject({ name: 'Whey', price_cents: 5499, active: false, visible_in_kiosk: false, description: 'Chocolate' });
+      expect(client.query.mock.calls.filter(([sql]) => sql.includes('catalog_field_owners'))).toHaveLength(1);
+    });
+  });
+
+  describe('local edits', () => {
+    it('refuses to change a Clover-owned field of a linked product', async () => {
+      mockCatalog();
+
+      const res = await request(app)
+        .patch(`/api/products/${WHEY}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ price_cents: 3999 });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('price_cents');
+      expect(store.queued).toEqual([]);
+    });
+
+    it('queues locally owned fields for Clover but not kiosk-only fields', async () => {
+      mockCatalog();
+
+      const res = await request(app)
+        .patch(`/api/products/${WHEY}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Whey Isolate', description: 'Chocolate', cost_cents: 2600 });
+
+      expect(res.status).toBe(200);
+      expect(store.queued).toEqual([{
+        entity: 'product', localId: WHEY, cloverId: 'ITEM_WHEY', operation: 'update', fields: ['name', 'cost_cents']
+      }]);
+    });
+
+    it('lets any field of a product not in Clover yet be changed', async () => {
+      mockCatalog({ cloverItemId: null });
+
+      const res = await request(app)
+        .patch(`/api/products/${WHEY}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ price_cents: 3999 });
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('processPending', () => {
+    it('creates a local product in Clover, links it and puts it in its category', async () => {
+      mockCatalog({ cloverItemId: null, push: { operation: 'create' } });
+      postObject.mockResolvedValueOnce({ id: 'ITEM_NEW' });
+      fetchObject.mockResolvedValueOnce({ id: 'ITEM_NEW', categories: { elements: [] } });
+
+      const counts = await cloverCatalogPushService.processPending();
+
+      expect(counts).toEqual({ pushed: 1, retrying: 0, failed: 0 });
+      expect(postObject).toHaveBeenNthCalledWith(1, expect.anything(), 'items', {
+        name: 'Whey', price: 4999, code: 'WHEY-1', cost: 2500, hidden: false
+      });
+      expect(postObject).toHaveBeenNthCalledWith(2, expect.anything(), 'category_items', {
+        elements: [{ category: { id: 'CAT_PROTEIN' }, item: { id: 'ITEM_NEW' } }]
+      });
+      expect(store.product.clover_item_id).toBe('ITEM_NEW');
+      expect(store.push.status).toBe('pushed');
+    });
+
+    it('sends only the changed fields that are still owned locally', async () => {
+      mockCatalog({ owners: { products: { cost_cents: 'clover' } }, push: { operation: 'update', clover_id: 'ITEM_WHEY', fields: ['name', 'cost_cents'] } });
+
+      await cloverCatalogPushService.processPending();
+
+      expect(postObject).toHaveBeenCalledTimes(1);
+      expect(postObject).toHaveBeenCalledWith(expect.anything(), 'items/ITEM_WHEY', { name: 'Whey' });
+    });
+
+    it('deletes the Clover item of a deleted product', async () => {
+      mockCatalog({ push: { operation: 'delete', clover_id: 'ITEM_WHEY' } });
+      deleteObject.mockResolvedValueOnce(true);
+
+      await cloverCatalogPushService.processPending();
+
+      expect(deleteObject).toHaveBeenCalledWith(expect.anything(), 'items/ITEM_WHEY');
+      expect(store.push.status).toBe('pushed');
+    });
+
+    it('retries with backoff until Clover accepts the change', async () => {
+      mockCatalog({ push: { operation: 'update', clover_id: 'ITEM_WHEY', fields: ['name'], attempts: 1 } });
+      postObject.mockRejectedValueOnce(Object.assign(new Error('503 items/ITEM_WHEY'), { status: 503 }));
+
+      expect((await cloverCatalogPushService.processPending()).retrying).toBe(1);
+      expect(store.updates[0]).toEqual([PUSH_ID, 'pending', '503 items/ITEM_WHEY', 60]);
+    });
+  });
+
+  describe('routes', () => {
+    it('only retries failed pushes', async () => {
+      const query = jest.fn(async (sql) => (sql.includes('FOR UPDATE') ? { rows: [{ id: PUSH_ID, status: 'pushed' }] } : { rows: [] }));
+      db.connect.mockResolvedValue({ query, release: jest.fn() });
+
+      const res = await request(app)
+        .post(`/api/sync/catalog-pushes/${PUSH_ID}/retry`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(409);
+    });
+  });
+});
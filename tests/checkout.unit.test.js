@@ -0,0 +1,348 @@
+// tests/checkout.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock Clover order creation
+jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
+  getMerchantClient: jest.fn(),
+  createOrderAtomic: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const idempotencyService = require('../services/idempotencyService');
+const cartService = require('../services/cartService');
+const { getMerchantClient, createOrderAtomic } = require('../services/cloverService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const PRODUCT_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_PRODUCT_ID = '33333333-3333-4333-8333-333333333333';
+
+describe('Idempotent checkout', () => {
+  const authToken = jwt.sign({ sub: 'kiosk-user', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  const cart = { items: [{ productId: PRODUCT_ID, quantity: 2 }] };
+  const pricedCart = {
+    lines: [{
+      productId: PRODUCT_ID, cloverItemId: 'ITEM1', name: 'Latte', quantity: 2,
+      unitPriceCents: 450, taxCents: 79, lineTotalCents: 900
+    }],
+    subtotalCents: 900,
+    taxCents: 79,
+    totalCents: 979
+  };
+  const checkout = (body, key) => {
+    const req = request(app).post('/api/checkout').set('Authorization', `Bearer ${authToken}`);
+    if (key) req.set('Idempotency-Key', key);
+    return req.send(body);
+  };
+
+  /**
+   * In-memory stand-in for the idempotency_keys table (locked_until in epoch ms)
+   */
+  function mockKeyStore() {
+    const keys = new Map();
+    db.query.mockImplementation(async (sql, params) => {
+      const id = params.slice(0, 3).join('|');
+      if (sql.includes('INSERT INTO idempotency_keys')) {
+        if (keys.has(id)) return { rows: [] };
+        keys.set(id, { request_hash: params[3], status: 'in_progress', locked_until: Date.now() + params[4] * 1000 });
+        return { rows: [keys.get(id)] };
+      }
+      if (sql.includes('UPDATE idempotency_keys SET locked_until')) {
+        const record = keys.get(id);
+        if (!record || record.status !== 'in_progress' || record.request_hash !== params[3] || record.locked_until >= Date.now()) {
+          return { rows: [] };
+        }
+        record.locked_until = Date.now() + params[4] * 1000;
+        return { rows: [record] };
+      }
+      if (sql.includes('SELECT * FROM idempotency_keys')) {
+        return { rows: keys.has(id) ? [keys.get(id)] : [] };
+      }
+      if (sql.includes("status = 'completed'")) {
+        Object.assign(keys.get(id), { status: 'completed', response_status: params[3], response_body: JSON.parse(params[4]) });
+      } else if (sql.startsWith('DELETE') && sql.includes("status = 'in_progress'")) {
+        keys.delete(id);
+      }
+      return { rows: [], rowCount: 0 };
+    });
+    return keys;
+  }
+
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(async (sql) => (sql.includes('RETURNING') ? { rows: [{ id: 'tx-1' }] } : { rows: [] })),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(client);
+    getMerchantClient.mockResolvedValue({ cloverMerchantId: 'CLOVER_M1', http: {} });
+    createOrderAtomic.mockResolvedValue({ id: 'ORDER1', total: 979, state: 'open', lineItems: { elements: [] } });
+    jest.spyOn(cartService, 'priceCart').mockResolvedValue(pricedCart);
+  });
+
+  it('replays the stored response for a repeated key instead of creating another order', async () => {
+    mockKeyStore();
+
+    const first = await checkout(cart, 'key-1');
+    const second = await checkout(cart, 'key-1');
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(createOrderAtomic).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns 409 when a key is reused with a different cart', async () => {
+    mockKeyStore();
+
+    await checkout(cart, 'key-2');
+    const res = await checkout({ items: [{ productId: OTHER_PRODUCT_ID, quantity: 1 }] }, 'key-2');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toContain('different request body');
+    expect(createOrderAtomic).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns 409 while the first request with the key is still running', async () => {
+    jest.spyOn(idempotencyService, 'begin').mockResolvedValueOnce({ outcome: 'in_progress', record: {} });
+
+    const res = await checkout(cart, 'key-3');
+
+    expect(res.status).toBe(409);
+    expect(createOrderAtomic).not.toHaveBeenCalled();
+  });
+
+  it('releases the key when checkout fails so the kiosk can retry', async () => {
+    const keys = mockKeyStore();
+    createOrderAtomic.mockRejectedValueOnce(new Error('503 atomic_order failed'));
+
+    const failed = await checkout(cart, 'key-4');
+    expect(failed.status).toBe(500);
+    expect(keys.size).toBe(0);
+
+    const retried = await checkout(cart, 'key-4');
+    expect(retried.status).toBe(200);
+    expect(createOrderAtomic).toHaveBeenCalledTimes(2);
+  });
+
+  it('lets a repeat claim a key whose request died without answering', async () => {
+    const keys = mockKeyStore();
+    const requestHash = idempotencyService.hashRequest({ params: {}, body: cart });
+    keys.set(`${MERCHANT_ID}|checkout|key-5`, { request_hash: requestHash, status: 'in_progress', locked_until: Date.now() - 1000 });
+
+    const res = await checkout(cart, 'key-5');
+
+    expect(res.status).toBe(200);
+    expect(keys.get(`${MERCHANT_ID}|checkout|key-5`)).toMatchObject({ status: 'completed', response_status: 200 });
+  });
+
+  it('still refuses a repeat while the first request holds its lease', async () => {
+    const keys = mockKeyStore();
+    const requestHash = idempotencyService.hashRequest({ params: {}, body: cart });
+    keys.set(`${MERCHANT_ID}|checkout|key-6`, { request_hash: requestHash, status: 'in_progress', locked_until: Date.now() + 60000 });
+
+    const res = await checkout(cart, 'key-6');
+
+    expect(res.status).toBe(409);
+    expect(createOrderAtomic).not.toHaveBeenCalled();
+  });
+
+  it('keeps the key once the Clover order exists, even if saving the checkout fails', async () => {
+    const keys = mockKeyStore();
+    const query = client.query.getMockImplementation();
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO transactions')) throw new Error('connection terminated');
+      return query(sql, params);
+    });
+
+    const failed = await checkout(cart, 'key-7');
+    const retried = await checkout(cart, 'key-7');
+
+    expect(failed.status).toBe(500);
+    expect(keys.get(`${MERCHANT_ID}|checkout|key-7`)).toMatchObject({ status: 'completed', response_status: 500 });
+    expect(retried.status).toBe(500);
+    expect(retried.headers['idempotent-replayed']).toBe('true');
+    expect(createOrderAtomic).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 500 and releases the key when no database connection is available', async () => {
+    const keys = mockKeyStore();
+    db.connect.mockRejectedValueOnce(new Error('too many clients'));
+
+    const res = await checkout(cart, 'key-8');
+
+    expect(res.status).toBe(500);
+    expect(keys.size).toBe(0);
+  });
+
+  it('treats carts with reordered keys as the same request', () => {
+    expect(idempotencyService.hashRequest({ a: 1, b: { c: 2, d: 3 } }))
+      .toBe(idempotencyService.hashRequest({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(idempotencyService.hashRequest({ a: [1, 2] }))
+      .not.toBe(idempotencyService.hashRequest({ a: [2, 1] }));
+  });
+
+  it('runs checkout as before without an Idempotency-Key', async () => {
+    const res = await checkout(cart);
+
+    expect(res.status).toBe(200);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Checkout cart pricing', () => {
+  const authToken = jwt.sign({ sub: 'kiosk-user', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let client;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(async (sql) => (sql.includes('RETURNING') ? { rows: [{ id: 'tx-1' }] } : { rows: [] })),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(client);
+    getMerchantClient.mockResolvedValue({ cloverMerchantId: 'CLOVER_M1', http: {} });
+    createOrderAtomic.mockResolvedValue({ id: 'ORDER1', state: 'open' });
+  });
+
+  it('builds the Clover order and transaction from our own products', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        id: PRODUCT_ID, clover_item_id: 'ITEM1', name: 'Latte', price_cents: 450, tax_rate_decimal: '0.0875',
+        active: true, visible_in_kiosk: true, on_hand: 10, reserved: 0
+      }]
+    });
+
+    const res = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ items: [{ productId: PRODUCT_ID, quantity: 2 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ subtotalCents: 900, taxCents: 79, totalCents: 979 });
+    expect(createOrderAtomic).toHaveBeenCalledWith(expect.anything(), {
+      orderCart: { lineItems: [{ item: { id: 'ITEM1' } }, { item: { id: 'ITEM1' } }] }
+    });
+    const { transactionId } = res.body.data;
+    const itemInsert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO transaction_items'));
+    expect(itemInsert[1]).toEqual([transactionId, PRODUCT_ID, 'ITEM1', 'Latte', '', 2, 450, 0, 900]);
+    expect(itemInsert[0]).toContain('(SELECT cost_cents FROM products WHERE id = $2)');
+    const reservation = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inventory_reservations'));
+    expect(reservation[1].slice(0, 4)).toEqual([MERCHANT_ID, transactionId, PRODUCT_ID, 2]);
+    expect(res.body.data.reservedUntil).toBeDefined();
+  });
+
+  it('commits the stock hold before calling Clover and saves the order afterwards', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        id: PRODUCT_ID, clover_item_id: 'ITEM1', name: 'Latte', price_cents: 450, tax_rate_decimal: '0.0875',
+        active: true, visible_in_kiosk: true, on_hand: 10, reserved: 0
+      }]
+    });
+    const statements = [];
+    client.query.mockImplementation(async (sql) => {
+      statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      return sql.includes('RETURNING') ? { rows: [{ product_id: PRODUCT_ID }] } : { rows: [] };
+    });
+    createOrderAtomic.mockImplementation(async () => {
+      statements.push('Clover order');
+      return { id: 'ORDER1', state: 'open' };
+    });
+
+    const res = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ items: [{ productId: PRODUCT_ID, quantity: 2 }] });
+
+    expect(res.status).toBe(200);
+    expect(statements).toEqual([
+      'BEGIN', 'UPDATE inventory SET', 'INSERT INTO inventory_reservations', 'COMMIT',
+      'Clover order',
+      'BEGIN', 'INSERT INTO transactions', 'INSERT INTO transaction_items', 'COMMIT'
+    ]);
+  });
+
+  it('releases the held stock when Clover fails to create the order', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        id: PRODUCT_ID, clover_item_id: 'ITEM1', name: 'Latte', price_cents: 450, tax_rate_decimal: '0.0875',
+        active: true, visible_in_kiosk: true, on_hand: 10, reserved: 0
+      }]
+    });
+    let transactionId;
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO inventory_reservations')) transactionId = params[1];
+      if (sql.includes('FROM inventory_reservations')) return { rows: [{ id: 'res-1', product_id: PRODUCT_ID, quantity: 2 }] };
+      return sql.includes('RETURNING') ? { rows: [{ product_id: PRODUCT_ID }] } : { rows: [] };
+    });
+    createOrderAtomic.mockRejectedValueOnce(new Error('503 atomic_order failed'));
+
+    const res = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ items: [{ productId: PRODUCT_ID, quantity: 2 }] });
+
+    expect(res.status).toBe(500);
+    const [, releaseParams] = client.query.mock.calls.find(([sql]) => sql.includes('FROM inventory_reservations'));
+    expect(releaseParams).toEqual([transactionId]);
+    const [, unheld] = client.query.mock.calls.find(([sql]) => sql.includes('SET reserved = GREATEST(reserved - $2, 0)'));
+    expect(unheld).toEqual([PRODUCT_ID, 2]);
+    const [, settled] = client.query.mock.calls.find(([sql]) => sql.includes('release_reason = $3'));
+    expect(settled).toContain('checkout_failed');
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO transactions'))).toBe(false);
+  });
+
+  it('returns 409 without creating an order when the stock is gone by the time it is reserved', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        id: PRODUCT_ID, clover_item_id: 'ITEM1', name: 'Latte', price_cents: 450, tax_rate_decimal: '0.0875',
+        active: true, visible_in_kiosk: true, on_hand: 1, reserved: 0
+      }]
+    });
+    client.query.mockImplementation(async (sql) => (
+      sql.includes('SELECT GREATEST') ? { rows: [{ available: 0 }] } : { rows: [] }
+    ));
+
+    const res = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ items: [{ productId: PRODUCT_ID, quantity: 1 }] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.line_errors).toEqual([expect.objectContaining({ index: 0, code: 'OUT_OF_STOCK' })]);
+    expect(createOrderAtomic).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('rejects unsellable lines with per-line errors before touching Clover', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ items: [{ productId: PRODUCT_ID, quantity: 1 }, { productId: 'ITEM1', quantity: 1 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.line_errors).toEqual([
+      expect.objectContaining({ index: 1, code: 'INVALID_PRODUCT_ID' })
+    ]);
+    expect(db.connect).not.toHaveBeenCalled();
+    expect(createOrderAtomic).not.toHaveBeenCalled();
+  });
+});
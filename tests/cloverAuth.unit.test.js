@@ -0,0 +1,244 @@
+// tests/cloverAuth.unit.test.js
+const http = require('http');
+const request = require('supertest');
+
+// Mock database
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+jest.mock('../config/database', () => ({
+  connect: jest.fn(() => Promise.resolve(mockClient)),
+  query: jest.fn()
+}));
+
+const app = require('../server');
+const cloverAuthService = require('../services/cloverAuthService');
+
+describe('Clover OAuth install flow', () => {
+  let stub;
+  let stubRequests;
+
+  beforeAll(async () => {
+    // Local stub of Clover's OAuth token endpoint and merchant lookup
+    stub = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        stubRequests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.method === 'POST' && req.url === '/oauth/v2/token') {
+          const { code, client_id, client_secret } = JSON.parse(body);
+          if (code !== 'good-code' || client_id !== 'test-app' || client_secret !== 'test-secret') {
+            res.statusCode = 400;
+            return res.end(JSON.stringify({ message: 'invalid code' }));
+          }
+          return res.end(JSON.stringify({
+            access_token: 'access-123',
+            access_token_expiration: 1900000000,
+            refresh_token: 'refresh-456',
+            refresh_token_expiration: 1930000000
+          }));
+        }
+
+        if (req.method === 'POST' && req.url === '/oauth/v2/refresh') {
+          const { refresh_token } = JSON.parse(body);
+          if (refresh_token !== 'refresh-456') {
+            res.statusCode = 401;
+            return res.end(JSON.stringify({ message: 'invalid refresh token' }));
+          }
+          return res.end(JSON.stringify({
+            access_token: 'access-789',
+            access_token_expiration: 1910000000,
+            refresh_token: 'refresh-000'
+          }));
+        }
+
+        if (req.method === 'GET' && req.url === '/v3/merchants/CLOVER_M1') {
+          return res.end(JSON.stringify({ id: 'CLOVER_M1', name: 'Stub Supplements' }));
+        }
+
+        res.statusCode = 404;
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+
+    const stubUrl = `http://127.0.0.1:${stub.address().port}`;
+    process.env.CLOVER_OAUTH_BASE_URL = stubUrl;
+    process.env.CLOVER_BASE_URL = stubUrl;
+    process.env.CLOVER_APP_ID = 'test-app';
+    process.env.CLOVER_APP_SECRET = 'test-secret';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+    process.env.CLOVER_STATE_SECRET = 'test-state-secret';
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stubRequests = [];
+    mockClient.query.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO merchants')) return { rows: [{ id: 'merchant-uuid-1' }] };
+      return { rows: [] };
+    });
+  });
+
+  const startFlow = async () => {
+    const res = await request(app).get('/clover/connect');
+    const location = new URL(res.headers.location);
+    const cookie = res.headers['set-cookie'][0].split(';')[0];
+    return { res, state: location.searchParams.get('state'), cookie };
+  };
+
+  it('redirects to the Clover authorize page with a state cookie', async () => {
+    const { res, state, cookie } = await startFlow();
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toContain('/oauth/v2/authorize');
+    expect(res.headers.location).toContain('client_id=test-app');
+    expect(state).toBeTruthy();
+    expect(cookie).toMatch(/^clover_oauth_state=[0-9a-f]{32}$/);
+  });
+
+  it('exchanges the code and persists merchant and tokens', async () => {
+    const { state, cookie } = await startFlow();
+
+    const res = await request(app)
+      .get('/clover/callback')
+      .query({ code: 'good-code', merchant_id: 'CLOVER_M1', state })
+      .set('Cookie', cookie);
+
+    expect(res.status).toBe(200);
+    expect(stubRequests[0]).toMatchObject({
+      method: 'POST',
+      url: '/oauth/v2/token',
+      body: { client_id: 'test-app', client_secret: 'test-secret', code: 'good-code' }
+    });
+
+    const calls = mockClient.query.mock.calls;
+    expect(calls[0][0]).toBe('BEGIN');
+
+    const merchantCall = calls.find(([sql]) => sql.includes('INSERT INTO merchants'));
+    expect(merchantCall[1]).toEqual(['CLOVER_M1', 'Stub Supplements']);
+
+    const tokenCall = calls.find(([sql]) => sql.includes('INSERT INTO clover_tokens'));
+    expect(tokenCall[1]).toEqual([
+      'merchant-uuid-1',
+      'access-123',
+      'refresh-456',
+      'bearer',
+      null,
+      new Date(1900000000 * 1000)
+    ]);
+    expect(calls[calls.length - 1][0]).toBe('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it('rejects a callback whose state does not match the cookie', async () => {
+    const { state } = await startFlow();
+
+    const res = await request(app)
+      .get('/clover/callback')
+      .query({ code: 'good-code', merchant_id: 'CLOVER_M1', state })
+      .set('Cookie', 'clover_oauth_state=0000');
+
+    expect(res.status).toBe(403);
+    expect(stubRequests).toHaveLength(0);
+    expect(mockClient.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects a callback without state', async () => {
+    const res = await request(app)
+      .get('/clover/callback')
+      .query({ code: 'good-code', merchant_id: 'CLOVER_M1' });
+
+    expect(res.status).toBe(403);
+    expect(stubRequests).toHaveLength(0);
+  });
+
+  it('returns 400 when no code is received', async () => {
+    const res = await request(app).get('/clover/callback').query({ merchant_id: 'CLOVER_M1' });
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 502 when Clover rejects the code', async () => {
+    const { state, cookie } = await startFlow();
+
+    const res = await request(app)
+      .get('/clover/callback')
+      .query({ code: 'bad-code', merchant_id: 'CLOVER_M1', state })
+      .set('Cookie', cookie);
+
+    expect(res.status).toBe(502);
+    expect(mockClient.query).not.toHaveBeenCalled();
+  });
+
+  it('refreshes an access token', async () => {
+    const tokens = await cloverAuthService.refreshAccessToken('refresh-456');
+
+    expect(stubRequests[0].body).toEqual({ client_id: 'test-app', refresh_token: 'refresh-456' });
+    expect(tokens).toMatchObject({
+      access_token: 'access-789',
+      refresh_token: 'refresh-000',
+      expires_at: new Date(1910000000 * 1000)
+    });
+  });
+
+  it('flags a refresh rejected by Clover', async () => {
+    await expect(cloverAuthService.refreshAccessToken('revoked'))
+      .rejects.toMatchObject({ rejected: true });
+  });
+
+  it('rejects a state signed with a different secret', () => {
+    const jwt = require('jsonwebtoken');
+    const forged = jwt.sign({ nonce: 'abc', purpose: 'clover_oauth' }, 'other-secret');
+    expect(cloverAuthService.verifyState(forged, 'abc')).toBe(false);
+  });
+
+  it('rejects a state signed with JWT_SECRET', () => {
+    const jwt = require('jsonwebtoken');
+    const forged = jwt.sign({ nonce: 'abc', purpose: 'clover_oauth' }, process.env.JWT_SECRET);
+    expect(cloverAuthService.verifyState(forged, 'abc')).toBe(false);
+  });
+
+  it('keeps the business name of a merchant that reconnects', async () => {
+    // In-memory merchants table holding the merchant's earlier install, renamed since
+    const merchants = new Map([
+      ['CLOVER_M1', { id: 'merchant-uuid-1', business_name: 'Renamed Locally', active: false }]
+    ]);
+    mockClient.query.mockImplementation(async (sql, params) => {
+      if (!sql.includes('INSERT INTO merchants')) return { rows: [] };
+      const [cloverMerchantId, businessName] = params;
+      const existing = merchants.get(cloverMerchantId);
+      if (!existing) {
+        merchants.set(cloverMerchantId, { id: 'merchant-uuid-2', business_name: businessName, active: true });
+        return { rows: [{ id: 'merchant-uuid-2' }] };
+      }
+      // Apply the DO UPDATE SET list to the existing row
+      const incoming = { clover_merchant_id: cloverMerchantId, business_name: businessName, active: true };
+      const assignments = sql.split('DO UPDATE')[1].split('RETURNING')[0].replace(/^\s*SET/, '').split(',');
+      for (const assignment of assignments) {
+        const [column, value] = assignment.split('=').map(part => part.trim());
+        existing[column] = value === `EXCLUDED.${column}` ? incoming[column] : JSON.parse(value);
+      }
+      return { rows: [{ id: existing.id }] };
+    });
+    const { state, cookie } = await startFlow();
+
+    const res = await request(app)
+      .get('/clover/callback')
+      .query({ code: 'good-code', merchant_id: 'CLOVER_M1', state })
+      .set('Cookie', cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Clover connected for merchant CLOVER_M1');
+    expect(merchants.size).toBe(1);
+    expect(merchants.get('CLOVER_M1')).toEqual({ id: 'merchant-uuid-1', business_name: 'Renamed Locally', active: true });
+    const tokenCall = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO clover_tokens'));
+    expect(tokenCall[1].slice(0, 2)).toEqual(['merchant-uuid-1', 'access-123']);
+  });
+});
@@ -0,0 +1,211 @@
+// tests/cloverService.unit.test.js
+const http = require('http');
+const cloverService = require('../services/cloverService');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(() => Promise.resolve({
+    query: jest.fn(),
+    release: jest.fn()
+  })),
+}));
+
+describe('cloverService', () => {
+  const db = require('../config/database');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CLOVER_BASE_URL = 'https://custom.clover.com';
+  });
+
+  describe('getMerchantClient', () => {
+    it('should build a client from the merchant\'s stored token', async () => {
+      db.connect
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({
+            rows: [{ access_token: 'merchant-token', refresh_token: null, expires_at: null }]
+          }),
+          release: jest.fn()
+        })
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ clover_merchant_id: 'CLOVER_M1' }] }),
+          release: jest.fn()
+        });
+
+      const merchantClient = await cloverService.getMerchantClient('merchant-123');
+
+      expect(merchantClient).toMatchObject({
+        merchantId: 'merchant-123',
+        cloverMerchantId: 'CLOVER_M1',
+        accessToken: 'merchant-token'
+      });
+      expect(merchantClient.http.defaults.headers.Authorization).toBe('Bearer merchant-token');
+      expect(merchantClient.http.defaults.baseURL).toBe('https://custom.clover.com');
+    });
+
+    it('should reject merchants without a Clover merchant ID', async () => {
+      db.connect
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ access_token: 'merchant-token', expires_at: null }] }),
+          release: jest.fn()
+        })
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ clover_merchant_id: null }] }),
+          release: jest.fn()
+        });
+
+      await expect(cloverService.getMerchantClient('merchant-123'))
+        .rejects.toThrow('No Clover merchant ID associated with this merchant');
+    });
+  });
+
+  describe('createOrderAtomic', () => {
+    it('should post to the merchant\'s atomic_order endpoint', async () => {
+      const http = { post: jest.fn().mockResolvedValue({ status: 200, data: { id: 'ORDER1' } }) };
+
+      const order = await cloverService.createOrderAtomic(
+        { http, cloverMerchantId: 'CLOVER_M1' },
+        { orderCart: { lineItems: [] } }
+      );
+
+      expect(order).toEqual({ id: 'ORDER1' });
+      expect(http.post).toHaveBeenCalledWith(
+        '/v3/merchants/CLOVER_M1/atomic_order/orders',
+        { orderCart: { lineItems: [] } }
+      );
+    });
+  });
+
+  describe('fetchPaged', () => {
+    it('should require a merchant-scoped client', async () => {
+      await expect(cloverService.fetchPaged('/v3/merchants/X/items', {}, jest.fn()))
+        .rejects.toThrow('fetchPaged requires a merchant-scoped Clover client');
+    });
+  });
+
+  describe('retries and rate limiting', () => {
+    let stub;
+    let handler;
+    let hits;
+
+    beforeAll(async () => {
+      stub = http.createServer((req, res) => {
+        hits.push({ method: req.method, url: req.url, at: Date.now() });
+        handler(req, res, hits.length);
+      });
+      await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => stub.close(resolve));
+      delete process.env.CLOVER_RETRY_BASE_MS;
+      delete process.env.CLOVER_RETRY_MAX_MS;
+      delete process.env.CLOVER_MAX_RETRIES;
+    });
+
+    beforeEach(() => {
+      hits = [];
+      process.env.CLOVER_BASE_URL = `http://127.0.0.1:${stub.address().port}`;
+      process.env.CLOVER_RETRY_BASE_MS = '5';
+      process.env.CLOVER_RETRY_MAX_MS = '20';
+      process.env.CLOVER_MAX_RETRIES = '3';
+    });
+
+    const json = (res, status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    it('should retry GETs on 5xx until they succeed', async () => {
+      handler = (req, res, n) => (n < 3 ? json(res, 503, {}) : json(res, 200, { ok: true }));
+
+      const res = await cloverService.createClient('retry-token-1').get('/v3/ping');
+
+      expect(res.data).toEqual({ ok: true });
+      expect(hits).toHaveLength(3);
+    });
+
+    it('should honor Retry-After on 429', async () => {
+      handler = (req, res, n) => (n === 1
+        ? json(res, 429, { message: 'Too Many Requests' }, { 'Retry-After': '1' })
+        : json(res, 200, { ok: true }));
+
+      const res = await cloverService.createClient('retry-token-2').get('/v3/ping');
+
+      expect(res.status).toBe(200);
+      expect(hits[1].at - hits[0].at).toBeGreaterThanOrEqual(950);
+    });
+
+    it('should not retry non-GET requests on 5xx', async () => {
+      handler = (req, res) => json(res, 500, {});
+
+      await expect(cloverService.createClient('retry-token-3').post('/v3/orders', {})).rejects.toThrow();
+      expect(hits).toHaveLength(1);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      handler = (req, res) => json(res, 502, {});
+
+      await expect(cloverService.createClient('retry-token-4').get('/v3/ping')).rejects.toThrow();
+      expect(hits).toHaveLength(4);
+    });
+
+    it('should cap requests per second for a token', async () => {
+      process.env.CLOVER_RATE_LIMIT_PER_SECOND = '2';
+      handler = (req, res) => json(res, 200, {});
+
+      const client = cloverService.createClient('budget-token-1');
+      await Promise.all([1, 2, 3].map(() => client.get('/v3/ping')));
+
+      expect(hits[2].at - hits[0].at).toBeGreaterThanOrEqual(950);
+      delete process.env.CLOVER_RATE_LIMIT_PER_SECOND;
+    });
+
+    it('should keep a merchant\'s budget across a token refresh', async () => {
+      process.env.CLOVER_RATE_LIMIT_PER_SECOND = '2';
+      handler = (req, res) => json(res, 200, {});
+
+      await Promise.all([
+        cloverService.createClient('budget-token-old', 'budget-merchant-1').get('/v3/ping'),
+        cloverService.createClient('budget-token-old', 'budget-merchant-1').get('/v3/ping'),
+        cloverService.createClient('budget-token-new', 'budget-merchant-1').get('/v3/ping')
+      ]);
+
+      expect(hits[2].at - hits[0].at).toBeGreaterThanOrEqual(950);
+      delete process.env.CLOVER_RATE_LIMIT_PER_SECOND;
+    });
+
+    it('should report the failed offset so paging can resume', async () => {
+      process.env.CLOVER_MAX_RETRIES = '0';
+      handler = (req, res) => {
+        const offset = Number(new URL(req.url, 'http://x').searchParams.get('offset'));
+        if (offset === 2 && hits.length === 2) return json(res, 500, {});
+        const elements = offset < 4 ? [{ id: `i${offset}` }, { id: `i${offset + 1}` }] : [];
+        return json(res, 200, { elements });
+      };
+
+      const client = cloverService.createClient('paging-token-1');
+      const seen = [];
+      const onBatch = async (page, { offset }) => seen.push([offset, page.map(i => i.id)]);
+
+      const error = await cloverService.fetchPaged('/v3/items', { limit: 2 }, onBatch, client)
+        .catch(e => e);
+      expect(error.offset).toBe(2);
+
+      await cloverService.fetchPaged('/v3/items', { limit: 2, offset: error.offset }, onBatch, client);
+      expect(seen).toEqual([
+        [0, ['i0', 'i1']],
+        [2, ['i2', 'i3']]
+      ]);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds and HTTP dates', () => {
+      expect(cloverService.parseRetryAfter({ 'retry-after': '3' })).toBe(3000);
+      const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+      expect(cloverService.parseRetryAfter({ 'retry-after': inTwoSeconds })).toBeGreaterThan(0);
+      expect(cloverService.parseRetryAfter({})).toBeNull();
+    });
+  });
+});
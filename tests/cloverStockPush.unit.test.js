@@ -0,0 +1,233 @@
+// tests/cloverStockPush.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock Clover item stock calls
+jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
+  getMerchantClient: jest.fn(),
+  fetchObject: jest.fn(),
+  updateItemStock: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const syncService = require('../services/syncService');
+const cloverStockPushService = require('../services/cloverStockPushService');
+const inventoryMovementService = require('../services/inventoryMovementService');
+const { getMerchantClient, fetchObject, updateItemStock } = require('../services/cloverService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const PUSH_ID = '22222222-2222-4222-8222-222222222222';
+const WHEY = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+describe('Clover stock pushes', () => {
+  const authToken = jwt.sign({ sub: 'manager-1', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let store;
+
+  /**
+   * In-memory outbox row for whey (on_hand 12 locally, last synced from Clover at modifiedTime 1000)
+   */
+  function mockOutbox(push = {}) {
+    store = {
+      push: {
+        id: PUSH_ID, merchant_id: MERCHANT_ID, product_id: WHEY, clover_item_id: 'ITEM_WHEY',
+        status: 'pending', changes: 1, attempts: 0, ...push
+      },
+      inventory: { on_hand: 12, clover_stock_modified_time: '1000' },
+      updates: [],
+      movements: []
+    };
+
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('UPDATE clover_stock_pushes SET next_attempt_at')) {
+        return { rows: store.push.status === 'pending' ? [{ ...store.push }] : [] };
+      }
+      if (sql.includes('SELECT * FROM clover_stock_pushes WHERE id = $1')) {
+        return { rows: [store.push] };
+      }
+      if (sql.includes('SELECT on_hand, clover_stock_modified_time FROM inventory')) {
+        return { rows: [store.inventory] };
+      }
+      if (sql.includes('SELECT on_hand FROM inventory')) {
+        return { rows: [{ on_hand: store.inventory.on_hand }] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        store.movements.push(params);
+        return { rows: [{ id: 'movement-1' }] };
+      }
+      if (sql.includes('UPDATE inventory SET')) {
+        if (sql.includes('on_hand = $2')) store.inventory.on_hand = params[1];
+        store.inventory.clover_stock_modified_time = sql.includes('on_hand = $2') ? params[2] : params[1];
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE clover_stock_pushes SET')) {
+        store.updates.push({ sql, params });
+        if (sql.includes("status = 'conflict'")) {
+          Object.assign(store.push, { status: 'conflict', remote_quantity: params[1], remote_modified_time: params[2] });
+        } else if (sql.includes("THEN 'pushed'")) {
+          Object.assign(store.push, { status: params[1] === store.push.changes ? 'pushed' : 'pending', quantity: params[2] });
+        } else if (sql.includes('resolution = $3')) {
+          Object.assign(store.push, { status: params[1], resolution: params[2], resolved_by: params[3] });
+        } else {
+          Object.assign(store.push, { status: params[1], last_error: params[2], retry_in: params[3] });
+        }
+        return { rows: [store.push] };
+      }
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+    db.query.mockImplementation(query);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncService.isCloverEnabled = true;
+    getMerchantClient.mockResolvedValue({ merchantId: MERCHANT_ID, cloverMerchantId: 'CLOVER_M1', http: {} });
+  });
+
+  describe('queueing', () => {
+    it('queues a push for local changes but not for sales or syncs', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'movement-1' }] }) };
+      const change = { merchantId: MERCHANT_ID, productId: WHEY, before: 5, after: 8 };
+
+      for (const reason of ['receive', 'count', 'sale', 'sync', 'webhook']) {
+        await inventoryMovementService.record(client, { ...change, reason });
+      }
+
+      const queued = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO clover_stock_pushes'));
+      expect(queued).toHaveLength(2);
+      expect(queued[0][0]).toContain('clover_item_id IS NOT NULL');
+      expect(queued[0][0]).toContain('changes = clover_stock_pushes.changes + 1');
+    });
+  });
+
+  describe('processPending', () => {
+    it('pushes the current on_hand and remembers Clover\'s new modifiedTime', async () => {
+      mockOutbox();
+      fetchObject.mockResolvedValueOnce({ quantity: 9, modifiedTime: 1000 });
+      updateItemStock.mockResolvedValueOnce({ quantity: 12, modifiedTime: 2000 });
+
+      const counts = await cloverStockPushService.processPending();
+
+      expect(counts).toEqual({ pushed: 1, conflict: 0, retrying: 0, failed: 0 });
+      expect(fetchObject).toHaveBeenCalledWith(expect.anything(), 'item_stocks/ITEM_WHEY');
+      expect(updateItemStock).toHaveBeenCalledWith(expect.anything(), 'ITEM_WHEY', 12);
+      expect(store.push).toMatchObject({ status: 'pushed', quantity: 12 });
+      expect(store.inventory.clover_stock_modified_time).toBe(2000);
+    });
+
+    it('holds the push as a conflict when Clover\'s stock changed since our last sync', async () => {
+      mockOutbox();
+      fetchObject.mockResolvedValueOnce({ quantity: 7, modifiedTime: 1500 });
+
+      const counts = await cloverStockPushService.processPending();
+
+      expect(counts.conflict).toBe(1);
+      expect(updateItemStock).not.toHaveBeenCalled();
+      expect(store.push).toMatchObject({ status: 'conflict', remote_quantity: 7, remote_modified_time: 1500 });
+    });
+
+    it('keeps the row pending when another change arrived during the push', async () => {
+      mockOutbox({ changes: 1 });
+      fetchObject.mockResolvedValueOnce({ quantity: 9, modifiedTime: 1000 });
+      updateItemStock.mockImplementationOnce(async () => {
+        store.push.changes = 2;
+        return { quantity: 12, modifiedTime: 2000 };
+      });
+
+      await cloverStockPushService.processPending();
+
+      expect(store.push.status).toBe('pending');
+    });
+
+    it('retries with backoff, and gives up on errors a retry cannot fix', async () => {
+      mockOutbox({ attempts: 2 });
+      fetchObject.mockRejectedValueOnce(Object.assign(new Error('503 item_stocks/ITEM_WHEY'), { status: 503 }));
+
+      expect((await cloverStockPushService.processPending()).retrying).toBe(1);
+      expect(store.push).toMatchObject({ status: 'pending', retry_in: 120 });
+
+      mockOutbox();
+      fetchObject.mockResolvedValueOnce(null);
+      updateItemStock.mockRejectedValueOnce(Object.assign(new Error('404 item stock update failed'), { status: 404 }));
+
+      expect((await cloverStockPushService.processPending()).failed).toBe(1);
+      expect(store.push.status).toBe('failed');
+    });
+
+    it('does nothing while Clover is disabled', async () => {
+      syncService.isCloverEnabled = false;
+
+      expect(await cloverStockPushService.processPending()).toEqual({ pushed: 0, conflict: 0, retrying: 0, failed: 0 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolve', () => {
+    it('takes Clover\'s quantity as a sync movement', async () => {
+      mockOutbox({ status: 'conflict', remote_quantity: 7, remote_modified_time: '1500' });
+
+      const push = await cloverStockPushService.resolve(MERCHANT_ID, PUSH_ID, { keep: 'clover', userId: 'manager-1' });
+
+      expect(push).toMatchObject({ status: 'discarded', resolution: 'clover', resolved_by: 'manager-1' });
+      expect(store.inventory).toEqual({ on_hand: 7, clover_stock_modified_time: '1500' });
+      expect(store.movements).toEqual([[
+        MERCHANT_ID, WHEY, -5, 7, 'sync', 'manager-1', 'clover_item', 'ITEM_WHEY', 'Kept Clover stock after a push conflict'
+      ]]);
+    });
+
+    it('requeues our on_hand over Clover\'s change', async () => {
+      mockOutbox({ status: 'conflict', remote_quantity: 7, remote_modified_time: '1500' });
+
+      const push = await cloverStockPushService.resolve(MERCHANT_ID, PUSH_ID, { keep: 'local' });
+
+      expect(push).toMatchObject({ status: 'pending', resolution: 'local' });
+      expect(store.inventory.clover_stock_modified_time).toBe('1500');
+    });
+  });
+
+  describe('routes', () => {
+    it('rejects an unknown resolution', async () => {
+      const res = await request(app)
+        .post(`/api/inventory/clover-pushes/${PUSH_ID}/resolve`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ keep: 'both' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('returns 409 for a push that was already sent', async () => {
+      mockOutbox({ status: 'pushed' });
+
+      const res = await request(app)
+        .post(`/api/inventory/clover-pushes/${PUSH_ID}/resolve`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ keep: 'clover' });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('lists conflicts', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: PUSH_ID, status: 'conflict', product_name: 'Whey' }] });
+
+      const res = await request(app)
+        .get('/api/inventory/clover-pushes?status=conflict')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, 'conflict', 100]);
+    });
+  });
+});
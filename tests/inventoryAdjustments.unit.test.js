@@ -0,0 +1,162 @@
+// tests/inventoryAdjustments.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const inventoryService = require('../services/inventoryService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const WHEY = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const BAR = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+
+describe('Inventory adjustments', () => {
+  const authToken = jwt.sign({ sub: 'manager-1', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let store;
+  let query;
+
+  /**
+   * In-memory products and on_hand counts; records statements and movements
+   */
+  function mockInventory(onHand = { [WHEY]: 5, [BAR]: 2 }) {
+    store = { onHand: { ...onHand }, movements: [], locks: [] };
+    query = jest.fn(async (sql, params) => {
+      if (sql.includes('INSERT INTO clover_stock_pushes')) {
+        return { rows: [] };
+      }
+      if (sql.includes('FROM products')) {
+        return { rows: params[1].filter(id => id in store.onHand).map(id => ({ id })) };
+      }
+      if (sql.includes('SELECT on_hand FROM inventory')) {
+        store.locks.push(params[0]);
+        return { rows: [{ on_hand: store.onHand[params[0]] }] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        store.movements.push(params);
+        return { rows: [{ id: `movement-${store.movements.length}` }] };
+      }
+      if (sql.includes('INSERT INTO inventory')) {
+        store.onHand[params[0]] = params[1];
+        return { rows: [] };
+      }
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+  }
+
+  const statements = () => query.mock.calls.map(([sql]) => sql.trim());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('applies every line, locking rows in product order', async () => {
+    mockInventory();
+
+    const results = await inventoryService.adjustInventoryBatch(MERCHANT_ID, [
+      { productId: BAR, delta: 12, reason: 'count' },
+      { productId: WHEY, delta: -2, reason: 'damage', note: 'Torn bag' }
+    ], { userId: 'manager-1' });
+
+    expect(store.locks).toEqual([WHEY, BAR]);
+    expect(store.onHand).toEqual({ [WHEY]: 3, [BAR]: 14 });
+    expect(results).toEqual([
+      { index: 0, productId: BAR, reason: 'count', requested: 12, delta: 12, onHandBefore: 2, onHandAfter: 14, clamped: false, movementId: 'movement-2' },
+      { index: 1, productId: WHEY, reason: 'damage', requested: -2, delta: -2, onHandBefore: 5, onHandAfter: 3, clamped: false, movementId: 'movement-1' }
+    ]);
+    expect(store.movements[0]).toEqual([MERCHANT_ID, WHEY, -2, 3, 'damage', 'manager-1', null, null, 'Torn bag']);
+    expect(statements().at(-1)).toBe('COMMIT');
+  });
+
+  it('stops at zero by default', async () => {
+    mockInventory();
+
+    const [result] = await inventoryService.adjustInventoryBatch(MERCHANT_ID, [{ productId: BAR, delta: -5 }]);
+
+    expect(result).toMatchObject({ reason: 'adjustment', requested: -5, delta: -2, onHandAfter: 0, clamped: true });
+  });
+
+  it('rolls the whole batch back when rejectNegative and a line would go below zero', async () => {
+    mockInventory();
+
+    const error = await inventoryService.adjustInventoryBatch(MERCHANT_ID, [
+      { productId: WHEY, delta: -1 },
+      { productId: BAR, delta: -3 }
+    ], { rejectNegative: true }).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(error.lineErrors).toEqual([
+      expect.objectContaining({ index: 1, productId: BAR, code: 'INSUFFICIENT_STOCK', onHand: 2, requested: -3 })
+    ]);
+    expect(statements()).toContain('ROLLBACK');
+    expect(statements()).not.toContain('COMMIT');
+  });
+
+  it('rejects products the merchant does not have', async () => {
+    mockInventory({ [WHEY]: 5 });
+
+    const error = await inventoryService.adjustInventoryBatch(MERCHANT_ID, [
+      { productId: WHEY, delta: 1 },
+      { productId: BAR, delta: 1 }
+    ]).catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.lineErrors).toEqual([expect.objectContaining({ index: 1, code: 'NOT_FOUND' })]);
+    expect(store.locks).toEqual([]);
+  });
+
+  describe('POST /api/inventory/adjustments', () => {
+    it('returns per-line results', async () => {
+      mockInventory();
+
+      const res = await request(app)
+        .post('/api/inventory/adjustments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ lines: [{ productId: WHEY, delta: 4, reason: 'count' }], note: 'Weekly count' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({ productId: WHEY, delta: 4, onHandAfter: 9 })]);
+      expect(store.movements[0]).toEqual([MERCHANT_ID, WHEY, 4, 9, 'count', 'manager-1', null, null, 'Weekly count']);
+    });
+
+    it('returns 409 with line errors instead of clamping when asked', async () => {
+      mockInventory();
+
+      const res = await request(app)
+        .post('/api/inventory/adjustments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ lines: [{ productId: BAR, delta: -3, reason: 'theft' }], rejectNegative: true });
+
+      expect(res.status).toBe(409);
+      expect(res.body.line_errors[0]).toMatchObject({ code: 'INSUFFICIENT_STOCK' });
+    });
+
+    it('validates lines before touching the database', async () => {
+      const res = await request(app)
+        .post('/api/inventory/adjustments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          lines: [
+            { productId: 'whey', delta: 1 },
+            { productId: BAR, delta: 0 },
+            { productId: WHEY, delta: 1, reason: 'sale' },
+            { productId: WHEY, delta: 1 }
+          ]
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.line_errors.map(e => e.code)).toEqual(['INVALID_PRODUCT_ID', 'INVALID_DELTA', 'INVALID_REASON', 'DUPLICATE_PRODUCT']);
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,149 @@
+// tests/inventoryMovements.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const inventoryMovementService = require('../services/inventoryMovementService');
+const reservationService = require('../services/reservationService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const PRODUCT_ID = '55555555-5555-4555-8555-555555555555';
+
+describe('Inventory movements', () => {
+  const authToken = jwt.sign({ sub: 'manager-1', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let movements;
+
+  /**
+   * Client whose inventory row starts at `onHand` and keeps the movements written through it
+   */
+  function mockClient(onHand) {
+    movements = [];
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('FROM products')) return { rows: [{ id: PRODUCT_ID, product_id: PRODUCT_ID }] };
+      if (sql.includes('SELECT on_hand FROM inventory')) return { rows: [{ on_hand: onHand }] };
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        movements.push(params);
+        return { rows: [{ id: `movement-${movements.length}` }] };
+      }
+      if (sql.includes('FROM inventory_reservations')) {
+        return { rows: [{ id: 'r1', merchant_id: MERCHANT_ID, product_id: PRODUCT_ID, quantity: 2, status: 'active' }] };
+      }
+      if (sql.includes('UPDATE inventory\n')) return { rows: [{ on_hand: onHand - params[1] }] };
+      return { rows: [] };
+    });
+    const client = { query, release: jest.fn() };
+    db.connect.mockResolvedValue(client);
+    return client;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('records nothing when on_hand did not change', async () => {
+    const client = mockClient(5);
+
+    const movement = await inventoryMovementService.record(client, {
+      merchantId: MERCHANT_ID, productId: PRODUCT_ID, before: 5, after: 5, reason: 'sync'
+    });
+
+    expect(movement).toBeNull();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  it('records a sale when a payment commits its reservations', async () => {
+    const client = mockClient(10);
+
+    await reservationService.commit(client, 'tx-1');
+
+    expect(movements).toEqual([[MERCHANT_ID, PRODUCT_ID, -2, 8, 'sale', null, 'transaction', 'tx-1', null]]);
+  });
+
+  it('records a manual count with who made it and why', async () => {
+    mockClient(12);
+
+    const res = await request(app)
+      .patch(`/api/inventory/${PRODUCT_ID}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ on_hand: 9, reason: 'theft', note: 'Shelf 3' });
+
+    expect(res.status).toBe(200);
+    expect(movements).toEqual([[MERCHANT_ID, PRODUCT_ID, -3, 9, 'theft', 'manager-1', null, null, 'Shelf 3']]);
+  });
+
+  it('records no movement for reorder settings alone', async () => {
+    mockClient(12);
+
+    await request(app)
+      .patch(`/api/inventory/${PRODUCT_ID}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ reorder_level: 4 });
+
+    expect(movements).toEqual([]);
+  });
+
+  it('rejects reasons that only the system records', async () => {
+    const res = await request(app)
+      .patch(`/api/inventory/${PRODUCT_ID}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ on_hand: 9, reason: 'sale' });
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('GET /api/inventory/:productId/movements', () => {
+    it('pages through a product\'s movements, newest first', async () => {
+      const rows = [
+        { id: '99999999-9999-4999-8999-999999999993', created_at: '2026-10-03T10:00:00Z', delta: -1 },
+        { id: '99999999-9999-4999-8999-999999999992', created_at: '2026-10-02T10:00:00Z', delta: 4 },
+        { id: '99999999-9999-4999-8999-999999999991', created_at: '2026-10-01T10:00:00Z', delta: -2 }
+      ];
+      db.query.mockImplementation(async (sql) => (
+        sql.includes('FROM products') ? { rows: [{ id: PRODUCT_ID }] } : { rows }
+      ));
+
+      const res = await request(app)
+        .get(`/api/inventory/${PRODUCT_ID}/movements`)
+        .query({ reason: 'sale,refund', limit: 2 })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(m => m.delta)).toEqual([-1, 4]);
+      expect(inventoryMovementService.isValidCursor(res.body.next_cursor)).toBe(true);
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('ORDER BY m.created_at DESC, m.id DESC');
+      expect(params).toEqual([MERCHANT_ID, PRODUCT_ID, ['sale', 'refund'], 3]);
+    });
+
+    it('returns 404 for another merchant\'s product', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app)
+        .get(`/api/inventory/${PRODUCT_ID}/movements`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('validates filters', async () => {
+      for (const query of [{ reason: 'lost' }, { limit: '0' }, { cursor: 'nope' }, { from: '2026-10-02', to: '2026-10-01' }]) {
+        const res = await request(app)
+          .get(`/api/inventory/${PRODUCT_ID}/movements`)
+          .query(query)
+          .set('Authorization', `Bearer ${authToken}`);
+        expect(res.status).toBe(400);
+      }
+    });
+  });
+});
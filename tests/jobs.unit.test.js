@@ -0,0 +1,198 @@
+// tests/jobs.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock Clover credentials lookup
+jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
+  getMerchantClient: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const jobQueueService = require('../services/jobQueueService');
+const jobWorker = require('../services/jobWorker');
+const syncService = require('../services/syncService');
+const { getMerchantClient } = require('../services/cloverService');
+
+// Stub the queue's database operations
+['enqueue', 'claimNext', 'complete', 'fail', 'heartbeat', 'getById']
+  .forEach(method => jest.spyOn(jobQueueService, method).mockResolvedValue(null));
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const JOB_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('Background jobs', () => {
+  const authToken = jwt.sign({ sub: 'job-user', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  const queuedJob = (type, payload) => ({
+    id: JOB_ID, merchant_id: MERCHANT_ID, type, payload, status: 'queued', attempts: 0, max_attempts: 3
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncService.isCloverEnabled = true;
+    getMerchantClient.mockResolvedValue({ accessToken: 'token', cloverMerchantId: 'CLOVER_M1' });
+    jobQueueService.enqueue.mockImplementation(async (merchantId, type, payload) => queuedJob(type, payload));
+  });
+
+  describe('enqueueing endpoints', () => {
+    it('POST /api/sync/full queues a job and returns 202', async () => {
+      const res = await request(app)
+        .post('/api/sync/full?mode=delta')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(202);
+      expect(res.body).toMatchObject({
+        success: true,
+        job_id: JOB_ID,
+        status: 'queued',
+        status_url: `/api/jobs/${JOB_ID}`
+      });
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(MERCHANT_ID, 'sync.full', { mode: 'delta' });
+    });
+
+    it('POST /api/sync/orders queues an orders job', async () => {
+      const res = await request(app)
+        .post('/api/sync/orders?limit=50&prune=true')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(202);
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(MERCHANT_ID, 'sync.orders', { limit: 50, prune: true });
+    });
+
+    it('POST /api/products/sync queues a catalog job', async () => {
+      const res = await request(app)
+        .post('/api/products/sync')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(202);
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(MERCHANT_ID, 'sync.catalog', { limit: 100, mode: 'full' });
+    });
+
+    it('does not queue a job when the Clover token has expired', async () => {
+      getMerchantClient.mockRejectedValue(new Error('Clover access token has expired'));
+
+      const res = await request(app)
+        .post('/api/sync/full')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(401);
+      expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/jobs/:id', () => {
+    it('returns the job with its sync run progress', async () => {
+      jobQueueService.getById.mockResolvedValue({ ...queuedJob('sync.full', {}), status: 'running', attempts: 1 });
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 'run-1', status: 'running', counts: { categories: { processed: 5 } }, cursor: { stage: 'products', offset: 100 } }]
+      });
+
+      const res = await request(app)
+        .get(`/api/jobs/${JOB_ID}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.job).toMatchObject({
+        job_id: JOB_ID,
+        status: 'running',
+        progress: { run_id: 'run-1', cursor: { stage: 'products', offset: 100 } }
+      });
+      expect(jobQueueService.getById).toHaveBeenCalledWith(JOB_ID, MERCHANT_ID);
+    });
+
+    it('returns 404 for another merchant\'s job', async () => {
+      jobQueueService.getById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get(`/api/jobs/${JOB_ID}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('worker', () => {
+    const claimed = (type, overrides = {}) => ({ ...queuedJob(type, {}), status: 'running', attempts: 1, ...overrides });
+
+    it('runs the handler for the claimed job and stores its result', async () => {
+      const handler = jest.fn().mockResolvedValue({ success: true, processed: 3 });
+      jobWorker.handlers['test.ok'] = handler;
+      jobQueueService.claimNext.mockResolvedValue(claimed('test.ok'));
+
+      const outcome = await jobWorker.runNext();
+
+      expect(outcome).toEqual({ id: JOB_ID, status: 'succeeded' });
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: JOB_ID }));
+      expect(jobQueueService.complete).toHaveBeenCalledWith(JOB_ID, { success: true, processed: 3 });
+      delete jobWorker.handlers['test.ok'];
+    });
+
+    it('records a failed result so the job can be retried', async () => {
+      jobWorker.handlers['test.fail'] = jest.fn().mockResolvedValue({ success: false, error: 'Clover API error' });
+      jobQueueService.claimNext.mockResolvedValue(claimed('test.fail'));
+      jobQueueService.fail.mockResolvedValue('queued');
+
+      const outcome = await jobWorker.runNext();
+
+      expect(outcome.status).toBe('queued');
+      const [job, error, result] = jobQueueService.fail.mock.calls[0];
+      expect(job.id).toBe(JOB_ID);
+      expect(error.message).toBe('Clover API error');
+      expect(error.retryable).not.toBe(false);
+      expect(result).toEqual({ success: false, error: 'Clover API error' });
+      delete jobWorker.handlers['test.fail'];
+    });
+
+    it('does not retry when the merchant must reconnect Clover', async () => {
+      jobWorker.handlers['test.token'] = jest.fn().mockRejectedValue(new Error('Clover access token has expired'));
+      jobQueueService.claimNext.mockResolvedValue(claimed('test.token'));
+      jobQueueService.fail.mockResolvedValue('failed');
+
+      await jobWorker.runNext();
+
+      expect(jobQueueService.fail.mock.calls[0][1].retryable).toBe(false);
+      delete jobWorker.handlers['test.token'];
+    });
+
+    it('returns null when no job is runnable', async () => {
+      jobQueueService.claimNext.mockResolvedValue(null);
+      expect(await jobWorker.runNext()).toBeNull();
+    });
+
+    it('resumes the sync run of a job whose worker was killed', async () => {
+      const syncRunService = require('../services/syncRunService');
+      const run = { id: 'run-1', status: 'running', cursor: { stage: 'products', offset: 200 }, options: { mode: 'full' } };
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('UPDATE jobs SET')) {
+          // Requeueing the job fails its running run in the same statement
+          expect(sql).toMatch(/UPDATE sync_runs SET\s+status = 'failed'[\s\S]*job_id IN \(SELECT id FROM stale\)/);
+          run.status = 'failed';
+          return { rows: [{ recovered: 1 }] };
+        }
+        return { rows: [] };
+      });
+
+      expect(await jobQueueService.recoverStale(60000)).toBe(1);
+
+      const getLatestForJob = jest.spyOn(syncRunService, 'getLatestForJob').mockResolvedValue(run);
+      const performFullSync = jest.spyOn(syncService, 'performFullSync').mockResolvedValue({ success: true });
+      jobQueueService.claimNext.mockResolvedValue(claimed('sync.full', { attempts: 2 }));
+
+      await jobWorker.runNext();
+
+      expect(performFullSync).toHaveBeenCalledWith(MERCHANT_ID, expect.objectContaining({ resumeRun: run, jobId: JOB_ID }));
+      [getLatestForJob, performFullSync].forEach(spy => spy.mockRestore());
+    });
+  });
+});
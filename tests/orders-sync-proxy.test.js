@@ -5,12 +5,14 @@ const axios = require('axios');
 const app = require('../server');
 const db = require('../config/database');
 const syncService = require('../services/syncService');
+const jobWorker = require('../services/jobWorker');
 
 // Mock axios for proxy tests
 jest.mock('axios');
 
 // Mock the clover service for local fallback tests
 jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
   fetchPaged: jest.fn()
 }));
 
@@ -243,6 +245,16 @@ describe('Orders Sync Proxy API', () => {
   });
 
   describe('Local mode (VERCEL_BASE_URL not set)', () => {
+    // Run the job queued by the endpoint and return it as reported by GET /api/jobs/:id
+    const runQueuedJob = async (response) => {
+      expect(response.status).toBe(202);
+      await jobWorker.runNext({ jobId: response.body.job_id });
+      const jobResponse = await request(app)
+        .get(`/api/jobs/${response.body.job_id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      return jobResponse.body.job;
+    };
+
     beforeEach(() => {
       // Ensure VERCEL_BASE_URL is not set
       delete process.env.VERCEL_BASE_URL;
@@ -272,8 +284,8 @@ describe('Orders Sync Proxy API', () => {
         .post('/api/sync/orders')
         .set('Authorization', `Bearer ${authToken}`);
 
-      expect(response.status).toBe(200);
-      expect(response.body).toMatchObject({
+      const job = await runQueuedJob(response);
+      expect(job.result).toMatchObject({
         success: true,
         enabled: true,
         processed: 1
@@ -308,8 +320,8 @@ describe('Orders Sync Proxy API', () => {
         .post('/api/sync/orders')
         .set('Authorization', `Bearer ${authToken}`);
 
-      expect(response.status).toBe(200);
-      expect(response.body).toMatchObject({
+      const job = await runQueuedJob(response);
+      expect(job.result).toMatchObject({
         success: true,
         enabled: true,
         processed: 1
@@ -332,7 +344,7 @@ describe('Orders Sync Proxy API', () => {
         .post('/api/sync/orders')
         .set('Authorization', `Bearer ${authToken}`);
 
-      expect(response.status).toBe(200);
+      await runQueuedJob(response);
       expect(axios.post).not.toHaveBeenCalled();
       expect(fetchPaged).toHaveBeenCalled();
     });
@@ -4,9 +4,11 @@ const jwt = require('jsonwebtoken');
 const app = require('../server');
 const db = require('../config/database');
 const syncService = require('../services/syncService');
+const jobWorker = require('../services/jobWorker');
 
 // Mock the clover service
 jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
   fetchPaged: jest.fn()
 }));
 
@@ -72,6 +74,16 @@ describe('Orders Sync API', () => {
     fetchPaged.mockClear();
   });
 
+  // Run the job queued by a sync endpoint and return it as reported by GET /api/jobs/:id
+  const runQueuedJob = async (response) => {
+    expect(response.status).toBe(202);
+    await jobWorker.runNext({ jobId: response.body.job_id });
+    const jobResponse = await request(app)
+      .get(`/api/jobs/${response.body.job_id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    return jobResponse.body.job;
+  };
+
   describe('POST /api/sync/orders', () => {
     describe('when Clover is enabled', () => {
       beforeEach(() => {
@@ -113,8 +125,9 @@ describe('Orders Sync API', () => {
           .post('/api/sync/orders')
           .set('Authorization', `Bearer ${authToken}`);
 
-        expect(response.status).toBe(200);
-        expect(response.body).toMatchObject({
+        const job = await runQueuedJob(response);
+        expect(job.status).toBe('succeeded');
+        expect(job.result).toMatchObject({
           success: true,
           enabled: true,
           processed: 1,
@@ -175,9 +188,9 @@ describe('Orders Sync API', () => {
           ]);
         });
 
-        await request(app)
+        await runQueuedJob(await request(app)
           .post('/api/sync/orders')
-          .set('Authorization', `Bearer ${authToken}`);
+          .set('Authorization', `Bearer ${authToken}`));
 
         // Second sync with updated data
         fetchPaged.mockImplementationOnce(async (path, options, callback) => {
@@ -198,7 +211,8 @@ describe('Orders Sync API', () => {
           .post('/api/sync/orders')
           .set('Authorization', `Bearer ${authToken}`);
 
-        expect(response.body).toMatchObject({
+        const job = await runQueuedJob(response);
+        expect(job.result).toMatchObject({
           processed: 1,
           inserted: 0,
           updated: 1
@@ -252,7 +266,8 @@ describe('Orders Sync API', () => {
           .post('/api/sync/orders?prune=true')
           .set('Authorization', `Bearer ${authToken}`);
 
-        expect(response.body).toMatchObject({
+        const job = await runQueuedJob(response);
+        expect(job.result).toMatchObject({
           success: true,
           processed: 1,
           marked_for_delete: 1
@@ -306,7 +321,8 @@ describe('Orders Sync API', () => {
           .post('/api/sync/orders?prune=false')
           .set('Authorization', `Bearer ${authToken}`);
 
-        expect(response.body).toMatchObject({
+        const job = await runQueuedJob(response);
+        expect(job.result).toMatchObject({
           success: true,
           marked_for_delete: 0,
           unmatched: expect.any(Number)
@@ -333,9 +349,9 @@ describe('Orders Sync API', () => {
           expect(options.limit).toBe(50);
         });
 
-        await request(app)
+        await runQueuedJob(await request(app)
           .post('/api/sync/orders?limit=50')
-          .set('Authorization', `Bearer ${authToken}`);
+          .set('Authorization', `Bearer ${authToken}`));
 
         expect(fetchPaged).toHaveBeenCalled();
       });
@@ -350,12 +366,10 @@ describe('Orders Sync API', () => {
           .post('/api/sync/orders')
           .set('Authorization', `Bearer ${authToken}`);
 
-        expect(response.status).toBe(500);
-        expect(response.body).toMatchObject({
-          success: false,
-          enabled: true,
-          errors: expect.any(Array)
-        });
+        // The failed attempt is recorded and the job is queued for a retry
+        const job = await runQueuedJob(response);
+        expect(job.status).toBe('queued');
+        expect(job.error).toContain('Clover API error');
       });
     });
 
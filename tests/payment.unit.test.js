@@ -0,0 +1,260 @@
+// tests/payment.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock Clover payment calls
+jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
+  getMerchantClient: jest.fn(),
+  fetchObject: jest.fn(),
+  initiatePayment: jest.fn(),
+  startDevicePayment: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const paymentService = require('../services/paymentService');
+const reservationService = require('../services/reservationService');
+const { getMerchantClient, fetchObject, initiatePayment, startDevicePayment } = require('../services/cloverService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const EXTERNAL_ID = '5d1f0c2e-7a4b-4c1d-9e2f-3a4b5c6d7e8f';
+
+describe('Checkout payments', () => {
+  const authToken = jwt.sign({ sub: 'kiosk-user', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let transaction;
+  let commit;
+  let release;
+
+  /**
+   * In-memory stand-in for the checkout's transactions row
+   */
+  function mockTransactionRow(overrides = {}) {
+    transaction = {
+      id: 'tx-1',
+      merchant_id: MERCHANT_ID,
+      external_id: EXTERNAL_ID,
+      clover_order_id: 'ORDER1',
+      clover_payment_id: null,
+      total_cents: 979,
+      payment_status: 'OPEN',
+      payment_checked_at: null,
+      ...overrides
+    };
+    const query = jest.fn(async (sql, params) => {
+      if (sql.startsWith('SELECT * FROM transactions')) {
+        return { rows: [transaction] };
+      }
+      if (sql.startsWith('UPDATE transactions SET')) {
+        const columns = [...sql.matchAll(/(\w+) = \$(\d+)/g)];
+        for (const [, column, index] of columns) {
+          transaction[column] = params[index - 1];
+        }
+        return { rows: [transaction] };
+      }
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+    db.query.mockImplementation(query);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getMerchantClient.mockResolvedValue({ cloverMerchantId: 'CLOVER_M1', http: {} });
+    commit = jest.spyOn(reservationService, 'commit').mockResolvedValue(1);
+    release = jest.spyOn(reservationService, 'release').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    commit.mockRestore();
+    release.mockRestore();
+  });
+
+  describe('startPayment', () => {
+    it('marks the checkout PAID when the device payment succeeds', async () => {
+      mockTransactionRow();
+      startDevicePayment.mockResolvedValue({ id: 'PAY1', result: 'SUCCESS', amount: 979 });
+
+      const result = await paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'device', deviceId: 'DEVICE1' });
+
+      expect(startDevicePayment).toHaveBeenCalledWith(expect.anything(), {
+        deviceId: 'DEVICE1', amount: 979, externalPaymentId: EXTERNAL_ID.replace(/-/g, '')
+      });
+      expect(result).toMatchObject({ payment_status: 'PAID', clover_payment_id: 'PAY1', payment_method: 'device' });
+      expect(commit).toHaveBeenCalledWith(expect.anything(), 'tx-1');
+    });
+
+    it('records external payments against the Clover order', async () => {
+      mockTransactionRow();
+      initiatePayment.mockResolvedValue({ id: 'PAY2', result: 'SUCCESS' });
+
+      const result = await paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'external', externalPaymentId: 'CASH-42' });
+
+      expect(initiatePayment).toHaveBeenCalledWith(expect.anything(), 'ORDER1', 979, 'CASH-42');
+      expect(result.payment_status).toBe('PAID');
+    });
+
+    it('marks the checkout FAILED and releases its stock when Clover rejects the payment', async () => {
+      mockTransactionRow();
+      startDevicePayment.mockRejectedValue(Object.assign(new Error('400 device payment failed: busy'), { status: 400 }));
+
+      const result = await paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'device', deviceId: 'DEVICE1' });
+
+      expect(result).toMatchObject({ payment_status: 'FAILED', payment_error: '400 device payment failed: busy' });
+      expect(release).toHaveBeenCalledWith(expect.anything(), 'tx-1', 'payment_failed');
+    });
+
+    it('stays PENDING_PAYMENT when the outcome is unknown', async () => {
+      mockTransactionRow();
+      startDevicePayment.mockRejectedValue(new Error('timeout of 120000ms exceeded'));
+
+      const result = await paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'device', deviceId: 'DEVICE1' });
+
+      expect(result.payment_status).toBe('PENDING_PAYMENT');
+      expect(release).not.toHaveBeenCalled();
+    });
+
+    it('stays PENDING_PAYMENT when Clover answers with a 5xx', async () => {
+      mockTransactionRow();
+      startDevicePayment.mockRejectedValue(Object.assign(new Error('503 device payment failed: unavailable'), { status: 503 }));
+
+      const result = await paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'device', deviceId: 'DEVICE1' });
+
+      expect(result.payment_status).toBe('PENDING_PAYMENT');
+      expect(release).not.toHaveBeenCalled();
+    });
+
+    it('marks the checkout FAILED when the Clover credentials cannot be loaded', async () => {
+      mockTransactionRow();
+      getMerchantClient.mockRejectedValue(new Error('Clover access token has expired'));
+
+      const result = await paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'device', deviceId: 'DEVICE1' });
+
+      expect(result).toMatchObject({ payment_status: 'FAILED', payment_error: 'Clover access token has expired' });
+      expect(startDevicePayment).not.toHaveBeenCalled();
+      expect(release).toHaveBeenCalledWith(expect.anything(), 'tx-1', 'payment_failed');
+    });
+
+    it('lets a FAILED checkout be paid again', async () => {
+      mockTransactionRow({ payment_status: 'FAILED' });
+      startDevicePayment.mockResolvedValue({ id: 'PAY3', result: 'SUCCESS' });
+
+      const result = await paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'device', deviceId: 'DEVICE1' });
+
+      expect(result.payment_status).toBe('PAID');
+    });
+
+    it.each(['PAID', 'VOIDED', 'PENDING_PAYMENT'])('rejects a %s checkout with 409', async (paymentStatus) => {
+      mockTransactionRow({ payment_status: paymentStatus });
+
+      await expect(paymentService.startPayment(MERCHANT_ID, EXTERNAL_ID, { method: 'external' }))
+        .rejects.toMatchObject({ status: 409 });
+      expect(initiatePayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStatus', () => {
+    it('returns a recently checked status without calling Clover', async () => {
+      mockTransactionRow({ payment_status: 'PENDING_PAYMENT', payment_checked_at: new Date() });
+
+      const result = await paymentService.getStatus(MERCHANT_ID, EXTERNAL_ID);
+
+      expect(result.payment_status).toBe('PENDING_PAYMENT');
+      expect(fetchObject).not.toHaveBeenCalled();
+    });
+
+    it('reconciles a stale pending payment with the Clover order', async () => {
+      mockTransactionRow({ payment_status: 'PENDING_PAYMENT', payment_checked_at: new Date(Date.now() - 60000) });
+      fetchObject.mockResolvedValue({
+        id: 'ORDER1',
+        payments: { elements: [{ id: 'PAY0', result: 'FAIL' }, { id: 'PAY1', result: 'SUCCESS' }] }
+      });
+
+      const result = await paymentService.getStatus(MERCHANT_ID, EXTERNAL_ID);
+
+      expect(fetchObject).toHaveBeenCalledWith(expect.anything(), 'orders/ORDER1', { expand: 'payments' });
+      expect(result).toMatchObject({ payment_status: 'PAID', clover_payment_id: 'PAY1' });
+      expect(commit).toHaveBeenCalled();
+    });
+
+    it('voids a checkout whose order was deleted in Clover', async () => {
+      mockTransactionRow();
+      fetchObject.mockResolvedValue(null);
+
+      const result = await paymentService.getStatus(MERCHANT_ID, EXTERNAL_ID);
+
+      expect(result.payment_status).toBe('VOIDED');
+      expect(release).toHaveBeenCalledWith(expect.anything(), 'tx-1', 'voided');
+    });
+
+    it('fails a pending payment Clover still has no record of after the timeout', async () => {
+      mockTransactionRow({ payment_status: 'PENDING_PAYMENT', payment_started_at: new Date(Date.now() - 20 * 60 * 1000) });
+      fetchObject.mockResolvedValue({ id: 'ORDER1', payments: { elements: [] } });
+
+      const result = await paymentService.getStatus(MERCHANT_ID, EXTERNAL_ID);
+
+      expect(result).toMatchObject({ payment_status: 'FAILED', payment_error: 'No payment received by Clover' });
+      expect(release).toHaveBeenCalledWith(expect.anything(), 'tx-1', 'payment_failed');
+    });
+
+    it('keeps a recent pending payment while Clover has no record of it yet', async () => {
+      mockTransactionRow({ payment_status: 'PENDING_PAYMENT', payment_started_at: new Date(Date.now() - 60 * 1000) });
+      fetchObject.mockResolvedValue({ id: 'ORDER1', payments: { elements: [] } });
+
+      const result = await paymentService.getStatus(MERCHANT_ID, EXTERNAL_ID);
+
+      expect(result.payment_status).toBe('PENDING_PAYMENT');
+    });
+
+    it('keeps the local status while Clover has no payments for the order', async () => {
+      mockTransactionRow();
+      fetchObject.mockResolvedValue({ id: 'ORDER1', payments: { elements: [] } });
+
+      const result = await paymentService.getStatus(MERCHANT_ID, EXTERNAL_ID);
+
+      expect(result.payment_status).toBe('OPEN');
+      expect(result.payment_checked_at).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('POST /api/checkout/:externalId/pay', () => {
+    const pay = (body) => request(app)
+      .post(`/api/checkout/${EXTERNAL_ID}/pay`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    it('validates the payment method', async () => {
+      expect((await pay({ method: 'cash' })).status).toBe(400);
+      expect((await pay({ method: 'device' })).body.error).toContain('deviceId');
+    });
+
+    it('returns 409 for a checkout that is already paid', async () => {
+      mockTransactionRow({ payment_status: 'PAID' });
+
+      const res = await pay({ method: 'external' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Checkout is already PAID');
+    });
+
+    it('returns the payment status after the attempt', async () => {
+      mockTransactionRow();
+      startDevicePayment.mockResolvedValue({ id: 'PAY1', result: 'SUCCESS' });
+
+      const res = await pay({ method: 'device', deviceId: 'DEVICE1' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.payment_status).toBe('PAID');
+    });
+  });
+});
@@ -0,0 +1,252 @@
+// tests/purchaseOrder.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const vendorService = require('../services/vendorService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const VENDOR_ID = '22222222-2222-4222-8222-222222222222';
+const PO_ID = '33333333-3333-4333-8333-333333333333';
+const WHEY = '55555555-5555-4555-8555-555555555555';
+const BAR = '66666666-6666-4666-8666-666666666666';
+
+describe('Purchase orders', () => {
+  const authToken = jwt.sign({ sub: 'manager', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let store;
+
+  /**
+   * In-memory purchase order for 10 x whey (expected at 1500) and 24 x bar (no cost), plus the
+   * inventory and product rows receiving touches
+   */
+  function mockPurchaseOrder(status = 'sent') {
+    store = {
+      po: { id: PO_ID, merchant_id: MERCHANT_ID, vendor_id: VENDOR_ID, status },
+      lines: [
+        { id: 'line-1', product_id: WHEY, quantity_ordered: 10, quantity_received: 0, unit_cost_cents: 1500 },
+        { id: 'line-2', product_id: BAR, quantity_ordered: 24, quantity_received: 0, unit_cost_cents: null }
+      ],
+      inventory: {
+        [WHEY]: { on_hand: 2, quantity_on_order: status === 'draft' ? 0 : 10 },
+        [BAR]: { on_hand: 0, quantity_on_order: status === 'draft' ? 0 : 24 }
+      },
+      costs: {},
+      movements: []
+    };
+
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('FROM purchase_orders po')) {
+        return { rows: [{ ...store.po, vendor_name: 'Acme' }] };
+      }
+      if (sql.includes('FROM purchase_orders')) {
+        return { rows: [store.po] };
+      }
+      if (sql.includes('FROM purchase_order_lines')) {
+        return { rows: store.lines.map(line => ({ ...line, quantity_outstanding: line.quantity_ordered - line.quantity_received })) };
+      }
+      if (sql.includes('UPDATE purchase_order_lines')) {
+        const line = store.lines.find(l => l.id === params[0]);
+        line.quantity_received += params[1];
+        line.unit_cost_cents = params[2];
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO inventory') && sql.includes('last_restocked_at')) {
+        const row = store.inventory[params[0]];
+        row.on_hand += params[1];
+        row.quantity_on_order = Math.max(row.quantity_on_order - params[1], 0);
+        row.last_restocked_at = 'now';
+        return { rows: [{ on_hand: row.on_hand }] };
+      }
+      if (sql.includes('SELECT on_hand FROM inventory')) {
+        return { rows: [{ on_hand: store.inventory[params[0]].on_hand }] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        store.movements.push(params);
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO inventory')) {
+        store.inventory[params[0]].quantity_on_order += params[1];
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE inventory')) {
+        const row = store.inventory[params[0]];
+        row.quantity_on_order = Math.max(row.quantity_on_order - params[1], 0);
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE products SET cost_cents')) {
+        store.costs[params[0]] = params[1];
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE purchase_orders')) {
+        store.po.status = sql.includes("'sent'") ? 'sent' : sql.includes("'cancelled'") ? 'cancelled' : params[1];
+        return { rows: [] };
+      }
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+    db.query.mockImplementation(query);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('counts sent units as on order', async () => {
+    mockPurchaseOrder('draft');
+
+    const po = await purchaseOrderService.sendPurchaseOrder(MERCHANT_ID, PO_ID);
+
+    expect(po.status).toBe('sent');
+    expect(store.inventory[WHEY].quantity_on_order).toBe(10);
+    expect(store.inventory[BAR].quantity_on_order).toBe(24);
+  });
+
+  it('receives part of a delivery and records the cost it arrived at', async () => {
+    mockPurchaseOrder();
+
+    const po = await purchaseOrderService.receivePurchaseOrder(MERCHANT_ID, PO_ID, {
+      lines: [{ productId: WHEY, quantity: 6, unitCostCents: 1450 }]
+    });
+
+    expect(po.status).toBe('partially_received');
+    expect(store.inventory[WHEY]).toEqual({ on_hand: 8, quantity_on_order: 4, last_restocked_at: 'now' });
+    expect(store.costs).toEqual({ [WHEY]: 1450 });
+    expect(store.movements).toEqual([[MERCHANT_ID, WHEY, 6, 8, 'receive', null, 'purchase_order', PO_ID, null]]);
+    expect(store.lines[0]).toMatchObject({ quantity_received: 6, unit_cost_cents: 1450 });
+  });
+
+  it('receives everything outstanding at the expected cost', async () => {
+    mockPurchaseOrder('partially_received');
+    store.lines[0].quantity_received = 6;
+    store.inventory[WHEY].quantity_on_order = 4;
+
+    const po = await purchaseOrderService.receivePurchaseOrder(MERCHANT_ID, PO_ID);
+
+    expect(po.status).toBe('received');
+    expect(store.inventory[WHEY]).toMatchObject({ on_hand: 6, quantity_on_order: 0 });
+    expect(store.inventory[BAR]).toMatchObject({ on_hand: 24, quantity_on_order: 0 });
+    expect(store.costs).toEqual({ [WHEY]: 1500 });
+  });
+
+  it('rejects receipts that do not match the order', async () => {
+    mockPurchaseOrder();
+
+    const error = await purchaseOrderService.receivePurchaseOrder(MERCHANT_ID, PO_ID, {
+      lines: [{ productId: WHEY, quantity: 11 }, { productId: '77777777-7777-4777-8777-777777777777', quantity: 1 }]
+    }).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(error.lineErrors).toEqual([
+      expect.objectContaining({ index: 0, code: 'EXCEEDS_OUTSTANDING', outstanding: 10, requested: 11 }),
+      expect.objectContaining({ index: 1, code: 'NOT_ON_ORDER' })
+    ]);
+    expect(store.inventory[WHEY].on_hand).toBe(2);
+  });
+
+  it('rejects a receipt that lists a product twice', async () => {
+    mockPurchaseOrder();
+
+    const error = await purchaseOrderService.receivePurchaseOrder(MERCHANT_ID, PO_ID, {
+      lines: [{ productId: WHEY, quantity: 6 }, { productId: WHEY, quantity: 6 }]
+    }).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(error.lineErrors).toEqual([expect.objectContaining({ index: 1, code: 'DUPLICATE_PRODUCT' })]);
+    expect(store.inventory[WHEY].on_hand).toBe(2);
+  });
+
+  it('only receives sent orders', async () => {
+    mockPurchaseOrder('draft');
+
+    await expect(purchaseOrderService.receivePurchaseOrder(MERCHANT_ID, PO_ID)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('takes outstanding units off order when cancelled', async () => {
+    mockPurchaseOrder('partially_received');
+    store.lines[0].quantity_received = 6;
+    store.inventory[WHEY].quantity_on_order = 4;
+
+    const po = await purchaseOrderService.cancelPurchaseOrder(MERCHANT_ID, PO_ID);
+
+    expect(po.status).toBe('cancelled');
+    expect(store.inventory[WHEY].quantity_on_order).toBe(0);
+    expect(store.inventory[BAR].quantity_on_order).toBe(0);
+  });
+
+  it('rejects products of other merchants on new orders', async () => {
+    mockPurchaseOrder();
+    db.connect.mockResolvedValue({
+      query: jest.fn(async (sql) => (sql.includes('FROM vendors') ? { rows: [{ active: true }] } : { rows: [] })),
+      release: jest.fn()
+    });
+
+    const error = await purchaseOrderService.createPurchaseOrder(MERCHANT_ID, {
+      vendorId: VENDOR_ID, lines: [{ productId: WHEY, quantity: 1 }]
+    }).catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.lineErrors).toEqual([expect.objectContaining({ index: 0, code: 'NOT_FOUND' })]);
+  });
+
+  describe('routes', () => {
+    const post = (path, body) => request(app)
+      .post(`/api/purchase-orders${path}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    it('validates new orders', async () => {
+      expect((await post('', { lines: [{ productId: WHEY, quantity: 1 }] })).status).toBe(400);
+      expect((await post('', { vendorId: VENDOR_ID, lines: [] })).status).toBe(400);
+
+      const res = await post('', {
+        vendorId: VENDOR_ID,
+        lines: [{ productId: WHEY, quantity: 1 }, { productId: WHEY, quantity: 2 }, { productId: BAR, quantity: 1, unitCostCents: -5 }]
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.line_errors.map(e => e.code)).toEqual(['DUPLICATE_PRODUCT', 'INVALID_COST']);
+    });
+
+    it('rejects receipts that list a product twice', async () => {
+      mockPurchaseOrder();
+
+      const res = await post(`/${PO_ID}/receive`, { lines: [{ productId: WHEY, quantity: 6 }, { productId: WHEY, quantity: 6 }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.line_errors).toEqual([expect.objectContaining({ index: 1, code: 'DUPLICATE_PRODUCT' })]);
+    });
+
+    it('returns line errors with 409 for receipts that do not match', async () => {
+      mockPurchaseOrder();
+
+      const res = await post(`/${PO_ID}/receive`, { lines: [{ productId: BAR, quantity: 25 }] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.line_errors[0].code).toBe('EXCEEDS_OUTSTANDING');
+    });
+
+    it('answers 409 for duplicate vendor names', async () => {
+      const spy = jest.spyOn(vendorService, 'createVendor')
+        .mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      const res = await request(app)
+        .post('/api/vendors')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Acme' });
+
+      expect(res.status).toBe(409);
+      spy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,298 @@
+// tests/refund.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock Clover refund calls
+jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
+  getMerchantClient: jest.fn(),
+  fetchObject: jest.fn(),
+  createRefund: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const refundService = require('../services/refundService');
+const orderService = require('../services/orderService');
+const { getMerchantClient, fetchObject, createRefund } = require('../services/cloverService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const TRANSACTION_ID = '44444444-4444-4444-8444-444444444444';
+const WHEY = '55555555-5555-4555-8555-555555555555';
+const BAR = '66666666-6666-4666-8666-666666666666';
+
+describe('Refunds', () => {
+  const authToken = jwt.sign({ sub: 'manager', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let store;
+
+  /**
+   * In-memory stand-in for a paid sale: one transaction (2 x whey at 1000, 1 x bar at 300,
+   * 10% tax) and the refunds recorded against it
+   */
+  function mockSale(overrides = {}) {
+    store = {
+      transaction: {
+        id: TRANSACTION_ID,
+        merchant_id: MERCHANT_ID,
+        clover_order_id: 'ORDER1',
+        clover_payment_id: 'PAY1',
+        subtotal_cents: 2300,
+        tax_cents: 230,
+        total_cents: 2530,
+        payment_status: 'PAID',
+        refunded_cents: 0,
+        ...overrides
+      },
+      items: [
+        { id: 'item-1', product_id: WHEY, clover_item_id: 'WHEY', product_name: 'Whey', quantity: 2, line_total_cents: 2000 },
+        { id: 'item-2', product_id: BAR, clover_item_id: 'BAR', product_name: 'Bar', quantity: 1, line_total_cents: 300 }
+      ],
+      refunds: [],
+      refundItems: [],
+      inventory: []
+    };
+
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('FROM transactions')) {
+        return { rows: [store.transaction] };
+      }
+      if (sql.startsWith('UPDATE transactions SET payment_status')) {
+        const columns = [...sql.matchAll(/(\w+) = \$(\d+)/g)];
+        for (const [, column, index] of columns) {
+          store.transaction[column] = params[index - 1];
+        }
+        return { rows: [store.transaction] };
+      }
+      if (sql.includes('FROM transaction_items')) {
+        return { rows: store.items };
+      }
+      if (sql.includes('LEFT JOIN refund_items')) {
+        const active = store.refunds.filter(r => ['pending', 'succeeded'].includes(r.status));
+        return {
+          rows: active.flatMap(r => {
+            const items = store.refundItems.filter(i => i.refund_id === r.id);
+            return items.length
+              ? items.map(i => ({ refund_id: r.id, amount_cents: r.amount_cents, ...i }))
+              : [{ refund_id: r.id, amount_cents: r.amount_cents, quantity: null }];
+          })
+        };
+      }
+      if (sql.includes('INSERT INTO refunds')) {
+        const refund = {
+          id: `refund-${store.refunds.length + 1}`, merchant_id: params[0], transaction_id: params[1],
+          clover_payment_id: params[2], amount_cents: params[3], reason: params[4], status: 'pending'
+        };
+        store.refunds.push(refund);
+        return { rows: [refund] };
+      }
+      if (sql.includes('INSERT INTO refund_items')) {
+        const [refundId, transactionItemId, productId, cloverItemId, productName, quantity, amountCents, restock, condition] = params;
+        const item = {
+          refund_id: refundId, transaction_item_id: transactionItemId, product_id: productId, clover_item_id: cloverItemId,
+          product_name: productName, quantity, amount_cents: amountCents, restock, condition
+        };
+        store.refundItems.push(item);
+        return { rows: [item] };
+      }
+      if (sql.includes("SET status = 'failed'")) {
+        Object.assign(store.refunds.find(r => r.id === params[0]), { status: 'failed', error: params[1] });
+        return { rows: [] };
+      }
+      if (sql.includes("SET status = 'succeeded'")) {
+        const refund = store.refunds.find(r => r.id === params[0]);
+        Object.assign(refund, { status: 'succeeded', clover_refund_id: params[1], clover_payment_id: params[2] });
+        if (params[3] !== null) refund.amount_cents = params[3];
+        return { rows: [refund] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO inventory')) {
+        store.inventory.push({ sql, params });
+        return { rows: [{ on_hand: sql.includes('damaged =') ? 0 : params[1] }] };
+      }
+      if (sql.includes('SET refunded_cents')) {
+        store.transaction.refunded_cents = store.refunds
+          .filter(r => r.status === 'succeeded')
+          .reduce((sum, r) => sum + r.amount_cents, 0);
+        return { rows: [store.transaction] };
+      }
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+    db.query.mockImplementation(query);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getMerchantClient.mockResolvedValue({ cloverMerchantId: 'CLOVER_M1', http: {} });
+    createRefund.mockImplementation(async (client, paymentId, { amount, fullRefund }) => ({
+      id: 'CLOVER_REFUND1', amount: fullRefund ? 2530 : amount
+    }));
+  });
+
+  it('refunds the whole sale and restocks every unit', async () => {
+    mockSale();
+
+    const result = await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID);
+
+    expect(createRefund).toHaveBeenCalledWith(expect.anything(), 'PAY1', { fullRefund: true });
+    expect(result.refund).toMatchObject({ status: 'succeeded', amount_cents: 2530, clover_refund_id: 'CLOVER_REFUND1' });
+    expect(result.transaction.refunded_cents).toBe(2530);
+    expect(store.inventory.map(({ params }) => params)).toEqual([[WHEY, 2], [BAR, 1]]);
+    expect(store.inventory[0].sql).toContain('on_hand = inventory.on_hand + EXCLUDED.on_hand');
+  });
+
+  it('refunds single units with their share of the tax', async () => {
+    mockSale();
+
+    const result = await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID, {
+      lines: [{ transactionItemId: 'item-1', quantity: 1 }]
+    });
+
+    expect(createRefund).toHaveBeenCalledWith(expect.anything(), 'PAY1', { amount: 1100 });
+    expect(result.items).toEqual([expect.objectContaining({ product_id: WHEY, quantity: 1, amount_cents: 1100 })]);
+    expect(result.transaction.refunded_cents).toBe(1100);
+  });
+
+  it('counts damaged returns separately and skips restocking when asked', async () => {
+    mockSale();
+
+    await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID, {
+      lines: [
+        { transactionItemId: 'item-1', quantity: 1, condition: 'damaged' },
+        { transactionItemId: 'item-2', quantity: 1, restock: false }
+      ]
+    });
+
+    expect(store.inventory).toHaveLength(1);
+    expect(store.inventory[0].sql).toContain('damaged = inventory.damaged + EXCLUDED.damaged');
+    expect(store.inventory[0].params).toEqual([WHEY, 1]);
+  });
+
+  it('rejects lines beyond what is left to refund', async () => {
+    mockSale();
+    await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID, { lines: [{ transactionItemId: 'item-1', quantity: 1 }] });
+
+    const error = await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID, {
+      lines: [{ transactionItemId: 'item-1', quantity: 2 }, { transactionItemId: 'missing', quantity: 1 }]
+    }).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(error.lineErrors).toEqual([
+      expect.objectContaining({ index: 0, code: 'EXCEEDS_REFUNDABLE', refundable: 1, requested: 2 }),
+      expect.objectContaining({ index: 1, code: 'NOT_FOUND' })
+    ]);
+    expect(createRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it('refunds what is left after a partial refund', async () => {
+    mockSale();
+    await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID, { lines: [{ transactionItemId: 'item-1', quantity: 1 }] });
+
+    const result = await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID);
+
+    expect(createRefund).toHaveBeenLastCalledWith(expect.anything(), 'PAY1', { amount: 1430 });
+    expect(result.items.map(item => [item.product_id, item.quantity])).toEqual([[WHEY, 1], [BAR, 1]]);
+    expect(result.transaction.refunded_cents).toBe(2530);
+  });
+
+  it('marks the refund failed and restocks nothing when Clover refuses it', async () => {
+    mockSale();
+    createRefund.mockRejectedValueOnce(Object.assign(new Error('400 refund failed: {}'), { status: 400 }));
+
+    const error = await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID).catch(e => e);
+
+    expect(error.status).toBe(502);
+    expect(store.refunds[0].status).toBe('failed');
+    expect(store.inventory).toHaveLength(0);
+  });
+
+  it('looks up the Clover payment of synced orders', async () => {
+    mockSale({ clover_payment_id: null });
+    fetchObject.mockResolvedValue({ id: 'ORDER1', payments: { elements: [{ id: 'PAY9', result: 'SUCCESS' }] } });
+
+    await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID);
+
+    expect(createRefund).toHaveBeenCalledWith(expect.anything(), 'PAY9', { fullRefund: true });
+  });
+
+  it('refunds an order that was paid in Clover and synced', async () => {
+    mockSale({ payment_status: 'OPEN', clover_payment_id: null });
+    const client = await db.connect();
+    await orderService.upsertOrder(client, MERCHANT_ID, {
+      id: 'ORDER1', state: 'locked', paymentState: 'PAID', total: 2530, lineItems: { elements: [] }
+    });
+    expect(store.transaction.payment_status).toBe('PAID');
+    fetchObject.mockResolvedValue({ id: 'ORDER1', payments: { elements: [{ id: 'PAY9', result: 'SUCCESS' }] } });
+
+    const { refund } = await refundService.createRefund(MERCHANT_ID, TRANSACTION_ID);
+
+    expect(createRefund).toHaveBeenCalledWith(expect.anything(), 'PAY9', { fullRefund: true });
+    expect(refund.status).toBe('succeeded');
+  });
+
+  it('only refunds paid transactions', async () => {
+    mockSale({ payment_status: 'OPEN' });
+
+    await expect(refundService.createRefund(MERCHANT_ID, TRANSACTION_ID)).rejects.toMatchObject({ status: 409 });
+    expect(store.refunds).toHaveLength(0);
+  });
+
+  it('records refunds found on synced Clover orders once', async () => {
+    const client = { query: jest.fn(async (sql) => (sql.includes('INSERT INTO refunds') ? { rows: [{ id: 'r1' }] } : { rows: [] })) };
+
+    const recorded = await refundService.recordCloverRefunds(client, MERCHANT_ID, TRANSACTION_ID, [
+      { id: 'CLOVER_REFUND2', amount: 500, payment: { id: 'PAY1' } }
+    ]);
+
+    expect(recorded).toBe(1);
+    expect(client.query.mock.calls[0][0]).toContain('ON CONFLICT (merchant_id, clover_refund_id) DO NOTHING');
+    expect(client.query.mock.calls[0][1]).toEqual([MERCHANT_ID, TRANSACTION_ID, 'CLOVER_REFUND2', 'PAY1', 500]);
+    expect(client.query.mock.calls[1][0]).toContain('SET refunded_cents');
+  });
+
+  describe('POST /api/transactions/:id/refunds', () => {
+    const refund = (body, id = TRANSACTION_ID) => request(app)
+      .post(`/api/transactions/${id}/refunds`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    it('validates the request', async () => {
+      expect((await refund({}, 'not-a-uuid')).status).toBe(400);
+      expect((await refund({ condition: 'used' })).status).toBe(400);
+
+      const res = await refund({ lines: [{ transactionItemId: 'item-1', quantity: 0 }] });
+      expect(res.status).toBe(400);
+      expect(res.body.line_errors).toEqual([expect.objectContaining({ index: 0, code: 'INVALID_QUANTITY' })]);
+    });
+
+    it('returns 201 with the refund', async () => {
+      mockSale();
+
+      const res = await refund({ lines: [{ transactionItemId: 'item-2', quantity: 1 }], reason: 'Wrong flavor' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.refund).toMatchObject({ status: 'succeeded', amount_cents: 330, reason: 'Wrong flavor' });
+    });
+
+    it('returns line errors with 409', async () => {
+      mockSale();
+
+      const res = await refund({ lines: [{ transactionItemId: 'item-2', quantity: 3 }] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.line_errors[0].code).toBe('EXCEEDS_REFUNDABLE');
+    });
+  });
+});
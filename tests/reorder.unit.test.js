@@ -0,0 +1,177 @@
+// tests/reorder.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const reorderService = require('../services/reorderService');
+const purchaseOrderService = require('../services/purchaseOrderService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const VENDOR_ID = '22222222-2222-4222-8222-222222222222';
+const PRODUCT_ID = '55555555-5555-4555-8555-555555555555';
+
+/**
+ * Stock and sales row as the suggestions query returns it: 56 sold in 28 days (2 a day),
+ * 7-day lead time
+ */
+function stockRow(overrides = {}) {
+  return {
+    product_id: PRODUCT_ID,
+    product_name: 'Whey',
+    sku: 'WHEY-1',
+    cost_cents: 1500,
+    on_hand: 10,
+    reserved: 0,
+    reorder_level: 5,
+    max_stock: null,
+    quantity_on_order: 0,
+    auto_order_enabled: false,
+    auto_order_quantity: null,
+    vendor_id: VENDOR_ID,
+    vendor_name: 'Acme',
+    lead_time_days: 7,
+    units_sold: '56',
+    quantity_on_draft: '0',
+    ...overrides
+  };
+}
+
+describe('Reorder suggestions', () => {
+  const authToken = jwt.sign({ sub: 'manager', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('suggests covering the lead time plus cover days from sales velocity', async () => {
+    db.query.mockResolvedValue({ rows: [stockRow()] });
+
+    const [suggestion] = await reorderService.getSuggestions(MERCHANT_ID);
+
+    // Reorder point 2/day x 7 days = 14; target 2/day x (7 + 14) = 42
+    expect(suggestion).toMatchObject({
+      avg_daily_sales: 2,
+      days_of_cover: 5,
+      reorder_point: 14,
+      suggested_quantity: 32,
+      estimated_cost_cents: 48000
+    });
+    expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, 28]);
+  });
+
+  it('counts stock on order and on drafts towards the position', async () => {
+    db.query.mockResolvedValue({ rows: [stockRow({ quantity_on_order: 2, quantity_on_draft: '1' })] });
+    expect((await reorderService.getSuggestions(MERCHANT_ID))[0].suggested_quantity).toBe(29);
+
+    db.query.mockResolvedValue({ rows: [stockRow({ quantity_on_order: 20 })] });
+    expect(await reorderService.getSuggestions(MERCHANT_ID)).toEqual([]);
+  });
+
+  it('treats reserved stock as sold', async () => {
+    db.query.mockResolvedValue({ rows: [stockRow({ on_hand: 20, reserved: 8 })] });
+
+    expect((await reorderService.getSuggestions(MERCHANT_ID))[0]).toMatchObject({ available: 12, suggested_quantity: 30 });
+  });
+
+  it('orders the fixed auto-order quantity, never beyond max_stock', async () => {
+    db.query.mockResolvedValue({ rows: [stockRow({ auto_order_quantity: 48 })] });
+    expect((await reorderService.getSuggestions(MERCHANT_ID))[0].suggested_quantity).toBe(48);
+
+    db.query.mockResolvedValue({ rows: [stockRow({ auto_order_quantity: 48, max_stock: 30 })] });
+    expect((await reorderService.getSuggestions(MERCHANT_ID))[0].suggested_quantity).toBe(20);
+  });
+
+  it('falls back to reorder_level for products without sales', async () => {
+    db.query.mockResolvedValue({
+      rows: [stockRow({ units_sold: '0', on_hand: 2, vendor_id: null, lead_time_days: null }), stockRow({ units_sold: '0', product_name: 'Bar' })]
+    });
+
+    const suggestions = await reorderService.getSuggestions(MERCHANT_ID);
+
+    expect(suggestions).toHaveLength(1);
+    expect(suggestions[0]).toMatchObject({ days_of_cover: null, reorder_point: 5, suggested_quantity: 4, lead_time_days: 7 });
+  });
+
+  it('lists the most urgent products first', async () => {
+    db.query.mockResolvedValue({
+      rows: [stockRow({ product_name: 'Slow', units_sold: '0', on_hand: 0 }), stockRow({ product_name: 'Fast', on_hand: 2 })]
+    });
+
+    expect((await reorderService.getSuggestions(MERCHANT_ID)).map(s => s.product_name)).toEqual(['Fast', 'Slow']);
+  });
+
+  it('drafts one purchase order per vendor for auto-order products', async () => {
+    db.query.mockResolvedValue({
+      rows: [
+        stockRow({ auto_order_enabled: true }),
+        stockRow({ product_id: 'no-vendor', auto_order_enabled: true, vendor_id: null }),
+        stockRow({ product_id: 'manual' })
+      ]
+    });
+    const create = jest.spyOn(purchaseOrderService, 'createPurchaseOrder').mockResolvedValue({ id: 'po-1', status: 'draft' });
+
+    const { purchaseOrders, skipped } = await reorderService.draftPurchaseOrders(MERCHANT_ID);
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create).toHaveBeenCalledWith(MERCHANT_ID, expect.objectContaining({
+      vendorId: VENDOR_ID,
+      lines: [{ productId: PRODUCT_ID, quantity: 32 }]
+    }));
+    expect(purchaseOrders).toEqual([{ id: 'po-1', status: 'draft' }]);
+    expect(skipped.map(s => s.product_id)).toEqual(['no-vendor']);
+    create.mockRestore();
+  });
+
+  describe('routes', () => {
+    it('validates suggestion options', async () => {
+      for (const query of [{ lookback_days: '0' }, { cover_days: '400' }, { vendor_id: 'acme' }]) {
+        const res = await request(app)
+          .get('/api/inventory/reorder-suggestions')
+          .query(query)
+          .set('Authorization', `Bearer ${authToken}`);
+        expect(res.status).toBe(400);
+      }
+    });
+
+    it('saves reorder settings with only the given columns', async () => {
+      const query = jest.fn(async (sql) => {
+        if (sql.includes('FROM products') && sql.includes('active = true') && !sql.includes('LEFT JOIN')) return { rows: [{ id: PRODUCT_ID }] };
+        if (sql.includes('FROM vendors')) return { rows: [{ id: VENDOR_ID }] };
+        if (sql.includes('LEFT JOIN inventory')) return { rows: [{ product_id: PRODUCT_ID, auto_order_enabled: true }] };
+        return { rows: [] };
+      });
+      db.connect.mockResolvedValue({ query, release: jest.fn() });
+
+      const res = await request(app)
+        .patch(`/api/inventory/${PRODUCT_ID}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reorder_level: 8, preferred_vendor_id: VENDOR_ID, auto_order_enabled: true });
+
+      expect(res.status).toBe(200);
+      const [sql, params] = query.mock.calls.find(([text]) => text.includes('INSERT INTO inventory'));
+      expect(sql).toContain('SET reorder_level = EXCLUDED.reorder_level, preferred_vendor_id = EXCLUDED.preferred_vendor_id');
+      expect(sql).not.toContain('on_hand');
+      expect(params).toEqual([PRODUCT_ID, 8, VENDOR_ID, true]);
+    });
+
+    it('rejects invalid reorder settings', async () => {
+      const res = await request(app)
+        .patch(`/api/inventory/${PRODUCT_ID}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ auto_order_quantity: 0 });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
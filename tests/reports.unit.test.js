@@ -0,0 +1,236 @@
+// tests/reports.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const reportService = require('../services/reportService');
+const orderService = require('../services/orderService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+
+describe('Reports', () => {
+  const authToken = jwt.sign({ sub: 'owner', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+
+  /**
+   * Answer the merchants lookup with a timezone and report queries with rows
+   */
+  function mockReport(rows, timezone = 'America/Chicago') {
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM merchants')) {
+        return { rows: [{ timezone }] };
+      }
+      return { rows };
+    });
+  }
+
+  const reportCall = () => db.query.mock.calls.find(([sql]) => !sql.includes('FROM merchants'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveRange', () => {
+    it('uses the merchant timezone and defaults to the last 30 days', async () => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-10-19T03:00:00Z'));
+      mockReport([]);
+
+      const range = await reportService.resolveRange(MERCHANT_ID);
+
+      // 03:00 UTC is still the 18th in Chicago
+      expect(range).toEqual({ from: '2026-09-19', to: '2026-10-18', timezone: 'America/Chicago' });
+      jest.useRealTimers();
+    });
+
+    it('prefers an explicit timezone and falls back to UTC', async () => {
+      mockReport([], null);
+
+      expect((await reportService.resolveRange(MERCHANT_ID, { from: '2026-10-01', to: '2026-10-07' })).timezone).toBe('UTC');
+      expect(await reportService.resolveRange(MERCHANT_ID, { from: '2026-10-01', timezone: 'Europe/Paris' }))
+        .toEqual({ from: '2026-10-01', to: '2026-10-30', timezone: 'Europe/Paris' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects inverted and oversized ranges', async () => {
+      mockReport([]);
+
+      await expect(reportService.resolveRange(MERCHANT_ID, { from: '2026-10-02', to: '2026-10-01' }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(reportService.resolveRange(MERCHANT_ID, { from: '2020-01-01', to: '2026-10-01' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('getSales', () => {
+    it('buckets local dates, leaves out deleted orders and computes net and average ticket', async () => {
+      mockReport([
+        { period: '2026-10-01', order_count: '2', gross_cents: '3000', discount_cents: '500', tax_cents: '250', total_cents: '2750', refunded_cents: '0' },
+        { period: '2026-10-02', order_count: '0', gross_cents: '0', discount_cents: '0', tax_cents: '0', total_cents: '0', refunded_cents: '0' }
+      ]);
+
+      const report = await reportService.getSales(MERCHANT_ID, { from: '2026-10-01', to: '2026-10-02', groupBy: 'day' });
+
+      const [sql, params] = reportCall();
+      expect(sql).toContain("t.status IS DISTINCT FROM 'delete'");
+      expect(sql).toContain('date_trunc($5::text, t.created_at AT TIME ZONE $4)');
+      expect(params).toEqual([MERCHANT_ID, '2026-10-01', '2026-10-02', 'America/Chicago', 'day']);
+      expect(report.periods[0]).toMatchObject({ order_count: 2, net_cents: 2500, average_ticket_cents: 1375 });
+      expect(report.periods[1]).toMatchObject({ order_count: 0, net_cents: 0, average_ticket_cents: 0 });
+      expect(report.totals).toMatchObject({ order_count: 2, gross_cents: 3000, tax_cents: 250, net_cents: 2500 });
+    });
+  });
+
+  it('leaves out checkouts that were never paid', async () => {
+    // An unpaid checkout (payment_status OPEN) and a failed one only match without the payment filter
+    const sales = [
+      { payment_status: 'PAID', total_cents: 2750 },
+      { payment_status: 'OPEN', total_cents: 4000 },
+      { payment_status: 'FAILED', total_cents: 1200 }
+    ];
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM merchants')) return { rows: [{ timezone: 'UTC' }] };
+      const paid = sales.filter(sale => !sql.includes("t.payment_status = 'PAID'") || sale.payment_status === 'PAID');
+      const total = paid.reduce((sum, sale) => sum + sale.total_cents, 0);
+      return {
+        rows: [{ period: '2026-10-01', order_count: String(paid.length), gross_cents: String(total), discount_cents: '0', tax_cents: '0', total_cents: String(total), refunded_cents: '0' }]
+      };
+    });
+
+    const report = await reportService.getSales(MERCHANT_ID, { from: '2026-10-01', to: '2026-10-01', groupBy: 'day' });
+
+    expect(report.totals).toMatchObject({ order_count: 1, total_cents: 2750 });
+    for (const getReport of [reportService.getTopProducts, reportService.getCategoryMix, reportService.getMargins]) {
+      db.query.mockClear();
+      await getReport.call(reportService, MERCHANT_ID, { from: '2026-10-01', to: '2026-10-01' });
+      expect(reportCall()[0]).toContain("t.payment_status = 'PAID'");
+    }
+  });
+
+  describe('getTopProducts', () => {
+    it('orders by quantity when asked', async () => {
+      mockReport([{ product_id: 'p1', name: 'Whey', quantity: '7', revenue_cents: '21000', order_count: '5' }]);
+
+      const { products } = await reportService.getTopProducts(MERCHANT_ID, { sort: 'quantity', limit: 5 });
+
+      const [sql, params] = reportCall();
+      expect(sql).toContain('ORDER BY quantity DESC, revenue_cents DESC');
+      expect(params[4]).toBe(5);
+      expect(products).toEqual([{ product_id: 'p1', name: 'Whey', quantity: 7, revenue_cents: 21000, order_count: 5 }]);
+    });
+  });
+
+  describe('getCategoryMix', () => {
+    it('reports uncategorized products and revenue shares', async () => {
+      mockReport([{ category_id: null, name: 'Uncategorized', quantity: '3', revenue_cents: '900', order_count: '2', revenue_share: '100.00' }]);
+
+      const { categories } = await reportService.getCategoryMix(MERCHANT_ID);
+
+      expect(reportCall()[0]).toContain("COALESCE(c.name, 'Uncategorized')");
+      expect(categories[0].revenue_share).toBe(100);
+    });
+  });
+
+  describe('getMargins', () => {
+    it('computes margins over costed lines only', async () => {
+      mockReport([
+        { product_id: 'p1', name: 'Whey', units: '4', revenue_cents: '12000', costed_revenue_cents: '12000', cogs_cents: '7000', uncosted_units: '0' },
+        { product_id: 'p2', name: 'Bar', units: '3', revenue_cents: '900', costed_revenue_cents: '0', cogs_cents: '0', uncosted_units: '3' }
+      ]);
+
+      const { rows, totals } = await reportService.getMargins(MERCHANT_ID, { groupBy: 'product' });
+
+      expect(reportCall()[0]).toContain('SUM(ti.unit_cost_cents * ti.quantity)');
+      expect(rows[0]).toMatchObject({ margin_cents: 5000, margin_percent: 41.67 });
+      expect(rows[1]).toMatchObject({ margin_cents: 0, margin_percent: null, uncosted_units: 3 });
+      expect(totals).toMatchObject({ units: 7, revenue_cents: 12900, cogs_cents: 7000, margin_cents: 5000, margin_percent: 41.67 });
+    });
+
+    it('groups by brand', async () => {
+      mockReport([]);
+
+      await reportService.getMargins(MERCHANT_ID, { groupBy: 'brand' });
+
+      expect(reportCall()[0]).toContain("GROUP BY COALESCE(p.brand, 'Unbranded')");
+    });
+  });
+
+  describe('cost snapshots', () => {
+    /**
+     * Client for re-syncing an order whose line was first recorded at a cost of 1500;
+     * the product costs 1800 now
+     */
+    function resyncClient() {
+      return {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('SELECT id FROM transactions')) return { rows: [{ id: 'tx-1' }] };
+          if (sql.includes('SELECT product_id, clover_item_id, unit_cost_cents')) {
+            return { rows: [{ product_id: 'p1', clover_item_id: 'WHEY', unit_cost_cents: 1500 }] };
+          }
+          if (sql.includes('SELECT id, cost_cents FROM products')) return { rows: [{ id: 'p1', cost_cents: 1800 }] };
+          return { rows: [] };
+        })
+      };
+    }
+
+    it('keeps the cost recorded when the order was first synced', async () => {
+      const client = resyncClient();
+
+      await orderService.upsertOrder(client, MERCHANT_ID, {
+        id: 'ORDER1',
+        state: 'locked',
+        total: 6000,
+        lineItems: { elements: [{ item: { id: 'WHEY' }, name: 'Whey', price: 3000 }, { item: { id: 'BAR' }, name: 'Bar', price: 3000 }] }
+      });
+
+      const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO transaction_items'));
+      expect(inserts.map(([, params]) => params[9])).toEqual([1500, 1800]);
+    });
+  });
+
+  describe('routes', () => {
+    const get = (path, query = {}) => request(app)
+      .get(`/api/reports/${path}`)
+      .query(query)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('returns the sales report with its range and totals', async () => {
+      mockReport([]);
+
+      const res = await get('sales', { from: '2026-10-01', to: '2026-10-31', group_by: 'week', tz: 'UTC' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.range).toEqual({ from: '2026-10-01', to: '2026-10-31', timezone: 'UTC', groupBy: 'week' });
+      expect(res.body.totals).toMatchObject({ order_count: 0, net_cents: 0 });
+    });
+
+    it('validates the query', async () => {
+      for (const [path, query] of [
+        ['sales', { from: '10/01/2026' }],
+        ['sales', { group_by: 'year' }],
+        ['sales', { tz: 'Mars/Olympus' }],
+        ['sales', { from: '2026-10-02', to: '2026-10-01' }],
+        ['top-products', { sort: 'margin' }],
+        ['top-products', { limit: '500' }],
+        ['categories', { to: 'today' }],
+        ['margins', { group_by: 'supplier' }]
+      ]) {
+        mockReport([]);
+        expect((await get(path, query)).status).toBe(400);
+      }
+    });
+
+    it('requires authentication', async () => {
+      expect((await request(app).get('/api/reports/sales')).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// tests/reservation.unit.test.js
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+const db = require('../config/database');
+const reservationService = require('../services/reservationService');
+
+const LATTE = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const MUFFIN = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+
+describe('ReservationService', () => {
+  let client;
+  const inventoryUpdates = () => client.query.mock.calls
+    .filter(([sql]) => sql.includes('UPDATE inventory\n'))
+    .map(([, params]) => params);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(async () => ({ rows: [] })), release: jest.fn() };
+    db.connect.mockResolvedValue(client);
+  });
+
+  it('holds the total quantity per product', async () => {
+    client.query.mockImplementation(async (sql, params) => ({ rows: [{ product_id: params[0] }] }));
+
+    await reservationService.hold(client, [
+      { productId: MUFFIN, quantity: 1, name: 'Muffin' },
+      { productId: LATTE, quantity: 2, name: 'Latte' },
+      { productId: MUFFIN, quantity: 2, name: 'Muffin' }
+    ]);
+
+    expect(client.query.mock.calls.map(([, params]) => params)).toEqual([[LATTE, 2], [MUFFIN, 3]]);
+    expect(client.query.mock.calls[0][0]).toContain('on_hand - reserved >= $2');
+  });
+
+  it('rejects with 409 when stock was taken since the cart was priced', async () => {
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('SELECT GREATEST')) return { rows: [{ available: 1 }] };
+      return { rows: params[0] === LATTE ? [] : [{ product_id: params[0] }] };
+    });
+
+    const error = await reservationService.hold(client, [
+      { productId: LATTE, quantity: 2, name: 'Latte' },
+      { productId: MUFFIN, quantity: 1, name: 'Muffin' }
+    ]).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(error.lineErrors).toEqual([
+      expect.objectContaining({ index: 0, productId: LATTE, code: 'INSUFFICIENT_STOCK', available: 1, requested: 2 })
+    ]);
+  });
+
+  it('records reservations that expire after RESERVATION_TTL_MINUTES', async () => {
+    process.env.RESERVATION_TTL_MINUTES = '10';
+    const before = Date.now();
+
+    const expiresAt = await reservationService.record(client, 'merchant-1', 'tx-1', [{ productId: LATTE, quantity: 2 }]);
+
+    expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 10 * 60 * 1000);
+    expect(client.query.mock.calls[0][1]).toEqual(['merchant-1', 'tx-1', LATTE, 2, expiresAt]);
+    delete process.env.RESERVATION_TTL_MINUTES;
+  });
+
+  it('takes committed quantities off on_hand and reserved', async () => {
+    client.query.mockResolvedValueOnce({
+      rows: [
+        { id: 'r1', product_id: LATTE, quantity: 2, status: 'active' },
+        { id: 'r2', product_id: MUFFIN, quantity: 1, status: 'released' }
+      ]
+    });
+
+    const committed = await reservationService.commit(client, 'tx-1');
+
+    expect(committed).toBe(2);
+    // An expired (already released) reservation only comes off on_hand
+    expect(inventoryUpdates()).toEqual([[LATTE, 2, 2], [MUFFIN, 1, 0]]);
+    const settle = client.query.mock.calls.at(-1);
+    expect(settle[0]).toContain('UPDATE inventory_reservations');
+    expect(settle[1]).toEqual([['r1', 'r2'], 'committed', null]);
+  });
+
+  it('gives held stock back when a transaction is released', async () => {
+    client.query.mockResolvedValueOnce({ rows: [{ id: 'r1', product_id: LATTE, quantity: 2 }] });
+
+    await reservationService.release(client, 'tx-1', 'payment_failed');
+
+    expect(inventoryUpdates()).toEqual([[LATTE, 2]]);
+    expect(client.query.mock.calls.at(-1)[1]).toEqual([['r1'], 'released', 'payment_failed']);
+  });
+
+  it('releases expired reservations in their own transaction', async () => {
+    client.query.mockImplementation(async (sql) => (
+      sql.includes('expires_at < NOW()') ? { rows: [{ id: 'r1', product_id: LATTE, quantity: 1 }] } : { rows: [] }
+    ));
+
+    const released = await reservationService.releaseExpired();
+
+    expect(released).toBe(1);
+    expect(client.query).toHaveBeenCalledWith('BEGIN');
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(client.query.mock.calls.at(-2)[1]).toEqual([['r1'], 'released', 'expired']);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
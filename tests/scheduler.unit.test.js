@@ -0,0 +1,228 @@
+// tests/scheduler.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+process.env.CRON_SECRET = 'test-cron-secret';
+
+const app = require('../server');
+const db = require('../config/database');
+const schedulerService = require('../services/schedulerService');
+const jobQueueService = require('../services/jobQueueService');
+const jobWorker = require('../services/jobWorker');
+const webhookService = require('../services/webhookService');
+const reservationService = require('../services/reservationService');
+const cloverStockPushService = require('../services/cloverStockPushService');
+const cloverCatalogPushService = require('../services/cloverCatalogPushService');
+const syncService = require('../services/syncService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const JOB_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('Sync schedules', () => {
+  const authToken = jwt.sign({ sub: 'schedule-user', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  const schedule = (kind, overrides = {}) => ({
+    id: `schedule-${kind}`, merchant_id: MERCHANT_ID, kind, interval_minutes: 5, enabled: true, ...overrides
+  });
+
+  let client;
+
+  /**
+   * Route the scheduler's transaction queries: due schedules, then in-flight jobs per schedule
+   * (inFlightJobIds is keyed by '<type> <payload JSON>')
+   */
+  function mockTransaction(dueSchedules, inFlightJobIds = {}) {
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM sync_schedules')) return { rows: dueSchedules };
+      if (sql.includes('FROM jobs')) {
+        const jobId = inFlightJobIds[`${params[1]} ${params[2]}`];
+        return { rows: jobId ? [{ id: jobId }] : [] };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncService.isCloverEnabled = true;
+    client = { query: jest.fn(), release: jest.fn() };
+    db.connect.mockResolvedValue(client);
+    jest.spyOn(jobQueueService, 'enqueue').mockImplementation(async (merchantId, type, payload) => ({
+      id: JOB_ID, merchant_id: merchantId, type, payload, status: 'queued'
+    }));
+  });
+
+  describe('runDue', () => {
+    it('queues the job for each due schedule kind and advances next_run_at', async () => {
+      mockTransaction([schedule('orders'), schedule('inventory')]);
+
+      const summary = await schedulerService.runDue();
+
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(MERCHANT_ID, 'sync.orders', { mode: 'delta' }, { client });
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(MERCHANT_ID, 'sync.full', { mode: 'full', stages: ['inventory'] }, { client });
+      expect(summary.enqueued).toHaveLength(2);
+      expect(summary.skipped).toHaveLength(0);
+
+      const updates = client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE sync_schedules'));
+      expect(updates.map(([, params]) => params)).toEqual([
+        ['schedule-orders', JOB_ID],
+        ['schedule-inventory', JOB_ID]
+      ]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('skips a schedule while the previous sync of the same type is still in flight', async () => {
+      const runningJobId = '33333333-3333-4333-8333-333333333333';
+      mockTransaction([schedule('orders'), schedule('catalog')], { 'sync.full {"mode":"full"}': runningJobId });
+
+      const summary = await schedulerService.runDue();
+
+      expect(jobQueueService.enqueue).toHaveBeenCalledTimes(1);
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(MERCHANT_ID, 'sync.orders', { mode: 'delta' }, { client });
+      expect(summary.skipped).toEqual([
+        expect.objectContaining({ kind: 'catalog', job_id: runningJobId })
+      ]);
+
+      // The skipped schedule still moves to its next slot
+      const updates = client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE sync_schedules'));
+      expect(updates.map(([, params]) => params)).toContainEqual(['schedule-catalog', null]);
+    });
+
+    it('does not skip a catalog sync because an inventory sync is in flight', async () => {
+      const runningJobId = '33333333-3333-4333-8333-333333333333';
+      mockTransaction([schedule('catalog')], { 'sync.full {"mode":"full","stages":["inventory"]}': runningJobId });
+
+      const summary = await schedulerService.runDue();
+
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(MERCHANT_ID, 'sync.full', { mode: 'full' }, { client });
+      expect(summary.skipped).toHaveLength(0);
+    });
+
+    it('rolls back when queueing fails', async () => {
+      mockTransaction([schedule('orders')]);
+      jobQueueService.enqueue.mockRejectedValue(new Error('connection lost'));
+
+      await expect(schedulerService.runDue()).rejects.toThrow('connection lost');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('queues the job in its own transaction, so a rollback drops the job too', async () => {
+      jobQueueService.enqueue.mockRestore();
+      const statements = [];
+      client.query.mockImplementation(async (sql) => {
+        statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+        if (sql.includes('FROM sync_schedules')) return { rows: [schedule('orders')] };
+        if (sql.includes('INSERT INTO jobs')) return { rows: [{ id: JOB_ID }] };
+        if (sql.includes('UPDATE sync_schedules')) throw new Error('connection lost');
+        return { rows: [] };
+      });
+
+      await expect(schedulerService.runDue()).rejects.toThrow('connection lost');
+
+      expect(db.connect).toHaveBeenCalledTimes(1);
+      expect(statements.filter(sql => ['BEGIN', 'INSERT INTO jobs', 'ROLLBACK', 'COMMIT'].includes(sql)))
+        .toEqual(['BEGIN', 'INSERT INTO jobs', 'ROLLBACK']);
+    });
+
+    it('does nothing while Clover sync is disabled', async () => {
+      syncService.isCloverEnabled = false;
+
+      const summary = await schedulerService.runDue();
+
+      expect(summary).toEqual({ enqueued: [], skipped: [] });
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('schedule endpoints', () => {
+    it('PUT /api/sync/schedules/:kind saves the schedule', async () => {
+      db.query.mockResolvedValueOnce({ rows: [schedule('orders')] });
+
+      const res = await request(app)
+        .put('/api/sync/schedules/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ interval_minutes: 5 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.schedule).toMatchObject({ kind: 'orders', interval_minutes: 5 });
+      expect(db.query.mock.calls[0][1]).toEqual([MERCHANT_ID, 'orders', 5, true]);
+    });
+
+    it('rejects unknown kinds and invalid intervals', async () => {
+      const badKind = await request(app)
+        .put('/api/sync/schedules/customers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ interval_minutes: 5 });
+      const badInterval = await request(app)
+        .put('/api/sync/schedules/catalog')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ interval_minutes: 0 });
+
+      expect(badKind.status).toBe(400);
+      expect(badInterval.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('DELETE /api/sync/schedules/:kind returns 404 when there is no schedule', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const res = await request(app)
+        .delete('/api/sync/schedules/inventory')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/cron/sync', () => {
+    it('requires the cron secret', async () => {
+      const res = await request(app)
+        .get('/api/cron/sync')
+        .set('Authorization', 'Bearer wrong');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('queues due schedules and drains runnable jobs', async () => {
+      const recoverStale = jest.spyOn(jobQueueService, 'recoverStale').mockResolvedValueOnce(1);
+      jest.spyOn(schedulerService, 'runDue').mockResolvedValueOnce({
+        enqueued: [{ schedule_id: 'schedule-orders', merchant_id: MERCHANT_ID, kind: 'orders', job_id: JOB_ID }],
+        skipped: []
+      });
+      jest.spyOn(webhookService, 'processPending').mockResolvedValueOnce({ processed: 1, failed: 0, ignored: 0 });
+      jest.spyOn(reservationService, 'releaseExpired').mockResolvedValueOnce(2);
+      jest.spyOn(cloverStockPushService, 'processPending').mockResolvedValueOnce({ pushed: 3, conflict: 1, retrying: 0, failed: 0 });
+      jest.spyOn(cloverCatalogPushService, 'processPending').mockResolvedValueOnce({ pushed: 2, retrying: 1, failed: 0 });
+      const runNext = jest.spyOn(jobWorker, 'runNext')
+        .mockResolvedValueOnce({ id: JOB_ID, status: 'succeeded' })
+        .mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .get('/api/cron/sync')
+        .set('Authorization', 'Bearer test-cron-secret');
+
+      expect(res.status).toBe(200);
+      expect(res.body.enqueued).toHaveLength(1);
+      expect(res.body.webhook_events).toEqual({ processed: 1, failed: 0, ignored: 0 });
+      expect(res.body.reservations_released).toBe(2);
+      expect(res.body.clover_stock_pushes).toEqual({ pushed: 3, conflict: 1, retrying: 0, failed: 0 });
+      expect(res.body.clover_catalog_pushes).toEqual({ pushed: 2, retrying: 1, failed: 0 });
+      expect(res.body.jobs).toEqual([{ id: JOB_ID, status: 'succeeded' }]);
+      expect(runNext).toHaveBeenCalledTimes(2);
+      // Jobs of a killed invocation are requeued before this one starts draining the queue
+      expect(res.body.jobs_recovered).toBe(1);
+      expect(recoverStale).toHaveBeenCalledWith(jobWorker.staleAfterMs);
+      expect(recoverStale.mock.invocationCallOrder[0]).toBeLessThan(runNext.mock.invocationCallOrder[0]);
+    });
+  });
+});
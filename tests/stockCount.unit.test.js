@@ -0,0 +1,211 @@
+// tests/stockCount.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const stockCountService = require('../services/stockCountService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const COUNT_ID = '33333333-3333-4333-8333-333333333333';
+const WHEY = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const BAR = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const SHAKER = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+describe('Stock counts', () => {
+  const authToken = jwt.sign({ sub: 'manager-1', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+  let store;
+
+  /**
+   * In-memory open count of whey (10 at the start, 3 sold since), bar (4 at the start) and
+   * shaker (not counted), plus the inventory rows approving touches
+   */
+  function mockStockCount(status = 'open') {
+    store = {
+      count: { id: COUNT_ID, merchant_id: MERCHANT_ID, status },
+      lines: [
+        { id: 'line-1', product_id: WHEY, product_name: 'Whey', cost_cents: 1500, on_hand_at_start: 10, counted_quantity: null, movements_since_start: '-3' },
+        { id: 'line-2', product_id: BAR, product_name: 'Bar', cost_cents: 100, on_hand_at_start: 4, counted_quantity: null, movements_since_start: null },
+        { id: 'line-3', product_id: SHAKER, product_name: 'Shaker', cost_cents: null, on_hand_at_start: 1, counted_quantity: null, movements_since_start: '0' }
+      ],
+      onHand: { [WHEY]: 5, [BAR]: 4, [SHAKER]: 1 },
+      inventoryWrites: [],
+      movements: []
+    };
+
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('FROM stock_counts WHERE id = $1')) {
+        return { rows: [store.count] };
+      }
+      if (sql.includes('FROM stock_count_lines l')) {
+        return { rows: store.lines.map(line => ({ ...line, movements_since_start: line.movements_since_start ?? 0 })) };
+      }
+      if (sql.includes('SET counted_quantity')) {
+        const line = store.lines.find(l => l.product_id === params[1]);
+        if (!line) return { rows: [] };
+        line.counted_quantity = sql.includes('COALESCE(counted_quantity, 0) + $3')
+          ? (line.counted_quantity ?? 0) + params[2]
+          : params[2];
+        return { rows: [{ id: line.id }] };
+      }
+      if (sql.includes('SELECT on_hand FROM inventory')) {
+        return { rows: [{ on_hand: store.onHand[params[0]] }] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        store.movements.push(params);
+        return { rows: [{ id: `movement-${store.movements.length}` }] };
+      }
+      if (sql.includes('INSERT INTO inventory')) {
+        store.inventoryWrites.push({ sql, params });
+        store.onHand[params[0]] = params[1];
+        return { rows: [] };
+      }
+      if (sql.includes('SET adjustment')) {
+        store.lines.find(l => l.id === params[0]).adjustment = params[1];
+        return { rows: [] };
+      }
+      if (sql.includes("SET status = 'approved'")) {
+        store.count.status = 'approved';
+        return { rows: [] };
+      }
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+    db.query.mockImplementation(query);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reports variances against on_hand at the start plus movements since', async () => {
+    mockStockCount();
+    store.lines[0].counted_quantity = 6;
+    store.lines[1].counted_quantity = 2;
+
+    const count = await stockCountService.getStockCount(MERCHANT_ID, COUNT_ID);
+
+    expect(count.lines.map(({ expected_quantity, variance, variance_cost_cents }) => ({ expected_quantity, variance, variance_cost_cents })))
+      .toEqual([
+        { expected_quantity: 7, variance: -1, variance_cost_cents: -1500 },
+        { expected_quantity: 4, variance: -2, variance_cost_cents: -200 },
+        { expected_quantity: 1, variance: null, variance_cost_cents: null }
+      ]);
+    expect(count.summary).toEqual({
+      products: 3, counted: 2, uncounted: 1, with_variance: 2, units_over: 0, units_short: 3, variance_cost_cents: -1700
+    });
+  });
+
+  it('adds scanned units to what was counted so far', async () => {
+    mockStockCount();
+
+    await stockCountService.recordCounts(MERCHANT_ID, COUNT_ID, { lines: [{ productId: BAR, quantity: 1 }], mode: 'add' });
+    await stockCountService.recordCounts(MERCHANT_ID, COUNT_ID, { lines: [{ productId: BAR, quantity: 1 }], mode: 'add' });
+
+    expect(store.lines[1].counted_quantity).toBe(2);
+  });
+
+  it('rejects products that are not in the count', async () => {
+    mockStockCount();
+    const other = '99999999-9999-4999-8999-999999999999';
+
+    const error = await stockCountService.recordCounts(MERCHANT_ID, COUNT_ID, { lines: [{ productId: other, quantity: 1 }] })
+      .catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.lineErrors).toEqual([expect.objectContaining({ index: 0, code: 'NOT_IN_COUNT' })]);
+  });
+
+  it('posts variances to the current on_hand and stamps last_counted_at', async () => {
+    mockStockCount();
+    store.lines[0].counted_quantity = 6; // expected 7
+    store.lines[1].counted_quantity = 4; // as expected
+    store.onHand[WHEY] = 5; // two more sold after whey was counted
+
+    const count = await stockCountService.approveStockCount(MERCHANT_ID, COUNT_ID, { userId: 'manager-1' });
+
+    expect(count.status).toBe('approved');
+    expect(store.onHand).toEqual({ [WHEY]: 4, [BAR]: 4, [SHAKER]: 1 });
+    expect(store.inventoryWrites.map(({ params }) => params)).toEqual([[WHEY, 4], [BAR, 4]]);
+    expect(store.inventoryWrites[0].sql).toContain('last_counted_at = NOW()');
+    expect(store.movements).toEqual([[MERCHANT_ID, WHEY, -1, 4, 'count', 'manager-1', 'stock_count', COUNT_ID, null]]);
+    expect(store.lines.map(line => line.adjustment)).toEqual([-1, 0, undefined]);
+  });
+
+  it('does not approve a count with nothing counted, or twice', async () => {
+    mockStockCount();
+    expect((await stockCountService.approveStockCount(MERCHANT_ID, COUNT_ID).catch(e => e)).status).toBe(409);
+
+    mockStockCount('approved');
+    expect((await stockCountService.approveStockCount(MERCHANT_ID, COUNT_ID).catch(e => e)).status).toBe(409);
+  });
+
+  it('refuses to open a count of products already being counted', async () => {
+    const query = jest.fn(async (sql) => {
+      if (sql.includes('INSERT INTO stock_counts')) return { rows: [{ id: COUNT_ID }] };
+      if (sql.includes('INSERT INTO stock_count_lines')) return { rows: [{ product_id: WHEY }] };
+      if (sql.includes("c.status = 'open'")) return { rows: [{ product_id: WHEY }] };
+      return { rows: [] };
+    });
+    db.connect.mockResolvedValue({ query, release: jest.fn() });
+
+    const error = await stockCountService.openStockCount(MERCHANT_ID, { location: 'Back room' }).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(query.mock.calls.map(([sql]) => sql.trim())).toContain('ROLLBACK');
+  });
+
+  describe('routes', () => {
+    it('validates counted quantities', async () => {
+      const res = await request(app)
+        .post(`/api/stock-counts/${COUNT_ID}/counts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ lines: [{ productId: WHEY, quantity: -1 }, { productId: 'bar', quantity: 1 }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.line_errors.map(e => e.code)).toEqual(['INVALID_QUANTITY', 'INVALID_PRODUCT_ID']);
+    });
+
+    it('rejects an unknown mode', async () => {
+      const res = await request(app)
+        .post(`/api/stock-counts/${COUNT_ID}/counts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ lines: [{ productId: WHEY, quantity: 1 }], mode: 'replace' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('returns 404 for another merchant\'s count', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app)
+        .get(`/api/stock-counts/${COUNT_ID}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('approves a count', async () => {
+      mockStockCount();
+      store.lines[1].counted_quantity = 3;
+
+      const res = await request(app)
+        .post(`/api/stock-counts/${COUNT_ID}/approve`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('approved');
+      expect(store.onHand[BAR]).toBe(3);
+    });
+  });
+});
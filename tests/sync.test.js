@@ -4,9 +4,11 @@ const jwt = require('jsonwebtoken');
 const app = require('../server');
 const db = require('../config/database');
 const syncService = require('../services/syncService');
+const jobWorker = require('../services/jobWorker');
 
 // Mock the clover service
 jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
   fetchPaged: jest.fn()
 }));
 
@@ -72,6 +74,16 @@ describe('Sync API', () => {
     fetchPaged.mockClear();
   });
 
+  // Run the job queued by a sync endpoint and return it as reported by GET /api/jobs/:id
+  const runQueuedJob = async (response) => {
+    expect(response.status).toBe(202);
+    await jobWorker.runNext({ jobId: response.body.job_id });
+    const jobResponse = await request(app)
+      .get(`/api/jobs/${response.body.job_id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    return jobResponse.body.job;
+  };
+
   describe('GET /api/sync/status', () => {
     it('should return sync status for authenticated merchant', async () => {
       const response = await request(app)
@@ -154,8 +166,9 @@ describe('Sync API', () => {
           .post('/api/sync/full')
           .set('Authorization', `Bearer ${authToken}`);
 
-        expect(response.status).toBe(200);
-        expect(response.body).toMatchObject({
+        const job = await runQueuedJob(response);
+        expect(job.status).toBe('succeeded');
+        expect(job.result).toMatchObject({
           success: true,
           enabled: true,
           categories: { success: true, processed: 1 },
@@ -257,8 +270,11 @@ describe('Sync API', () => {
           .post('/api/sync/full')
           .set('Authorization', `Bearer ${authToken}`);
 
-        expect(response.status).toBe(500);
-        expect(response.body).toMatchObject({
+        // The failed attempt is recorded and the job is queued for a retry
+        const job = await runQueuedJob(response);
+        expect(job.status).toBe('queued');
+        expect(job.error).toContain('Clover API error');
+        expect(job.result).toMatchObject({
           success: false,
           enabled: true,
           categories: { processed: 0, errors: expect.any(Array) }
@@ -340,9 +356,9 @@ describe('Sync API', () => {
         ]);
       });
 
-      await request(app)
+      await runQueuedJob(await request(app)
         .post('/api/sync/full')
-        .set('Authorization', `Bearer ${authToken}`);
+        .set('Authorization', `Bearer ${authToken}`));
 
       // Second sync with updated data
       fetchPaged.mockImplementationOnce(async (path, options, callback) => {
@@ -358,9 +374,9 @@ describe('Sync API', () => {
         ]);
       });
 
-      await request(app)
+      await runQueuedJob(await request(app)
         .post('/api/sync/full')
-        .set('Authorization', `Bearer ${authToken}`);
+        .set('Authorization', `Bearer ${authToken}`));
 
       // Verify update
       const client = await db.connect();
@@ -1,5 +1,6 @@
 // tests/syncService.unit.test.js
 const syncService = require('../services/syncService');
+const catalogOwnershipService = require('../services/catalogOwnershipService');
 
 // Mock database
 jest.mock('../config/database', () => ({
@@ -11,10 +12,18 @@ jest.mock('../config/database', () => ({
 
 // Mock clover service
 jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
   fetchPaged: jest.fn()
 }));
 
+// Mock Clover OAuth service
+jest.mock('../services/cloverAuthService', () => ({
+  refreshAccessToken: jest.fn()
+}));
+
 describe('SyncService', () => {
+  const POLICY = { products: { price_cents: 'clover' }, categories: {} };
+
   beforeEach(() => {
     jest.clearAllMocks();
     // Reset environment
@@ -158,6 +167,220 @@ describe('SyncService', () => {
       });
       expect(result.error).toContain('Merchant not found');
     });
+
+    it('should resume a failed run from its cursor', async () => {
+      const db = require('../config/database');
+      db.connect
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ access_token: 'valid-token', expires_at: null }] }),
+          release: jest.fn()
+        })
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ clover_merchant_id: 'CLOVER_M1' }] }),
+          release: jest.fn()
+        });
+
+      const categories = jest.spyOn(syncService, 'syncCategories');
+      const products = jest.spyOn(syncService, 'syncProducts').mockResolvedValue({ success: true, processed: 2 });
+      const inventory = jest.spyOn(syncService, 'syncInventory').mockResolvedValue({ success: true, processed: 4 });
+
+      const result = await syncService.performFullSync('merchant-123', {
+        resumeRun: { id: 'run-1', cursor: { stage: 'products', offset: 200 } }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.categories).toMatchObject({ skipped: true });
+      expect(categories).not.toHaveBeenCalled();
+      expect(products).toHaveBeenCalledWith('merchant-123', 'valid-token', 'CLOVER_M1',
+        expect.objectContaining({ offset: 200 }));
+      expect(inventory).toHaveBeenCalledWith('merchant-123', 'valid-token', 'CLOVER_M1',
+        expect.objectContaining({ offset: 0 }));
+
+      [categories, products, inventory].forEach(spy => spy.mockRestore());
+    });
+
+    it('should mark a run whose cursor is done as succeeded instead of starting a new one', async () => {
+      const syncRunService = require('../services/syncRunService');
+      const start = jest.spyOn(syncRunService, 'start');
+      const finish = jest.spyOn(syncRunService, 'finish').mockResolvedValue();
+      const stageSpies = ['syncCategories', 'syncProducts', 'syncInventory'].map(stage => jest.spyOn(syncService, stage));
+
+      const result = await syncService.performFullSync('merchant-123', {
+        resumeRun: { id: 'run-1', status: 'failed', cursor: { stage: 'done', offset: 0 }, options: { mode: 'delta' } }
+      });
+
+      expect(result).toMatchObject({ success: true, run_id: 'run-1', mode: 'delta', inventory: { skipped: true } });
+      expect(finish).toHaveBeenCalledWith('run-1', { status: 'succeeded', errors: [] });
+      expect(start).not.toHaveBeenCalled();
+      stageSpies.forEach(spy => expect(spy).not.toHaveBeenCalled());
+      [start, finish, ...stageSpies].forEach(spy => spy.mockRestore());
+    });
+
+    it('should only fetch objects modified since the watermark in delta mode', async () => {
+      const db = require('../config/database');
+      const { fetchPaged } = require('../services/cloverService');
+      const syncRunService = require('../services/syncRunService');
+      db.connect
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ access_token: 'valid-token', expires_at: null }] }),
+          release: jest.fn()
+        })
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ clover_merchant_id: 'CLOVER_M1' }] }),
+          release: jest.fn()
+        });
+
+      const getWatermark = jest.spyOn(syncRunService, 'getWatermark')
+        .mockImplementation(async (merchantId, syncType, entity) => (entity === 'items' ? 1700000000000 : null));
+      const advanceWatermark = jest.spyOn(syncRunService, 'advanceWatermark').mockResolvedValue();
+      const getPolicy = jest.spyOn(catalogOwnershipService, 'getPolicy').mockResolvedValue(POLICY);
+      const upsertProduct = jest.spyOn(syncService, 'upsertProduct').mockResolvedValue();
+      fetchPaged.mockImplementation(async (path, options, onBatch) => {
+        if (path.endsWith('/items')) await onBatch([{ id: 'ITEM1', name: 'Whey', modifiedTime: 1700000005000 }], { offset: 0 });
+      });
+
+      const result = await syncService.performFullSync('merchant-123', { mode: 'delta' });
+
+      expect(result).toMatchObject({ success: true, mode: 'delta' });
+      expect(getWatermark).toHaveBeenCalledWith('merchant-123', 'full', 'items');
+      expect(fetchPaged).toHaveBeenCalledWith('/v3/merchants/CLOVER_M1/items',
+        expect.objectContaining({ params: { filter: 'modifiedTime>=1700000000000' } }), expect.any(Function), expect.anything());
+      expect(fetchPaged).toHaveBeenCalledWith('/v3/merchants/CLOVER_M1/categories',
+        expect.objectContaining({ params: {} }), expect.any(Function), expect.anything());
+      expect(advanceWatermark).toHaveBeenCalledWith('merchant-123', 'full', 'items', 1700000005000);
+
+      fetchPaged.mockReset();
+      [getWatermark, advanceWatermark, getPolicy, upsertProduct].forEach(spy => spy.mockRestore());
+    });
+
+    it('should commit the rest of a page and hold the watermark when a row fails', async () => {
+      const db = require('../config/database');
+      const { fetchPaged } = require('../services/cloverService');
+      const syncRunService = require('../services/syncRunService');
+      const pageClient = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      db.connect
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ access_token: 'valid-token', expires_at: null }] }),
+          release: jest.fn()
+        })
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ clover_merchant_id: 'CLOVER_M1' }] }),
+          release: jest.fn()
+        })
+        .mockResolvedValueOnce(pageClient);
+
+      const advanceWatermark = jest.spyOn(syncRunService, 'advanceWatermark').mockResolvedValue();
+      const getPolicy = jest.spyOn(catalogOwnershipService, 'getPolicy').mockResolvedValue(POLICY);
+      const upsertProduct = jest.spyOn(syncService, 'upsertProduct').mockImplementation(async (client, merchantId, item) => {
+        if (item.id === 'ITEM2') throw new Error('value too long');
+      });
+      fetchPaged.mockImplementation(async (path, options, onBatch) => {
+        await onBatch([
+          { id: 'ITEM1', name: 'Whey', modifiedTime: 1700000005000 },
+          { id: 'ITEM2', name: 'Creatine', modifiedTime: 1700000006000 }
+        ], { offset: 0 });
+      });
+
+      const result = await syncService.performFullSync('merchant-123', { mode: 'delta', stages: ['products'] });
+
+      expect(result.products).toMatchObject({ processed: 1, errors: ['Product Creatine: value too long'] });
+      const statements = pageClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toEqual([
+        'BEGIN',
+        'SAVEPOINT sync_row', 'RELEASE SAVEPOINT sync_row',
+        'SAVEPOINT sync_row', 'ROLLBACK TO SAVEPOINT sync_row',
+        'COMMIT'
+      ]);
+      expect(advanceWatermark).not.toHaveBeenCalled();
+      // The ownership policy is read once for the stage, not once per row
+      expect(getPolicy).toHaveBeenCalledTimes(1);
+      expect(upsertProduct).toHaveBeenCalledWith(pageClient, 'merchant-123', expect.objectContaining({ id: 'ITEM1' }), { policy: POLICY });
+
+      fetchPaged.mockReset();
+      [advanceWatermark, getPolicy, upsertProduct].forEach(spy => spy.mockRestore());
+    });
+
+    it('should reject an unknown sync mode', async () => {
+      await expect(syncService.performFullSync('merchant-123', { mode: 'partial' }))
+        .rejects.toThrow('Invalid sync mode: partial');
+    });
+
+    it('should only run the requested stages', async () => {
+      const db = require('../config/database');
+      const { fetchPaged } = require('../services/cloverService');
+      db.connect
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ access_token: 'valid-token', expires_at: null }] }),
+          release: jest.fn()
+        })
+        .mockResolvedValueOnce({
+          query: jest.fn().mockResolvedValueOnce({ rows: [{ clover_merchant_id: 'CLOVER_M1' }] }),
+          release: jest.fn()
+        });
+      fetchPaged.mockResolvedValue();
+
+      const result = await syncService.performFullSync('merchant-123', { stages: ['inventory'] });
+
+      expect(result.success).toBe(true);
+      expect(result.categories.skipped).toBe(true);
+      expect(result.products.skipped).toBe(true);
+      expect(fetchPaged).toHaveBeenCalledTimes(1);
+      expect(fetchPaged.mock.calls[0][0]).toBe('/v3/merchants/CLOVER_M1/item_stocks');
+
+      fetchPaged.mockReset();
+    });
+
+    it('should reject unknown stages', async () => {
+      await expect(syncService.performFullSync('merchant-123', { stages: ['customers'] }))
+        .rejects.toThrow('Invalid sync stages: customers');
+    });
+  });
+
+  describe('upsertInventory', () => {
+    it('should move on_hand and record the movement from the locked count', async () => {
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('FROM products')) return { rows: [{ id: 'product-1' }] };
+          if (sql.includes('SELECT on_hand FROM inventory')) return { rows: [{ on_hand: 7 }] };
+          if (sql.includes('FROM clover_stock_pushes')) return { rows: [], rowCount: 0 };
+          return { rows: [{ id: 'movement-1' }] };
+        })
+      };
+
+      const found = await syncService.upsertInventory(client, 'merchant-123', { item: { id: 'ITEM1' }, quantity: 3, modifiedTime: 1700000005000 });
+
+      expect(found).toBe(true);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toContain('clover_item_id = $2');
+      expect(statements[1]).toContain('FOR UPDATE');
+      const [upsertSql, upsertParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inventory ('));
+      expect(upsertSql).toContain('SET on_hand = EXCLUDED.on_hand');
+      expect(upsertParams).toEqual(['product-1', 3, 1700000005000]);
+      const [, movementParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inventory_movements'));
+      expect(movementParams.slice(0, 5)).toEqual(['merchant-123', 'product-1', -4, 3, 'sync']);
+    });
+
+    it('should keep the local count while a stock push is pending', async () => {
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('FROM products')) return { rows: [{ id: 'product-1' }] };
+          if (sql.includes('SELECT on_hand FROM inventory')) return { rows: [{ on_hand: 7 }] };
+          if (sql.includes('FROM clover_stock_pushes')) return { rows: [{ '?column?': 1 }], rowCount: 1 };
+          return { rows: [] };
+        })
+      };
+
+      expect(await syncService.upsertInventory(client, 'merchant-123', { item: { id: 'ITEM1' }, quantity: 3 }, { reason: 'webhook' })).toBe(true);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements.some(sql => sql.includes('INSERT INTO inventory'))).toBe(false);
+    });
+
+    it('should skip an item with no local product', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      expect(await syncService.upsertInventory(client, 'merchant-123', { item: { id: 'ITEM9' }, quantity: 3 })).toBe(false);
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('getMerchantCloverToken', () => {
@@ -250,4 +473,91 @@ describe('SyncService', () => {
       expect(result).toEqual(mockToken);
     });
   });
-});
\ No newline at end of file
+
+  describe('token refresh', () => {
+    const db = require('../config/database');
+    const cloverAuthService = require('../services/cloverAuthService');
+    const expiredDate = () => new Date(Date.now() - 3600 * 1000);
+    const futureDate = new Date(Date.now() + 3600 * 1000);
+
+    // Client whose clover_tokens row reads back as expired until UPDATE runs
+    const mockTokenClient = (row) => ({
+      query: jest.fn(async (sql) => {
+        if (sql.startsWith('SELECT')) return { rows: [row] };
+        if (sql.includes('UPDATE clover_tokens')) {
+          return { rows: [{ access_token: 'new-token', refresh_token: 'new-refresh', expires_at: futureDate }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    });
+
+    it('should refresh an expired token and persist the new pair', async () => {
+      const row = { access_token: 'old-token', refresh_token: 'old-refresh', expires_at: expiredDate() };
+      const readClient = mockTokenClient(row);
+      const refreshClient = mockTokenClient(row);
+      db.connect.mockResolvedValueOnce(readClient).mockResolvedValueOnce(refreshClient);
+      cloverAuthService.refreshAccessToken.mockResolvedValueOnce({
+        access_token: 'new-token', refresh_token: 'new-refresh', expires_at: futureDate
+      });
+
+      const result = await syncService.getMerchantCloverToken('merchant-123');
+
+      expect(cloverAuthService.refreshAccessToken).toHaveBeenCalledWith('old-refresh');
+      expect(result).toEqual({
+        access_token: 'new-token', refresh_token: 'new-refresh', expires_at: futureDate, refreshed: true
+      });
+      const sqls = refreshClient.query.mock.calls.map(([sql]) => sql);
+      expect(sqls[0]).toBe('BEGIN');
+      expect(sqls[1]).toContain('FOR UPDATE');
+      expect(sqls.some(sql => sql.includes('UPDATE clover_tokens'))).toBe(true);
+      expect(sqls[sqls.length - 1]).toBe('COMMIT');
+      expect(refreshClient.release).toHaveBeenCalled();
+    });
+
+    it('should only refresh once for concurrent callers', async () => {
+      const row = { access_token: 'old-token', refresh_token: 'old-refresh', expires_at: expiredDate() };
+      db.connect.mockImplementation(() => Promise.resolve(mockTokenClient(row)));
+      cloverAuthService.refreshAccessToken.mockImplementation(async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { access_token: 'new-token', refresh_token: 'new-refresh', expires_at: futureDate };
+      });
+
+      const results = await Promise.all([
+        syncService.getMerchantCloverToken('merchant-123'),
+        syncService.getMerchantCloverToken('merchant-123'),
+        syncService.getMerchantCloverToken('merchant-123')
+      ]);
+
+      expect(cloverAuthService.refreshAccessToken).toHaveBeenCalledTimes(1);
+      results.forEach(r => expect(r.access_token).toBe('new-token'));
+      db.connect.mockReset();
+      db.connect.mockImplementation(() => Promise.resolve({ query: jest.fn(), release: jest.fn() }));
+    });
+
+    it('should reuse a token refreshed by another process while waiting for the lock', async () => {
+      const readClient = mockTokenClient({ access_token: 'old-token', refresh_token: 'old-refresh', expires_at: expiredDate() });
+      const refreshClient = mockTokenClient({ access_token: 'other-token', refresh_token: 'other-refresh', expires_at: futureDate });
+      db.connect.mockResolvedValueOnce(readClient).mockResolvedValueOnce(refreshClient);
+
+      const result = await syncService.getMerchantCloverToken('merchant-123');
+
+      expect(cloverAuthService.refreshAccessToken).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ access_token: 'other-token', refreshed: true });
+    });
+
+    it('should fail as expired when Clover rejects the refresh', async () => {
+      const row = { access_token: 'old-token', refresh_token: 'revoked', expires_at: expiredDate() };
+      const refreshClient = mockTokenClient(row);
+      db.connect.mockResolvedValueOnce(mockTokenClient(row)).mockResolvedValueOnce(refreshClient);
+      const rejection = new Error('401 Clover token refresh rejected');
+      rejection.rejected = true;
+      cloverAuthService.refreshAccessToken.mockRejectedValueOnce(rejection);
+
+      await expect(syncService.getMerchantCloverToken('merchant-123'))
+        .rejects.toThrow('Clover access token has expired and refresh was rejected');
+      expect(refreshClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(syncService.refreshLocks.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+// tests/transactions.unit.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Verify JWTs with JWT_SECRET rather than through Supabase
+process.env.SUPABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key';
+
+const app = require('../server');
+const db = require('../config/database');
+const transactionService = require('../services/transactionService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+const PRODUCT_ID = '55555555-5555-4555-8555-555555555555';
+
+/**
+ * Transactions created a minute apart, newest first
+ */
+function transactions(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `00000000-0000-4000-8000-${String(count - i).padStart(12, '0')}`,
+    merchant_id: MERCHANT_ID,
+    total_cents: 1000,
+    created_at: new Date(Date.UTC(2026, 9, 19, 12, count - i))
+  }));
+}
+
+describe('Transactions', () => {
+  const authToken = jwt.sign({ sub: 'manager', merchant_id: MERCHANT_ID }, process.env.JWT_SECRET);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('listTransactions', () => {
+    it('filters on every given field', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await transactionService.listTransactions(MERCHANT_ID, {
+        from: new Date('2026-10-01'),
+        to: new Date('2026-10-19'),
+        statuses: ['locked'],
+        paymentStatuses: ['PAID'],
+        source: 'kiosk',
+        productId: PRODUCT_ID,
+        minTotalCents: 500,
+        maxTotalCents: 5000
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('t.created_at >= $2');
+      expect(sql).toContain('t.created_at < $3');
+      expect(sql).toContain('t.status = ANY($4::text[])');
+      expect(sql).toContain('t.payment_status = ANY($5::text[])');
+      expect(sql).toContain('t.order_from_sc = $6');
+      expect(sql).toContain('ti.product_id = $7');
+      expect(sql).toContain('t.total_cents >= $8');
+      expect(sql).toContain('t.total_cents <= $9');
+      expect(params).toEqual([
+        MERCHANT_ID, new Date('2026-10-01'), new Date('2026-10-19'), ['locked'], ['PAID'], true, PRODUCT_ID, 500, 5000, 51
+      ]);
+    });
+
+    it('only scopes to the merchant without filters', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await transactionService.listTransactions(MERCHANT_ID);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('WHERE t.merchant_id = $1\n');
+      expect(params).toEqual([MERCHANT_ID, 51]);
+    });
+
+    it('pages with a cursor after the last row', async () => {
+      const rows = transactions(3);
+      db.query.mockResolvedValueOnce({ rows });
+
+      const first = await transactionService.listTransactions(MERCHANT_ID, { limit: 2 });
+      expect(first.transactions).toEqual(rows.slice(0, 2));
+      expect(transactionService.isValidCursor(first.nextCursor)).toBe(true);
+
+      db.query.mockResolvedValueOnce({ rows: rows.slice(2) });
+      const second = await transactionService.listTransactions(MERCHANT_ID, { limit: 2, cursor: first.nextCursor });
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('(t.created_at, t.id) < ($2::timestamptz, $3::uuid)');
+      expect(params).toEqual([MERCHANT_ID, rows[1].created_at.toISOString(), rows[1].id, 3]);
+      expect(second).toEqual({ transactions: rows.slice(2), nextCursor: null });
+    });
+
+    it('rejects cursors it did not issue', () => {
+      expect(transactionService.isValidCursor('not-a-cursor')).toBe(false);
+      expect(transactionService.isValidCursor(Buffer.from('["yesterday","x"]').toString('base64url'))).toBe(false);
+    });
+  });
+
+  describe('getTransaction', () => {
+    it('returns the transaction with its items joined to products', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'tx-1', total_cents: 1000 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'item-1', product_id: PRODUCT_ID, sku: 'WHEY-1' }] });
+
+      const transaction = await transactionService.getTransaction(MERCHANT_ID, 'tx-1');
+
+      expect(transaction).toEqual({
+        id: 'tx-1',
+        total_cents: 1000,
+        items: [{ id: 'item-1', product_id: PRODUCT_ID, sku: 'WHEY-1' }]
+      });
+      expect(db.query.mock.calls[0][1]).toEqual(['tx-1', MERCHANT_ID]);
+      expect(db.query.mock.calls[1][0]).toContain('LEFT JOIN products p ON p.id = ti.product_id');
+    });
+
+    it('returns null for another merchant\'s transaction', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await transactionService.getTransaction(MERCHANT_ID, 'tx-1')).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /api/transactions', () => {
+    const list = (query) => request(app)
+      .get('/api/transactions')
+      .query(query)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('passes parsed filters to the service', async () => {
+      const spy = jest.spyOn(transactionService, 'listTransactions')
+        .mockResolvedValue({ transactions: [{ id: 'tx-1' }], nextCursor: 'abc' });
+
+      const res = await list({
+        from: '2026-10-01', status: 'locked,paid', payment_status: 'paid', source: 'clover',
+        product_id: PRODUCT_ID, min_total_cents: '100', limit: '10'
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, data: [{ id: 'tx-1' }], count: 1, next_cursor: 'abc' });
+      expect(spy).toHaveBeenCalledWith(MERCHANT_ID, {
+        from: new Date('2026-10-01'),
+        statuses: ['locked', 'paid'],
+        paymentStatuses: ['PAID'],
+        source: 'clover',
+        productId: PRODUCT_ID,
+        minTotalCents: 100,
+        limit: 10
+      });
+      spy.mockRestore();
+    });
+
+    it('validates the query', async () => {
+      const spy = jest.spyOn(transactionService, 'listTransactions');
+
+      for (const query of [
+        { from: 'yesterday' },
+        { from: '2026-10-19', to: '2026-10-01' },
+        { payment_status: 'SETTLED' },
+        { source: 'web' },
+        { product_id: 'whey' },
+        { min_total_cents: '-1' },
+        { max_total_cents: '9.99' },
+        { limit: '0' },
+        { limit: '201' },
+        { cursor: 'nope' }
+      ]) {
+        expect((await list(query)).status).toBe(400);
+      }
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
+
+  describe('GET /api/transactions/:id', () => {
+    const get = (id) => request(app)
+      .get(`/api/transactions/${id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    it('returns 404 for unknown transactions and 400 for bad IDs', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect((await get('44444444-4444-4444-8444-444444444444')).status).toBe(404);
+      expect((await get('not-a-uuid')).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,336 @@
+// tests/webhooks.unit.test.js
+const request = require('supertest');
+
+// Mock database
+jest.mock('../config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock Clover API access
+jest.mock('../services/cloverService', () => ({
+  ...jest.requireActual('../services/cloverService'),
+  getMerchantClient: jest.fn(),
+  fetchObject: jest.fn()
+}));
+
+process.env.CLOVER_WEBHOOK_SECRET = 'test-webhook-auth-code';
+process.env.CLOVER_APP_ID = 'TEST_APP';
+
+const app = require('../server');
+const db = require('../config/database');
+const webhookService = require('../services/webhookService');
+const syncService = require('../services/syncService');
+const orderService = require('../services/orderService');
+const paymentService = require('../services/paymentService');
+const { getMerchantClient, fetchObject } = require('../services/cloverService');
+
+const MERCHANT_ID = '11111111-1111-4111-8111-111111111111';
+
+const notification = (events, ts = Date.now()) => JSON.stringify({
+  appId: 'TEST_APP',
+  merchants: { CLOVER_M1: events.map(objectId => ({ objectId, type: 'UPDATE', ts })) }
+});
+
+const post = (body, headers = {}) => {
+  const req = request(app).post('/api/webhooks/clover').set('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([name, value]) => req.set(name, value));
+  return req.send(body);
+};
+
+const signed = { 'X-Clover-Auth': 'test-webhook-auth-code' };
+
+describe('Clover webhook verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [{ digest: 'new' }], rowCount: 1 });
+    jest.spyOn(webhookService, 'record').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    webhookService.record.mockRestore();
+  });
+
+  it('acknowledges the verificationCode handshake without an auth header', async () => {
+    const res = await post(JSON.stringify({ verificationCode: 'abc-123' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Verification code received');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects unsigned requests', async () => {
+    const res = await post(notification(['I:ITEM1']));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Missing X-Clover-Auth header');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong auth code', async () => {
+    const res = await post(notification(['I:ITEM1']), { 'X-Clover-Auth': 'not-the-code' });
+
+    expect(res.status).toBe(401);
+    expect(webhookService.record).not.toHaveBeenCalled();
+  });
+
+  it('rejects deliveries for another app', async () => {
+    const body = JSON.stringify({ appId: 'OTHER_APP', merchants: {} });
+    const res = await post(body, signed);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('processes late deliveries after logging them', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const ts = Date.now() - 60 * 60 * 1000;
+
+    const res = await post(notification(['I:ITEM1'], ts), signed);
+
+    expect(res.status).toBe(200);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Late Clover webhook'));
+    expect(db.query.mock.calls[0][0]).toContain('INSERT INTO webhook_deliveries');
+    expect(webhookService.record).toHaveBeenCalledWith([
+      expect.objectContaining({ objectId: 'I:ITEM1', ts })
+    ]);
+    warn.mockRestore();
+  });
+
+  it('acknowledges a body that was already accepted without processing it again', async () => {
+    db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+    const res = await post(notification(['I:ITEM1']), signed);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Duplicate webhook delivery ignored');
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][0]).toContain('INSERT INTO webhook_deliveries');
+  });
+
+  it('passes an authenticated delivery to the handler', async () => {
+    const res = await post(notification(['I:ITEM1']), signed);
+
+    expect(res.status).toBe(200);
+    expect(db.query.mock.calls[0][1][1]).toBe('/api/webhooks/clover');
+    expect(webhookService.record).toHaveBeenCalledWith([
+      expect.objectContaining({ cloverMerchantId: 'CLOVER_M1', objectId: 'I:ITEM1', objectType: 'I' })
+    ]);
+  });
+
+  it('rejects everything when no secret is configured', async () => {
+    const secret = process.env.CLOVER_WEBHOOK_SECRET;
+    delete process.env.CLOVER_WEBHOOK_SECRET;
+
+    const res = await post(notification(['I:ITEM1']), signed);
+
+    expect(res.status).toBe(503);
+    process.env.CLOVER_WEBHOOK_SECRET = secret;
+  });
+});
+
+describe('Clover webhook dispatcher', () => {
+  let client;
+  const storedEvent = (objectId, overrides = {}) => ({
+    id: `event-${objectId}`,
+    merchant_id: MERCHANT_ID,
+    clover_merchant_id: 'CLOVER_M1',
+    object_id: objectId,
+    object_type: objectId.split(':')[0],
+    event_type: 'UPDATE',
+    status: 'pending',
+    ...overrides
+  });
+  const statusUpdates = () => db.query.mock.calls
+    .filter(([sql]) => sql.includes('UPDATE webhook_events'))
+    .map(([, params]) => params.slice(0, 2));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncService.isCloverEnabled = true;
+    client = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    db.connect.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [], rowCount: 1 });
+    getMerchantClient.mockResolvedValue({ cloverMerchantId: 'CLOVER_M1', http: {} });
+  });
+
+  it('parses Clover notifications by object prefix', () => {
+    const events = webhookService.parseEvents({
+      merchants: {
+        CLOVER_M1: [
+          { objectId: 'I:ITEM1', type: 'UPDATE', ts: 1700000000000 },
+          { objectId: 'IC:CAT1', type: 'CREATE', ts: 1700000000001 },
+          { objectId: 'bogus', ts: 1700000000002 }
+        ]
+      }
+    });
+
+    expect(events).toEqual([
+      { cloverMerchantId: 'CLOVER_M1', objectId: 'I:ITEM1', objectType: 'I', eventType: 'UPDATE', ts: 1700000000000 },
+      { cloverMerchantId: 'CLOVER_M1', objectId: 'IC:CAT1', objectType: 'IC', eventType: 'CREATE', ts: 1700000000001 }
+    ]);
+  });
+
+  it('stores events and skips ones already received', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [storedEvent('O:ORDER1')] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const stored = await webhookService.record([
+      { cloverMerchantId: 'CLOVER_M1', objectId: 'O:ORDER1', objectType: 'O', eventType: 'UPDATE', ts: 1 },
+      { cloverMerchantId: 'CLOVER_M1', objectId: 'O:ORDER1', objectType: 'O', eventType: 'UPDATE', ts: 1 }
+    ]);
+
+    expect(stored).toHaveLength(1);
+    expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (object_id, ts) DO NOTHING');
+  });
+
+  it('stores unsupported object types as ignored', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    await webhookService.record([
+      { cloverMerchantId: 'CLOVER_M1', objectId: 'C:CUSTOMER1', objectType: 'C', eventType: 'UPDATE', ts: 1 }
+    ]);
+
+    expect(db.query.mock.calls[0][1].slice(5)).toEqual(['ignored', 'Unsupported object type: C']);
+  });
+
+  it('refetches an item and upserts the product and its stock', async () => {
+    fetchObject.mockResolvedValue({ id: 'ITEM1', name: 'Whey', itemStock: { quantity: 7, modifiedTime: 1 } });
+    const upsertProduct = jest.spyOn(syncService, 'upsertProduct').mockResolvedValue();
+    const upsertInventory = jest.spyOn(syncService, 'upsertInventory').mockResolvedValue(true);
+
+    const status = await webhookService.process(storedEvent('I:ITEM1'));
+
+    expect(status).toBe('processed');
+    expect(fetchObject).toHaveBeenCalledWith(expect.anything(), 'items/ITEM1', { expand: 'categories,itemStock' });
+    expect(upsertProduct).toHaveBeenCalledWith(client, MERCHANT_ID, expect.objectContaining({ id: 'ITEM1' }));
+    expect(upsertInventory).toHaveBeenCalledWith(
+      client, MERCHANT_ID, { quantity: 7, modifiedTime: 1, item: { id: 'ITEM1' } }, { reason: 'webhook' }
+    );
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(statusUpdates()).toEqual([['event-I:ITEM1', 'processed']]);
+    [upsertProduct, upsertInventory].forEach(spy => spy.mockRestore());
+  });
+
+  it('moves the sellable stock of the item\'s product', async () => {
+    fetchObject.mockResolvedValue({ id: 'ITEM1', name: 'Whey', itemStock: { quantity: 4, modifiedTime: 1 } });
+    const upsertProduct = jest.spyOn(syncService, 'upsertProduct').mockResolvedValue();
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id FROM products')) return { rows: [{ id: 'product-1' }], rowCount: 1 };
+      if (sql.includes('SELECT on_hand FROM inventory')) return { rows: [{ on_hand: 9 }], rowCount: 1 };
+      return { rows: [], rowCount: 0 };
+    });
+
+    await webhookService.process(storedEvent('I:ITEM1'));
+
+    const [, upsertParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inventory ('));
+    expect(upsertParams.slice(0, 2)).toEqual(['product-1', 4]);
+    const [, movementParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inventory_movements'));
+    expect(movementParams.slice(1, 5)).toEqual(['product-1', -5, 4, 'webhook']);
+    upsertProduct.mockRestore();
+  });
+
+  it('stocks an item that the webhook itself creates', async () => {
+    fetchObject.mockResolvedValue({ id: 'ITEM_NEW', name: 'Creatine', price: 2999, itemStock: { quantity: 12, modifiedTime: 1 } });
+    // Products keyed the way the unique constraint keys them: (merchant_id, clover_item_id)
+    const products = new Map();
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO products')) {
+        const key = sql.match(/ON CONFLICT \(merchant_id, (\w+)\)/)[1];
+        expect(key).toBe('clover_item_id');
+        products.set(`${params[0]}:${params[1]}`, { id: 'product-new' });
+        return { rows: [], rowCount: 1 };
+      }
+      if (sql.includes('SELECT id FROM products')) {
+        expect(sql).toContain('clover_item_id = $2');
+        const product = products.get(`${params[0]}:${params[1]}`);
+        return { rows: product ? [product] : [], rowCount: product ? 1 : 0 };
+      }
+      if (sql.includes('catalog_field_owners')) return { rows: [{ catalog_field_owners: {} }], rowCount: 1 };
+      return { rows: [], rowCount: 0 };
+    });
+
+    const status = await webhookService.process(storedEvent('I:ITEM_NEW'));
+
+    expect(status).toBe('processed');
+    const [, upsertParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO inventory ('));
+    expect(upsertParams.slice(0, 2)).toEqual(['product-new', 12]);
+  });
+
+  it('deactivates a product whose item no longer exists in Clover', async () => {
+    fetchObject.mockResolvedValue(null);
+
+    await webhookService.process(storedEvent('I:ITEM1', { event_type: 'DELETE' }));
+
+    const [sql, params] = client.query.mock.calls.find(([q]) => q.includes('UPDATE products'));
+    expect(sql).toContain('active = false');
+    expect(sql).toContain('clover_item_id = $2');
+    expect(params).toEqual([MERCHANT_ID, 'ITEM1']);
+  });
+
+  it('refetches orders with their line items and refunds', async () => {
+    fetchObject.mockResolvedValue({ id: 'ORDER1', state: 'locked', lineItems: { elements: [] } });
+    const upsertOrder = jest.spyOn(orderService, 'upsertOrder').mockResolvedValue({ transactionId: 'tx-1', inserted: true });
+
+    await webhookService.process(storedEvent('O:ORDER1'));
+
+    expect(fetchObject).toHaveBeenCalledWith(expect.anything(), 'orders/ORDER1', { expand: 'lineItems,refunds' });
+    expect(upsertOrder).toHaveBeenCalledWith(client, MERCHANT_ID, expect.objectContaining({ id: 'ORDER1' }));
+    upsertOrder.mockRestore();
+  });
+
+  it('applies payments to the transaction they pay for', async () => {
+    const payment = { id: 'PAY1', result: 'SUCCESS', order: { id: 'ORDER1' } };
+    fetchObject.mockResolvedValue(payment);
+    const apply = jest.spyOn(paymentService, 'applyCloverPayment').mockResolvedValue({ id: 'tx-1', payment_status: 'PAID' });
+
+    await webhookService.process(storedEvent('P:PAY1'));
+
+    expect(fetchObject).toHaveBeenCalledWith(expect.anything(), 'payments/PAY1', { expand: 'order' });
+    expect(apply).toHaveBeenCalledWith(client, MERCHANT_ID, payment);
+    apply.mockRestore();
+  });
+
+  it('voids the transaction of an order deleted in Clover', async () => {
+    fetchObject.mockResolvedValue(null);
+    client.query.mockImplementation(async (sql) => (
+      sql.includes("SET status = 'delete'") ? { rows: [{ id: 'tx-1' }] } : { rows: [] }
+    ));
+    const voidTransaction = jest.spyOn(paymentService, 'voidTransaction').mockResolvedValue();
+
+    await webhookService.process(storedEvent('O:ORDER1', { event_type: 'DELETE' }));
+
+    expect(voidTransaction).toHaveBeenCalledWith(client, 'tx-1');
+    voidTransaction.mockRestore();
+  });
+
+  it('records a failed event so it can be retried', async () => {
+    fetchObject.mockRejectedValue(new Error('503 items/ITEM1'));
+
+    const status = await webhookService.process(storedEvent('I:ITEM1'));
+
+    expect(status).toBe('failed');
+    expect(statusUpdates()).toEqual([['event-I:ITEM1', 'failed']]);
+  });
+
+  it('ignores events for unknown merchants', async () => {
+    const status = await webhookService.process(storedEvent('I:ITEM1', { merchant_id: null }));
+
+    expect(status).toBe('ignored');
+    expect(getMerchantClient).not.toHaveBeenCalled();
+  });
+
+  it('POST /api/webhooks/clover stores and dispatches new events', async () => {
+    jest.spyOn(webhookService, 'record').mockResolvedValueOnce([storedEvent('IC:CAT1')]);
+    const dispatch = jest.spyOn(webhookService, 'process').mockResolvedValueOnce('processed');
+    db.query.mockResolvedValueOnce({ rows: [{ digest: 'new' }] });
+
+    const res = await post(notification(['IC:CAT1', 'IC:CAT1']), signed);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, received: 2, duplicates: 1, processed: 1, failed: 0 });
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({ object_id: 'IC:CAT1' }));
+    dispatch.mockRestore();
+    webhookService.record.mockRestore();
+  });
+});
@@ -0,0 +1,27 @@
+// worker.js
+// Background job worker: executes sync jobs queued by the API (see services/jobWorker.js)
+// and queues due sync schedules (see services/schedulerService.js)
+require('dotenv').config();
+const jobWorker = require('./services/jobWorker');
+const schedulerService = require('./services/schedulerService');
+const db = require('./config/database');
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, finishing running jobs...`);
+  await schedulerService.stop();
+  await jobWorker.stop();
+  await db.end();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+if (process.env.ENABLE_SCHEDULER !== 'false') {
+  schedulerService.start();
+}
+
+jobWorker.start().catch((error) => {
+  console.error('Job worker crashed:', error);
+  process.exit(1);
+});